@@ -0,0 +1,114 @@
+const express = require('express');
+const dotenv = require('dotenv');
+
+// Load environment variables
+dotenv.config();
+
+// Import authentication-related controllers from auth.js
+const {
+    signup,
+    login,
+    requestLoginOTP,
+    loginWithOTP,
+    requestOTPForPasswordReset,
+    resetPasswordWithOTP,
+    verifyEmailWithOTP,
+    superuserLogin,
+    verifySuperuserTwoFactor,
+    resendOTP,
+    refreshToken,
+    logout,
+    logoutAllDevices
+} = require('./auth/auth');
+const { authenticate } = require('./middleware/authenticate');
+const { requestId } = require('./middleware/requestId');
+const { accessLog } = require('./middleware/accessLog');
+const { errorEnvelope, notFound, errorHandler } = require('./middleware/errors');
+const { validate } = require('./middleware/validate');
+const { rateLimit, rateLimitByMethod } = require('./middleware/rateLimit');
+const authSchemas = require('./schemas/auth');
+
+// Import routes for products, categories, orders, and reviews
+const productRoutes = require('./auth/product'); // Product routes
+const categoryRoutes = require('./auth/category'); // Category routes
+const orderRoutes = require('./auth/order'); // Order routes (includes orderitems and messages)
+const reviewRoutes = require('./auth/review'); // Review routes (for reviews and replies)
+const infoRouter = require('./auth/info'); // Info routes
+const sizeRouter = require('./auth/size'); // Size routes
+const cartRoutes = require('./auth/cart'); // Cart routes
+const inventoryRoutes = require('./auth/inventory'); // Stock ledger routes
+const roleRoutes = require('./auth/role'); // Role routes
+const sessionRoutes = require('./auth/session'); // Session routes
+const lockoutRoutes = require('./auth/lockout'); // Lockout routes
+const twoFactorRoutes = require('./auth/twoFactor'); // Superuser 2FA routes
+const superuserRoutes = require('./auth/superuser'); // Superuser account routes
+const mailRoutes = require('./auth/mail'); // Email template preview routes
+const profileRoutes = require('./auth/profile'); // Profile self-service routes
+const healthRoutes = require('./auth/health'); // Liveness and readiness probes
+const docsRoutes = require('./auth/docs'); // OpenAPI document and interactive docs
+const v2Routes = require('./auth/v2'); // Resource-style v2 routes sharing the v1 handlers
+
+// Initialize Express app
+const app = express();
+
+// Trust the reverse proxy (e.g. Render) so `req.ip` is the client address used for throttling
+// (production requires TRUST_PROXY; 'false' means clients connect directly)
+if (process.env.TRUST_PROXY && process.env.TRUST_PROXY !== 'false') {
+    app.set('trust proxy', Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Middleware
+app.use(requestId); // Tag every request with an ID (echoed in X-Request-Id, error responses and log lines)
+app.use(accessLog); // Log method, path, status and latency of every request
+app.use(errorEnvelope); // Give every error response the same shape
+app.use(express.json()); // Built-in body-parser for parsing JSON requests
+
+// Health Routes (used by the load balancer and orchestrator)
+app.use(healthRoutes);
+
+// Rate limiting for every route below: reads and writes have separate budgets per user or IP
+app.use(rateLimitByMethod);
+const authLimit = rateLimit('auth'); // Stricter per-IP budget for credential and code endpoints
+const refreshLimit = rateLimit('refresh'); // Per-session budget for token refreshes
+
+// Authentication Routes
+app.post('/signup', authLimit, validate(authSchemas.signup), signup); // User signup
+app.post('/login', authLimit, validate(authSchemas.login), login); // User login
+app.post('/login-otp/request', authLimit, validate(authSchemas.requestLoginOTP), requestLoginOTP); // Request a passwordless login code
+app.post('/login-otp/verify', authLimit, validate(authSchemas.loginWithOTP), loginWithOTP); // Log in with email and a login code
+app.post('/superuser-login', authLimit, validate(authSchemas.superuserLogin), superuserLogin); // Superuser login
+app.post('/superuser-login/verify-2fa', authLimit, validate(authSchemas.verifySuperuserTwoFactor), verifySuperuserTwoFactor); // Second superuser login step when 2FA is enabled
+app.post('/request-password-reset-otp', authLimit, validate(authSchemas.requestOTPForPasswordReset), requestOTPForPasswordReset); // Request OTP for password reset
+app.post('/reset-password-with-otp', authLimit, validate(authSchemas.resetPasswordWithOTP), resetPasswordWithOTP); // Reset password using OTP
+app.post('/verify-email-with-otp', authLimit, validate(authSchemas.verifyEmailWithOTP), verifyEmailWithOTP); // Verify email using OTP
+app.post('/resend-otp', authLimit, validate(authSchemas.resendOTP), resendOTP); // Resend OTP for email verification or password reset
+app.post('/token/refresh', refreshLimit, validate(authSchemas.refreshToken), refreshToken); // Exchange a refresh token for a new token pair
+app.post('/logout', authenticate, logout); // End the current session
+app.post('/logout-all', authenticate, logoutAllDevices); // End every session of the caller
+
+// Product, Category, Order, and Review Routes
+app.use('/api/products', productRoutes); // Endpoints for product-related operations
+app.use('/api/categories', categoryRoutes); // Endpoints for category-related operations
+app.use('/api/orders', orderRoutes); // Endpoints for order-related operations (includes orderitems and messages)
+app.use('/api/reviews', reviewRoutes); // Endpoints for review-related operations
+app.use('/api/info', infoRouter); // Endpoints for fetching user info
+app.use('/api/sizes', sizeRouter); // Endpoints for size-related operations
+app.use('/api/cart', cartRoutes); // Endpoints for cart-related operations
+app.use('/api/inventory', inventoryRoutes); // Endpoints for stock movements, reconciliation and low-stock items
+app.use('/api/roles', roleRoutes); // Endpoints for managing staff roles
+app.use('/api/sessions', sessionRoutes); // Endpoints for managing active sessions
+app.use('/api/lockouts', lockoutRoutes); // Endpoints for reviewing and lifting login lockouts
+app.use('/superuser/2fa', twoFactorRoutes); // Endpoints for superuser 2FA enrollment
+app.use('/api/superusers', superuserRoutes); // Endpoints for inviting and managing superusers
+app.use('/api/mail', mailRoutes); // Endpoints for previewing email templates
+app.use('/api/profile', profileRoutes); // Endpoints for updating the caller's own profile
+app.use('/api/docs', docsRoutes); // OpenAPI document and Swagger UI
+
+// v2 Routes (resource URLs; the matching v1 routes above send Deprecation headers)
+app.use('/api/v2', v2Routes);
+
+// Unknown routes and unhandled errors
+app.use(notFound);
+app.use(errorHandler);
+
+module.exports = app;
@@ -1,60 +1,72 @@
-const nodemailer = require('nodemailer');
-const { supabase, supabaseAdmin } = require('../supabaseClient'); // Import Supabase clients
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
-
-// Helper to generate 6-digit OTP
-const generateOTP = () => {
-    return Math.floor(100000 + Math.random() * 900000).toString();
+const { ROLES, getSuperuserRoles } = require('../middleware/permissions');
+const {
+    SessionError,
+    createSession,
+    rotateSession,
+    revokeSession,
+    revokeAllSessions,
+} = require('../services/sessions');
+const { OTPError, OTP_TTL_MINUTES, normalizeEmail, issueOTP, verifyOTP } = require('../services/otp');
+const { sendTemplate, sendOTPEmail } = require('../mail');
+const {
+    LoginThrottleError,
+    LOGIN_LOCKOUT_MINUTES,
+    assertLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount,
+} = require('../services/loginThrottle');
+const { decryptSecret, verifyCode, hashRecoveryCode } = require('../services/totp');
+const { findUserByEmail } = require('../services/users');
+const { users, superusers } = require('../repositories');
+const { logger } = require('../logger');
+
+// Lifetime of the challenge token handed out between the password and TOTP steps
+const TWO_FACTOR_CHALLENGE_TTL = '5m';
+
+// Purposes a user may request an OTP for
+const OTP_PURPOSES = {
+    email_verification: 'Email Verification',
+    password_reset: 'Password Reset',
 };
 
-// Configure nodemailer for Gmail SMTP
-const transporter = nodemailer.createTransport({
-    service: 'gmail',
-    auth: {
-        user: process.env.EMAIL_ADDRESS,  // Gmail address
-        pass: process.env.EMAIL_PASSWORD // Gmail app password
-    },
+// Helper to capture the client details stored alongside a session
+const getSessionMeta = (req) => ({
+    userAgent: req.get('user-agent'),
+    ip: req.ip,
 });
 
-// Function to send OTP via email
-const sendOTPEmail = async (email, otp, purpose) => {
-    const mailOptions = {
-        from: process.env.EMAIL_ADDRESS,
-        to: email,
-        subject: `Your OTP for ${purpose}`, // Dynamic subject based on purpose
-        html: `
-            <div style="font-family: Arial, sans-serif; text-align: center; color: #333; padding: 20px;">
-                <h1 style="font-size: 24px; margin-bottom: 20px;">Here's your <strong>Lakshit's Test Site</strong> code!</h1>
-                
-                <!-- OTP Container -->
-                <div style="font-size: 35px; font-weight: bold; background-color: #f7f7f7; padding: 15px; border-radius: 8px; display: inline-block; margin: 20px auto;">
-                    ${otp}
-                </div>
-                
-                <p style="font-size: 14px; color: #666; margin-bottom: 20px;">The code expires in <strong>10 minutes</strong>.</p>
-
-                <!-- Message about purpose -->
-                <p style="font-size: 18px; margin-bottom: 20px;">Continue with <strong>${purpose}</strong> by entering the code below.</p>
-
-                <!-- Company Logo Container -->
-                <div style="margin: 20px auto;">
-                    <img src="https://sqvkozxfdnieonfbimyy.supabase.co/storage/v1/object/public/images/Logo%20lakshit.PNG" 
-                        alt="Company Logo" 
-                        style="width: 150px; height: auto; border-radius: 8px;" />
-                </div>
-                
-                <p style="font-size: 14px; color: #666; margin-top: 20px;">Thank you for choosing <strong>Lakshit's Test Site.</strong>!</p>
-            </div>
-        `,
-    };
+// Helper to translate service errors (bad OTP, throttling, lockout, invalid session) into responses
+const handleServiceError = (res, err) => {
+    if (!(err instanceof OTPError || err instanceof LoginThrottleError || err instanceof SessionError)) {
+        return false;
+    }
 
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
+    res.status(err.status).json({ error: err.message });
+    return true;
+};
+
+// Function to notify an account owner that their account has been locked
+const sendLockoutEmail = async (email) => {
     try {
-        await transporter.sendMail(mailOptions);
-        console.log(`OTP sent to ${email}`);
+        await sendTemplate('account_locked', email, { lockout_minutes: LOGIN_LOCKOUT_MINUTES });
     } catch (error) {
-        console.error('Error sending OTP email:', error.message);
-        throw new Error('Failed to send OTP email');
+        logger.error('Error sending lockout email', { error: error.message });
+    }
+};
+
+// Helper to record a failed login and notify the owner when it locks a known account
+const handleLoginFailure = async (subjectType, email, ip, accountExists) => {
+    const { lockedNow } = await recordLoginFailure(subjectType, email, ip);
+
+    if (lockedNow && (await accountExists())) {
+        await sendLockoutEmail(email);
     }
 };
 
@@ -63,29 +75,16 @@ const signup = async (req, res) => {
     const { email, password, username } = req.body;
 
     try {
-        // Create the user in Supabase Auth
-        const { data, error } = await supabase.auth.signUp({
-            email,
-            password,
-            options: { data: { username, email_verified: false } }
-        });
+        // Create the auth user
+        const { data, error } = await users.signUp(email, password, { username, email_verified: false });
 
         if (error) {
-            console.error('Signup Error:', error.message);
+            logger.error('Signup Error', { error: error.message });
             return res.status(400).json({ error: error.message });
         }
 
-        // Generate OTP for email verification
-        const otp = generateOTP();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // 10 minutes expiry
-
-        // Save OTP in the database
-        await supabase.from('otps').insert({
-            email,
-            otp,
-            purpose: 'email_verification',
-            expires_at: expiresAt,
-        });
+        // Generate and store OTP for email verification
+        const otp = await issueOTP(email, 'email_verification', { ip: req.ip });
 
         // Send OTP to user email
         await sendOTPEmail(email, otp, 'Email Verification');
@@ -95,58 +94,143 @@ const signup = async (req, res) => {
             user: { id: data.user.id, email: data.user.email, username },
         });
     } catch (err) {
-        console.error('Unexpected Signup Error:', err.message);
+        if (handleServiceError(res, err)) return;
+        logger.error('Unexpected Signup Error', { err });
         res.status(500).json({ error: 'Internal server error' });
     }
 };
 
 
+// Helper to start a user session and send the login response
+const startUserSession = async (req, res, user) => {
+    // Retrieve username
+    const username = user.user_metadata?.username || 'Unknown User';
+
+    // Start a session (short-lived JWT plus rotating refresh token)
+    const { token, refresh_token, expires_in } = await createSession(
+        'user',
+        { id: user.id, email: user.email, username },
+        getSessionMeta(req)
+    );
+
+    res.status(200).json({
+        message: 'Login successful.',
+        token,
+        refresh_token,
+        expires_in,
+        user: {
+            id: user.id,
+            username,
+            email: user.email,
+        },
+    });
+};
+
 // Login Function
 const login = async (req, res) => {
     const { email, password } = req.body;
 
+    if (!email || !password) {
+        return res.status(400).json({ error: 'Email and password are required.' });
+    }
+
     try {
+        // Refuse early while the account or IP is locked out or throttled
+        await assertLoginAllowed('user', email, req.ip);
+
         // Attempt to log in with email and password
-        const { data: authData, error: authError } = await supabase.auth.signInWithPassword({
-            email,
-            password,
-        });
+        const { data: authData, error: authError } = await users.signInWithPassword(email, password);
 
         if (authError) {
-            console.error('Authentication Error:', authError.message);
+            logger.error('Authentication Error', { error: authError.message });
+            await handleLoginFailure('user', email, req.ip, async () => Boolean(await findUserByEmail(email)));
             return res.status(401).json({ error: 'Invalid email or password.' });
         }
 
+        await recordLoginSuccess('user', email);
+
         // Check if email is confirmed
         const emailConfirmed = authData.user.email_confirmed_at !== null;
         const emailVerified = authData.user.user_metadata?.email_verified || false;
 
         if (!emailConfirmed || !emailVerified) {
-            console.warn('Unverified email login attempt:', email);
+            logger.warn('Unverified email login attempt', { email });
             return res.status(401).json({ error: 'Email not verified. Please verify your email first.' });
         }
 
-        // Retrieve username
-        const username = authData.user.user_metadata?.username || 'Unknown User';
+        await startUserSession(req, res, authData.user);
+    } catch (err) {
+        if (handleServiceError(res, err)) return;
+        logger.error('Unexpected Login Error', { err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Request a Magic Login Code (passwordless login)
+const requestLoginOTP = async (req, res) => {
+    const { email } = req.body;
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { id: authData.user.id, email: authData.user.email, username },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' } // 1-hour token expiry
-        );
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required.' });
+    }
 
-        res.status(200).json({
-            message: 'Login successful.',
-            token,
-            user: {
-                id: authData.user.id,
-                username,
-                email: authData.user.email,
-            },
-        });
+    try {
+        // Only known accounts receive a code, but the response never reveals whether the email exists
+        const user = await findUserByEmail(email);
+        if (user) {
+            const otp = await issueOTP(email, 'login_otp', { ip: req.ip });
+            await sendOTPEmail(email, otp, 'Login');
+        }
+
+        res.status(200).json({ message: 'If an account exists for this email, a login code has been sent.' });
+    } catch (err) {
+        if (handleServiceError(res, err)) return;
+        logger.error('Error requesting login OTP', { err });
+        res.status(500).json({ error: 'Failed to generate or send OTP.' });
+    }
+};
+
+// Login with a Magic Code (issues the same tokens as a password login)
+const loginWithOTP = async (req, res) => {
+    const { email, otp } = req.body;
+
+    if (!email || !otp) {
+        return res.status(400).json({ error: 'Email and OTP are required.' });
+    }
+
+    try {
+        // Refuse early while the account or IP is locked out or throttled
+        await assertLoginAllowed('user', email, req.ip);
+
+        // Validate (and consume) the OTP; wrong guesses count against its attempt limit
+        await verifyOTP(email, 'login_otp', otp);
+
+        let user = await findUserByEmail(email);
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired OTP.' });
+        }
+
+        // Receiving the code proves ownership of the address, so verify it if needed
+        const emailVerified = user.email_confirmed_at && user.user_metadata?.email_verified;
+        if (!emailVerified) {
+            const { data: updated, error: updateError } = await users.updateById(user.id, {
+                user_metadata: { ...user.user_metadata, email_verified: true },
+                email_confirm: true,
+            });
+
+            if (updateError) {
+                logger.error('Email Verification Error', { error: updateError.message });
+                return res.status(500).json({ error: 'Failed to verify email.' });
+            }
+
+            user = updated.user;
+        }
+
+        await recordLoginSuccess('user', email);
+        await startUserSession(req, res, user);
     } catch (err) {
-        console.error('Unexpected Login Error:', err.message);
+        if (handleServiceError(res, err)) return;
+        logger.error('Unexpected OTP Login Error', { err });
         res.status(500).json({ error: 'Internal server error' });
     }
 };
@@ -155,84 +239,184 @@ const login = async (req, res) => {
 const requestOTPForPasswordReset = async (req, res) => {
     const { email } = req.body;
 
+    if (!email) {
+        return res.status(400).json({ error: 'Email is required.' });
+    }
+
     try {
-        const otp = generateOTP();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000);
-
-        await supabase.from('otps').insert({
-            email,
-            otp,
-            purpose: 'password_reset',
-            expires_at: expiresAt,
-        });
+        // Issuing a new code replaces any previous password reset code
+        const otp = await issueOTP(email, 'password_reset', { ip: req.ip });
 
-        await sendOTPEmail(email, otp, 'Password Reset');
+        await sendTemplate('password_reset', email, { otp, expires_in_minutes: OTP_TTL_MINUTES });
 
         res.status(200).json({ message: 'OTP sent for password reset. Please check your email.' });
     } catch (err) {
-        console.error('Error requesting OTP for password reset:', err.message);
+        if (handleServiceError(res, err)) return;
+        logger.error('Error requesting OTP for password reset', { err });
         res.status(500).json({ error: 'Failed to generate or send OTP.' });
     }
 };
 
+// Helper to start a superuser session and send the login response
+const startSuperuserSession = async (req, res, superuser, extra = {}) => {
+    // Resolve staff roles so the client can tailor its UI (permissions are re-checked on every request)
+    const roles = await getSuperuserRoles(superuser.id);
+    const permissions = [...new Set(roles.flatMap((role) => ROLES[role]))];
+
+    // Start a session (short-lived JWT plus rotating refresh token)
+    const { token, refresh_token, expires_in } = await createSession(
+        'superuser',
+        {
+            id: superuser.id,
+            email: superuser.email,
+            username: superuser.username,
+            is_superuser: true,
+        },
+        getSessionMeta(req)
+    );
+
+    // Respond with success
+    res.status(200).json({
+        message: 'Superuser login successful.',
+        token,
+        refresh_token,
+        expires_in,
+        user: {
+            id: superuser.id,
+            email: superuser.email,
+            username: superuser.username,
+            is_superuser: true,
+            roles,
+            permissions,
+        },
+        ...extra,
+    });
+};
+
 // Superuser Login Function
 const superuserLogin = async (req, res) => {
-    const { email, password } = req.body;
+    const { password } = req.body;
 
     // Sanity check for request body
-    if (!email || !password) {
+    if (!req.body.email || !password) {
         return res.status(400).json({ error: 'Email and password are required.' });
     }
 
+    // Stored the way invitations store them (see auth/superuser.js)
+    const email = normalizeEmail(req.body.email);
+
     try {
+        // Refuse early while the account or IP is locked out or throttled
+        await assertLoginAllowed('superuser', email, req.ip);
+
         // Fetch superuser from the database
-        const { data: superuser, error } = await supabase
-            .from('superusers') // Use lowercase table name
-            .select('*')
-            .eq('email', email)
-            .single();
+        const { data: superuser, error } = await superusers.findByEmail(email);
 
         if (error || !superuser) {
-            console.warn('Superuser not found or query error:', error);
+            logger.warn('Superuser not found or query error', { error: error?.message });
+            await handleLoginFailure('superuser', email, req.ip, async () => false);
             return res.status(401).json({ error: 'Invalid email or password.' });
         }
 
-        console.log('Superuser fetched:', superuser);
-
-        // Compare the plain text password with the hashed password
-        const isPasswordValid = await bcrypt.compare(password, superuser.password);
+        // Compare the plain text password with the hashed password (invited superusers have none yet)
+        const isPasswordValid = Boolean(superuser.password) && (await bcrypt.compare(password, superuser.password));
         if (!isPasswordValid) {
-            console.warn('Invalid password attempt for email:', email);
+            logger.warn('Invalid password attempt for superuser account');
+            await handleLoginFailure('superuser', email, req.ip, async () => true);
             return res.status(401).json({ error: 'Invalid email or password.' });
         }
 
-        // Generate a JWT token
-        const token = jwt.sign(
-            {
-                id: superuser.id,
-                email: superuser.email,
-                username: superuser.username,
-                is_superuser: true,
-            },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
-        );
+        // Disabled accounts cannot log in (legacy rows have no status and are active)
+        if (superuser.status && superuser.status !== 'active') {
+            return res.status(403).json({ error: 'This superuser account is disabled.' });
+        }
+
+        // With 2FA enabled the password only earns a short-lived challenge for the TOTP step
+        if (superuser.totp_enabled) {
+            const challenge_token = jwt.sign(
+                { id: superuser.id, email: superuser.email, purpose: 'superuser_2fa' },
+                process.env.JWT_SECRET,
+                { expiresIn: TWO_FACTOR_CHALLENGE_TTL }
+            );
+
+            return res.status(200).json({
+                message: 'Password verified. Enter your authentication code to continue.',
+                two_factor_required: true,
+                challenge_token,
+            });
+        }
 
-        console.log('JWT token generated for superuser:', email);
+        await recordLoginSuccess('superuser', email);
+        await startSuperuserSession(req, res, superuser);
+    } catch (err) {
+        if (handleServiceError(res, err)) return;
+        logger.error('Superuser Login Error', { err });
+        res.status(500).json({ error: 'Internal server error. Please try again later.' });
+    }
+};
 
-        // Respond with success
-        res.status(200).json({
-            message: 'Superuser login successful.',
-            token,
-            user: {
-                id: superuser.id,
-                email: superuser.email,
-                username: superuser.username,
-                is_superuser: true,
-            },
-        });
+// Superuser Two-Factor Login Function (second step: exchange the challenge and a TOTP or recovery code)
+const verifySuperuserTwoFactor = async (req, res) => {
+    const { challenge_token, code, recovery_code } = req.body;
+
+    if (!challenge_token || (!code && !recovery_code)) {
+        return res.status(400).json({ error: 'Challenge token and an authentication or recovery code are required.' });
+    }
+
+    let challenge;
+    try {
+        challenge = jwt.verify(challenge_token, process.env.JWT_SECRET);
     } catch (err) {
-        console.error('Superuser Login Error:', err.message);
+        return res.status(401).json({ error: 'Invalid or expired challenge token. Please log in again.' });
+    }
+
+    if (challenge.purpose !== 'superuser_2fa') {
+        return res.status(401).json({ error: 'Invalid or expired challenge token. Please log in again.' });
+    }
+
+    try {
+        // Wrong codes count towards the same lockout as wrong passwords
+        await assertLoginAllowed('superuser', challenge.email, req.ip);
+
+        const { data: superuser, error } = await superusers.findById(challenge.id);
+
+        if (error || !superuser || !superuser.totp_enabled || (superuser.status && superuser.status !== 'active')) {
+            return res.status(401).json({ error: 'Invalid or expired challenge token. Please log in again.' });
+        }
+
+        let isCodeValid = false;
+        const extra = {};
+
+        if (code) {
+            // Each code may be used once, so reject steps at or before the last accepted one
+            const step = verifyCode(decryptSecret(superuser.totp_secret), code);
+            isCodeValid = step !== null && step > (superuser.totp_last_used_step || 0);
+
+            if (isCodeValid) {
+                await superusers.update(superuser.id, { totp_last_used_step: step });
+            }
+        } else {
+            const recoveryHash = hashRecoveryCode(recovery_code);
+            const remainingCodes = (superuser.totp_recovery_codes || []).filter((hash) => hash !== recoveryHash);
+            isCodeValid = remainingCodes.length < (superuser.totp_recovery_codes || []).length;
+
+            if (isCodeValid) {
+                await superusers.update(superuser.id, { totp_recovery_codes: remainingCodes });
+                extra.recovery_codes_remaining = remainingCodes.length;
+            }
+        }
+
+        if (!isCodeValid) {
+            logger.warn('Invalid two-factor code attempt for superuser account');
+            await handleLoginFailure('superuser', challenge.email, req.ip, async () => true);
+            return res.status(401).json({ error: 'Invalid authentication code.' });
+        }
+
+        await recordLoginSuccess('superuser', challenge.email);
+        await startSuperuserSession(req, res, superuser, extra);
+    } catch (err) {
+        if (handleServiceError(res, err)) return;
+        logger.error('Superuser Two-Factor Login Error', { err });
         res.status(500).json({ error: 'Internal server error. Please try again later.' });
     }
 };
@@ -241,57 +425,46 @@ const superuserLogin = async (req, res) => {
 const resetPasswordWithOTP = async (req, res) => {
     const { email, otp, new_password } = req.body;
 
-    try {
-        // Fetch the latest OTP for the given email and purpose
-        const { data: otpRecord, error } = await supabase
-            .from('otps')
-            .select('*')
-            .eq('email', email.toLowerCase())
-            .eq('purpose', 'password_reset')
-            .order('expires_at', { ascending: false }) // Get the most recent OTP
-            .limit(1)
-            .single();
-
-        if (error || !otpRecord) {
-            console.error('OTP Retrieval Error:', error?.message || 'No OTP record found.');
-            return res.status(400).json({ error: 'Invalid or expired OTP.' });
-        }
+    if (!email || !otp || !new_password) {
+        return res.status(400).json({ error: 'Email, OTP and new password are required.' });
+    }
 
-        // Validate OTP and expiration
-        const isOTPValid = otpRecord.otp === otp && new Date() <= new Date(otpRecord.expires_at);
-        if (!isOTPValid) {
-            return res.status(400).json({ error: 'Invalid or expired OTP.' });
-        }
+    try {
+        // Validate (and consume) the OTP; wrong guesses count against its attempt limit
+        await verifyOTP(email, 'password_reset', otp);
 
-        // Fetch the user from the Supabase Admin API
-        const { data: userList, error: userListError } = await supabaseAdmin.auth.admin.listUsers();
-        if (userListError) {
-            console.error('User Retrieval Error:', userListError.message);
+        // Fetch the user
+        const { data: user, error: userError } = await users.findByEmail(normalizeEmail(email));
+        if (userError) {
+            logger.error('User Retrieval Error', { error: userError.message });
             return res.status(500).json({ error: 'Failed to retrieve user.' });
         }
 
-        const user = userList.users.find((u) => u.email.toLowerCase() === email.toLowerCase());
         if (!user) {
             return res.status(404).json({ error: 'User not found.' });
         }
 
-        // Update the user's password directly in Supabase (it hashes automatically)
-        const { error: adminError } = await supabaseAdmin.auth.admin.updateUserById(user.id, {
-            password: new_password, // Provide plain text password; Supabase will hash it internally
+        // Update the user's password (the auth store hashes it)
+        const { error: adminError } = await users.updateById(user.id, {
+            password: new_password,
         });
 
         if (adminError) {
-            console.error('Password Update Error:', adminError.message);
+            logger.error('Password Update Error', { error: adminError.message });
             return res.status(500).json({ error: 'Failed to update password.' });
         }
 
-        // Delete the used OTP from the database
-        await supabase.from('otps').delete().eq('id', otpRecord.id);
+        // Sign the user out everywhere now that the old password is gone
+        await revokeAllSessions('user', user.id);
+
+        // A successful reset proves ownership, so lift any login lockout
+        await unlockAccount('user', email);
 
         // Respond with success
-        res.status(200).json({ message: 'Password reset successful!' });
+        res.status(200).json({ message: 'Password reset successful! Please log in again on all devices.' });
     } catch (err) {
-        console.error('Password Reset Error:', err.message);
+        if (handleServiceError(res, err)) return;
+        logger.error('Password Reset Error', { err });
         res.status(500).json({ error: 'Failed to reset password. Please try again later.' });
     }
 };
@@ -301,57 +474,40 @@ const resetPasswordWithOTP = async (req, res) => {
 const verifyEmailWithOTP = async (req, res) => {
     const { email, otp } = req.body;
 
-    try {
-        // Fetch the latest OTP
-        const { data: otpRecord, error } = await supabase
-            .from('otps')
-            .select('*')
-            .eq('email', email)
-            .eq('purpose', 'email_verification')
-            .order('expires_at', { ascending: false }) // Get the most recent OTP
-            .limit(1)
-            .single();
-
-        if (error || !otpRecord) {
-            console.error('OTP Fetch Error:', error?.message || 'No OTP record found.');
-            return res.status(400).json({ error: 'Invalid or expired OTP.' });
-        }
+    if (!email || !otp) {
+        return res.status(400).json({ error: 'Email and OTP are required.' });
+    }
 
-        // Validate the OTP
-        const isOTPValid = otpRecord.otp === otp && new Date() <= new Date(otpRecord.expires_at);
-        if (!isOTPValid) {
-            return res.status(400).json({ error: 'Invalid or expired OTP.' });
-        }
+    try {
+        // Validate (and consume) the OTP; wrong guesses count against its attempt limit
+        await verifyOTP(email, 'email_verification', otp);
 
-        // Retrieve the user using Supabase Admin API
-        const { data: userList, error: userListError } = await supabaseAdmin.auth.admin.listUsers();
-        if (userListError) {
-            console.error('User Retrieval Error:', userListError.message);
+        // Retrieve the user
+        const { data: user, error: userError } = await users.findByEmail(normalizeEmail(email));
+        if (userError) {
+            logger.error('User Retrieval Error', { error: userError.message });
             return res.status(500).json({ error: 'Failed to retrieve user.' });
         }
 
-        const user = userList.users.find((u) => u.email.toLowerCase() === email.toLowerCase());
         if (!user) {
             return res.status(404).json({ error: 'User not found.' });
         }
 
-        // Update email_verified in metadata and Supabase's internal state
-        const { error: updateError } = await supabaseAdmin.auth.admin.updateUserById(user.id, {
+        // Update email_verified in metadata and the auth store's internal state
+        const { error: updateError } = await users.updateById(user.id, {
             user_metadata: { ...user.user_metadata, email_verified: true },
             email_confirm: true, // Mark internal email confirmation as true
         });
 
         if (updateError) {
-            console.error('Email Verification Error:', updateError.message);
+            logger.error('Email Verification Error', { error: updateError.message });
             return res.status(500).json({ error: 'Failed to verify email.' });
         }
 
-        // Delete the OTP
-        await supabase.from('otps').delete().eq('id', otpRecord.id);
-
         res.status(200).json({ message: 'Email verified successfully!' });
     } catch (err) {
-        console.error('Email Verification Error:', err.message);
+        if (handleServiceError(res, err)) return;
+        logger.error('Email Verification Error', { err });
         res.status(500).json({ error: 'Failed to verify email.' });
     }
 };
@@ -366,35 +522,23 @@ const resendOTP = async (req, res) => {
         return res.status(400).json({ error: 'Email and purpose are required.' });
     }
 
-    try {
-        const otp = generateOTP();
-        const expiresAt = new Date(Date.now() + 10 * 60 * 1000); // OTP expiry: 10 minutes
-
-        // Delete any existing OTP for the email and purpose
-        await supabase
-            .from('otps')
-            .delete()
-            .eq('email', email)
-            .eq('purpose', purpose);
-
-        // Save the new OTP in the database
-        const { error: otpError } = await supabase.from('otps').insert({
-            email,
-            otp,
-            purpose,
-            expires_at: expiresAt,
-        });
+    if (!OTP_PURPOSES[purpose]) {
+        return res.status(400).json({ error: `Purpose must be one of: ${Object.keys(OTP_PURPOSES).join(', ')}.` });
+    }
 
-        if (otpError) {
-            console.error('Error saving OTP:', otpError.message);
-            return res.status(500).json({ error: 'Failed to generate OTP. Please try again.' });
-        }
+    try {
+        // Replace any existing OTP for the email and purpose (subject to resend cooldowns)
+        const otp = await issueOTP(email, purpose, { ip: req.ip });
 
         // Send OTP via email
         try {
-            await sendOTPEmail(email, otp, purpose === 'password_reset' ? 'Password Reset' : 'Email Verification');
+            if (purpose === 'password_reset') {
+                await sendTemplate('password_reset', email, { otp, expires_in_minutes: OTP_TTL_MINUTES });
+            } else {
+                await sendOTPEmail(email, otp, OTP_PURPOSES[purpose]);
+            }
         } catch (emailError) {
-            console.error('Email Send Error:', emailError.message);
+            logger.error('Email Send Error', { error: emailError.message });
             return res.status(500).json({ error: 'Failed to send OTP email. Please try again.' });
         }
 
@@ -403,20 +547,69 @@ const resendOTP = async (req, res) => {
             message: `A new OTP has been sent for ${purpose === 'password_reset' ? 'password reset' : 'email verification'}. Please check your email.`,
         });
     } catch (err) {
-        console.error('Error resending OTP:', err.message);
+        if (handleServiceError(res, err)) return;
+        logger.error('Error resending OTP', { err });
         res.status(500).json({ error: 'Failed to resend OTP. Please try again later.' });
     }
 };
 
+// Refresh Token Function (rotates the refresh token on every call)
+const refreshToken = async (req, res) => {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({ error: 'Refresh token is required.' });
+    }
+
+    try {
+        const tokens = await rotateSession(refresh_token, getSessionMeta(req));
+
+        res.status(200).json({
+            message: 'Token refreshed successfully.',
+            ...tokens,
+        });
+    } catch (err) {
+        if (handleServiceError(res, err)) return;
+        logger.error('Token Refresh Error', { err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Logout Function (ends the session behind the presented token)
+const logout = async (req, res) => {
+    try {
+        await revokeSession(req.user.session_id);
+        res.status(200).json({ message: 'Logged out successfully.' });
+    } catch (err) {
+        logger.error('Logout Error', { err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
 
+// Logout All Devices Function (ends every session of the caller)
+const logoutAllDevices = async (req, res) => {
+    try {
+        await revokeAllSessions(req.user.is_superuser ? 'superuser' : 'user', req.user.id);
+        res.status(200).json({ message: 'Logged out from all devices successfully.' });
+    } catch (err) {
+        logger.error('Logout All Devices Error', { err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
 
 // Export all handlers
 module.exports = {
     signup,
     login,
+    requestLoginOTP,
+    loginWithOTP,
     superuserLogin,
+    verifySuperuserTwoFactor,
     requestOTPForPasswordReset,
     resetPasswordWithOTP,
     verifyEmailWithOTP,
     resendOTP,
+    refreshToken,
+    logout,
+    logoutAllDevices,
 };
@@ -1,79 +1,78 @@
 const express = require('express');
-const { supabase } = require('../supabaseClient');
+const { cart } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const orderSchemas = require('../schemas/orders');
+const { InventoryError, checkStock, stockKey } = require('../services/inventory');
+const { placeOrder: placeOrderFor } = require('../services/orderPlacement');
+const { sendTemplate } = require('../mail');
+const { logger } = require('../logger');
 const router = express.Router();
 
+// Every cart operation acts on the authenticated user's cart
+router.use(authenticate);
+
+// Helper Function: Sum the quantities of a product and size already in a user's cart, except one item
+const quantityInCart = async (user_id, item, exceptItemId = null) => {
+    const { data: cartItems, error } = await cart.listByUser(user_id);
+
+    if (error) {
+        throw new Error(`Failed to fetch cart items: ${error.message}`);
+    }
+
+    return cartItems
+        .filter((entry) => entry.id !== exceptItemId && stockKey(entry) === stockKey(item))
+        .reduce((sum, entry) => sum + entry.quantity, 0);
+};
+
 // Add Product to Cart
-router.post('/add', async (req, res) => {
-    const { user_id, product_id, size_id, quantity } = req.body;
+const addToCart = async (req, res) => {
+    const { product_id, size_id, quantity } = req.body;
+    const user_id = req.user.id;
 
     try {
-        // Validate input
-        if (!user_id || !product_id || quantity <= 0) {
-            return res.status(400).json({ error: 'User ID, Product ID, and valid quantity are required.' });
-        }
+        // Check that the size exists for the product and that the cart does not hold more than is in stock
+        const item = { product_id, size_id: size_id || null, quantity };
+        await checkStock(item, await quantityInCart(user_id, item));
 
         // Add product to the cart
-        const { data, error } = await supabase
-            .from('cart')
-            .insert([{
-                user_id,
-                product_id,
-                size_id: size_id || null, // Optional size
-                quantity: quantity || 1 // Default quantity to 1 if not provided
-            }])
-            .select();
+        const { data, error } = await cart.addItem({
+            user_id,
+            product_id,
+            size_id: size_id || null, // Optional size
+            quantity
+        });
 
         if (error) {
-            console.error('Error adding product to cart:', error.message);
+            logger.error('Error adding product to cart', { error: error.message });
             return res.status(500).json({ error: 'Failed to add product to cart.' });
         }
 
         res.status(201).json({
             message: 'Product added to cart successfully!',
-            cart_item: data[0]
+            cart_item: data
         });
     } catch (err) {
-        console.error('Unexpected error while adding to cart:', err.message);
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected error while adding to cart', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch Cart Items
-router.post('/fetch', async (req, res) => {
-    const { user_id } = req.body;
+const fetchCart = async (req, res) => {
+    const user_id = req.user.id;
 
     try {
-        // Validate input
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required to fetch cart items.' });
-        }
-
         // Fetch cart items for the user
-        const { data, error } = await supabase
-            .from('cart')
-            .select(`
-                id,
-                product_id,
-                size_id,
-                quantity,
-                added_at,
-                products (
-                    id,
-                    title,
-                    description,
-                    price,
-                    images,
-                    stock_quantity
-                ),
-                sizes (
-                    id,
-                    size_name
-                )
-            `)
-            .eq('user_id', user_id);
+        const { data, error } = await cart.listByUser(user_id);
 
         if (error) {
-            console.error('Error fetching cart items:', error.message);
+            logger.error('Error fetching cart items', { error: error.message });
             return res.status(500).json({ error: 'Failed to fetch cart items.' });
         }
 
@@ -82,42 +81,75 @@ router.post('/fetch', async (req, res) => {
             cart_items: data
         });
     } catch (err) {
-        console.error('Unexpected error while fetching cart items:', err.message);
+        logger.error('Unexpected error while fetching cart items', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
+
+// Change the Quantity of a Cart Item
+const updateCartItem = async (req, res) => {
+    const { cart_item_id, quantity } = req.body;
+    const user_id = req.user.id;
+
+    try {
+        const { data: existingItem, error: fetchError } = await cart.findItem(cart_item_id, user_id);
+
+        if (fetchError || !existingItem) {
+            return res.status(404).json({ error: 'Cart item not found.' });
+        }
+
+        // The new quantity, plus any other cart items for the same product and size, must be in stock
+        const item = { ...existingItem, quantity };
+        await checkStock(item, await quantityInCart(user_id, item, existingItem.id));
+
+        const { data, error } = await cart.updateQuantity(cart_item_id, user_id, quantity);
+
+        if (error) {
+            logger.error('Error updating cart item', { error: error.message });
+            return res.status(500).json({ error: 'Failed to update the cart item.' });
+        }
+
+        if (!data) {
+            return res.status(404).json({ error: 'Cart item not found.' });
+        }
+
+        res.status(200).json({
+            message: 'Cart item updated successfully!',
+            cart_item: data
+        });
+    } catch (err) {
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected error while updating cart item', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
 
 // Delete Product from Cart
-router.delete('/delete', async (req, res) => {
-    const { user_id, cart_item_id } = req.body;
+const removeFromCart = async (req, res) => {
+    const { cart_item_id } = req.body;
+    const user_id = req.user.id;
 
     try {
         // Validate input
-        if (!user_id || !cart_item_id) {
-            return res.status(400).json({ error: 'User ID and Cart Item ID are required to delete a product from the cart.' });
+        if (!cart_item_id) {
+            return res.status(400).json({ error: 'Cart Item ID is required to delete a product from the cart.' });
         }
 
         // Check if the cart item exists before attempting to delete
-        const { data: existingItem, error: fetchError } = await supabase
-            .from('cart')
-            .select('*')
-            .eq('id', cart_item_id)
-            .eq('user_id', user_id)
-            .single();
+        const { data: existingItem, error: fetchError } = await cart.findItem(cart_item_id, user_id);
 
         if (fetchError || !existingItem) {
             return res.status(404).json({ error: 'Cart item not found.' });
         }
 
         // Delete the product from the cart
-        const { error: deleteError } = await supabase
-            .from('cart')
-            .delete()
-            .eq('id', cart_item_id)
-            .eq('user_id', user_id);
+        const { error: deleteError } = await cart.removeItem(cart_item_id, user_id);
 
         if (deleteError) {
-            console.error('Error deleting product from cart:', deleteError.message);
+            logger.error('Error deleting product from cart', { error: deleteError.message });
             return res.status(500).json({ error: 'Failed to delete product from cart.' });
         }
 
@@ -126,74 +158,43 @@ router.delete('/delete', async (req, res) => {
             deleted_item: existingItem // Return the previously fetched item as confirmation
         });
     } catch (err) {
-        console.error('Unexpected error while deleting from cart:', err.message);
+        logger.error('Unexpected error while deleting from cart', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Place Order
-router.post('/place-order', async (req, res) => {
-    const { user_id } = req.body;
+const placeOrder = async (req, res) => {
+    const user_id = req.user.id;
 
     try {
-        // Validate input
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required to place an order.' });
-        }
-
         // Fetch cart items for the user
-        const { data: cartItems, error: cartError } = await supabase
-            .from('cart')
-            .select('*')
-            .eq('user_id', user_id);
+        const { data: cartItems, error: cartError } = await cart.listByUser(user_id);
 
         if (cartError || !cartItems || cartItems.length === 0) {
             return res.status(400).json({ error: 'No items in the cart to place an order.' });
         }
 
-        // Create a new order
-        const { data: orderData, error: orderError } = await supabase
-            .from('orders')
-            .insert([{ user_id, order_status: 'Pending', created_at: new Date().toISOString() }])
-            .select()
-            .single();
-
-        if (orderError) {
-            console.error('Error creating order:', orderError.message);
-            return res.status(500).json({ error: 'Failed to create the order.' });
-        }
-
-        const orderId = orderData.id;
-
-        // Format cart items for insertion into orderitems
-        const orderItems = cartItems.map(item => ({
-            order_id: orderId,
-            product_id: item.product_id,
-            size_id: item.size_id,
-            quantity: item.quantity
-        }));
-
-        // Insert items into orderitems table
-        const { data: orderItemsData, error: orderItemsError } = await supabase
-            .from('orderitems')
-            .insert(orderItems)
-            .select();
-
-        if (orderItemsError) {
-            console.error('Error inserting order items:', orderItemsError.message);
-            return res.status(500).json({ error: 'Failed to add items to the order.' });
-        }
+        // Check every item, take the stock, record the order and empty the cart; nothing is kept if any step fails
+        const { order: orderData, items: orderItemsData, lines } = await placeOrderFor(user_id, cartItems, {
+            afterPlaced: async () => {
+                const { error: clearCartError } = await cart.clear(user_id);
 
-        // Clear the user's cart
-        const { error: clearCartError } = await supabase
-            .from('cart')
-            .delete()
-            .eq('user_id', user_id);
+                if (clearCartError) {
+                    throw new Error(`Failed to clear the cart after placing the order: ${clearCartError.message}`);
+                }
+            },
+        });
 
-        if (clearCartError) {
-            console.error('Error clearing cart:', clearCartError.message);
-            return res.status(500).json({ error: 'Failed to clear the cart after placing the order.' });
-        }
+        // Confirmation emails are best-effort and never fail the order
+        sendTemplate('order_confirmation', req.user.email, {
+            order_id: orderData.id,
+            items: lines.map(line => ({
+                title: line.title,
+                size_name: line.size_name,
+                quantity: line.quantity
+            }))
+        }).catch(() => {});
 
         res.status(201).json({
             message: 'Order placed successfully!',
@@ -201,9 +202,20 @@ router.post('/place-order', async (req, res) => {
             order_items: orderItemsData
         });
     } catch (err) {
-        console.error('Unexpected error while placing the order:', err.message);
-        res.status(500).json({ error: 'Internal server error.' });
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Error placing the order', { err });
+        res.status(500).json({ error: 'Failed to place the order.' });
     }
-});
+};
+
+// Routes
+router.post('/add', deprecated('POST /api/v2/cart/items'), validate(orderSchemas.addToCart), addToCart);
+router.post('/fetch', deprecated('GET /api/v2/cart/items'), fetchCart);
+router.delete('/delete', deprecated('DELETE /api/v2/cart/items/{id}'), validate(orderSchemas.removeFromCart), removeFromCart);
+router.post('/place-order', deprecated('POST /api/v2/cart/checkout'), placeOrder);
 
 module.exports = router;
+module.exports.handlers = { addToCart, fetchCart, updateCartItem, removeFromCart, placeOrder }; // Shared with the v2 routes
@@ -1,89 +1,66 @@
 const express = require('express');
-const { supabase } = require('../supabaseClient');
+const { categories } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const { cacheCatalog } = require('../middleware/cache');
+const { PRODUCT_LISTINGS, invalidateCatalog } = require('../services/catalogCache');
+const { ListingError, browseCatalog } = require('../services/productListing');
+const { resetSearchIndex } = require('../services/productSearch');
+const catalogSchemas = require('../schemas/catalog');
+const { logger } = require('../logger');
 const router = express.Router();
 
-// Helper Function: Check Superuser
-const isSuperUser = async (user_id) => {
-    try {
-        const { data: superuser, error } = await supabase
-            .from('superusers')
-            .select('*')
-            .eq('id', user_id)
-            .single();
-
-        if (error) {
-            console.error('Superuser Check Error:', error.message);
-            return false;
-        }
-
-        return superuser !== null;
-    } catch (err) {
-        console.error('Unexpected Error in Superuser Check:', err.message);
-        return false;
-    }
-};
-
 // Add Category
-router.post('/add', async (req, res) => {
-    const { name, user_id } = req.body;
+const addCategory = async (req, res) => {
+    const { name } = req.body;
 
     try {
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required.' });
-        }
-
-        const isSuper = await isSuperUser(user_id);
-        if (!isSuper) {
-            return res.status(403).json({ error: 'Only superusers can add categories.' });
-        }
-
         const trimmedName = name?.trim();
         if (!trimmedName) {
             return res.status(400).json({ error: 'Category name is required.' });
         }
 
-        const { data, error } = await supabase
-            .from('categories')
-            .insert([{ name: trimmedName }])
-            .select();
+        const { data, error } = await categories.create(trimmedName);
 
         if (error) {
-            console.error('Insert Error:', error.message);
+            logger.error('Insert Error', { error: error.message });
             return res.status(500).json({ error: `Failed to add category. Supabase error: ${error.message}` });
         }
 
+        // Product listings filter and name products by category
+        invalidateCatalog('categories', ...PRODUCT_LISTINGS);
+
         res.status(201).json({
             message: 'Category added successfully!',
-            category: data[0],
+            category: data,
         });
     } catch (err) {
-        console.error('Unexpected Error in Add Category:', err.message);
+        logger.error('Unexpected Error in Add Category', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch All Categories
-router.get('/list', async (req, res) => {
+const listCategories = async (req, res) => {
     try {
-        const { data, error } = await supabase
-            .from('categories')
-            .select('*')
-            .order('name', { ascending: true });
+        const { data, error } = await categories.list();
 
         if (error) {
-            console.error('Error Fetching Categories:', error.message);
+            logger.error('Error Fetching Categories', { error: error.message });
             return res.status(500).json({ error: 'Failed to fetch categories.' });
         }
 
         res.status(200).json(data);
     } catch (err) {
-        console.error('Error in Fetch Categories:', err.message);
+        logger.error('Error in Fetch Categories', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch Products by Category
-router.post('/products', async (req, res) => {
+const listCategoryProducts = async (req, res) => {
     const { category_id } = req.body;
 
     try {
@@ -92,90 +69,71 @@ router.post('/products', async (req, res) => {
             return res.status(400).json({ error: 'Category ID is required.' });
         }
 
-        // Fetch products linked to the given category ID through the bridge table
-        const { data, error } = await supabase
-            .from('product_categories')
-            .select(`
-                product_id,
-                products (
-                    id,
-                    title,
-                    description,
-                    price,
-                    is_discounted,
-                    discount_percentage,
-                    images,
-                    stock_quantity,
-                    created_at
-                )
-            `)
-            .eq('category_id', category_id);
+        // Fetch the products linked to the given category ID, with the filters, sort and pagination in the query string
+        const { items, pagination } = await browseCatalog(req.query, { category_id });
 
-        if (error) {
-            console.error('Error fetching products by category ID:', error.message);
-            return res.status(500).json({ error: 'Failed to fetch products for the given category.' });
-        }
-
-        if (!data || data.length === 0) {
-            return res.status(404).json({ message: 'No products found for the given category.' });
+        // No match at all is only an error when the category has no products (not when the filters leave none)
+        if (pagination.total === 0 && (await browseCatalog({ limit: 1 }, { category_id })).pagination.total === 0) {
+            return res.status(404).json({ error: 'No products found for the given category.' });
         }
 
-        // Extract products
-        const products = data.map(entry => entry.products);
-
         res.status(200).json({
             message: `Products fetched successfully for category ID: ${category_id}`,
-            products,
+            products: items,
+            pagination,
         });
     } catch (err) {
-        console.error('Unexpected Error in Fetch Products by Category ID:', err.message);
+        if (err instanceof ListingError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected Error in Fetch Products by Category ID', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Delete Category
-router.delete('/delete', async (req, res) => {
-    const { id, user_id } = req.body;
+const deleteCategory = async (req, res) => {
+    const { id } = req.body;
 
     try {
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required.' });
-        }
-
         if (!id) {
             return res.status(400).json({ error: 'Category ID is required.' });
         }
 
-        const isSuper = await isSuperUser(user_id);
-        if (!isSuper) {
-            return res.status(403).json({ error: 'Only superusers can delete categories.' });
-        }
-
-        const { data: category, error: fetchError } = await supabase
-            .from('categories')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const { data: category, error: fetchError } = await categories.findById(id);
 
         if (fetchError || !category) {
             return res.status(404).json({ error: 'Category not found.' });
         }
 
-        const { data, error: deleteError } = await supabase
-            .from('categories')
-            .delete()
-            .eq('id', id);
+        const { error: deleteError } = await categories.remove(id);
 
         if (deleteError) {
-            console.error('Category Deletion Error:', deleteError.message);
+            logger.error('Category Deletion Error', { error: deleteError.message });
             return res.status(500).json({ error: `Failed to delete category. Supabase error: ${deleteError.message}` });
         }
 
+        // Every product listing shows the category names and IDs of its products
+        invalidateCatalog('categories', ...PRODUCT_LISTINGS);
+        resetSearchIndex(); // Search facets name the categories and sizes
+
         res.status(200).json({ message: `Category with ID ${id} successfully deleted.` });
     } catch (err) {
-        console.error('Error in Delete Category:', err.message);
+        logger.error('Error in Delete Category', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
+
+// Cache key of a category's product lookup
+const categoryProductsKey = (req) => `category-products:${req.body.category_id}`;
+
+// Routes
+router.post('/add', deprecated('POST /api/v2/categories'), authenticate, requirePermission('catalog:write'), validate(catalogSchemas.addCategory), addCategory);
+router.get('/list', deprecated('GET /api/v2/categories'), cacheCatalog('categories'), listCategories);
+router.post('/products', deprecated('GET /api/v2/categories/{id}/products'), validate(catalogSchemas.categoryProducts), cacheCatalog(categoryProductsKey), listCategoryProducts);
+router.delete('/delete', deprecated('DELETE /api/v2/categories/{id}'), authenticate, requirePermission('catalog:write'), validate(catalogSchemas.deleteCategory), deleteCategory);
 
 module.exports = router;
+module.exports.handlers = { addCategory, listCategories, listCategoryProducts, deleteCategory }; // Shared with the v2 routes
+module.exports.categoryProductsKey = categoryProductsKey; // The v2 route shares the cache entry
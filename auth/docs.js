@@ -0,0 +1,24 @@
+const express = require('express');
+const swaggerUi = require('swagger-ui-express');
+const { buildSpec } = require('../openapi');
+const router = express.Router();
+
+// The document is built from the live routes on first request and reused afterwards
+const specs = new WeakMap();
+const getSpec = (app) => {
+    if (!specs.has(app)) {
+        specs.set(app, buildSpec(app));
+    }
+    return specs.get(app);
+};
+
+// OpenAPI Document
+router.get('/openapi.json', (req, res) => {
+    res.status(200).json(getSpec(req.app));
+});
+
+// Interactive Documentation (Swagger UI loads the document above)
+router.use(swaggerUi.serve);
+router.get('/', swaggerUi.setup(null, { swaggerOptions: { url: 'openapi.json' }, customSiteTitle: 'Retail Backend API' }));
+
+module.exports = router;
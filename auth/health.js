@@ -0,0 +1,25 @@
+const express = require('express');
+const { checkReadiness, isShuttingDown } = require('../services/health');
+const router = express.Router();
+
+// Liveness: the process is up and the event loop answers
+router.get('/healthz', (req, res) => {
+    res.status(200).json({ status: 'ok', uptime_seconds: Math.round(process.uptime()) });
+});
+
+// Readiness: the data store, storage bucket and mail transport are all reachable
+router.get('/readyz', async (req, res) => {
+    if (isShuttingDown()) {
+        return res.status(503).json({ status: 'shutting_down', error: 'Server is shutting down.' });
+    }
+
+    const { ready, checks } = await checkReadiness();
+
+    if (!ready) {
+        return res.status(503).json({ status: 'unavailable', error: 'A dependency is unavailable.', checks });
+    }
+
+    res.status(200).json({ status: 'ready', checks });
+});
+
+module.exports = router;
@@ -1,77 +1,91 @@
 const express = require('express');
-const { createClient } = require('@supabase/supabase-js');
-require('dotenv').config(); // Load environment variables from .env
-
-// Initialize Supabase client
-const supabase = createClient(
-    process.env.SUPABASE_URL,
-    process.env.SUPABASE_KEY
-);
+const { authenticate } = require('../middleware/authenticate');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const accountSchemas = require('../schemas/accounts');
+const { OTPError, OTP_TTL_MINUTES, issueOTP, verifyOTP } = require('../services/otp');
+const { getUserById } = require('../services/users');
+const { collectUserData, deleteUserData, logDataRequest } = require('../services/dataSubject');
+const { sendOTPEmail } = require('../mail');
+const { users, reviews, orders } = require('../repositories');
+const { logger } = require('../logger');
 
 const router = express.Router();
 
+// Data-subject actions and the OTP purpose + email label that confirms each of them
+const DATA_ACTIONS = {
+    export: { purpose: 'data_export', label: 'Data Export' },
+    delete: { purpose: 'account_deletion', label: 'Account Deletion' },
+};
+
+// Helper Function: Respond with an OTP service error (bad code, throttling)
+const sendOTPError = (res, err) => {
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
+    return res.status(err.status).json({ error: err.message });
+};
+
+// Helper Function: Load the shopper behind the token (superusers have no shopper data)
+const getShopper = async (req, res) => {
+    if (req.user.is_superuser) {
+        res.status(403).json({ error: 'Data requests are only available to shopper accounts.' });
+        return null;
+    }
+
+    const user = await getUserById(req.user.id);
+    if (!user) {
+        res.status(404).json({ error: 'User not found.' });
+        return null;
+    }
+
+    return user;
+};
+
 // Fetch detailed information from all related tables
-router.post('/get-detailed-info', async (req, res) => {
-    const { user_id } = req.body; // Extract user_id from the request body
+const getDetailedInfo = async (req, res) => {
+    const user_id = req.user.id; // The caller can only read their own information
 
     try {
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required in the request body.' });
-        }
-
         // Fetch user information from the 'users' table
-        const { data: userData, error: userError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', user_id)
-            .single();
+        const { data: userData, error: userError } = await users.findProfile(user_id);
 
         if (userError || !userData) {
-            console.error('Error fetching user data:', userError?.message || 'User not found.');
+            logger.error('Error fetching user data', { error: userError?.message || 'User not found.' });
             return res.status(404).json({ error: 'User not found in users table.' });
         }
 
         // Fetch reviews written by the user from the 'reviews' table
-        const { data: reviewsData, error: reviewsError } = await supabase
-            .from('reviews')
-            .select('*')
-            .eq('user_id', user_id);
+        const { data: reviewsData, error: reviewsError } = await reviews.listByUser(user_id);
 
         if (reviewsError) {
-            console.error('Error fetching reviews:', reviewsError.message);
+            logger.error('Error fetching reviews', { error: reviewsError.message });
         }
 
         // Fetch replies written by the user from the 'replies' table
-        const { data: repliesData, error: repliesError } = await supabase
-            .from('replies')
-            .select('*')
-            .eq('user_id', user_id);
+        const { data: repliesData, error: repliesError } = await reviews.listRepliesByUser(user_id);
 
         if (repliesError) {
-            console.error('Error fetching replies:', repliesError.message);
+            logger.error('Error fetching replies', { error: repliesError.message });
         }
 
         // Fetch orders made by the user from the 'orders' table
-        const { data: ordersData, error: ordersError } = await supabase
-            .from('orders')
-            .select('id') // Only fetch 'id' for use in the next query
-            .eq('user_id', user_id);
+        const { data: userOrders, error: ordersError } = await orders.listByUser(user_id);
 
         if (ordersError) {
-            console.error('Error fetching orders:', ordersError.message);
+            logger.error('Error fetching orders', { error: ordersError.message });
         }
 
-        // Extract order IDs from ordersData
-        const orderIds = ordersData ? ordersData.map((order) => order.id) : [];
+        // Only the order IDs are returned; they are also used in the next query
+        const ordersData = userOrders ? userOrders.map((order) => ({ id: order.id })) : [];
+        const orderIds = ordersData.map((order) => order.id);
 
         // Fetch messages related to the user's orders from the 'messages' table
-        const { data: messagesData, error: messagesError } = await supabase
-            .from('messages')
-            .select('*')
-            .in('order_id', orderIds); // Pass order IDs as an array
+        const { data: messagesData, error: messagesError } = await orders.listMessagesForOrders(orderIds);
 
         if (messagesError) {
-            console.error('Error fetching messages:', messagesError.message);
+            logger.error('Error fetching messages', { error: messagesError.message });
         }
 
         // Combine all fetched data into a single response
@@ -87,10 +101,88 @@ router.post('/get-detailed-info', async (req, res) => {
         res.status(200).json(response);
 
     } catch (err) {
-        console.error('Unexpected error fetching detailed user info:', err.message);
+        logger.error('Unexpected error fetching detailed user info', { err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Request a Data Export or Account Deletion (emails a confirmation OTP)
+const requestDataAction = async (req, res) => {
+    const { purpose, label } = DATA_ACTIONS[req.params.action];
+
+    try {
+        const user = await getShopper(req, res);
+        if (!user) return;
+
+        const otp = await issueOTP(user.email, purpose, { ip: req.ip });
+        await sendOTPEmail(user.email, otp, label);
+
+        res.status(200).json({
+            message: `A confirmation code has been sent to your email. It expires in ${OTP_TTL_MINUTES} minutes.`,
+        });
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while requesting data subject action', { action: label, err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Confirm a Data Export (responds with a downloadable JSON document)
+const confirmExport = async (req, res) => {
+    const { otp } = req.body;
+
+    try {
+        if (!otp) {
+            return res.status(400).json({ error: 'OTP is required.' });
+        }
+
+        const user = await getShopper(req, res);
+        if (!user) return;
+
+        await verifyOTP(user.email, DATA_ACTIONS.export.purpose, otp);
+
+        const data = await collectUserData(user);
+        await logDataRequest(user.id, 'export');
+
+        res.attachment(`account-export-${user.id}.json`);
+        res.status(200).type('json').send(JSON.stringify(data, null, 2));
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while exporting user data', { err });
+        res.status(500).json({ error: 'Internal server error' });
+    }
+};
+
+// Confirm Account Deletion (anonymizes reviews, scrubs orders and deletes the account)
+const confirmDeletion = async (req, res) => {
+    const { otp } = req.body;
+
+    try {
+        if (!otp) {
+            return res.status(400).json({ error: 'OTP is required.' });
+        }
+
+        const user = await getShopper(req, res);
+        if (!user) return;
+
+        await verifyOTP(user.email, DATA_ACTIONS.delete.purpose, otp);
+
+        await deleteUserData(user);
+        await logDataRequest(user.id, 'deletion');
+
+        res.status(200).json({ message: 'Your account and personal data have been deleted.' });
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while deleting account', { err });
         res.status(500).json({ error: 'Internal server error' });
     }
-});
+};
 
+// Routes
+router.post('/get-detailed-info', deprecated('GET /api/v2/account'), authenticate, getDetailedInfo);
+router.post('/:action(export|delete)/request', authenticate, validate(accountSchemas.dataRequest), requestDataAction);
+router.post('/export/confirm', authenticate, validate(accountSchemas.confirmDataRequest), confirmExport);
+router.post('/delete/confirm', authenticate, validate(accountSchemas.confirmDataRequest), confirmDeletion);
 
 module.exports = router;
+module.exports.handlers = { getDetailedInfo, requestDataAction, confirmExport, confirmDeletion }; // Shared with the v2 routes
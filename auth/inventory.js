@@ -0,0 +1,121 @@
+const express = require('express');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const inventorySchemas = require('../schemas/inventory');
+const { PRODUCT_LISTINGS, invalidateCatalog } = require('../services/catalogCache');
+const { indexProduct } = require('../services/productSearch');
+const {
+    InventoryError,
+    moveStock,
+    listMovements,
+    listLowStock,
+    reconcileStock,
+    settleDiscrepancies,
+} = require('../services/inventory');
+const { logger } = require('../logger');
+const router = express.Router();
+
+// Every inventory route is for staff; reading needs 'inventory:read' and changing stock 'inventory:write'
+router.use(authenticate);
+
+// Record a Stock Movement (receipt, customer return or manual adjustment)
+router.post('/movements', requirePermission('inventory:write'), validate(inventorySchemas.recordMovement), async (req, res) => {
+    const { product_id, size_id, type, quantity, reason } = req.body;
+
+    if (type !== 'adjustment' && quantity < 0) {
+        return res.status(400).json({ error: `A ${type} can only add stock; record an adjustment to remove it.` });
+    }
+
+    if (type === 'adjustment' && !reason) {
+        return res.status(400).json({ error: 'Adjustments need a reason.' });
+    }
+
+    try {
+        const movement = await moveStock({ product_id, size_id, quantity, type, reason, actor_id: req.user.id });
+
+        // Listings and search results show the stock
+        invalidateCatalog(...PRODUCT_LISTINGS);
+        await indexProduct(product_id);
+
+        res.status(201).json({
+            message: 'Stock movement recorded successfully!',
+            movement,
+        });
+    } catch (err) {
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected error while recording a stock movement', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// List Stock Movements (newest first)
+router.get('/movements', requirePermission('inventory:read'), validate(inventorySchemas.listMovements), async (req, res) => {
+    const { product_id, size_id, order_id, type, page, limit } = req.query;
+
+    try {
+        const { movements, total } = await listMovements({ product_id, size_id, order_id, type }, { limit, offset: (page - 1) * limit });
+
+        res.status(200).json({
+            message: 'Stock movements fetched successfully!',
+            movements,
+            pagination: { total, limit, page, next_page: page * limit < total ? page + 1 : null },
+        });
+    } catch (err) {
+        logger.error('Unexpected error while listing stock movements', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// List Items at or Below Their Low-Stock Threshold
+router.get('/low-stock', requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const items = await listLowStock();
+
+        res.status(200).json({
+            message: 'Low-stock items fetched successfully!',
+            items,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while listing low-stock items', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Compare Stock Counts With the Ledger
+router.get('/reconciliation', requirePermission('inventory:read'), async (req, res) => {
+    try {
+        const { checked, discrepancies } = await reconcileStock();
+
+        res.status(200).json({
+            message: discrepancies.length === 0 ? 'Stock matches the ledger.' : `${discrepancies.length} item(s) differ from the ledger.`,
+            checked,
+            discrepancies,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while reconciling stock', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Record Adjustments That Bring the Ledger in Line With the Stock Counts
+router.post('/reconciliation', requirePermission('inventory:write'), validate(inventorySchemas.settleDiscrepancies), async (req, res) => {
+    const { reason = 'Reconciled with the stock count' } = req.body;
+
+    try {
+        const movements = await settleDiscrepancies({ reason, actor_id: req.user.id });
+
+        res.status(200).json({
+            message: `${movements.length} adjustment(s) recorded.`,
+            movements,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while settling stock discrepancies', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
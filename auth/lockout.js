@@ -0,0 +1,68 @@
+const express = require('express');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const accountSchemas = require('../schemas/accounts');
+const { listLockouts, unlockAccount, unlockIp } = require('../services/loginThrottle');
+const { logger } = require('../logger');
+const router = express.Router();
+
+const SUBJECT_TYPES = ['user', 'superuser'];
+
+// Reviewing and lifting lockouts is restricted to callers holding 'accounts:unlock'
+router.use(authenticate, requirePermission('accounts:unlock'));
+
+// List Current Lockouts
+router.get('/list', async (req, res) => {
+    try {
+        const lockouts = await listLockouts();
+
+        res.status(200).json({
+            message: 'Lockouts fetched successfully!',
+            lockouts,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while listing lockouts', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Unlock an Account, or an IP Address locked out for failed logins across accounts
+router.post('/unlock', validate(accountSchemas.unlockAccount), async (req, res) => {
+    const { email, ip, subject_type = 'user' } = req.body;
+
+    try {
+        if (email && ip) {
+            return res.status(400).json({ error: 'Send either an email or an IP address, not both.' });
+        }
+
+        if (ip) {
+            const unlocked = await unlockIp(ip);
+            if (!unlocked) {
+                return res.status(404).json({ error: 'No failed login attempts recorded for this IP address.' });
+            }
+
+            return res.status(200).json({ message: `IP address ${ip} unlocked successfully!` });
+        }
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email or IP address is required.' });
+        }
+
+        if (!SUBJECT_TYPES.includes(subject_type)) {
+            return res.status(400).json({ error: `Subject type must be one of: ${SUBJECT_TYPES.join(', ')}.` });
+        }
+
+        const unlocked = await unlockAccount(subject_type, email);
+        if (!unlocked) {
+            return res.status(404).json({ error: 'No failed login attempts recorded for this account.' });
+        }
+
+        res.status(200).json({ message: `Account ${email} unlocked successfully!` });
+    } catch (err) {
+        logger.error('Unexpected error while unlocking account', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
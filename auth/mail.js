@@ -0,0 +1,65 @@
+const express = require('express');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const accountSchemas = require('../schemas/accounts');
+const { MailTemplateError, listTemplates, renderTemplate } = require('../mail');
+const { logger } = require('../logger');
+const router = express.Router();
+
+// Previewing email templates is restricted to callers holding 'mail:preview'
+router.use(authenticate, requirePermission('mail:preview'));
+
+// Helper Function: Merge supplied variables over the template's sample values
+const getPreviewVariables = (name, variables = {}) => {
+    const template = listTemplates().find((entry) => entry.name === name);
+    return { ...(template ? template.sample : {}), ...variables };
+};
+
+// List Email Templates
+router.get('/templates', (req, res) => {
+    res.status(200).json({ templates: listTemplates() });
+});
+
+// Preview a Template as JSON (subject, text and HTML)
+router.post('/preview', validate(accountSchemas.previewTemplate), (req, res) => {
+    const { template, variables } = req.body;
+
+    if (!template) {
+        return res.status(400).json({ error: 'Template name is required.' });
+    }
+
+    try {
+        const rendered = renderTemplate(template, getPreviewVariables(template, variables));
+        res.status(200).json({ template, ...rendered });
+    } catch (err) {
+        if (err instanceof MailTemplateError) {
+            return res.status(400).json({ error: err.message });
+        }
+
+        logger.error('Unexpected error while previewing email', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Preview a Template in the Browser with its sample values (?format=text for the plain-text part)
+router.get('/preview/:template', validate(accountSchemas.previewTemplatePage), (req, res) => {
+    try {
+        const rendered = renderTemplate(req.params.template, getPreviewVariables(req.params.template));
+
+        if (req.query.format === 'text') {
+            return res.status(200).type('text/plain').send(rendered.text);
+        }
+
+        res.status(200).type('html').send(rendered.html);
+    } catch (err) {
+        if (err instanceof MailTemplateError) {
+            return res.status(404).json({ error: err.message });
+        }
+
+        logger.error('Unexpected error while previewing email', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
@@ -1,110 +1,56 @@
 const express = require('express');
-const { supabase } = require('../supabaseClient'); // Import Supabase client
+const { orders } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission, hasPermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const orderSchemas = require('../schemas/orders');
+const { InventoryError } = require('../services/inventory');
+const { CANCELLED_STATUS, isCancelled, placeOrder, cancelOrder } = require('../services/orderPlacement');
+const { sendTemplate } = require('../mail');
+const { logger } = require('../logger');
 const router = express.Router();
 
-// Helper Function: Check if User is a Superuser
-const isSuperUser = async (user_id) => {
-    try {
-        const { data: superuser, error } = await supabase
-            .from('superusers') // Reference the superusers table
-            .select('id')
-            .eq('id', user_id)
-            .single();
-
-        if (error || !superuser) {
-            console.error('Superuser Check Failed:', error?.message || 'Superuser not found');
-            return false;
-        }
+// Helper Function: Check that the caller owns the order or holds the given staff permission
+const canAccessOrder = async (order_id, req, permission) => {
+    const { data: order, error } = await orders.findById(order_id);
 
-        console.log(`Superuser verified: ${user_id}`);
-        return true;
-    } catch (err) {
-        console.error('Unexpected error while checking superuser:', err.message);
-        return false;
+    if (error || !order) {
+        return { found: false, allowed: false };
     }
+
+    if (order.user_id === req.user.id) {
+        return { found: true, allowed: true };
+    }
+
+    return { found: true, allowed: await hasPermission(req, permission) };
 };
 
 ///------------------ Orders Endpoints ------------------///
 
 // Place a New Order (Generate Order)
-router.post('/', async (req, res) => {
-    const { user_id, items } = req.body;
+const createOrder = async (req, res) => {
+    const { items } = req.body;
+    const user_id = req.user.id;
 
     // Validate input
-    if (!user_id || !items || items.length === 0) {
-        return res.status(400).json({ error: 'User ID and at least one item are required to create an order.' });
+    if (!items || items.length === 0) {
+        return res.status(400).json({ error: 'At least one item is required to create an order.' });
     }
 
-    try {
-        // Create a new order
-        const { data: orderData, error: orderError } = await supabase
-            .from('orders')
-            .insert([{ user_id, order_status: 'Pending', created_at: new Date().toISOString() }])
-            .select()
-            .single(); // Retrieve the created order
-
-        if (orderError) {
-            console.error('Error creating order:', orderError.message);
-            return res.status(500).json({ error: 'Failed to create the order.' });
-        }
+    // Validate each item
+    if (items.some((item) => !item.product_id || !item.quantity || item.quantity <= 0)) {
+        return res.status(400).json({ error: 'Each item must have a valid product_id and quantity.' });
+    }
 
+    try {
+        // Check every item, take the stock and record the order; nothing is kept if any step fails
+        const { order: orderData, items: itemsData, lines } = await placeOrder(user_id, items);
         const orderId = orderData.id;
+        const confirmationItems = lines.map((line) => ({ title: line.title, size_name: line.size_name, quantity: line.quantity }));
 
-        // Add items to the order
-        const formattedItems = [];
-        for (const item of items) {
-            // Validate each item
-            if (!item.product_id || !item.quantity || item.quantity <= 0) {
-                return res.status(400).json({ error: 'Each item must have a valid product_id and quantity.' });
-            }
-
-            // Fetch product details to ensure the product exists
-            const { data: productData, error: productError } = await supabase
-                .from('products')
-                .select(`id, title`)
-                .eq('id', item.product_id)
-                .single();
-
-            if (productError || !productData) {
-                console.error(`Error fetching product with ID ${item.product_id}:`, productError?.message);
-                return res.status(404).json({ error: `Product with ID ${item.product_id} not found.` });
-            }
-
-            // Check size validity if size_id is provided
-            if (item.size_id) {
-                const { data: sizeData, error: sizeError } = await supabase
-                    .from('product_sizes')
-                    .select(`size_id`)
-                    .eq('product_id', item.product_id)
-                    .eq('size_id', item.size_id)
-                    .single();
-
-                if (sizeError || !sizeData) {
-                    return res.status(400).json({
-                        error: `Invalid size ID ${item.size_id} for product ${item.product_id}.`,
-                    });
-                }
-            }
-
-            // Add the formatted item to the list
-            formattedItems.push({
-                order_id: orderId,
-                product_id: item.product_id,
-                size_id: item.size_id || null, // Add size_id only if provided
-                quantity: item.quantity,
-            });
-        }
-
-        // Insert items into the `orderitems` table
-        const { data: itemsData, error: itemsError } = await supabase
-            .from('orderitems')
-            .insert(formattedItems)
-            .select(); // Retrieve inserted items for the response
-
-        if (itemsError) {
-            console.error('Error adding items to order:', itemsError.message);
-            return res.status(500).json({ error: 'Failed to add items to the order.' });
-        }
+        // Confirmation emails are best-effort and never fail the order
+        sendTemplate('order_confirmation', req.user.email, { order_id: orderId, items: confirmationItems }).catch(() => {});
 
         // Respond with success
         res.status(201).json({
@@ -113,13 +59,17 @@ router.post('/', async (req, res) => {
             items: itemsData, // Return both order and items
         });
     } catch (err) {
-        console.error('Unexpected error:', err.message);
-        res.status(500).json({ error: 'Internal server error.' });
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Error placing order', { err });
+        res.status(500).json({ error: 'Failed to create the order.' });
     }
-});
+};
 
 // Update Order Status
-router.put('/status', async (req, res) => {
+const updateOrderStatus = async (req, res) => {
     const { order_id, status } = req.body; // Extract order_id and status from the body
 
     // Validate the input
@@ -131,52 +81,79 @@ router.put('/status', async (req, res) => {
     }
 
     try {
-        // Update the order status
-        const { data: updatedOrder, error } = await supabase
-            .from('orders')
-            .update({ order_status: status })
-            .eq('id', order_id)
-            .select()
-            .single(); // Retrieve the updated order
+        const cancelling = isCancelled(status);
+        let updatedOrder;
+        let restock = null;
+
+        if (cancelling) {
+            // Cancelling puts the items back in stock, recorded in the stock ledger
+            const cancellation = await cancelOrder(order_id, req.user.id);
+            updatedOrder = cancellation?.order;
+            restock = cancellation;
+        } else {
+            // Update the order status (cancelled orders are left alone)
+            const { data, error } = await orders.updateStatus(order_id, status);
+
+            if (error) {
+                logger.error('Error updating order status', { error: error.message });
+                return res.status(500).json({ error: 'Failed to update order status.' });
+            }
 
-        if (error) {
-            console.error('Error updating order status:', error.message);
-            return res.status(500).json({ error: 'Failed to update order status.' });
+            updatedOrder = data;
         }
 
+        // Nothing changed: the order does not exist or is cancelled
         if (!updatedOrder) {
-            return res.status(404).json({ error: 'Order not found.' });
+            const { data: order, error: findError } = await orders.findById(order_id);
+
+            if (findError) {
+                logger.error('Error fetching order', { error: findError.message });
+                return res.status(500).json({ error: 'Failed to update order status.' });
+            }
+
+            if (!order) {
+                return res.status(404).json({ error: 'Order not found.' });
+            }
+
+            // The stock of a cancelled order has gone back on the shelves, so it cannot be reopened
+            if (!cancelling) {
+                return res.status(409).json({ error: 'A cancelled order cannot be reopened; place a new order instead.' });
+            }
+
+            return res.status(200).json({ message: 'The order is already cancelled.', order });
+        }
+
+        if (restock && restock.failed.length > 0) {
+            return res.status(200).json({
+                message: `Order cancelled, but ${restock.failed.length} item(s) could not be put back in stock; record them as adjustments.`,
+                order: updatedOrder,
+                restocked: restock.movements,
+                not_restocked: restock.failed,
+            });
         }
 
         res.status(200).json({
-            message: `Order status updated to '${status}' successfully!`,
+            message: `Order status updated to '${cancelling ? CANCELLED_STATUS : status}' successfully!`,
             order: updatedOrder,
+            ...(restock && { restocked: restock.movements }),
         });
     } catch (err) {
-        console.error('Unexpected error updating order status:', err.message);
+        logger.error('Unexpected error updating order status', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 
 // Fetch All Orders for a Specific User
-router.post('/user/orders', async (req, res) => {
-    const { user_id } = req.body; // Extract user_id from the request body
-
-    // Validate input
-    if (!user_id) {
-        return res.status(400).json({ error: 'User ID is required.' });
-    }
+const listUserOrders = async (req, res) => {
+    const user_id = req.user.id; // Orders are always fetched for the authenticated user
 
     try {
         // Fetch orders for the user
-        const { data, error } = await supabase
-            .from('orders')
-            .select('*, orderitems(product_id, quantity, size_id)') // Include associated items
-            .eq('user_id', user_id);
+        const { data, error } = await orders.listByUser(user_id); // Includes associated items
 
         if (error) {
-            console.error('Error fetching orders for user:', error.message);
+            logger.error('Error fetching orders for user', { error: error.message });
             return res.status(500).json({ error: 'Failed to fetch orders for the user.' });
         }
 
@@ -186,22 +163,20 @@ router.post('/user/orders', async (req, res) => {
 
         res.status(200).json(data);
     } catch (err) {
-        console.error('Unexpected error:', err.message);
+        logger.error('Unexpected error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 
 // Fetch All Orders
-router.get('/all', async (req, res) => {
+const listAllOrders = async (req, res) => {
     try {
         // Fetch all orders
-        const { data, error } = await supabase
-            .from('orders')
-            .select('*, orderitems(product_id, quantity, size_id)'); // Include associated items
+        const { data, error } = await orders.listAll(); // Includes associated items
 
         if (error) {
-            console.error('Error fetching all orders:', error.message);
+            logger.error('Error fetching all orders', { error: error.message });
             return res.status(500).json({ error: 'Failed to fetch all orders.' });
         }
 
@@ -214,42 +189,49 @@ router.get('/all', async (req, res) => {
             orders: data
         });
     } catch (err) {
-        console.error('Unexpected error:', err.message);
+        logger.error('Unexpected error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 /// ------------------ Messages Endpoints ------------------ ///
 
 // Send a Message (User or Superuser)
-router.post('/messages', async (req, res) => {
-    const { orderId, sender, message } = req.body;
+const sendMessage = async (req, res) => {
+    const { orderId, message } = req.body;
+    const sender = req.user.is_superuser ? 'superuser' : 'user'; // Derived from the token, never trusted from the body
 
     // Validate input
-    if (!orderId || !sender || !message) {
-        return res.status(400).json({ error: 'Order ID, sender, and message are required.' });
+    if (!orderId || !message) {
+        return res.status(400).json({ error: 'Order ID and message are required.' });
     }
 
     try {
-        const { data, error } = await supabase
-            .from('messages')
-            .insert([{ order_id: orderId, sender, message }])
-            .select(); // Return the inserted message
+        // Ensure the caller is allowed to message on this order
+        const access = await canAccessOrder(orderId, req, 'messages:reply');
+        if (!access.found) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        if (!access.allowed) {
+            return res.status(403).json({ error: 'You do not have access to this order.' });
+        }
+
+        const { data, error } = await orders.addMessage({ order_id: orderId, sender, message });
 
         if (error) {
-            console.error('Error sending message:', error.message);
+            logger.error('Error sending message', { error: error.message });
             return res.status(500).json({ error: 'Failed to send the message.' });
         }
 
         res.status(201).json({ message: 'Message sent successfully!', messageData: data });
     } catch (err) {
-        console.error('Unexpected error:', err.message);
+        logger.error('Unexpected error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch All Messages for a Specific Order
-router.post('/messages/fetch', async (req, res) => {
+const fetchMessages = async (req, res) => {
     const { order_id } = req.body; // Extract order_id from the request body
 
     // Validate input
@@ -258,15 +240,20 @@ router.post('/messages/fetch', async (req, res) => {
     }
 
     try {
+        // Ensure the caller is allowed to read this order's messages
+        const access = await canAccessOrder(order_id, req, 'messages:read');
+        if (!access.found) {
+            return res.status(404).json({ error: 'Order not found.' });
+        }
+        if (!access.allowed) {
+            return res.status(403).json({ error: 'You do not have access to this order.' });
+        }
+
         // Fetch messages for the order
-        const { data, error } = await supabase
-            .from('messages')
-            .select('*')
-            .eq('order_id', order_id)
-            .order('created_at', { ascending: true }); // Order messages by timestamp
+        const { data, error } = await orders.listMessages(order_id); // Ordered by timestamp
 
         if (error) {
-            console.error('Error fetching messages:', error.message);
+            logger.error('Error fetching messages', { error: error.message });
             return res.status(500).json({ error: 'Failed to fetch messages.' });
         }
 
@@ -276,9 +263,18 @@ router.post('/messages/fetch', async (req, res) => {
 
         res.status(200).json(data);
     } catch (err) {
-        console.error('Unexpected error:', err.message);
+        logger.error('Unexpected error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
+
+// Routes
+router.post('/', deprecated('POST /api/v2/orders'), authenticate, validate(orderSchemas.createOrder), createOrder);
+router.put('/status', deprecated('PATCH /api/v2/orders/{id}'), authenticate, requirePermission('orders:update_status'), validate(orderSchemas.updateOrderStatus), updateOrderStatus);
+router.post('/user/orders', deprecated('GET /api/v2/orders'), authenticate, listUserOrders);
+router.get('/all', deprecated('GET /api/v2/admin/orders'), authenticate, requirePermission('orders:read'), listAllOrders);
+router.post('/messages', deprecated('POST /api/v2/orders/{id}/messages'), authenticate, validate(orderSchemas.sendMessage), sendMessage);
+router.post('/messages/fetch', deprecated('GET /api/v2/orders/{id}/messages'), authenticate, validate(orderSchemas.fetchMessages), fetchMessages);
 
 module.exports = router;
+module.exports.handlers = { createOrder, updateOrderStatus, listUserOrders, listAllOrders, sendMessage, fetchMessages }; // Shared with the v2 routes
@@ -1,7 +1,18 @@
 const express = require('express');
 const multer = require('multer');
 const sharp = require('sharp');
-const { supabase } = require('../supabaseClient'); // Import Supabase
+const { products } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, parseJsonFields } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const { cacheCatalog } = require('../middleware/cache');
+const { PRODUCT_LISTINGS, invalidateCatalog } = require('../services/catalogCache');
+const { ListingError, browseCatalog } = require('../services/productListing');
+const { searchProducts: runSearch, indexProduct } = require('../services/productSearch');
+const { InventoryError, listVariants, saveVariants, recordMovement, setStock } = require('../services/inventory');
+const catalogSchemas = require('../schemas/catalog');
+const { logger } = require('../logger');
 const router = express.Router();
 
 // Multer Setup for File Uploads
@@ -10,113 +21,64 @@ const upload = multer({
     storage,
     limits: { fileSize: 4 * 1024 * 1024 }, // Max 4 MB per file
 });
+const uploadImages = upload.array('images', 5); // Up to 5 images per product
 
 // Helper Function: Compress and Upload Images
-const uploadImageToSupabase = async (buffer, fileName) => {
+const uploadProductImage = async (buffer, fileName) => {
     try {
-        console.log('Compressing image...');
+        logger.debug('Compressing image');
         const compressedImage = await sharp(buffer)
             .resize(1024, 1024, { fit: 'inside' })
             .jpeg({ quality: 80 })
             .toBuffer();
 
-        console.log('Uploading image to Supabase...');
+        logger.debug('Uploading image to storage');
         const timestamp = Date.now();
         const filePath = `products/${timestamp}-${fileName}`;
-        const { data, error } = await supabase.storage
-            .from('images') // Ensure the bucket name is 'images'
-            .upload(filePath, compressedImage, {
-                cacheControl: '3600',
-                upsert: false,
-                contentType: 'image/jpeg',
-            });
+        const { data: publicUrl, error } = await products.uploadImage(filePath, compressedImage, 'image/jpeg');
 
         if (error) {
-            console.error('Supabase Upload Error:', error.message);
+            logger.error('Storage Upload Error', { error: error.message });
             throw new Error('Image upload failed.');
         }
 
-        console.log('Constructing public URL...');
-        // Dynamically construct the URL based on SUPABASE_URL
-        const publicUrl = `${process.env.SUPABASE_URL}/storage/v1/object/public/images/${filePath}`;
-
-        console.log(`Image successfully uploaded: ${publicUrl}`);
+        logger.debug('Image successfully uploaded', { url: publicUrl });
         return publicUrl;
     } catch (err) {
-        console.error('Error during image upload:', err.message);
+        logger.error('Error during image upload', { err });
         throw err;
     }
 };
 
-// Helper Function: Check Superuser Permissions
-const isSuperUser = async (user_id) => {
-    try {
-        const { data: superuser, error } = await supabase
-            .from('superusers') // Reference the superusers table
-            .select('id')
-            .eq('id', user_id)
-            .single();
-
-        if (error || !superuser) {
-            console.error('Superuser Check Failed:', error?.message || 'Superuser not found');
-            return false;
-        }
-
-        console.log(`Superuser verified: ${user_id}`);
-        return true;
-    } catch (err) {
-        console.error('Unexpected error while checking superuser:', err.message);
-        return false;
-    }
-};
-
 // Add Product
-router.post('/add', upload.array('images', 5), async (req, res) => {
+const addProduct = async (req, res) => {
     const {
         title,
         description,
-        category_ids, // Array of category IDs
+        category_ids, // Array of category IDs (at least one)
         size_ids, // Array of size IDs (optional)
+        variants, // Sizes with their SKU, stock and price override (optional, instead of size_ids)
         price,
         is_discounted,
         discount_percentage,
         stock_quantity,
-        user_id
+        low_stock_threshold
     } = req.body;
-    const files = req.files;
+    const files = req.files || []; // Multer already limits uploads to 5 images
 
-    try {
-        // Check Superuser Permissions
-        if (!(await isSuperUser(user_id))) {
-            return res.status(403).json({ error: 'Only superusers are allowed to add products.' });
-        }
-
-        // Validate and Parse `category_ids` and `size_ids` if provided
-        let parsedCategoryIds = Array.isArray(category_ids) ? category_ids : JSON.parse(category_ids || "[]");
-        let parsedSizeIds = size_ids ? (Array.isArray(size_ids) ? size_ids : JSON.parse(size_ids || "[]")) : [];
-
-        // Validate `category_ids`
-        if (!Array.isArray(parsedCategoryIds) || !parsedCategoryIds.every(id => Number.isInteger(Number(id)))) {
-            return res.status(400).json({ error: 'category_ids must be an array of integers.' });
-        }
-
-        // Validate `size_ids` only if provided
-        if (parsedSizeIds.length > 0 && !parsedSizeIds.every(id => Number.isInteger(Number(id)))) {
-            return res.status(400).json({ error: 'size_ids must be an array of integers.' });
-        }
-
-        // Validate and Upload Images
-        if (files.length > 5) {
-            return res.status(400).json({ error: 'You can upload a maximum of 5 images.' });
-        }
+    if (size_ids && variants) {
+        return res.status(400).json({ error: 'Send either size_ids or variants, not both.' });
+    }
 
+    try {
+        // Upload Images
         const imageUrls = [];
         for (const file of files) {
             try {
-                const imageUrl = await uploadImageToSupabase(file.buffer, file.originalname);
+                const imageUrl = await uploadProductImage(file.buffer, file.originalname);
                 imageUrls.push(imageUrl);
             } catch (err) {
-                console.error(`Error uploading image ${file.originalname}:`, err.message);
+                logger.error('Error uploading image', { file: file.originalname, err });
             }
         }
 
@@ -125,75 +87,67 @@ router.post('/add', upload.array('images', 5), async (req, res) => {
         }
 
         // Insert Product into `products` Table
-        const { data: productData, error: productError } = await supabase
-            .from('products')
-            .insert([{
-                title,
-                description,
-                price: parseFloat(price),
-                is_discounted: is_discounted === 'true',
-                discount_percentage: discount_percentage ? parseFloat(discount_percentage) : null,
-                images: imageUrls,
-                stock_quantity: parseInt(stock_quantity) || 0
-            }])
-            .select();
+        const { data: productData, error: productError } = await products.create({
+            title,
+            description,
+            price: parseFloat(price),
+            is_discounted: String(is_discounted) === 'true', // Multipart forms send 'true'/'false'
+            discount_percentage: discount_percentage ? parseFloat(discount_percentage) : null,
+            images: imageUrls,
+            stock_quantity: parseInt(stock_quantity) || 0,
+            low_stock_threshold: low_stock_threshold ?? null
+        });
 
         if (productError) {
-            console.error('Error adding product to database:', productError.message);
+            logger.error('Error adding product to database', { error: productError.message });
             return res.status(500).json({ error: 'Failed to add product to the database.' });
         }
 
-        const productId = productData[0].id;
+        const productId = productData.id;
 
         // Link Product to Categories in `product_categories`
-        if (parsedCategoryIds.length > 0) {
-            const categoryEntries = parsedCategoryIds.map(catId => ({
-                product_id: productId,
-                category_id: catId
-            }));
-
-            const { error: categoryLinkError } = await supabase
-                .from('product_categories')
-                .insert(categoryEntries);
-
-            if (categoryLinkError) {
-                console.error('Error linking product to categories:', categoryLinkError.message);
-                return res.status(500).json({ error: 'Failed to link product to categories.' });
-            }
-        } else {
-            return res.status(400).json({ error: 'At least one category ID is required.' });
-        }
+        const { error: categoryLinkError } = await products.setCategories(productId, category_ids);
 
-        // Link Product to Sizes in `product_sizes` only if sizes are provided
-        if (parsedSizeIds.length > 0) {
-            const sizeEntries = parsedSizeIds.map(sizeId => ({
-                product_id: productId,
-                size_id: sizeId
-            }));
-
-            const { error: sizeLinkError } = await supabase
-                .from('product_sizes')
-                .insert(sizeEntries);
+        if (categoryLinkError) {
+            logger.error('Error linking product to categories', { error: categoryLinkError.message });
+            return res.status(500).json({ error: 'Failed to link product to categories.' });
+        }
 
-            if (sizeLinkError) {
-                console.error('Error linking product to sizes:', sizeLinkError.message);
-                return res.status(500).json({ error: 'Failed to link product to sizes.' });
-            }
+        // Create the product's variants in `product_sizes` only if sizes are provided
+        // The opening stock goes into the stock ledger as a receipt
+        let product = productData;
+        const receipt = { type: 'receipt', reason: 'Initial stock', actor_id: req.user.id };
+        if ((variants || size_ids || []).length > 0) {
+            await saveVariants(productId, { size_ids, variants }, receipt);
+
+            // The product's stock is now the total over its variants
+            const { data: savedProduct } = await products.findById(productId);
+            product = savedProduct || productData;
+        } else if (productData.stock_quantity > 0) {
+            await recordMovement({ ...receipt, product_id: productId, quantity: productData.stock_quantity, balance_after: productData.stock_quantity });
         }
 
+        // New products show up in the product list, in category and size lookups and in search
+        invalidateCatalog(...PRODUCT_LISTINGS);
+        await indexProduct(productId);
+
         // Respond with Success
         res.status(201).json({
             message: 'Product added successfully!',
-            product: productData[0]
+            product: { ...product, variants: await listVariants(product) }
         });
     } catch (err) {
-        console.error('Unexpected Error:', err.message);
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected Error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch Product by ID
-router.post('/fetch', async (req, res) => {
+const fetchProduct = async (req, res) => {
     const { product_id } = req.body; // Extract product_id from request body
 
     try {
@@ -203,32 +157,27 @@ router.post('/fetch', async (req, res) => {
         }
 
         // Query the product from the database
-        const { data: product, error } = await supabase
-            .from('products')
-            .select('*')
-            .eq('id', product_id)
-            .single(); // Ensure we only get one product
+        const { data: product, error } = await products.findById(product_id);
 
         if (error || !product) {
-            console.error('Error fetching product:', error?.message || 'Product not found');
+            logger.error('Error fetching product', { error: error?.message || 'Product not found' });
             return res.status(404).json({ error: 'Product not found.' });
         }
 
-        // Respond with the product data
+        // Respond with the product data and its sizes, each with its own SKU, stock and price
         res.status(200).json({
             message: 'Product fetched successfully!',
-            product
+            product: { ...product, variants: await listVariants(product) }
         });
     } catch (err) {
-        console.error('Unexpected error in fetching product:', err.message);
+        logger.error('Unexpected error in fetching product', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Update Product by ID
-router.put('/update', async (req, res) => {
+const updateProduct = async (req, res) => {
     const { 
-        user_id, // ID of the user attempting to update
         product_id, 
         title, 
         description, 
@@ -236,21 +185,40 @@ router.put('/update', async (req, res) => {
         is_discounted, 
         discount_percentage, 
         stock_quantity, 
+        low_stock_threshold,
         images, 
         category_ids, 
-        size_ids 
+        size_ids,
+        variants
     } = req.body;
 
     try {
-        // Validate User ID and Product ID
-        if (!user_id || !product_id) {
-            return res.status(400).json({ error: 'User ID and Product ID are required to update a product.' });
+        // Validate Product ID
+        if (!product_id) {
+            return res.status(400).json({ error: 'Product ID is required to update a product.' });
         }
 
-        // Check if the user is a superuser
-        const isSuper = await isSuperUser(user_id);
-        if (!isSuper) {
-            return res.status(403).json({ error: 'Only superusers are allowed to update products.' });
+        if (size_ids && variants) {
+            return res.status(400).json({ error: 'Send either size_ids or variants, not both.' });
+        }
+
+        // Products with sizes keep their stock per variant; the product's stock is the total
+        if (stock_quantity !== undefined) {
+            let sizes = variants || size_ids;
+            if (!sizes) {
+                const { data: currentVariants, error: variantsError } = await products.listVariants(product_id);
+
+                if (variantsError) {
+                    logger.error('Error fetching product variants', { error: variantsError.message });
+                    return res.status(500).json({ error: 'Failed to update product.' });
+                }
+
+                sizes = currentVariants;
+            }
+
+            if (sizes.length > 0) {
+                return res.status(400).json({ error: 'This product keeps its stock per size; update its variants instead.' });
+            }
         }
 
         // Prepare the fields to update
@@ -258,106 +226,108 @@ router.put('/update', async (req, res) => {
         if (title) fieldsToUpdate.title = title;
         if (description) fieldsToUpdate.description = description;
         if (price !== undefined) fieldsToUpdate.price = parseFloat(price);
-        if (is_discounted !== undefined) fieldsToUpdate.is_discounted = is_discounted === 'true';
+        if (is_discounted !== undefined) fieldsToUpdate.is_discounted = String(is_discounted) === 'true';
         if (discount_percentage !== undefined) fieldsToUpdate.discount_percentage = discount_percentage ? parseFloat(discount_percentage) : null;
-        if (stock_quantity !== undefined) fieldsToUpdate.stock_quantity = parseInt(stock_quantity);
+        if (low_stock_threshold !== undefined) fieldsToUpdate.low_stock_threshold = low_stock_threshold;
         if (images) fieldsToUpdate.images = images;
 
         // Check if there are any fields to update
         if (Object.keys(fieldsToUpdate).length > 0) {
             // Update the product in the `products` table
-            const { data: updatedProduct, error: updateError } = await supabase
-                .from('products')
-                .update(fieldsToUpdate)
-                .eq('id', product_id)
-                .select();
+            const { error: updateError } = await products.update(product_id, fieldsToUpdate);
 
             if (updateError) {
-                console.error('Error updating product:', updateError.message);
+                logger.error('Error updating product', { error: updateError.message });
                 return res.status(500).json({ error: 'Failed to update product.' });
             }
         }
 
         // Update Categories in `product_categories` (if provided)
         if (category_ids && Array.isArray(category_ids)) {
-            const { error: deleteCategoriesError } = await supabase
-                .from('product_categories')
-                .delete()
-                .eq('product_id', product_id);
+            const { error: categoriesError } = await products.setCategories(product_id, category_ids);
 
-            if (deleteCategoriesError) {
-                console.error('Error clearing existing categories:', deleteCategoriesError.message);
-                return res.status(500).json({ error: 'Failed to update product categories.' });
-            }
-
-            const categoryEntries = category_ids.map(catId => ({
-                product_id,
-                category_id: catId
-            }));
-
-            const { error: insertCategoriesError } = await supabase
-                .from('product_categories')
-                .insert(categoryEntries);
-
-            if (insertCategoriesError) {
-                console.error('Error updating product categories:', insertCategoriesError.message);
+            if (categoriesError) {
+                logger.error('Error updating product categories', { error: categoriesError.message });
                 return res.status(500).json({ error: 'Failed to update product categories.' });
             }
         }
 
-        // Update Sizes in `product_sizes` (if provided)
-        if (size_ids && Array.isArray(size_ids)) {
-            const { error: deleteSizesError } = await supabase
-                .from('product_sizes')
-                .delete()
-                .eq('product_id', product_id);
-
-            if (deleteSizesError) {
-                console.error('Error clearing existing sizes:', deleteSizesError.message);
-                return res.status(500).json({ error: 'Failed to update product sizes.' });
-            }
-
-            const sizeEntries = size_ids.map(sizeId => ({
-                product_id,
-                size_id: sizeId
-            }));
-
-            const { error: insertSizesError } = await supabase
-                .from('product_sizes')
-                .insert(sizeEntries);
+        // Update the variants in `product_sizes` (if provided)
+        if (size_ids || variants) {
+            await saveVariants(product_id, { size_ids, variants }, { type: 'adjustment', reason: 'Stock set through a product update', actor_id: req.user.id });
+        }
 
-            if (insertSizesError) {
-                console.error('Error updating product sizes:', insertSizesError.message);
-                return res.status(500).json({ error: 'Failed to update product sizes.' });
-            }
+        // Stock goes through the stock ledger: the difference to the current count is recorded as an adjustment
+        if (stock_quantity !== undefined) {
+            await setStock({ product_id, stock_quantity, reason: 'Stock set through a product update', actor_id: req.user.id });
         }
 
+        invalidateCatalog(...PRODUCT_LISTINGS);
+        await indexProduct(product_id);
+
         res.status(200).json({
             message: 'Product updated successfully!'
         });
     } catch (err) {
-        console.error('Unexpected error while updating product:', err.message);
+        if (err instanceof InventoryError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected error while updating product', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
-// Fetch All Products
-router.get('/list', async (req, res) => {
+// Handler factory: List products with the filters, sort and pagination in the query string
+// `respond` shapes the response, since v1 answers with a plain array
+const listProductsWith = (respond) => async (req, res) => {
     try {
-        const { data: products, error } = await supabase
-            .from('products')
-            .select('*, category:categories(name)'); // Include categories relationship
-
-        if (error) {
-            console.error('Error fetching products:', error.message);
-            return res.status(500).json({ error: error.message });
+        respond(res, await browseCatalog(req.query));
+    } catch (err) {
+        if (err instanceof ListingError) {
+            return res.status(err.status).json({ error: err.message });
         }
 
-        res.status(200).json(products);
-    } catch (err) {
-        console.error('Unexpected Error in Fetching Products:', err.message);
+        logger.error('Unexpected Error in Fetching Products', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
+};
+
+// Fetch All Products (v1: a plain array, with the pagination metadata in headers)
+const listProducts = listProductsWith((res, { items, pagination }) => {
+    res.set('X-Total-Count', String(pagination.total));
+    if (pagination.next_page) res.set('X-Next-Page', String(pagination.next_page));
+    if (pagination.next_cursor) res.set('X-Next-Cursor', pagination.next_cursor);
+
+    res.status(200).json(items);
+});
+
+// Fetch a Page of Products (v2)
+const listProductPage = listProductsWith((res, { items, pagination }) => {
+    res.status(200).json({ products: items, pagination });
 });
 
+// Search Products by keywords, with the listing filters, facets and suggestions
+const searchProducts = async (req, res) => {
+    try {
+        res.status(200).json(await runSearch(req.query));
+    } catch (err) {
+        if (err instanceof ListingError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected Error in Searching Products', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Routes
+router.post('/add', deprecated('POST /api/v2/products'), authenticate, requirePermission('catalog:write'), uploadImages, parseJsonFields('category_ids', 'size_ids', 'variants'), validate(catalogSchemas.addProduct), addProduct);
+router.post('/fetch', deprecated('GET /api/v2/products/{id}'), validate(catalogSchemas.fetchProduct), fetchProduct);
+router.put('/update', deprecated('PATCH /api/v2/products/{id}'), authenticate, requirePermission('catalog:write'), validate(catalogSchemas.updateProduct), updateProduct);
+router.get('/list', deprecated('GET /api/v2/products'), validate(catalogSchemas.listProducts), cacheCatalog('products'), listProducts);
+router.get('/search', validate(catalogSchemas.searchProducts), searchProducts);
+
 module.exports = router;
+module.exports.handlers = { addProduct, fetchProduct, updateProduct, listProducts, listProductPage, searchProducts }; // Shared with the v2 routes
+module.exports.uploadImages = uploadImages;
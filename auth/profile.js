@@ -0,0 +1,234 @@
+const express = require('express');
+const { users } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { validate } = require('../middleware/validate');
+const accountSchemas = require('../schemas/accounts');
+const { OTPError, OTP_TTL_MINUTES, normalizeEmail, issueOTP, verifyOTP } = require('../services/otp');
+const { revokeAllSessions, updateSessionClaims } = require('../services/sessions');
+const { findUserByEmail, getUserById } = require('../services/users');
+const { validatePasswordStrength } = require('../services/passwordPolicy');
+const { sendTemplate, sendOTPEmail } = require('../mail');
+const { logger } = require('../logger');
+const router = express.Router();
+
+// Allowed usernames: 3-30 letters, digits, dots, dashes or underscores
+const USERNAME_PATTERN = /^[A-Za-z0-9_.-]{3,30}$/;
+
+// Profile endpoints act on the authenticated shopper's own account
+router.use(authenticate, (req, res, next) => {
+    if (req.user.is_superuser) {
+        return res.status(403).json({ error: 'Superusers manage their accounts through /api/superusers.' });
+    }
+
+    next();
+});
+
+// Helper Function: Respond with an OTP service error (bad code, throttling)
+const sendOTPError = (res, err) => {
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
+    return res.status(err.status).json({ error: err.message });
+};
+
+// Helper Function: Send a security notice without failing the request
+const notify = (email, title, message) => {
+    sendTemplate('security_notice', email, { title, message }).catch(() => {});
+};
+
+// Update Username (keeps the users table and auth metadata in sync)
+router.put('/username', validate(accountSchemas.changeUsername), async (req, res) => {
+    const username = req.body.username?.trim();
+
+    try {
+        if (!username || !USERNAME_PATTERN.test(username)) {
+            return res.status(400).json({ error: 'Username must be 3-30 characters of letters, digits, dots, dashes or underscores.' });
+        }
+
+        const user = await getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        const previousUsername = user.user_metadata?.username;
+
+        const { error: tableError } = await users.updateProfile(user.id, { username });
+
+        if (tableError) {
+            logger.error('Error updating username in users table', { error: tableError.message });
+            return res.status(500).json({ error: 'Failed to update username.' });
+        }
+
+        const { error: metadataError } = await users.updateById(user.id, {
+            user_metadata: { ...user.user_metadata, username },
+        });
+
+        if (metadataError) {
+            // Roll the users table back so both copies stay in sync
+            logger.error('Error updating username metadata', { error: metadataError.message });
+            await users.updateProfile(user.id, { username: previousUsername });
+            return res.status(500).json({ error: 'Failed to update username.' });
+        }
+
+        await updateSessionClaims('user', user.id, { username });
+
+        res.status(200).json({
+            message: 'Username updated successfully!',
+            user: { id: user.id, email: user.email, username },
+        });
+    } catch (err) {
+        logger.error('Unexpected error while updating username', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Request an Email Change (sends an OTP to the new address)
+router.post('/email/request', validate(accountSchemas.requestEmailChange), async (req, res) => {
+    const newEmail = normalizeEmail(req.body.new_email);
+
+    try {
+        if (!newEmail || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(newEmail)) {
+            return res.status(400).json({ error: 'A valid new email address is required.' });
+        }
+
+        const user = await getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        if (newEmail === normalizeEmail(user.email)) {
+            return res.status(400).json({ error: 'The new email address is the same as the current one.' });
+        }
+
+        if (await findUserByEmail(newEmail)) {
+            return res.status(409).json({ error: 'This email address is already in use.' });
+        }
+
+        const otp = await issueOTP(newEmail, 'email_change', { ip: req.ip });
+
+        // Remember which address is pending until the code is confirmed
+        const { error: metadataError } = await users.updateById(user.id, {
+            user_metadata: { ...user.user_metadata, pending_email: newEmail },
+        });
+
+        if (metadataError) {
+            logger.error('Error saving pending email', { error: metadataError.message });
+            return res.status(500).json({ error: 'Failed to start email change.' });
+        }
+
+        await sendOTPEmail(newEmail, otp, 'Email Change');
+
+        res.status(200).json({
+            message: `A verification code has been sent to ${newEmail}. It expires in ${OTP_TTL_MINUTES} minutes.`,
+        });
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while requesting email change', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Confirm an Email Change (the new address takes effect only after OTP verification)
+router.post('/email/confirm', validate(accountSchemas.confirmEmailChange), async (req, res) => {
+    const { otp } = req.body;
+
+    try {
+        if (!otp) {
+            return res.status(400).json({ error: 'OTP is required.' });
+        }
+
+        const user = await getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        const newEmail = user.user_metadata?.pending_email;
+        if (!newEmail) {
+            return res.status(400).json({ error: 'No email change is pending.' });
+        }
+
+        await verifyOTP(newEmail, 'email_change', otp);
+
+        const { pending_email, ...metadata } = user.user_metadata;
+        const { error: updateError } = await users.updateById(user.id, {
+            email: newEmail,
+            email_confirm: true,
+            user_metadata: { ...metadata, email_verified: true },
+        });
+
+        if (updateError) {
+            logger.error('Error changing email', { error: updateError.message });
+            return res.status(500).json({ error: 'Failed to change email.' });
+        }
+
+        const { error: tableError } = await users.updateProfile(user.id, { email: newEmail });
+
+        if (tableError) {
+            logger.error('Error updating email in users table', { error: tableError.message });
+        }
+
+        await updateSessionClaims('user', user.id, { email: newEmail });
+
+        // Tell both addresses so a hijacked account is noticed
+        notify(user.email, 'Your email address was changed', `The email address for your account was changed to ${newEmail}.`);
+        notify(newEmail, 'Your email address was changed', 'This address is now the email address for your account.');
+
+        res.status(200).json({
+            message: 'Email changed successfully!',
+            user: { id: user.id, email: newEmail, username: metadata.username },
+        });
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while confirming email change', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Change Password (requires the current password)
+router.put('/password', validate(accountSchemas.changePassword), async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    try {
+        if (!current_password || !new_password) {
+            return res.status(400).json({ error: 'Current password and new password are required.' });
+        }
+
+        const user = await getUserById(req.user.id);
+        if (!user) {
+            return res.status(404).json({ error: 'User not found.' });
+        }
+
+        const { error: authError } = await users.signInWithPassword(user.email, current_password);
+
+        if (authError) {
+            return res.status(401).json({ error: 'Current password is incorrect.' });
+        }
+
+        const problems = validatePasswordStrength(new_password, { email: user.email, username: user.user_metadata?.username });
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'Password does not meet the strength requirements.', details: problems });
+        }
+
+        const { error: updateError } = await users.updateById(user.id, {
+            password: new_password,
+        });
+
+        if (updateError) {
+            logger.error('Password Update Error', { error: updateError.message });
+            return res.status(500).json({ error: 'Failed to change password.' });
+        }
+
+        // Keep the current session but sign out every other device
+        await revokeAllSessions('user', user.id, req.user.session_id);
+
+        notify(user.email, 'Your password was changed', 'The password for your account was changed just now.');
+
+        res.status(200).json({ message: 'Password changed successfully. Other sessions have been signed out.' });
+    } catch (err) {
+        logger.error('Unexpected error while changing password', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
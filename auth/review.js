@@ -1,71 +1,86 @@
 const express = require('express');
-const { supabase } = require('../supabaseClient'); // Import Supabase client
+const { reviews } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const reviewSchemas = require('../schemas/reviews');
+const { PRODUCT_LISTINGS, invalidateCatalog } = require('../services/catalogCache');
+const { indexProduct } = require('../services/productSearch');
+const { logger } = require('../logger');
 const router = express.Router();
 /// ------------------ Review Endpoints ------------------ ///
 
 // Add a new review
-router.post('/add', async (req, res) => {
-    const { user_id, name, product_id, rating, feedback } = req.body;
-
-    if (!user_id || !name || !product_id || !rating || !feedback) {
-        return res.status(400).json({ error: 'All fields (user_id, name, product_id, rating, feedback) are required.' });
-    }
+const addReview = async (req, res) => {
+    const { product_id, rating, feedback } = req.body;
+    const { id: user_id, username: name } = req.user;
 
     try {
         // Insert the review
-        const { data: reviewData, error: reviewError } = await supabase
-            .from('reviews')
-            .insert([{ user_id, username: name, product_id, rating: parseFloat(rating), feedback }])
-            .select();
+        const { data: reviewData, error: reviewError } = await reviews.create({
+            user_id,
+            username: name,
+            product_id,
+            rating: parseFloat(rating),
+            feedback,
+        });
 
         if (reviewError) {
-            console.error('Error inserting review:', reviewError.message);
+            logger.error('Error inserting review', { error: reviewError.message });
             return res.status(400).json({ error: reviewError.message });
         }
 
+        // Product listings and search results show and sort by the average rating
+        invalidateCatalog(...PRODUCT_LISTINGS);
+        await indexProduct(product_id);
+
         res.status(201).json({
             message: 'Review submitted successfully!',
-            review: reviewData[0],
+            review: reviewData,
         });
     } catch (err) {
-        console.error('Unexpected Review Submission Error:', err.message);
+        logger.error('Unexpected Review Submission Error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 
 // Add a reply to a review
-router.post('/reply', async (req, res) => {
-    const { review_id, product_id, user_id, name, reply } = req.body;
+const addReply = async (req, res) => {
+    const { review_id, product_id, reply } = req.body;
+    const { id: user_id, username: name } = req.user;
 
-    if (!review_id || !product_id || !user_id || !name || !reply) {
-        return res.status(400).json({ error: 'All fields (review_id, product_id, user_id, name, reply) are required.' });
+    if (!review_id || !product_id || !reply) {
+        return res.status(400).json({ error: 'All fields (review_id, product_id, reply) are required.' });
     }
 
     try {
         // Insert the reply
-        const { data: replyData, error: replyError } = await supabase
-            .from('replies')
-            .insert([{ review_id, product_id, user_id, username: name, reply }])
-            .select();
+        const { data: replyData, error: replyError } = await reviews.createReply({
+            review_id,
+            product_id,
+            user_id,
+            username: name,
+            reply,
+        });
 
         if (replyError) {
-            console.error('Error inserting reply:', replyError.message);
+            logger.error('Error inserting reply', { error: replyError.message });
             return res.status(400).json({ error: replyError.message });
         }
 
         res.status(201).json({
             message: 'Reply submitted successfully!',
-            reply: replyData[0],
+            reply: replyData,
         });
     } catch (err) {
-        console.error('Unexpected Reply Submission Error:', err.message);
+        logger.error('Unexpected Reply Submission Error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch all reviews with replies
-router.get('/reviews', async (req, res) => {
+const listReviews = async (req, res) => {
     const { product_id } = req.query;
 
     if (!product_id) {
@@ -74,31 +89,10 @@ router.get('/reviews', async (req, res) => {
 
     try {
         // Fetch all reviews with associated replies for the specified product
-        const { data, error } = await supabase
-            .from('reviews')
-            .select(`
-                id,
-                user_id,
-                product_id,
-                username,
-                rating,
-                feedback,
-                created_at,
-                replies (
-                    id,
-                    review_id,
-                    product_id,
-                    user_id,
-                    username,
-                    reply,
-                    created_at
-                )
-            `)
-            .eq('product_id', product_id)
-            .order('created_at', { ascending: false }); // Sort by newest reviews first
+        const { data, error } = await reviews.listByProduct(product_id); // Newest reviews first
 
         if (error) {
-            console.error('Error fetching reviews:', error.message);
+            logger.error('Error fetching reviews', { error: error.message });
             return res.status(400).json({ error: error.message });
         }
 
@@ -107,11 +101,17 @@ router.get('/reviews', async (req, res) => {
             reviews: data,
         });
     } catch (err) {
-        console.error('Unexpected Reviews Fetch Error:', err.message);
+        logger.error('Unexpected Reviews Fetch Error', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
+
 
+// Routes
+router.post('/add', deprecated('POST /api/v2/products/{id}/reviews'), authenticate, validate(reviewSchemas.addReview), addReview);
+router.post('/reply', deprecated('POST /api/v2/products/{productId}/reviews/{id}/replies'), authenticate, validate(reviewSchemas.addReply), addReply);
+router.get('/reviews', deprecated('GET /api/v2/products/{id}/reviews'), validate(reviewSchemas.listReviews), listReviews);
 
 module.exports = router;
+module.exports.handlers = { addReview, addReply, listReviews }; // Shared with the v2 routes
 
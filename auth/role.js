@@ -0,0 +1,154 @@
+const express = require('express');
+const { superusers } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { ROLES, PERMISSIONS, requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const accountSchemas = require('../schemas/accounts');
+const { logger } = require('../logger');
+const router = express.Router();
+
+// Managing role assignments is restricted to callers holding 'roles:manage'
+router.use(authenticate, requirePermission('roles:manage'));
+
+// List Roles and their Permissions
+const listRoles = (req, res) => {
+    const roles = Object.entries(ROLES).map(([name, permissions]) => ({ name, permissions }));
+
+    res.status(200).json({ roles, permissions: PERMISSIONS });
+};
+
+// List Role Assignments (optionally for a single superuser)
+const listRoleAssignments = async (req, res) => {
+    const { superuser_id } = req.query;
+
+    try {
+        const { data, error } = await superusers.listRoleAssignments(superuser_id || null);
+
+        if (error) {
+            logger.error('Error fetching role assignments', { error: error.message });
+            return res.status(500).json({ error: 'Failed to fetch role assignments.' });
+        }
+
+        res.status(200).json({
+            message: 'Role assignments fetched successfully!',
+            assignments: data,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while fetching role assignments', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Assign a Role to a Superuser
+const assignRole = async (req, res) => {
+    const { superuser_id, role } = req.body;
+
+    try {
+        if (!superuser_id || !role) {
+            return res.status(400).json({ error: 'Superuser ID and role are required.' });
+        }
+
+        if (!ROLES[role]) {
+            return res.status(400).json({ error: `Unknown role '${role}'.` });
+        }
+
+        // Ensure the superuser exists
+        const { data: superuser, error: superuserError } = await superusers.findById(superuser_id);
+
+        if (superuserError || !superuser) {
+            return res.status(404).json({ error: 'Superuser not found.' });
+        }
+
+        const { data: assignments, error: fetchError } = await superusers.listRoleAssignments();
+
+        if (fetchError) {
+            logger.error('Error fetching role assignments', { error: fetchError.message });
+            return res.status(500).json({ error: 'Failed to assign role.' });
+        }
+
+        // The first assignment ends legacy mode, so it must create an admin
+        if (assignments.length === 0 && role !== 'admin') {
+            return res.status(409).json({ error: "Assign the 'admin' role before assigning other roles." });
+        }
+
+        // Skip duplicate assignments
+        const existing = assignments.find((a) => String(a.superuser_id) === String(superuser_id) && a.role === role);
+        if (existing) {
+            return res.status(409).json({ error: `Superuser already has the '${role}' role.` });
+        }
+
+        const { data, error } = await superusers.addRole({ superuser_id, role, assigned_by: req.user.id });
+
+        if (error) {
+            logger.error('Error assigning role', { error: error.message });
+            return res.status(500).json({ error: 'Failed to assign role.' });
+        }
+
+        res.status(201).json({
+            message: `Role '${role}' assigned successfully!`,
+            assignment: data,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while assigning role', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Revoke a Role from a Superuser
+const revokeRole = async (req, res) => {
+    const { superuser_id, role } = req.body;
+
+    try {
+        if (!superuser_id || !role) {
+            return res.status(400).json({ error: 'Superuser ID and role are required.' });
+        }
+
+        const { data: assignments, error: fetchError } = await superusers.listRoleAssignments();
+
+        if (fetchError) {
+            logger.error('Error fetching role assignments', { error: fetchError.message });
+            return res.status(500).json({ error: 'Failed to revoke role.' });
+        }
+
+        const assignment = assignments.find((a) => String(a.superuser_id) === String(superuser_id) && a.role === role);
+        if (!assignment) {
+            return res.status(404).json({ error: 'Role assignment not found.' });
+        }
+
+        // Never leave the team without an active admin once roles are in use (disabled admins cannot sign in)
+        if (role === 'admin' && assignments.length > 1) {
+            const { count, error: countError } = await superusers.countActiveAdmins(superuser_id);
+
+            if (countError) {
+                logger.error('Error counting active admins', { error: countError.message });
+                return res.status(500).json({ error: 'Failed to revoke role.' });
+            }
+
+            if (count === 0) {
+                return res.status(409).json({ error: 'At least one active admin must remain.' });
+            }
+        }
+
+        const { error: deleteError } = await superusers.removeRole(superuser_id, role);
+
+        if (deleteError) {
+            logger.error('Error revoking role', { error: deleteError.message });
+            return res.status(500).json({ error: 'Failed to revoke role.' });
+        }
+
+        res.status(200).json({ message: `Role '${role}' revoked successfully!` });
+    } catch (err) {
+        logger.error('Unexpected error while revoking role', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Routes
+router.get('/list', deprecated('GET /api/v2/roles'), listRoles);
+router.get('/assignments', deprecated('GET /api/v2/roles/assignments'), validate(accountSchemas.listRoleAssignments), listRoleAssignments);
+router.post('/assign', deprecated('PUT /api/v2/superusers/{id}/roles/{role}'), validate(accountSchemas.changeRole), assignRole);
+router.delete('/revoke', deprecated('DELETE /api/v2/superusers/{id}/roles/{role}'), validate(accountSchemas.changeRole), revokeRole);
+
+module.exports = router;
+module.exports.handlers = { listRoles, listRoleAssignments, assignRole, revokeRole }; // Shared with the v2 routes
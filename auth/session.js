@@ -0,0 +1,87 @@
+const express = require('express');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const accountSchemas = require('../schemas/accounts');
+const { listActiveSessions, revokeSession, revokeAllSessions } = require('../services/sessions');
+const { logger } = require('../logger');
+const router = express.Router();
+
+const SUBJECT_TYPES = ['user', 'superuser'];
+
+// Managing other accounts' sessions is restricted to callers holding 'sessions:manage'
+router.use(authenticate, requirePermission('sessions:manage'));
+
+// List Active Sessions for a User or Superuser
+const listSessions = async (req, res) => {
+    const { subject_id, subject_type = 'user' } = req.query;
+
+    try {
+        if (!subject_id) {
+            return res.status(400).json({ error: 'Subject ID is required.' });
+        }
+
+        if (!SUBJECT_TYPES.includes(subject_type)) {
+            return res.status(400).json({ error: `Subject type must be one of: ${SUBJECT_TYPES.join(', ')}.` });
+        }
+
+        const sessions = await listActiveSessions(subject_type, subject_id);
+
+        res.status(200).json({
+            message: 'Sessions fetched successfully!',
+            sessions,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while listing sessions', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Revoke a Single Session
+const revokeSessionById = async (req, res) => {
+    const { session_id } = req.body;
+
+    try {
+        if (!session_id) {
+            return res.status(400).json({ error: 'Session ID is required.' });
+        }
+
+        await revokeSession(session_id);
+
+        res.status(200).json({ message: 'Session revoked successfully!' });
+    } catch (err) {
+        logger.error('Unexpected error while revoking session', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Revoke Every Session of a User or Superuser
+const revokeSubjectSessions = async (req, res) => {
+    const { subject_id, subject_type = 'user' } = req.body;
+
+    try {
+        if (!subject_id) {
+            return res.status(400).json({ error: 'Subject ID is required.' });
+        }
+
+        if (!SUBJECT_TYPES.includes(subject_type)) {
+            return res.status(400).json({ error: `Subject type must be one of: ${SUBJECT_TYPES.join(', ')}.` });
+        }
+
+        await revokeAllSessions(subject_type, subject_id);
+
+        res.status(200).json({ message: 'All sessions revoked successfully!' });
+    } catch (err) {
+        logger.error('Unexpected error while revoking sessions', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+};
+
+// Routes
+router.get('/list', deprecated('GET /api/v2/sessions'), validate(accountSchemas.listSessions), listSessions);
+router.delete('/revoke', deprecated('DELETE /api/v2/sessions/{id}'), validate(accountSchemas.revokeSession), revokeSessionById);
+router.delete('/revoke-all', deprecated('DELETE /api/v2/sessions'), validate(accountSchemas.revokeAllSessions), revokeSubjectSessions);
+
+module.exports = router;
+module.exports.handlers = { listSessions, revokeSessionById, revokeSubjectSessions }; // Shared with the v2 routes
@@ -1,44 +1,22 @@
 const express = require('express');
-const { supabase } = require('../supabaseClient');
+const { sizes, products } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { deprecated } = require('../middleware/versioning');
+const { cacheCatalog } = require('../middleware/cache');
+const { PRODUCT_LISTINGS, invalidateCatalog } = require('../services/catalogCache');
+const { ListingError, browseCatalog } = require('../services/productListing');
+const { resetSearchIndex } = require('../services/productSearch');
+const catalogSchemas = require('../schemas/catalog');
+const { logger } = require('../logger');
 const router = express.Router();
 
-// Helper Function: Check Superuser
-const isSuperUser = async (user_id) => {
-    try {
-        const { data: superuser, error } = await supabase
-            .from('superusers')
-            .select('*')
-            .eq('id', user_id)
-            .single();
-
-        if (error) {
-            console.error('Superuser Check Error:', error.message);
-            return false;
-        }
-
-        return superuser !== null;
-    } catch (err) {
-        console.error('Unexpected Error in Superuser Check:', err.message);
-        return false;
-    }
-};
-
 // Add Size
-router.post('/add', async (req, res) => {
-    const { size_name, user_id } = req.body;
+const addSize = async (req, res) => {
+    const { size_name } = req.body;
 
     try {
-        // Validate User ID
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required.' });
-        }
-
-        // Verify Superuser Permissions
-        const isSuper = await isSuperUser(user_id);
-        if (!isSuper) {
-            return res.status(403).json({ error: 'Only superusers can add sizes.' });
-        }
-
         // Validate Size Name
         const trimmedName = size_name?.trim();
         if (!trimmedName) {
@@ -46,50 +24,46 @@ router.post('/add', async (req, res) => {
         }
 
         // Insert Size into Database
-        const { data, error } = await supabase
-            .from('sizes')
-            .insert([{ size_name: trimmedName }]) // No superuser_id stored here
-            .select();
+        const { data, error } = await sizes.create(trimmedName);
 
         if (error) {
-            console.error('Insert Error:', error.message);
+            logger.error('Insert Error', { error: error.message });
             return res.status(500).json({ error: `Failed to add size. Supabase error: ${error.message}` });
         }
 
+        invalidateCatalog('sizes');
+
         // Respond with Success
         res.status(201).json({
             message: 'Size added successfully!',
-            size: data[0],
+            size: data,
         });
     } catch (err) {
-        console.error('Unexpected Error in Add Size:', err.message);
+        logger.error('Unexpected Error in Add Size', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 
 // Fetch All Sizes
-router.get('/list', async (req, res) => {
+const listSizes = async (req, res) => {
     try {
-        const { data, error } = await supabase
-            .from('sizes')
-            .select('*')
-            .order('size_name', { ascending: true });
+        const { data, error } = await sizes.list();
 
         if (error) {
-            console.error('Error Fetching Sizes:', error.message);
+            logger.error('Error Fetching Sizes', { error: error.message });
             return res.status(500).json({ error: 'Failed to fetch sizes.' });
         }
 
         res.status(200).json(data);
     } catch (err) {
-        console.error('Error in Fetch Sizes:', err.message);
+        logger.error('Error in Fetch Sizes', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Fetch Products by Size
-router.post('/products', async (req, res) => {
+const listSizeProducts = async (req, res) => {
     const { size_id } = req.body;
 
     try {
@@ -98,90 +72,86 @@ router.post('/products', async (req, res) => {
             return res.status(400).json({ error: 'Size ID is required.' });
         }
 
-        // Fetch products linked to the given size ID through the bridge table
-        const { data, error } = await supabase
-            .from('product_sizes')
-            .select(`
-                product_id,
-                products (
-                    id,
-                    title,
-                    description,
-                    price,
-                    is_discounted,
-                    discount_percentage,
-                    images,
-                    stock_quantity,
-                    created_at
-                )
-            `)
-            .eq('size_id', size_id);
-
-        if (error) {
-            console.error('Error fetching products by size ID:', error.message);
-            return res.status(500).json({ error: 'Failed to fetch products for the given size.' });
-        }
+        // Fetch the products linked to the given size ID, with the filters, sort and pagination in the query string
+        const { items, pagination } = await browseCatalog(req.query, { size_id });
 
-        if (!data || data.length === 0) {
-            return res.status(404).json({ message: 'No products found for the given size.' });
+        // No match at all is only an error when the size has no products (not when the filters leave none)
+        if (pagination.total === 0 && (await browseCatalog({ limit: 1 }, { size_id })).pagination.total === 0) {
+            return res.status(404).json({ error: 'No products found for the given size.' });
         }
 
-        // Extract products
-        const products = data.map(entry => entry.products);
-
         res.status(200).json({
             message: `Products fetched successfully for size ID: ${size_id}`,
-            products,
+            products: items,
+            pagination,
         });
     } catch (err) {
-        console.error('Unexpected Error in Fetch Products by Size ID:', err.message);
+        if (err instanceof ListingError) {
+            return res.status(err.status).json({ error: err.message });
+        }
+
+        logger.error('Unexpected Error in Fetch Products by Size ID', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
 
 // Delete Size
-router.delete('/delete', async (req, res) => {
-    const { id, user_id } = req.body;
+const deleteSize = async (req, res) => {
+    const { id } = req.body;
 
     try {
-        if (!user_id) {
-            return res.status(400).json({ error: 'User ID is required.' });
-        }
-
         if (!id) {
             return res.status(400).json({ error: 'Size ID is required.' });
         }
 
-        const isSuper = await isSuperUser(user_id);
-        if (!isSuper) {
-            return res.status(403).json({ error: 'Only superusers can delete sizes.' });
-        }
-
-        const { data: size, error: fetchError } = await supabase
-            .from('sizes')
-            .select('*')
-            .eq('id', id)
-            .single();
+        const { data: size, error: fetchError } = await sizes.findById(id);
 
         if (fetchError || !size) {
             return res.status(404).json({ error: 'Size not found.' });
         }
 
-        const { data, error: deleteError } = await supabase
-            .from('sizes')
-            .delete()
-            .eq('id', id);
+        // Deleting the size would drop its variants, so their stock has to be cleared first
+        const { data: variants, error: variantsError } = await products.listVariantsBySize(id);
+
+        if (variantsError) {
+            logger.error('Error fetching size variants', { error: variantsError.message });
+            return res.status(500).json({ error: 'Failed to delete size.' });
+        }
+
+        const stocked = variants.filter((variant) => variant.stock_quantity > 0);
+        if (stocked.length > 0) {
+            return res.status(409).json({
+                error: `Size ${size.size_name} still has stock (SKUs ${stocked.map((variant) => variant.sku).join(', ')}).`,
+            });
+        }
+
+        const { error: deleteError } = await sizes.remove(id);
 
         if (deleteError) {
-            console.error('Size Deletion Error:', deleteError.message);
+            logger.error('Size Deletion Error', { error: deleteError.message });
             return res.status(500).json({ error: `Failed to delete size. Supabase error: ${deleteError.message}` });
         }
 
+        // Product listings show the sizes and variants of each product
+        invalidateCatalog('sizes', ...PRODUCT_LISTINGS);
+        resetSearchIndex(); // Search facets name the categories and sizes
+
         res.status(200).json({ message: `Size with ID ${id} successfully deleted.` });
     } catch (err) {
-        console.error('Error in Delete Size:', err.message);
+        logger.error('Error in Delete Size', { err });
         res.status(500).json({ error: 'Internal server error.' });
     }
-});
+};
+
+// Cache key of a size's product lookup
+const sizeProductsKey = (req) => `size-products:${req.body.size_id}`;
+
+// Routes
+router.post('/add', deprecated('POST /api/v2/sizes'), authenticate, requirePermission('catalog:write'), validate(catalogSchemas.addSize), addSize);
+router.get('/list', deprecated('GET /api/v2/sizes'), cacheCatalog('sizes'), listSizes);
+router.post('/products', deprecated('GET /api/v2/sizes/{id}/products'), validate(catalogSchemas.sizeProducts), cacheCatalog(sizeProductsKey), listSizeProducts);
+router.delete('/delete', deprecated('DELETE /api/v2/sizes/{id}'), authenticate, requirePermission('catalog:write'), validate(catalogSchemas.deleteSize), deleteSize);
 
 module.exports = router;
+module.exports.handlers = { addSize, listSizes, listSizeProducts, deleteSize }; // Shared with the v2 routes
+module.exports.sizeProductsKey = sizeProductsKey; // The v2 route shares the cache entry
@@ -0,0 +1,280 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { superusers } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rateLimit');
+const accountSchemas = require('../schemas/accounts');
+const { OTPError, OTP_TTL_MINUTES, normalizeEmail, issueOTP, verifyOTP } = require('../services/otp');
+const { revokeAllSessions } = require('../services/sessions');
+const { validatePasswordStrength } = require('../services/passwordPolicy');
+const { sendTemplate } = require('../mail');
+const { logger } = require('../logger');
+const router = express.Router();
+
+// Columns safe to return to clients (never the password hash or 2FA secrets)
+const PUBLIC_COLUMNS = 'id, email, username, status, totp_enabled, invited_by, created_at';
+
+// Helper Function: Respond with an OTP service error (bad code, throttling)
+const sendOTPError = (res, err) => {
+    if (err.retryAfter) {
+        res.set('Retry-After', String(err.retryAfter));
+    }
+
+    return res.status(err.status).json({ error: err.message });
+};
+
+// Helper Function: Count active superusers, optionally excluding one of them
+const countActiveSuperusers = async (excludeId = null) => {
+    const { count, error } = await superusers.countActive(excludeId);
+    if (error) {
+        throw new Error(`Failed to count active superusers: ${error.message}`);
+    }
+
+    return count;
+};
+
+// Helper to count the active admins other than the given superuser
+const countOtherActiveAdmins = async (superuserId) => {
+    const { count, error } = await superusers.countActiveAdmins(superuserId);
+    if (error) {
+        throw new Error(`Failed to count active admins: ${error.message}`);
+    }
+
+    return count;
+};
+
+// Helper to check whether a superuser holds the admin role
+const holdsAdminRole = async (superuserId) => {
+    const { data, error } = await superusers.listRoleAssignments(superuserId);
+    if (error) {
+        throw new Error(`Failed to fetch role assignments: ${error.message}`);
+    }
+
+    return data.some((assignment) => assignment.role === 'admin');
+};
+
+// Invite a New Superuser (they choose their own password with the emailed OTP)
+router.post('/invite', authenticate, requirePermission('superusers:manage'), validate(accountSchemas.inviteSuperuser), async (req, res) => {
+    const { email, username } = req.body;
+
+    try {
+        if (!email || !username) {
+            return res.status(400).json({ error: 'Email and username are required.' });
+        }
+
+        const normalizedEmail = normalizeEmail(email);
+
+        const { data: existing, error: fetchError } = await superusers.findByEmail(normalizedEmail);
+
+        if (fetchError) {
+            logger.error('Error checking existing superuser', { error: fetchError.message });
+            return res.status(500).json({ error: 'Failed to invite superuser.' });
+        }
+
+        // Re-inviting a pending superuser simply sends a fresh code
+        if (existing && existing.status !== 'invited') {
+            return res.status(409).json({ error: 'A superuser with this email already exists.' });
+        }
+
+        // Re-sending an invitation only exposes the public fields of the pending superuser
+        let superuser = existing && {
+            id: existing.id,
+            email: existing.email,
+            username: existing.username,
+            status: existing.status,
+        };
+        if (!existing) {
+            const { data, error } = await superusers.create({
+                email: normalizedEmail,
+                username: username.trim(),
+                password: null,
+                status: 'invited',
+                invited_by: req.user.id,
+            }, PUBLIC_COLUMNS);
+
+            if (error) {
+                logger.error('Error creating superuser invitation', { error: error.message });
+                return res.status(500).json({ error: 'Failed to invite superuser.' });
+            }
+
+            superuser = data;
+        }
+
+        const otp = await issueOTP(normalizedEmail, 'superuser_invite', { ip: req.ip });
+        await sendTemplate('superuser_invite', normalizedEmail, {
+            otp,
+            username: superuser.username,
+            expires_in_minutes: OTP_TTL_MINUTES,
+        });
+
+        res.status(201).json({
+            message: `Invitation sent to ${normalizedEmail}.`,
+            superuser,
+        });
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while inviting superuser', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Accept an Invitation (sets the password using the emailed OTP)
+router.post('/accept-invite', rateLimit('auth'), validate(accountSchemas.acceptInvite), async (req, res) => {
+    const { email, otp, password } = req.body;
+
+    try {
+        if (!email || !otp || !password) {
+            return res.status(400).json({ error: 'Email, OTP and password are required.' });
+        }
+
+        const normalizedEmail = normalizeEmail(email);
+
+        const { data: superuser, error: fetchError } = await superusers.findByEmail(normalizedEmail);
+
+        if (fetchError || !superuser || superuser.status !== 'invited') {
+            return res.status(400).json({ error: 'Invalid or expired OTP.' });
+        }
+
+        const problems = validatePasswordStrength(password, superuser);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'Password does not meet the strength requirements.', details: problems });
+        }
+
+        await verifyOTP(normalizedEmail, 'superuser_invite', otp);
+
+        const { error: updateError } = await superusers.update(superuser.id, {
+            password: await bcrypt.hash(password, 12),
+            status: 'active',
+        });
+
+        if (updateError) {
+            logger.error('Error activating superuser', { error: updateError.message });
+            return res.status(500).json({ error: 'Failed to accept invitation.' });
+        }
+
+        res.status(200).json({ message: 'Invitation accepted. You can now log in.' });
+    } catch (err) {
+        if (err instanceof OTPError) return sendOTPError(res, err);
+        logger.error('Unexpected error while accepting invitation', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// List Superusers
+router.get('/list', authenticate, requirePermission('superusers:manage'), async (req, res) => {
+    try {
+        const { data, error } = await superusers.list(PUBLIC_COLUMNS);
+
+        if (error) {
+            logger.error('Error fetching superusers', { error: error.message });
+            return res.status(500).json({ error: 'Failed to fetch superusers.' });
+        }
+
+        res.status(200).json({
+            message: 'Superusers fetched successfully!',
+            superusers: data,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while listing superusers', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Disable a Superuser (always keeping at least one active superuser, and one active admin once roles are in use)
+router.post('/disable', authenticate, requirePermission('superusers:manage'), validate(accountSchemas.disableSuperuser), async (req, res) => {
+    const { superuser_id } = req.body;
+
+    try {
+        if (!superuser_id) {
+            return res.status(400).json({ error: 'Superuser ID is required.' });
+        }
+
+        const { data: superuser, error: fetchError } = await superusers.findById(superuser_id);
+
+        if (fetchError || !superuser) {
+            return res.status(404).json({ error: 'Superuser not found.' });
+        }
+
+        if (superuser.status === 'disabled') {
+            return res.status(409).json({ error: 'Superuser is already disabled.' });
+        }
+
+        if ((await countActiveSuperusers(superuser.id)) === 0) {
+            return res.status(409).json({ error: 'At least one active superuser must remain.' });
+        }
+
+        if ((await holdsAdminRole(superuser.id)) && (await countOtherActiveAdmins(superuser.id)) === 0) {
+            return res.status(409).json({ error: 'At least one active admin must remain.' });
+        }
+
+        const { data, error } = await superusers.update(superuser.id, { status: 'disabled' }, PUBLIC_COLUMNS);
+
+        if (error) {
+            logger.error('Error disabling superuser', { error: error.message });
+            return res.status(500).json({ error: 'Failed to disable superuser.' });
+        }
+
+        // Sign the disabled superuser out everywhere
+        await revokeAllSessions('superuser', superuser.id);
+
+        res.status(200).json({
+            message: 'Superuser disabled successfully!',
+            superuser: data,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while disabling superuser', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Change Own Password
+router.post('/change-password', authenticate, validate(accountSchemas.changeSuperuserPassword), async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    try {
+        if (!req.user.is_superuser) {
+            return res.status(403).json({ error: 'Only superusers can use this endpoint.' });
+        }
+
+        if (!current_password || !new_password) {
+            return res.status(400).json({ error: 'Current password and new password are required.' });
+        }
+
+        const { data: superuser, error: fetchError } = await superusers.findById(req.user.id);
+
+        if (fetchError || !superuser) {
+            return res.status(404).json({ error: 'Superuser not found.' });
+        }
+
+        const isPasswordValid = await bcrypt.compare(current_password, superuser.password);
+        if (!isPasswordValid) {
+            return res.status(401).json({ error: 'Current password is incorrect.' });
+        }
+
+        const problems = validatePasswordStrength(new_password, superuser);
+        if (problems.length > 0) {
+            return res.status(400).json({ error: 'Password does not meet the strength requirements.', details: problems });
+        }
+
+        const { error: updateError } = await superusers.update(superuser.id, {
+            password: await bcrypt.hash(new_password, 12),
+        });
+
+        if (updateError) {
+            logger.error('Error changing superuser password', { error: updateError.message });
+            return res.status(500).json({ error: 'Failed to change password.' });
+        }
+
+        // Keep the current session but sign out every other device
+        await revokeAllSessions('superuser', superuser.id, req.user.session_id);
+
+        res.status(200).json({ message: 'Password changed successfully. Other sessions have been signed out.' });
+    } catch (err) {
+        logger.error('Unexpected error while changing superuser password', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { superusers } = require('../repositories');
+const { authenticate } = require('../middleware/authenticate');
+const { validate } = require('../middleware/validate');
+const accountSchemas = require('../schemas/accounts');
+const {
+    encryptSecret,
+    decryptSecret,
+    createEnrollment,
+    verifyCode,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+} = require('../services/totp');
+const { logger } = require('../logger');
+const router = express.Router();
+
+// Two-factor settings belong to the authenticated superuser
+router.use(authenticate, (req, res, next) => {
+    if (!req.user.is_superuser) {
+        return res.status(403).json({ error: 'Two-factor authentication is only available to superusers.' });
+    }
+
+    next();
+});
+
+// Helper Function: Load the authenticated superuser's row
+const getSuperuser = async (superuser_id) => {
+    const { data: superuser, error } = await superusers.findById(superuser_id);
+
+    if (error || !superuser) {
+        return null;
+    }
+
+    return superuser;
+};
+
+// Start Enrollment (returns the otpauth URI and QR code to scan)
+router.post('/enroll', async (req, res) => {
+    try {
+        const superuser = await getSuperuser(req.user.id);
+        if (!superuser) {
+            return res.status(404).json({ error: 'Superuser not found.' });
+        }
+
+        if (superuser.totp_enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+        }
+
+        const { secret, otpauthUri, qrCode } = await createEnrollment(superuser.email);
+
+        // The secret stays pending until the first valid code confirms the enrollment
+        const { error } = await superusers.update(superuser.id, { totp_pending_secret: encryptSecret(secret) });
+
+        if (error) {
+            logger.error('Error saving pending TOTP secret', { error: error.message });
+            return res.status(500).json({ error: 'Failed to start two-factor enrollment.' });
+        }
+
+        res.status(200).json({
+            message: 'Scan the QR code with your authenticator app, then confirm with a code.',
+            otpauth_uri: otpauthUri,
+            qr_code: qrCode,
+            secret,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while starting 2FA enrollment', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Confirm Enrollment (first valid code enables 2FA and issues recovery codes)
+router.post('/confirm', validate(accountSchemas.confirmTwoFactor), async (req, res) => {
+    const { code } = req.body;
+
+    try {
+        if (!code) {
+            return res.status(400).json({ error: 'Authentication code is required.' });
+        }
+
+        const superuser = await getSuperuser(req.user.id);
+        if (!superuser) {
+            return res.status(404).json({ error: 'Superuser not found.' });
+        }
+
+        if (superuser.totp_enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled.' });
+        }
+
+        if (!superuser.totp_pending_secret) {
+            return res.status(400).json({ error: 'Start an enrollment before confirming it.' });
+        }
+
+        const step = verifyCode(decryptSecret(superuser.totp_pending_secret), code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code.' });
+        }
+
+        const { codes, hashes } = generateRecoveryCodes();
+
+        const { error } = await superusers.update(superuser.id, {
+            totp_enabled: true,
+            totp_secret: superuser.totp_pending_secret,
+            totp_pending_secret: null,
+            totp_last_used_step: step,
+            totp_recovery_codes: hashes,
+        });
+
+        if (error) {
+            logger.error('Error enabling 2FA', { error: error.message });
+            return res.status(500).json({ error: 'Failed to enable two-factor authentication.' });
+        }
+
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they are shown only once.',
+            recovery_codes: codes,
+        });
+    } catch (err) {
+        logger.error('Unexpected error while confirming 2FA enrollment', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// Disable 2FA (requires the password and a current code or recovery code)
+router.post('/disable', validate(accountSchemas.disableTwoFactor), async (req, res) => {
+    const { password, code, recovery_code } = req.body;
+
+    try {
+        if (!password || (!code && !recovery_code)) {
+            return res.status(400).json({ error: 'Password and an authentication or recovery code are required.' });
+        }
+
+        const superuser = await getSuperuser(req.user.id);
+        if (!superuser) {
+            return res.status(404).json({ error: 'Superuser not found.' });
+        }
+
+        if (!superuser.totp_enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+        }
+
+        const isPasswordValid = await bcrypt.compare(password, superuser.password);
+        const isCodeValid = code
+            ? verifyCode(decryptSecret(superuser.totp_secret), code) !== null
+            : (superuser.totp_recovery_codes || []).includes(hashRecoveryCode(recovery_code));
+
+        if (!isPasswordValid || !isCodeValid) {
+            return res.status(401).json({ error: 'Invalid password or authentication code.' });
+        }
+
+        const { error } = await superusers.update(superuser.id, {
+            totp_enabled: false,
+            totp_secret: null,
+            totp_pending_secret: null,
+            totp_last_used_step: null,
+            totp_recovery_codes: null,
+        });
+
+        if (error) {
+            logger.error('Error disabling 2FA', { error: error.message });
+            return res.status(500).json({ error: 'Failed to disable two-factor authentication.' });
+        }
+
+        res.status(200).json({ message: 'Two-factor authentication disabled.' });
+    } catch (err) {
+        logger.error('Unexpected error while disabling 2FA', { err });
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
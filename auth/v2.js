@@ -0,0 +1,78 @@
+const express = require('express');
+const { authenticate } = require('../middleware/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { validate, parseJsonFields } = require('../middleware/validate');
+const { mapInput } = require('../middleware/versioning');
+const { cacheCatalog } = require('../middleware/cache');
+const catalogSchemas = require('../schemas/catalog');
+const orderSchemas = require('../schemas/orders');
+const accountSchemas = require('../schemas/accounts');
+const v2Schemas = require('../schemas/v2');
+const { handlers: products, uploadImages } = require('./product');
+const { handlers: categories, categoryProductsKey } = require('./category');
+const { handlers: sizes, sizeProductsKey } = require('./size');
+const { handlers: cart } = require('./cart');
+const { handlers: orders } = require('./order');
+const { handlers: reviews } = require('./review');
+const { handlers: info } = require('./info');
+const { handlers: sessions } = require('./session');
+const { handlers: roles } = require('./role');
+const router = express.Router();
+
+// Resource-style routes backed by the v1 handlers; IDs travel in the URL and
+// mapInput() puts them where the shared handlers read them
+
+// Products
+router.get('/products', validate(v2Schemas.listProducts), cacheCatalog('products-v2'), products.listProductPage);
+router.post('/products', authenticate, requirePermission('catalog:write'), uploadImages, parseJsonFields('category_ids', 'size_ids', 'variants'), validate(catalogSchemas.addProduct), products.addProduct);
+router.get('/products/search', validate(catalogSchemas.searchProducts), products.searchProducts);
+router.get('/products/:id', validate(v2Schemas.resourceId), mapInput({ 'body.product_id': 'params.id' }), products.fetchProduct);
+router.patch('/products/:id', authenticate, requirePermission('catalog:write'), validate(v2Schemas.updateProduct), mapInput({ 'body.product_id': 'params.id' }), products.updateProduct);
+
+// Reviews
+router.get('/products/:id/reviews', validate(v2Schemas.resourceId), mapInput({ 'query.product_id': 'params.id' }), reviews.listReviews);
+router.post('/products/:id/reviews', authenticate, validate(v2Schemas.addReview), mapInput({ 'body.product_id': 'params.id' }), reviews.addReview);
+router.post('/products/:productId/reviews/:id/replies', authenticate, validate(v2Schemas.addReply), mapInput({ 'body.product_id': 'params.productId', 'body.review_id': 'params.id' }), reviews.addReply);
+
+// Categories
+router.get('/categories', cacheCatalog('categories'), categories.listCategories);
+router.post('/categories', authenticate, requirePermission('catalog:write'), validate(catalogSchemas.addCategory), categories.addCategory);
+router.get('/categories/:id/products', validate(v2Schemas.productLookup), mapInput({ 'body.category_id': 'params.id' }), cacheCatalog(categoryProductsKey), categories.listCategoryProducts);
+router.delete('/categories/:id', authenticate, requirePermission('catalog:write'), validate(v2Schemas.resourceId), mapInput({ 'body.id': 'params.id' }), categories.deleteCategory);
+
+// Sizes
+router.get('/sizes', cacheCatalog('sizes'), sizes.listSizes);
+router.post('/sizes', authenticate, requirePermission('catalog:write'), validate(catalogSchemas.addSize), sizes.addSize);
+router.get('/sizes/:id/products', validate(v2Schemas.productLookup), mapInput({ 'body.size_id': 'params.id' }), cacheCatalog(sizeProductsKey), sizes.listSizeProducts);
+router.delete('/sizes/:id', authenticate, requirePermission('catalog:write'), validate(v2Schemas.resourceId), mapInput({ 'body.id': 'params.id' }), sizes.deleteSize);
+
+// Cart (always the caller's own)
+router.get('/cart/items', authenticate, cart.fetchCart);
+router.post('/cart/items', authenticate, validate(orderSchemas.addToCart), cart.addToCart);
+router.patch('/cart/items/:id', authenticate, validate(v2Schemas.updateCartItem), mapInput({ 'body.cart_item_id': 'params.id' }), cart.updateCartItem);
+router.delete('/cart/items/:id', authenticate, validate(v2Schemas.resourceId), mapInput({ 'body.cart_item_id': 'params.id' }), cart.removeFromCart);
+router.post('/cart/checkout', authenticate, cart.placeOrder);
+
+// Orders
+router.get('/orders', authenticate, orders.listUserOrders);
+router.post('/orders', authenticate, validate(orderSchemas.createOrder), orders.createOrder);
+router.patch('/orders/:id', authenticate, requirePermission('orders:update_status'), validate(v2Schemas.updateOrderStatus), mapInput({ 'body.order_id': 'params.id' }), orders.updateOrderStatus);
+router.get('/orders/:id/messages', authenticate, validate(v2Schemas.resourceId), mapInput({ 'body.order_id': 'params.id' }), orders.fetchMessages);
+router.post('/orders/:id/messages', authenticate, validate(v2Schemas.sendMessage), mapInput({ 'body.orderId': 'params.id' }), orders.sendMessage);
+router.get('/admin/orders', authenticate, requirePermission('orders:read'), orders.listAllOrders);
+
+// Account
+router.get('/account', authenticate, info.getDetailedInfo);
+
+// Sessions
+router.get('/sessions', authenticate, requirePermission('sessions:manage'), validate(accountSchemas.listSessions), sessions.listSessions);
+router.delete('/sessions', authenticate, requirePermission('sessions:manage'), validate(v2Schemas.revokeSubjectSessions), mapInput({ 'body.subject_id': 'query.subject_id', 'body.subject_type': 'query.subject_type' }), sessions.revokeSubjectSessions);
+router.delete('/sessions/:id', authenticate, requirePermission('sessions:manage'), validate(v2Schemas.sessionId), mapInput({ 'body.session_id': 'params.id' }), sessions.revokeSessionById);
+
+// Roles
+router.get('/roles', authenticate, requirePermission('roles:manage'), roles.listRoles);
+router.get('/roles/assignments', authenticate, requirePermission('roles:manage'), validate(accountSchemas.listRoleAssignments), roles.listRoleAssignments);
+router.put('/superusers/:id/roles/:role', authenticate, requirePermission('roles:manage'), validate(v2Schemas.roleAssignment), mapInput({ 'body.superuser_id': 'params.id', 'body.role': 'params.role' }), roles.assignRole);
+router.delete('/superusers/:id/roles/:role', authenticate, requirePermission('roles:manage'), validate(v2Schemas.roleAssignment), mapInput({ 'body.superuser_id': 'params.id', 'body.role': 'params.role' }), roles.revokeRole);
+
+module.exports = router;
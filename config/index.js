@@ -0,0 +1,159 @@
+// Startup configuration checks: every problem is reported at once, before the first request
+const { LEVELS, FORMATS } = require('../logger/levels');
+const { MAIL_TRANSPORTS } = require('../mail/transports');
+
+// Data stores understood by DATA_STORE
+const DATA_STORES = ['supabase', 'memory'];
+
+// Optional numeric settings; each must be a positive integer when set
+const POSITIVE_INTEGERS = [
+    'PASSWORD_MIN_LENGTH',
+    'REFRESH_TOKEN_TTL_DAYS',
+    'OTP_TTL_MINUTES',
+    'OTP_MAX_ATTEMPTS',
+    'OTP_EMAIL_COOLDOWN_SECONDS',
+    'OTP_IP_MAX_REQUESTS',
+    'OTP_IP_WINDOW_MINUTES',
+    'OTP_CLEANUP_INTERVAL_MINUTES',
+    'LOGIN_MAX_FAILURES',
+    'LOGIN_IP_MAX_FAILURES',
+    'LOGIN_IP_WINDOW_MINUTES',
+    'LOGIN_LOCKOUT_MINUTES',
+    'LOGIN_MAX_DELAY_SECONDS',
+    'SHUTDOWN_TIMEOUT_SECONDS',
+    'READINESS_TIMEOUT_MS',
+    'RATE_LIMIT_AUTH_MAX',
+    'RATE_LIMIT_AUTH_WINDOW_SECONDS',
+    'RATE_LIMIT_REFRESH_MAX',
+    'RATE_LIMIT_REFRESH_WINDOW_SECONDS',
+    'RATE_LIMIT_WRITE_MAX',
+    'RATE_LIMIT_WRITE_WINDOW_SECONDS',
+    'RATE_LIMIT_READ_MAX',
+    'RATE_LIMIT_READ_WINDOW_SECONDS',
+    'CATALOG_CACHE_TTL_SECONDS',
+    'CATALOG_CACHE_MAX_AGE_SECONDS',
+    'SEARCH_INDEX_REFRESH_SECONDS',
+    'LOW_STOCK_THRESHOLD',
+];
+
+// Mail transports that never deliver mail (console prints it, codes included), refused in production
+const DEVELOPMENT_MAIL_TRANSPORTS = ['console', 'memory'];
+
+// Production secrets shorter than this are rejected
+const MIN_PRODUCTION_SECRET_LENGTH = 32;
+
+// Error raised when the environment cannot run the app; `problems` lists every issue found
+class ConfigError extends Error {
+    constructor(problems) {
+        super(`Invalid configuration:\n${problems.map((problem) => `  - ${problem}`).join('\n')}`);
+        this.name = 'ConfigError';
+        this.problems = problems;
+    }
+}
+
+const isPositiveInteger = (value) => /^\d+$/.test(value) && Number(value) > 0;
+
+const isHttpUrl = (value) => {
+    try {
+        return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch {
+        return false;
+    }
+};
+
+// Problems with the Supabase settings (only checked when Supabase is the data store)
+const supabaseProblems = (env = process.env) => {
+    const problems = [];
+
+    if (!env.SUPABASE_URL) {
+        problems.push('SUPABASE_URL is required when DATA_STORE is supabase.');
+    } else if (!isHttpUrl(env.SUPABASE_URL)) {
+        problems.push(`SUPABASE_URL must be an http(s) URL, got '${env.SUPABASE_URL}'.`);
+    }
+
+    if (!env.SUPABASE_KEY) {
+        problems.push('SUPABASE_KEY (the anon key) is required when DATA_STORE is supabase.');
+    }
+
+    if (!env.SUPABASE_SERVICE_ROLE) {
+        problems.push('SUPABASE_SERVICE_ROLE (the service role key) is required when DATA_STORE is supabase.');
+    }
+
+    return problems;
+};
+
+// List every configuration problem in `env`; an empty list means the app can start
+const validateConfig = (env = process.env) => {
+    const problems = [];
+    const production = env.NODE_ENV === 'production';
+
+    if (!env.JWT_SECRET) {
+        problems.push('JWT_SECRET is required to sign access tokens.');
+    } else if (production && env.JWT_SECRET.length < MIN_PRODUCTION_SECRET_LENGTH) {
+        problems.push(`JWT_SECRET must be at least ${MIN_PRODUCTION_SECRET_LENGTH} characters in production.`);
+    }
+
+    const dataStore = (env.DATA_STORE || 'supabase').toLowerCase();
+    if (!DATA_STORES.includes(dataStore)) {
+        problems.push(`DATA_STORE must be one of: ${DATA_STORES.join(', ')} (got '${env.DATA_STORE}').`);
+    } else if (dataStore === 'supabase') {
+        problems.push(...supabaseProblems(env));
+    } else if (production) {
+        problems.push('DATA_STORE=memory loses every change on restart and cannot be used in production.');
+    }
+
+    // Behind a proxy that is not trusted every client shares the proxy's address, and so its login lockouts
+    if (production && !env.TRUST_PROXY) {
+        problems.push("TRUST_PROXY is required in production: the number of proxies in front of the app (e.g. 1 on Render), or 'false' when clients connect directly.");
+    }
+
+    if (env.MAIL_TRANSPORT && !MAIL_TRANSPORTS.includes(env.MAIL_TRANSPORT)) {
+        problems.push(`MAIL_TRANSPORT must be one of: ${MAIL_TRANSPORTS.join(', ')} (got '${env.MAIL_TRANSPORT}').`);
+    } else if (production && !env.MAIL_TRANSPORT) {
+        problems.push('MAIL_TRANSPORT is required in production (without it mail, login codes included, would be printed to the log).');
+    } else if (production && DEVELOPMENT_MAIL_TRANSPORTS.includes(env.MAIL_TRANSPORT)) {
+        problems.push(`MAIL_TRANSPORT=${env.MAIL_TRANSPORT} is for development and tests; production needs a transport that delivers mail.`);
+    }
+
+    if (env.MAIL_TRANSPORT === 'smtp' && !env.SMTP_HOST && !(env.EMAIL_ADDRESS && env.EMAIL_PASSWORD)) {
+        problems.push('MAIL_TRANSPORT=smtp needs SMTP_HOST, or EMAIL_ADDRESS and EMAIL_PASSWORD for Gmail.');
+    }
+
+    if (env.SMTP_PORT && !isPositiveInteger(env.SMTP_PORT)) {
+        problems.push(`SMTP_PORT must be a port number (got '${env.SMTP_PORT}').`);
+    }
+
+    if (env.PORT && !(isPositiveInteger(env.PORT) && Number(env.PORT) <= 65535)) {
+        problems.push(`PORT must be a port number (got '${env.PORT}').`);
+    }
+
+    if (env.LOG_LEVEL && !(env.LOG_LEVEL in LEVELS)) {
+        problems.push(`LOG_LEVEL must be one of: ${Object.keys(LEVELS).join(', ')} (got '${env.LOG_LEVEL}').`);
+    }
+
+    if (env.LOG_FORMAT && !FORMATS.includes(env.LOG_FORMAT)) {
+        problems.push(`LOG_FORMAT must be one of: ${FORMATS.join(', ')} (got '${env.LOG_FORMAT}').`);
+    }
+
+    if (env.API_V1_SUNSET && Number.isNaN(Date.parse(env.API_V1_SUNSET))) {
+        problems.push(`API_V1_SUNSET must be a date, e.g. 2026-12-31 (got '${env.API_V1_SUNSET}').`);
+    }
+
+    for (const name of POSITIVE_INTEGERS) {
+        if (env[name] !== undefined && env[name] !== '' && !isPositiveInteger(env[name])) {
+            problems.push(`${name} must be a positive whole number (got '${env[name]}').`);
+        }
+    }
+
+    return problems;
+};
+
+// Throw a ConfigError listing every problem, if there are any
+const assertConfig = (env = process.env) => {
+    const problems = validateConfig(env);
+    if (problems.length > 0) {
+        throw new ConfigError(problems);
+    }
+};
+
+module.exports = { DATA_STORES, ConfigError, validateConfig, assertConfig, supabaseProblems };
@@ -0,0 +1,12 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request context (request ID, user ID) that follows the request through every await
+const storage = new AsyncLocalStorage();
+
+// Run `callback` with `context` available to every log line written while it runs
+const runWithContext = (context, callback) => storage.run(context, callback);
+
+// The context of the request being handled, if any
+const currentContext = () => storage.getStore();
+
+module.exports = { runWithContext, currentContext };
@@ -0,0 +1,63 @@
+const { redact } = require('./redact');
+const { runWithContext, currentContext } = require('./context');
+const { LEVELS } = require('./levels');
+
+// Default level: everything in development, info and above in production
+const defaultLevel = () => process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'info' : 'debug');
+
+// Human-readable single line for local development (LOG_FORMAT=pretty)
+const formatPretty = ({ time, level, msg, request_id, ...fields }) => {
+    const extra = Object.keys(fields).length ? ` ${JSON.stringify(fields)}` : '';
+    const id = request_id ? ` [${request_id}]` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)}${id} ${msg}${extra}`;
+};
+
+// Default destination: warnings and errors to stderr, everything else to stdout
+const writeToStdio = (line, level) => {
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${line}\n`);
+};
+
+// Build a logger; `bindings` are added to every entry it writes
+const createLogger = ({
+    level = defaultLevel(),
+    format = process.env.LOG_FORMAT || 'json',
+    write = writeToStdio,
+    bindings = {},
+} = {}) => {
+    if (!(level in LEVELS)) {
+        throw new Error(`Unknown LOG_LEVEL '${level}'. Use ${Object.keys(LEVELS).join(', ')}.`);
+    }
+
+    const threshold = LEVELS[level];
+
+    const log = (entryLevel, msg, fields = {}) => {
+        if (LEVELS[entryLevel] < threshold) return;
+
+        const context = currentContext();
+        const entry = redact({
+            time: new Date().toISOString(),
+            level: entryLevel,
+            msg,
+            ...(context && { request_id: context.requestId, user_id: context.userId }),
+            ...bindings,
+            ...fields,
+        });
+
+        write(format === 'pretty' ? formatPretty(entry) : JSON.stringify(entry), entryLevel);
+    };
+
+    return {
+        level,
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        child: (extra) => createLogger({ level, format, write, bindings: { ...bindings, ...extra } }),
+    };
+};
+
+// Shared application logger configured from LOG_LEVEL and LOG_FORMAT
+const logger = createLogger();
+
+module.exports = { logger, createLogger, runWithContext, currentContext, LEVELS };
@@ -0,0 +1,7 @@
+// Severity order; a logger writes entries at its level and above
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+// Output formats understood by LOG_FORMAT
+const FORMATS = ['json', 'pretty'];
+
+module.exports = { LEVELS, FORMATS };
@@ -0,0 +1,51 @@
+// Keys whose values never reach the logs
+const SECRET_KEY_PATTERN = /pass(word)?|secret|token|otp|hash|authorization|cookie|api[_-]?key|^code$/i;
+
+// Keys that hold email addresses; these are masked rather than dropped so log lines stay traceable
+const EMAIL_KEY_PATTERN = /^(email|to|from|new_email|pending_email)$/i;
+
+// Bearer tokens and JWTs that end up inside free-form strings
+const TOKEN_VALUE_PATTERN = /(Bearer\s+)?eyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+
+const REDACTED = '[REDACTED]';
+
+// Keep the first character and the domain of an email address
+const maskEmail = (value) => {
+    if (typeof value !== 'string') return REDACTED;
+    const at = value.lastIndexOf('@');
+    return at > 0 ? `${value[0]}***${value.slice(at)}` : REDACTED;
+};
+
+const serializeError = (err) => ({
+    name: err.name,
+    message: err.message,
+    ...(err.code && { code: err.code }),
+    ...(err.stack && { stack: err.stack }),
+});
+
+// Return a copy of `value` that is safe to log
+const redact = (value, depth = 0) => {
+    if (typeof value === 'string') return value.replace(TOKEN_VALUE_PATTERN, REDACTED);
+    if (value instanceof Error) return redact(serializeError(value), depth);
+    if (value === null || typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= 6) return '[Truncated]';
+
+    if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+    const result = {};
+    for (const [key, item] of Object.entries(value)) {
+        if (item === undefined) continue;
+
+        if (SECRET_KEY_PATTERN.test(key)) {
+            result[key] = REDACTED;
+        } else if (EMAIL_KEY_PATTERN.test(key)) {
+            result[key] = Array.isArray(item) ? item.map(maskEmail) : maskEmail(item);
+        } else {
+            result[key] = redact(item, depth + 1);
+        }
+    }
+    return result;
+};
+
+module.exports = { redact, maskEmail, REDACTED };
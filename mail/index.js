@@ -0,0 +1,104 @@
+const { createTransport, outbox } = require('./transports');
+const { templates } = require('./templates');
+const { OTP_TTL_MINUTES } = require('../services/otp');
+const { logger } = require('../logger');
+
+// Transport is created lazily so configuration is read after dotenv has loaded
+let transport = null;
+
+// Error raised for unknown templates or missing variables
+class MailTemplateError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'MailTemplateError';
+    }
+}
+
+// Helper to get (or create) the configured transport
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport();
+    }
+
+    return transport;
+};
+
+// Replace the transport (e.g. with a JSON transport in tests)
+const setTransport = (type) => {
+    transport = createTransport(type);
+    return transport;
+};
+
+// Check that the transport can send mail (only SMTP has a server to reach)
+const verifyTransport = async () => {
+    const { type, transporter } = getTransport();
+    if (type === 'smtp') {
+        await transporter.verify();
+    }
+    return { type };
+};
+
+// List the available templates with their variables and sample values
+const listTemplates = () => Object.entries(templates).map(([name, template]) => ({
+    name,
+    description: template.description,
+    variables: template.variables,
+    sample: template.sample,
+}));
+
+// Render a template into subject, plain text and HTML
+const renderTemplate = (name, variables = {}) => {
+    const template = templates[name];
+    if (!template) {
+        throw new MailTemplateError(`Unknown email template '${name}'.`);
+    }
+
+    const missing = template.variables.filter((variable) => variables[variable] === undefined || variables[variable] === null);
+    if (missing.length > 0) {
+        throw new MailTemplateError(`Missing variables for template '${name}': ${missing.join(', ')}.`);
+    }
+
+    return {
+        subject: template.subject(variables),
+        text: template.text(variables),
+        html: template.html(variables),
+    };
+};
+
+// Render and send a template to a recipient
+const sendTemplate = async (name, to, variables = {}) => {
+    const { subject, text, html } = renderTemplate(name, variables);
+    const { transporter } = getTransport();
+
+    try {
+        const info = await transporter.sendMail({
+            from: process.env.MAIL_FROM || process.env.EMAIL_ADDRESS || 'no-reply@localhost',
+            to,
+            subject,
+            text,
+            html,
+        });
+        logger.info('Email sent', { template: name, to });
+        return info;
+    } catch (error) {
+        logger.error('Error sending email', { template: name, to, err: error });
+        throw new Error(`Failed to send ${name} email`);
+    }
+};
+
+// Function to send an OTP via email
+const sendOTPEmail = (email, otp, purpose) => {
+    return sendTemplate('otp', email, { otp, purpose, expires_in_minutes: OTP_TTL_MINUTES });
+};
+
+module.exports = {
+    MailTemplateError,
+    getTransport,
+    setTransport,
+    verifyTransport,
+    listTemplates,
+    renderTemplate,
+    sendTemplate,
+    sendOTPEmail,
+    outbox,
+};
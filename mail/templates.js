@@ -0,0 +1,138 @@
+// Branding shared by every template
+const getBrand = () => ({
+    name: process.env.MAIL_BRAND_NAME || 'Retail Store',
+    logoUrl: process.env.MAIL_LOGO_URL || '',
+});
+
+// Helper to escape variables before they are placed into HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Helper to wrap a template body in the shared HTML layout
+const layout = (body) => {
+    const brand = getBrand();
+    const logo = brand.logoUrl
+        ? `<div style="margin: 20px auto;"><img src="${escapeHtml(brand.logoUrl)}" alt="${escapeHtml(brand.name)} Logo" style="width: 150px; height: auto; border-radius: 8px;" /></div>`
+        : '';
+
+    return `
+        <div style="font-family: Arial, sans-serif; text-align: center; color: #333; padding: 20px;">
+            ${body}
+            ${logo}
+            <p style="font-size: 14px; color: #666; margin-top: 20px;">Thank you for choosing <strong>${escapeHtml(brand.name)}</strong>!</p>
+        </div>
+    `;
+};
+
+// Helper to render a highlighted one-time code
+const codeBlock = (code) => `
+    <div style="font-size: 35px; font-weight: bold; background-color: #f7f7f7; padding: 15px; border-radius: 8px; display: inline-block; margin: 20px auto;">
+        ${escapeHtml(code)}
+    </div>
+`;
+
+// Named templates: the variables each one needs, sample values for previews, and its subject/text/html renderers
+const templates = {
+    otp: {
+        description: 'One-time code for verifying an action (email verification, login, ...).',
+        variables: ['otp', 'purpose', 'expires_in_minutes'],
+        sample: { otp: '123456', purpose: 'Email Verification', expires_in_minutes: 10 },
+        subject: (v) => `Your OTP for ${v.purpose}`,
+        text: (v) => `Your ${getBrand().name} code for ${v.purpose} is ${v.otp}.\nThe code expires in ${v.expires_in_minutes} minutes.`,
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">Here's your <strong>${escapeHtml(getBrand().name)}</strong> code!</h1>
+            ${codeBlock(v.otp)}
+            <p style="font-size: 14px; color: #666; margin-bottom: 20px;">The code expires in <strong>${escapeHtml(v.expires_in_minutes)} minutes</strong>.</p>
+            <p style="font-size: 18px; margin-bottom: 20px;">Continue with <strong>${escapeHtml(v.purpose)}</strong> by entering the code above.</p>
+        `),
+    },
+    password_reset: {
+        description: 'One-time code for resetting a forgotten password.',
+        variables: ['otp', 'expires_in_minutes'],
+        sample: { otp: '123456', expires_in_minutes: 10 },
+        subject: () => 'Your OTP for Password Reset',
+        text: (v) => `Use the code ${v.otp} to reset your ${getBrand().name} password.\nThe code expires in ${v.expires_in_minutes} minutes. If you did not request a reset, you can ignore this email.`,
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">Reset your password</h1>
+            ${codeBlock(v.otp)}
+            <p style="font-size: 14px; color: #666; margin-bottom: 20px;">The code expires in <strong>${escapeHtml(v.expires_in_minutes)} minutes</strong>.</p>
+            <p style="font-size: 14px; color: #666;">If you did not request a reset, you can ignore this email.</p>
+        `),
+    },
+    superuser_invite: {
+        description: 'Invitation for a new superuser to set their password.',
+        variables: ['otp', 'username', 'expires_in_minutes'],
+        sample: { otp: '123456', username: 'jane', expires_in_minutes: 10 },
+        subject: () => `You've been invited to manage ${getBrand().name}`,
+        text: (v) => `Hi ${v.username},\n\nYou've been invited as a superuser. Use the code ${v.otp} to choose your password.\nThe code expires in ${v.expires_in_minutes} minutes.`,
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">Hi ${escapeHtml(v.username)}, you've been invited!</h1>
+            <p style="font-size: 16px; margin-bottom: 20px;">Use this code to choose your superuser password.</p>
+            ${codeBlock(v.otp)}
+            <p style="font-size: 14px; color: #666; margin-bottom: 20px;">The code expires in <strong>${escapeHtml(v.expires_in_minutes)} minutes</strong>.</p>
+        `),
+    },
+    account_locked: {
+        description: 'Notice that an account was locked after repeated failed logins.',
+        variables: ['lockout_minutes'],
+        sample: { lockout_minutes: 15 },
+        subject: () => 'Your account has been temporarily locked',
+        text: (v) => `We detected several failed login attempts and locked your account for ${v.lockout_minutes} minutes.\nIf this wasn't you, we recommend resetting your password once the lock expires.`,
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">Your account has been temporarily locked</h1>
+            <p style="font-size: 16px; margin-bottom: 20px;">We detected several failed login attempts and locked your account for <strong>${escapeHtml(v.lockout_minutes)} minutes</strong>.</p>
+            <p style="font-size: 14px; color: #666;">If this wasn't you, we recommend resetting your password once the lock expires.</p>
+        `),
+    },
+    security_notice: {
+        description: 'Notice about a security-relevant change to an account.',
+        variables: ['title', 'message'],
+        sample: { title: 'Your password was changed', message: 'The password for your account was changed just now.' },
+        subject: (v) => v.title,
+        text: (v) => `${v.message}\nIf this wasn't you, please contact support immediately.`,
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">${escapeHtml(v.title)}</h1>
+            <p style="font-size: 16px; margin-bottom: 20px;">${escapeHtml(v.message)}</p>
+            <p style="font-size: 14px; color: #666;">If this wasn't you, please contact support immediately.</p>
+        `),
+    },
+    order_confirmation: {
+        description: 'Confirmation sent after an order is placed.',
+        variables: ['order_id', 'items'],
+        sample: { order_id: 42, items: [{ title: 'Classic Tee', size_name: 'M', quantity: 2 }] },
+        subject: (v) => `Order #${v.order_id} confirmed`,
+        text: (v) => [
+            `Thanks for your order #${v.order_id}!`,
+            ...v.items.map((item) => `- ${item.quantity} x ${item.title}${item.size_name ? ` (${item.size_name})` : ''}`),
+        ].join('\n'),
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">Thanks for your order #${escapeHtml(v.order_id)}!</h1>
+            <ul style="list-style: none; padding: 0; font-size: 16px;">
+                ${v.items.map((item) => `<li>${escapeHtml(item.quantity)} &times; ${escapeHtml(item.title)}${item.size_name ? ` (${escapeHtml(item.size_name)})` : ''}</li>`).join('')}
+            </ul>
+        `),
+    },
+    low_stock: {
+        description: 'Alert to staff that a product or size has fallen to its low-stock threshold.',
+        variables: ['title', 'size_name', 'sku', 'stock_quantity', 'threshold'],
+        sample: { title: 'Classic Tee', size_name: 'M', sku: 'TEE-M', stock_quantity: 3, threshold: 5 },
+        subject: (v) => `Low stock: ${v.title}${v.size_name ? ` (${v.size_name})` : ''}`,
+        text: (v) => [
+            `${v.title}${v.size_name ? ` in size ${v.size_name}` : ''} is down to ${v.stock_quantity} in stock (threshold ${v.threshold}).`,
+            ...(v.sku ? [`SKU: ${v.sku}`] : []),
+            'Record a receipt once new stock arrives.',
+        ].join('\n'),
+        html: (v) => layout(`
+            <h1 style="font-size: 24px; margin-bottom: 20px;">Low stock: ${escapeHtml(v.title)}${v.size_name ? ` (${escapeHtml(v.size_name)})` : ''}</h1>
+            <p style="font-size: 16px; margin-bottom: 20px;">Only <strong>${escapeHtml(v.stock_quantity)}</strong> left in stock; the threshold is ${escapeHtml(v.threshold)}.</p>
+            ${v.sku ? `<p style="font-size: 14px; color: #666;">SKU: ${escapeHtml(v.sku)}</p>` : ''}
+            <p style="font-size: 14px; color: #666;">Record a receipt once new stock arrives.</p>
+        `),
+    },
+};
+
+module.exports = { templates };
@@ -0,0 +1,91 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Console transport: prints the plain-text version of every message instead of sending it
+const consoleTransport = {
+    name: 'console',
+    version: '1.0.0',
+    send(mail, callback) {
+        const { from, to, subject, text } = mail.data;
+        console.log(`[mail] From: ${from}\n[mail] To: ${to}\n[mail] Subject: ${subject}\n${text}\n`);
+        callback(null, { messageId: `console-${Date.now()}`, envelope: mail.message.getEnvelope() });
+    },
+};
+
+// Messages captured by the memory transport, oldest first
+const outbox = [];
+
+// Memory transport: keeps every message in `outbox` instead of sending it (used by the test suite)
+const memoryTransport = {
+    name: 'memory',
+    version: '1.0.0',
+    send(mail, callback) {
+        const { from, to, subject, text, html } = mail.data;
+        outbox.push({ from, to, subject, text, html });
+        callback(null, { messageId: `memory-${outbox.length}`, envelope: mail.message.getEnvelope() });
+    },
+};
+
+// Helper to build the SMTP transport (falls back to the legacy Gmail settings)
+const createSmtpTransport = () => {
+    if (process.env.SMTP_HOST) {
+        return nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: parseInt(process.env.SMTP_PORT, 10) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined,
+        });
+    }
+
+    return nodemailer.createTransport({
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_ADDRESS,  // Gmail address
+            pass: process.env.EMAIL_PASSWORD // Gmail app password
+        },
+    });
+};
+
+// Helper to build the JSON transport; messages are also written to MAIL_OUTPUT_DIR when it is set
+const createJsonTransport = () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const outputDir = process.env.MAIL_OUTPUT_DIR;
+
+    if (outputDir) {
+        const sendMail = transport.sendMail.bind(transport);
+        transport.sendMail = async (options) => {
+            const info = await sendMail(options);
+            fs.mkdirSync(outputDir, { recursive: true });
+            fs.writeFileSync(path.join(outputDir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.json`), info.message);
+            return info;
+        };
+    }
+
+    return transport;
+};
+
+// Transports understood by MAIL_TRANSPORT
+const MAIL_TRANSPORTS = ['smtp', 'json', 'console', 'memory'];
+
+// Pick the transport from MAIL_TRANSPORT (smtp | json | console | memory)
+// Without it, the legacy Gmail credentials select SMTP and anything else logs to the console
+// (production configuration must set it, to a transport that delivers; see config/index.js)
+const createTransport = (type = process.env.MAIL_TRANSPORT) => {
+    const resolved = type || (process.env.EMAIL_ADDRESS && process.env.EMAIL_PASSWORD ? 'smtp' : 'console');
+
+    switch (resolved) {
+        case 'smtp':
+            return { type: 'smtp', transporter: createSmtpTransport() };
+        case 'json':
+            return { type: 'json', transporter: createJsonTransport() };
+        case 'console':
+            return { type: 'console', transporter: nodemailer.createTransport(consoleTransport) };
+        case 'memory':
+            return { type: 'memory', transporter: nodemailer.createTransport(memoryTransport) };
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT '${resolved}'. Use smtp, json, console or memory.`);
+    }
+};
+
+module.exports = { MAIL_TRANSPORTS, createTransport, outbox };
@@ -0,0 +1,37 @@
+const { logger } = require('../logger');
+
+// Probes hit these every few seconds; successful ones are only logged at debug level
+const PROBE_PATHS = ['/healthz', '/readyz'];
+
+// Middleware: Write one access log entry per request once the response has been sent
+const accessLog = (req, res, next) => {
+    const start = process.hrtime.bigint();
+
+    res.on('finish', () => {
+        const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+        // Only the path is logged; query strings can carry identifiers the redactor cannot see
+        const path = req.originalUrl.split('?')[0];
+
+        let level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        if (level === 'info' && PROBE_PATHS.includes(path)) {
+            level = 'debug';
+        }
+
+        logger[level]('request completed', {
+            request_id: req.id,
+            method: req.method,
+            path,
+            status: res.statusCode,
+            duration_ms: Math.round(durationMs * 100) / 100,
+            response_bytes: Number(res.get('Content-Length')) || undefined,
+            ip: req.ip,
+            user_agent: req.get('User-Agent'),
+            user_id: req.user?.id,
+        });
+    });
+
+    next();
+};
+
+module.exports = { accessLog };
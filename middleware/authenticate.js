@@ -0,0 +1,61 @@
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('../services/sessions');
+const { logger, currentContext } = require('../logger');
+
+// Extract the bearer token from the Authorization header
+const getBearerToken = (req) => {
+    const header = req.headers.authorization || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+        return null;
+    }
+
+    return token;
+};
+
+// Middleware: Verify the JWT and its session, then attach the caller's identity to `req.user`
+const authenticate = async (req, res, next) => {
+    const token = getBearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication token is required.' });
+    }
+
+    let payload;
+    try {
+        payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        if (err.name === 'TokenExpiredError') {
+            return res.status(401).json({ error: 'Authentication token has expired.' });
+        }
+
+        return res.status(401).json({ error: 'Invalid authentication token.' });
+    }
+
+    // Tokens are bound to a session so logout and revocation take effect immediately
+    try {
+        if (!payload.sid || !(await isSessionActive(payload.sid))) {
+            return res.status(401).json({ error: 'Session has expired or been revoked.' });
+        }
+    } catch (err) {
+        logger.error('Session Check Error', { err });
+        return res.status(500).json({ error: 'Internal server error.' });
+    }
+
+    req.user = {
+        id: payload.id,
+        email: payload.email,
+        username: payload.username,
+        is_superuser: payload.is_superuser === true,
+        session_id: payload.sid,
+    };
+
+    // Later log lines for this request name the caller
+    const context = currentContext();
+    if (context) context.userId = payload.id;
+
+    next();
+};
+
+module.exports = { authenticate, getBearerToken };
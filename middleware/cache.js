@@ -0,0 +1,64 @@
+const { getCached, setCached, currentGeneration } = require('../services/catalogCache');
+
+// How long browsers and CDNs may reuse a catalog response; by default they revalidate with the ETag every time
+const CATALOG_CACHE_MAX_AGE_SECONDS = parseInt(process.env.CATALOG_CACHE_MAX_AGE_SECONDS, 10) || 0;
+
+// Headers that belong to a cached body (the pagination metadata of the v1 product list)
+const CACHED_HEADERS = ['X-Total-Count', 'X-Next-Page', 'X-Next-Cursor'];
+
+const cacheControl = () => (CATALOG_CACHE_MAX_AGE_SECONDS > 0 ? `public, max-age=${CATALOG_CACHE_MAX_AGE_SECONDS}` : 'public, no-cache');
+
+// Helper to build the full cache key: the route's key plus its query string in a stable order
+const cacheKey = (name, req) => {
+    const query = new URLSearchParams(
+        Object.keys(req.query).sort().map((field) => [field, String(req.query[field])])
+    ).toString();
+
+    return query ? `${name}?${query}` : name;
+};
+
+// Middleware factory: Serve a catalog read from the cache; `key` is a name or a function of the request
+// Successful responses are cached until a catalog write invalidates them (see services/catalogCache.js).
+// GET responses carry an ETag and Cache-Control, and a matching If-None-Match is answered with 304.
+const cacheCatalog = (key) => {
+    const middleware = (req, res, next) => {
+        const fullKey = cacheKey(typeof key === 'function' ? key(req) : key, req);
+
+        const send = (entry, outcome) => {
+            if (req.method === 'GET' || req.method === 'HEAD') {
+                res.set({ ETag: entry.etag, 'Cache-Control': cacheControl() });
+            }
+
+            // Express answers 304 itself when If-None-Match matches the ETag
+            res.set({ ...entry.headers, 'X-Cache': outcome });
+            res.type('application/json').send(entry.body);
+        };
+
+        const cached = getCached(fullKey);
+        if (cached) {
+            return send(cached, 'HIT');
+        }
+
+        // Record the generation before the handler reads, so a write in the meantime is not cached over
+        const startedAt = currentGeneration();
+        const json = res.json.bind(res);
+
+        res.json = (body) => {
+            if (res.statusCode !== 200) {
+                return json(body);
+            }
+
+            const headers = Object.fromEntries(CACHED_HEADERS.filter((name) => res.get(name)).map((name) => [name, res.get(name)]));
+            const entry = setCached(fullKey, JSON.stringify(body), headers, startedAt);
+            return entry ? send(entry, 'MISS') : json(body);
+        };
+
+        next();
+    };
+
+    // Kept on the middleware so the OpenAPI document can describe conditional requests
+    middleware.cache = true;
+    return middleware;
+};
+
+module.exports = { cacheCatalog };
@@ -0,0 +1,77 @@
+const multer = require('multer');
+const { logger } = require('../logger');
+
+// Machine-readable codes for error responses that do not set their own
+const STATUS_CODES = {
+    400: 'bad_request',
+    401: 'unauthorized',
+    403: 'forbidden',
+    404: 'not_found',
+    409: 'conflict',
+    413: 'payload_too_large',
+    423: 'locked',
+    429: 'too_many_requests',
+    500: 'internal_error',
+    503: 'service_unavailable',
+};
+
+// Helper Function: Pick the default code for an HTTP status
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'internal_error' : 'bad_request');
+
+// Send an error in the standard envelope: `{ error, code, details?, request_id }`
+const sendError = (req, res, status, code, message, details) => {
+    const body = { error: message, code };
+    if (details) {
+        body.details = details;
+    }
+
+    return res.status(status).json(body);
+};
+
+// Middleware: Give every JSON error response the same envelope
+// Routes keep responding with `{ error: '...' }`; the code and request ID are filled in here
+const errorEnvelope = (req, res, next) => {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body)) {
+            const { error, message, code, ...rest } = body;
+            return json({
+                ...rest,
+                error: error || message || 'Request failed.',
+                code: code || codeForStatus(res.statusCode),
+                request_id: req.id,
+            });
+        }
+
+        return json(body);
+    };
+
+    next();
+};
+
+// Middleware: Respond to unknown routes
+const notFound = (req, res) => {
+    sendError(req, res, 404, 'route_not_found', `Route ${req.method} ${req.path} not found.`);
+};
+
+// Middleware: Turn errors thrown by body parsers, uploads and routes into the standard envelope
+const errorHandler = (err, req, res, next) => {
+    if (err.type === 'entity.parse.failed') {
+        return sendError(req, res, 400, 'invalid_json', 'Request body is not valid JSON.');
+    }
+
+    if (err.type === 'entity.too.large') {
+        return sendError(req, res, 413, 'payload_too_large', 'Request body is too large.');
+    }
+
+    if (err instanceof multer.MulterError) {
+        const details = err.field ? [{ location: 'body', field: err.field, message: err.message }] : undefined;
+        return sendError(req, res, 400, 'invalid_upload', err.message, details);
+    }
+
+    logger.error('Unhandled Error', { err });
+    sendError(req, res, 500, 'internal_error', 'Internal server error.');
+};
+
+module.exports = { STATUS_CODES, sendError, errorEnvelope, notFound, errorHandler };
@@ -0,0 +1,118 @@
+const { superusers } = require('../repositories');
+const { logger } = require('../logger');
+
+// Staff roles and the permissions each one grants ('*' grants everything)
+const ROLES = {
+    admin: ['*'],
+    catalog_manager: ['catalog:write', 'inventory:read', 'inventory:write'],
+    order_fulfilment: ['orders:read', 'orders:update_status', 'messages:read', 'messages:reply', 'inventory:read'],
+    support_agent: ['orders:read', 'messages:read', 'messages:reply', 'accounts:unlock'],
+};
+
+// Every permission a route guard may declare
+const PERMISSIONS = [
+    'catalog:write',
+    'inventory:read',
+    'inventory:write',
+    'orders:read',
+    'orders:update_status',
+    'messages:read',
+    'messages:reply',
+    'roles:manage',
+    'sessions:manage',
+    'accounts:unlock',
+    'superusers:manage',
+    'mail:preview',
+];
+
+// Helper Function: Resolve the role names assigned to a superuser
+// Until the first role is assigned, every superuser is treated as an admin so existing accounts keep working
+const getSuperuserRoles = async (superuser_id) => {
+    const { data: superuser, error: superuserError } = await superusers.findById(superuser_id);
+
+    // Invited and disabled superusers hold no permissions (legacy rows have no status and are active)
+    if (superuserError || !superuser || (superuser.status && superuser.status !== 'active')) {
+        return [];
+    }
+
+    const { data: assignments, error } = await superusers.listRoleAssignments(superuser_id);
+
+    if (error) {
+        throw new Error(`Failed to load roles: ${error.message}`);
+    }
+
+    if (assignments && assignments.length > 0) {
+        return assignments.map((assignment) => assignment.role).filter((role) => ROLES[role]);
+    }
+
+    const { count, error: countError } = await superusers.countRoleAssignments();
+
+    if (countError) {
+        throw new Error(`Failed to load roles: ${countError.message}`);
+    }
+
+    return count === 0 ? ['admin'] : [];
+};
+
+// Helper Function: List the active superusers holding a permission (e.g. to alert the staff concerned)
+const listPermissionHolders = async (permission) => {
+    const { data: accounts, error } = await superusers.list('id, email, status');
+
+    if (error) {
+        throw new Error(`Failed to load superusers: ${error.message}`);
+    }
+
+    const holders = [];
+    for (const superuser of accounts) {
+        const permissions = (await getSuperuserRoles(superuser.id)).flatMap((role) => ROLES[role]);
+        if (permissions.includes('*') || permissions.includes(permission)) {
+            holders.push(superuser);
+        }
+    }
+
+    return holders;
+};
+
+// Helper Function: Resolve (and cache on the request) the caller's effective permissions
+const getPermissions = async (req) => {
+    if (req.permissions) {
+        return req.permissions;
+    }
+
+    if (!req.user?.is_superuser) {
+        req.permissions = [];
+        return req.permissions;
+    }
+
+    const roles = await getSuperuserRoles(req.user.id);
+    req.permissions = [...new Set(roles.flatMap((role) => ROLES[role]))];
+    return req.permissions;
+};
+
+// Helper Function: Check whether the caller holds a permission
+const hasPermission = async (req, permission) => {
+    const permissions = await getPermissions(req);
+    return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Middleware: Require the authenticated caller to hold a permission
+// The permission is kept on the middleware so the OpenAPI document can list it
+const requirePermission = (permission) => {
+    const middleware = async (req, res, next) => {
+        try {
+            if (!(await hasPermission(req, permission))) {
+                return res.status(403).json({ error: `Missing required permission: ${permission}.` });
+            }
+
+            next();
+        } catch (err) {
+            logger.error('Permission Check Error', { err });
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    };
+
+    middleware.permission = permission;
+    return middleware;
+};
+
+module.exports = { ROLES, PERMISSIONS, getSuperuserRoles, listPermissionHolders, hasPermission, requirePermission };
@@ -0,0 +1,130 @@
+const jwt = require('jsonwebtoken');
+const { getBearerToken } = require('./authenticate');
+const { getStore } = require('../services/rateLimitStore');
+const { logger } = require('../logger');
+
+// Rate limit policies (overridable through the environment)
+// `auth` covers the credential and code endpoints and is counted per IP, since callers are not signed in yet;
+// `refresh` covers token refreshes and is counted per session, so one client refreshing cannot use up the
+// login budget of everyone behind its IP; `write` and `read` cover everything else and are counted per user
+// when a valid token is sent, otherwise per IP
+const POLICIES = {
+    auth: {
+        max: parseInt(process.env.RATE_LIMIT_AUTH_MAX, 10) || 20,
+        windowSeconds: parseInt(process.env.RATE_LIMIT_AUTH_WINDOW_SECONDS, 10) || 15 * 60,
+        keyBy: 'ip',
+    },
+    refresh: {
+        max: parseInt(process.env.RATE_LIMIT_REFRESH_MAX, 10) || 30,
+        windowSeconds: parseInt(process.env.RATE_LIMIT_REFRESH_WINDOW_SECONDS, 10) || 15 * 60,
+        keyBy: 'session',
+    },
+    write: {
+        max: parseInt(process.env.RATE_LIMIT_WRITE_MAX, 10) || 60,
+        windowSeconds: parseInt(process.env.RATE_LIMIT_WRITE_WINDOW_SECONDS, 10) || 60,
+        keyBy: 'user',
+    },
+    read: {
+        max: parseInt(process.env.RATE_LIMIT_READ_MAX, 10) || 300,
+        windowSeconds: parseInt(process.env.RATE_LIMIT_READ_WINDOW_SECONDS, 10) || 60,
+        keyBy: 'user',
+    },
+};
+
+// Methods counted against the read policy; every other method counts as a write
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Refresh tokens are '<session ID>.<secret>'; the session ID stays the same as they rotate
+const SESSION_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper to identify the caller: the account in a valid access token, or the session of the refresh token
+// in the body, otherwise the client IP
+// Neither is checked against the sessions here; authenticate() and the refresh itself still reject revoked ones
+const identify = (req, keyBy) => {
+    if (keyBy === 'session') {
+        const sessionId = String(req.body?.refresh_token || '').split('.')[0];
+        if (SESSION_ID_PATTERN.test(sessionId)) {
+            return `session:${sessionId.toLowerCase()}`;
+        }
+    }
+
+    const token = keyBy === 'user' && getBearerToken(req);
+
+    if (token) {
+        try {
+            const payload = jwt.verify(token, process.env.JWT_SECRET);
+            return `${payload.is_superuser === true ? 'superuser' : 'user'}:${payload.id}`;
+        } catch {
+            // Invalid or expired tokens are counted by IP
+        }
+    }
+
+    return `ip:${req.ip}`;
+};
+
+// Helper to set the RateLimit-* headers; when several policies apply, the one closest to its limit is reported
+const setHeaders = (res, policy, remaining, resetSeconds) => {
+    const reported = res.get('RateLimit-Remaining');
+    if (reported !== undefined && Number(reported) < remaining) {
+        return;
+    }
+
+    res.set({
+        'RateLimit-Limit': String(policy.max),
+        'RateLimit-Remaining': String(remaining),
+        'RateLimit-Reset': String(resetSeconds),
+        'RateLimit-Policy': `${policy.max};w=${policy.windowSeconds}`,
+    });
+};
+
+// Middleware factory: Limit requests under a named policy ('auth', 'refresh', 'write' or 'read'),
+// or a custom `{ name, max, windowSeconds, keyBy }` policy; `store` overrides the shared store
+const rateLimit = (policy, { store } = {}) => {
+    const settings = typeof policy === 'string' ? POLICIES[policy] : policy;
+    const name = typeof policy === 'string' ? policy : policy?.name;
+
+    if (!settings || !name) {
+        throw new Error(`Unknown rate limit policy '${policy}'.`);
+    }
+
+    const middleware = async (req, res, next) => {
+        const key = `${name}:${identify(req, settings.keyBy)}`;
+
+        let hit;
+        try {
+            hit = await (store || getStore()).increment(key, settings.windowSeconds * 1000);
+        } catch (err) {
+            // An unreachable store should not take the API down with it
+            logger.warn('Rate limit store unavailable; request allowed', { err, policy: name });
+            return next();
+        }
+
+        const resetSeconds = Math.max(1, Math.ceil((hit.resetAt.getTime() - Date.now()) / 1000));
+        const remaining = Math.max(0, settings.max - hit.count);
+        setHeaders(res, settings, remaining, resetSeconds);
+
+        if (hit.count > settings.max) {
+            logger.warn('Rate limit exceeded', { policy: name, key });
+            res.set('Retry-After', String(resetSeconds));
+            return res.status(429).json({ error: `Too many requests. Please try again in ${resetSeconds} seconds.` });
+        }
+
+        next();
+    };
+
+    // Kept on the middleware so the OpenAPI document can list the 429 response
+    middleware.rateLimit = name;
+    return middleware;
+};
+
+const limitReads = rateLimit('read');
+const limitWrites = rateLimit('write');
+
+// Middleware: Count reads against the read policy and everything else against the write policy
+const rateLimitByMethod = (req, res, next) => {
+    const limit = READ_METHODS.includes(req.method) ? limitReads : limitWrites;
+    return limit(req, res, next);
+};
+rateLimitByMethod.rateLimit = 'read/write';
+
+module.exports = { POLICIES, rateLimit, rateLimitByMethod };
@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+const { runWithContext } = require('../logger');
+
+// Incoming request IDs are reused only when they are short and free of odd characters
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Middleware: Tag every request with an ID (reusing a sane `X-Request-Id` from the client or proxy)
+// The rest of the request runs inside a logging context so every log line carries the ID
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+    res.set('X-Request-Id', req.id);
+    runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestId };
@@ -0,0 +1,88 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+const { sendError } = require('./errors');
+
+// Parts of the request a route can declare a schema for
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Query strings, path segments and multipart fields arrive as strings, so types are coerced;
+// schema defaults (e.g. a page size) are filled in
+const ajv = new Ajv({ allErrors: true, coerceTypes: true, useDefaults: true });
+addFormats(ajv, ['email', 'uuid', 'date-time']);
+
+// Helper Function: Turn an Ajv instance path ('/items/0/quantity') into a field name ('items[0].quantity')
+const toFieldName = (instancePath, missingProperty) => {
+    const segments = instancePath.split('/').filter(Boolean);
+    if (missingProperty) {
+        segments.push(missingProperty);
+    }
+
+    return segments.reduce((field, segment) => {
+        if (/^\d+$/.test(segment)) {
+            return `${field}[${segment}]`;
+        }
+
+        return field ? `${field}.${segment}` : segment;
+    }, '');
+};
+
+// Helper Function: Describe a single Ajv error for clients
+const toDetail = (location, error) => {
+    const field = toFieldName(error.instancePath, error.params.missingProperty);
+
+    let message = error.message;
+    if (error.keyword === 'required') {
+        message = 'is required';
+    } else if (error.keyword === 'enum') {
+        message = `must be one of: ${error.params.allowedValues.join(', ')}`;
+    }
+
+    return { location, field: field || location, message };
+};
+
+// Middleware factory: Validate `params`, `query` and `body` against JSON Schemas
+// The schemas are kept on the middleware so documentation can be generated from them
+const validate = (schemas) => {
+    const validators = LOCATIONS.filter((location) => schemas[location]).map((location) => [
+        location,
+        ajv.compile(schemas[location]),
+    ]);
+
+    const middleware = (req, res, next) => {
+        const details = [];
+
+        for (const [location, check] of validators) {
+            if (!check(req[location] || {})) {
+                details.push(...check.errors.map((error) => toDetail(location, error)));
+            }
+        }
+
+        if (details.length > 0) {
+            return sendError(req, res, 400, 'validation_failed', 'Request validation failed.', details);
+        }
+
+        next();
+    };
+
+    middleware.schemas = schemas;
+    return middleware;
+};
+
+// Middleware factory: Parse body fields that multipart forms send as JSON strings (e.g. '[1, 2]')
+// Unparseable values are left as they are, so validation reports them instead of the route throwing
+const parseJsonFields = (...fields) => (req, res, next) => {
+    for (const field of fields) {
+        const value = req.body?.[field];
+        if (typeof value === 'string') {
+            try {
+                req.body[field] = JSON.parse(value);
+            } catch (err) {
+                // Keep the raw string for the schema to reject
+            }
+        }
+    }
+
+    next();
+};
+
+module.exports = { validate, parseJsonFields };
@@ -0,0 +1,39 @@
+// Middleware for running the v1 and v2 APIs side by side
+
+// Middleware factory: Mark a v1 route as superseded by a v2 route (e.g. 'GET /api/v2/products/{id}')
+// Responses carry a `Deprecation` header, a link to the docs and, when API_V1_SUNSET is set, a `Sunset` date.
+// The successor is kept on the middleware so the OpenAPI document can point to it.
+const deprecated = (successor) => {
+    const middleware = (req, res, next) => {
+        res.set('Deprecation', 'true');
+        res.append('Link', '</api/docs>; rel="deprecation"');
+
+        if (process.env.API_V1_SUNSET) {
+            res.set('Sunset', new Date(process.env.API_V1_SUNSET).toUTCString());
+        }
+
+        next();
+    };
+
+    middleware.deprecation = { successor };
+    return middleware;
+};
+
+// Middleware factory: Copy request values to where a shared handler expects them
+// e.g. mapInput({ 'body.product_id': 'params.id' }) lets a handler that reads the body serve GET /products/:id
+const mapInput = (mapping) => (req, res, next) => {
+    for (const [target, source] of Object.entries(mapping)) {
+        const [sourceLocation, sourceField] = source.split('.');
+        const [targetLocation, targetField] = target.split('.');
+        const value = req[sourceLocation]?.[sourceField];
+
+        if (value !== undefined) {
+            req[targetLocation] = req[targetLocation] || {};
+            req[targetLocation][targetField] = value;
+        }
+    }
+
+    next();
+};
+
+module.exports = { deprecated, mapInput };
@@ -0,0 +1,411 @@
+// Response shapes shared by the OpenAPI document (JSON Schema, as OpenAPI 3.1 uses it)
+const { ROLES, PERMISSIONS } = require('../middleware/permissions');
+const { MOVEMENT_TYPES } = require('../services/inventory');
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = (schema) => ({ type: 'array', items: schema });
+const timestamp = { type: 'string', format: 'date-time' };
+const nullable = (schema) => ({ anyOf: [schema, { type: 'null' }] });
+const uuid = { type: 'string', format: 'uuid' };
+
+const schemas = {
+    Error: {
+        type: 'object',
+        description: 'Every error response uses this envelope.',
+        properties: {
+            error: { type: 'string', description: 'Human-readable message.' },
+            code: { type: 'string', description: 'Machine-readable code, e.g. validation_failed or not_found.' },
+            details: arrayOf({
+                type: 'object',
+                properties: {
+                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                    field: { type: 'string', example: 'items[0].quantity' },
+                    message: { type: 'string', example: 'must be >= 1' },
+                },
+            }),
+            request_id: { type: 'string', description: 'Also sent as the X-Request-Id header.' },
+        },
+        required: ['error', 'code', 'request_id'],
+    },
+    Message: {
+        type: 'object',
+        properties: { message: { type: 'string' } },
+        required: ['message'],
+    },
+    User: {
+        type: 'object',
+        properties: { id: uuid, email: { type: 'string', format: 'email' }, username: { type: 'string' } },
+    },
+    Tokens: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            token: { type: 'string', description: 'Short-lived access token (JWT); send as `Authorization: Bearer <token>`.' },
+            refresh_token: { type: 'string', description: 'Single-use token for POST /token/refresh.' },
+            expires_in: { type: 'string', example: '15m' },
+        },
+        required: ['token', 'refresh_token', 'expires_in'],
+    },
+    UserLogin: {
+        allOf: [ref('Tokens'), { type: 'object', properties: { user: ref('User') } }],
+    },
+    SuperuserLogin: {
+        allOf: [
+            ref('Tokens'),
+            {
+                type: 'object',
+                properties: {
+                    user: {
+                        type: 'object',
+                        properties: {
+                            id: { type: 'string' },
+                            email: { type: 'string', format: 'email' },
+                            username: { type: 'string' },
+                            is_superuser: { const: true },
+                            roles: arrayOf({ type: 'string', enum: Object.keys(ROLES) }),
+                            permissions: arrayOf({ type: 'string', enum: ['*', ...PERMISSIONS] }),
+                        },
+                    },
+                },
+            },
+        ],
+    },
+    TwoFactorChallenge: {
+        type: 'object',
+        properties: {
+            message: { type: 'string' },
+            two_factor_required: { const: true },
+            challenge_token: { type: 'string', description: 'Send to POST /superuser-login/verify-2fa with the code.' },
+        },
+        required: ['two_factor_required', 'challenge_token'],
+    },
+    Category: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, name: { type: 'string' }, created_at: timestamp },
+    },
+    Size: {
+        type: 'object',
+        properties: { id: { type: 'integer' }, size_name: { type: 'string' }, created_at: timestamp },
+    },
+    Product: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            description: { type: 'string' },
+            price: { type: 'number' },
+            is_discounted: { type: 'boolean' },
+            discount_percentage: nullable({ type: 'number' }),
+            images: arrayOf({ type: 'string', format: 'uri' }),
+            stock_quantity: { type: 'integer' },
+            low_stock_threshold: nullable({ type: 'integer', description: 'Null uses the store default (LOW_STOCK_THRESHOLD).' }),
+            created_at: timestamp,
+        },
+    },
+    Variant: {
+        type: 'object',
+        description: 'A size of a product, with its own SKU, stock and optional price.',
+        properties: {
+            size_id: { type: 'integer' },
+            size_name: nullable({ type: 'string' }),
+            sku: { type: 'string' },
+            stock_quantity: { type: 'integer' },
+            price_override: nullable({ type: 'number', description: 'Replaces the product price for this size.' }),
+            effective_price: { type: 'number', description: 'Price of this size after the product discount.' },
+        },
+    },
+    ProductWithVariants: {
+        allOf: [ref('Product'), { type: 'object', properties: { variants: arrayOf(ref('Variant')) } }],
+    },
+    ProductListing: {
+        allOf: [
+            ref('Product'),
+            {
+                type: 'object',
+                properties: {
+                    category: arrayOf({ type: 'object', properties: { name: { type: 'string' } } }),
+                    category_ids: arrayOf({ type: 'integer' }),
+                    size_ids: arrayOf({ type: 'integer' }),
+                    effective_price: { type: 'number', description: 'Price after the discount.' },
+                    average_rating: nullable({ type: 'number' }),
+                    review_count: { type: 'integer' },
+                },
+            },
+        ],
+    },
+    Pagination: {
+        type: 'object',
+        properties: {
+            total: { type: 'integer', description: 'Products matching the filters, across all pages.' },
+            limit: nullable({ type: 'integer' }),
+            page: nullable({ type: 'integer', description: 'Null when paging by cursor.' }),
+            next_page: nullable({ type: 'integer' }),
+            next_cursor: nullable({ type: 'string', description: 'Pass as `cursor` to fetch the next page.' }),
+        },
+    },
+    ProductPage: {
+        type: 'object',
+        properties: { message: { type: 'string' }, products: arrayOf(ref('ProductListing')), pagination: ref('Pagination') },
+    },
+    ProductSearchResults: {
+        type: 'object',
+        properties: {
+            query: { type: 'string' },
+            products: arrayOf({
+                allOf: [ref('ProductListing'), { type: 'object', properties: { relevance: { type: 'number' } } }],
+            }),
+            pagination: ref('Pagination'),
+            facets: {
+                type: 'object',
+                description: 'Counts over every match; each facet ignores its own filter.',
+                properties: {
+                    categories: arrayOf({ type: 'object', properties: { id: { type: 'integer' }, name: { type: 'string' }, count: { type: 'integer' } } }),
+                    sizes: arrayOf({ type: 'object', properties: { id: { type: 'integer' }, size_name: { type: 'string' }, count: { type: 'integer' } } }),
+                    price_ranges: arrayOf({
+                        type: 'object',
+                        properties: { min: { type: 'number' }, max: nullable({ type: 'number' }), count: { type: 'integer' } },
+                    }),
+                    availability: { type: 'object', properties: { in_stock: { type: 'integer' }, out_of_stock: { type: 'integer' } } },
+                },
+            },
+            suggestions: arrayOf({ type: 'string', description: 'The query with its last word completed or corrected.' }),
+        },
+    },
+    StockMovement: {
+        type: 'object',
+        description: 'An entry in the stock ledger: why the stock of a product (or one of its sizes) changed.',
+        properties: {
+            id: { type: 'integer' },
+            product_id: { type: 'integer' },
+            size_id: nullable({ type: 'integer' }),
+            type: { type: 'string', enum: MOVEMENT_TYPES },
+            quantity: { type: 'integer', description: 'Units moved in (positive) or out (negative).' },
+            balance_after: { type: 'integer', description: 'Stock left after the movement.' },
+            reason: nullable({ type: 'string' }),
+            order_id: nullable({ type: 'integer', description: 'The order behind a sale or cancellation.' }),
+            actor_id: nullable({ type: 'string', description: 'Superuser who recorded the movement.' }),
+            created_at: timestamp,
+        },
+    },
+    StockItem: {
+        type: 'object',
+        description: 'A product without sizes, or one size of a product, with its stock.',
+        properties: {
+            product_id: { type: 'integer' },
+            size_id: nullable({ type: 'integer' }),
+            title: { type: 'string' },
+            size_name: nullable({ type: 'string' }),
+            sku: nullable({ type: 'string' }),
+            stock_quantity: { type: 'integer' },
+        },
+    },
+    CartItem: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            product_id: { type: 'integer' },
+            size_id: nullable({ type: 'integer' }),
+            quantity: { type: 'integer' },
+            added_at: timestamp,
+            products: ref('Product'),
+            sizes: nullable(ref('Size')),
+        },
+    },
+    OrderItem: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            order_id: { type: 'integer' },
+            product_id: { type: 'integer' },
+            size_id: nullable({ type: 'integer' }),
+            quantity: { type: 'integer' },
+        },
+    },
+    Order: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            user_id: uuid,
+            order_status: { type: 'string', example: 'Pending' },
+            created_at: timestamp,
+            orderitems: arrayOf(ref('OrderItem')),
+        },
+    },
+    OrderMessage: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            order_id: { type: 'integer' },
+            sender: { type: 'string', enum: ['user', 'superuser'] },
+            message: { type: 'string' },
+            created_at: timestamp,
+        },
+    },
+    Reply: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            review_id: { type: 'integer' },
+            product_id: { type: 'integer' },
+            user_id: uuid,
+            username: { type: 'string' },
+            reply: { type: 'string' },
+            created_at: timestamp,
+        },
+    },
+    Review: {
+        type: 'object',
+        properties: {
+            id: { type: 'integer' },
+            product_id: { type: 'integer' },
+            user_id: uuid,
+            username: { type: 'string' },
+            rating: { type: 'integer', minimum: 1, maximum: 5 },
+            feedback: { type: 'string' },
+            created_at: timestamp,
+            replies: arrayOf(ref('Reply')),
+        },
+    },
+    UserDetails: {
+        type: 'object',
+        properties: {
+            user: ref('User'),
+            reviews: arrayOf(ref('Review')),
+            replies: arrayOf(ref('Reply')),
+            messages: arrayOf(ref('OrderMessage')),
+            orders: arrayOf(ref('Order')),
+        },
+    },
+    AccountExport: {
+        type: 'object',
+        properties: {
+            exported_at: timestamp,
+            account: {
+                type: 'object',
+                properties: {
+                    id: uuid,
+                    email: { type: 'string', format: 'email' },
+                    username: nullable({ type: 'string' }),
+                    email_verified: { type: 'boolean' },
+                    created_at: timestamp,
+                },
+            },
+            profile: ref('User'),
+            orders: arrayOf(ref('Order')),
+            messages: arrayOf(ref('OrderMessage')),
+            cart: arrayOf(ref('CartItem')),
+            reviews: arrayOf(ref('Review')),
+            replies: arrayOf(ref('Reply')),
+        },
+    },
+    Session: {
+        type: 'object',
+        properties: {
+            id: uuid,
+            subject_type: { type: 'string', enum: ['user', 'superuser'] },
+            subject_id: { type: 'string' },
+            user_agent: nullable({ type: 'string' }),
+            ip_address: nullable({ type: 'string' }),
+            created_at: timestamp,
+            last_used_at: timestamp,
+            expires_at: timestamp,
+        },
+    },
+    Lockout: {
+        type: 'object',
+        properties: {
+            key: { type: 'string', description: 'The account or IP address, e.g. account:user:shopper@example.com or ip:203.0.113.7.' },
+            subject_type: { type: 'string', enum: ['user', 'superuser', 'ip'] },
+            failures: { type: 'integer' },
+            last_failure_at: timestamp,
+            locked_until: timestamp,
+        },
+    },
+    Superuser: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            email: { type: 'string', format: 'email' },
+            username: nullable({ type: 'string' }),
+            status: { type: 'string', enum: ['invited', 'active', 'disabled'] },
+            totp_enabled: { type: 'boolean' },
+            invited_by: nullable({ type: 'string' }),
+            created_at: timestamp,
+        },
+    },
+    RoleAssignment: {
+        type: 'object',
+        properties: {
+            superuser_id: { type: 'string' },
+            role: { type: 'string', enum: Object.keys(ROLES) },
+            assigned_by: nullable({ type: 'string' }),
+            created_at: timestamp,
+        },
+    },
+    MailTemplate: {
+        type: 'object',
+        properties: {
+            name: { type: 'string' },
+            description: { type: 'string' },
+            variables: arrayOf({ type: 'string' }),
+            sample: { type: 'object', additionalProperties: true },
+        },
+    },
+    RenderedEmail: {
+        type: 'object',
+        properties: {
+            template: { type: 'string' },
+            subject: { type: 'string' },
+            text: { type: 'string' },
+            html: { type: 'string' },
+        },
+    },
+    DependencyCheck: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ok', 'error'] },
+            latency_ms: { type: 'integer' },
+            error: { type: 'string' },
+        },
+    },
+    Readiness: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['ready', 'unavailable', 'shutting_down'] },
+            checks: {
+                type: 'object',
+                properties: {
+                    data_store: ref('DependencyCheck'),
+                    storage: ref('DependencyCheck'),
+                    mail: ref('DependencyCheck'),
+                },
+            },
+        },
+    },
+};
+
+// Error responses, keyed by status
+const ERROR_DESCRIPTIONS = {
+    400: 'The request is invalid (`validation_failed` lists every offending field).',
+    401: 'Authentication is missing, invalid or expired.',
+    403: 'The caller lacks the required permission.',
+    404: 'The resource does not exist.',
+    409: 'The request conflicts with the current state.',
+    423: 'The account is temporarily locked after repeated failures.',
+    429: 'Too many requests; see the Retry-After header.',
+    500: 'Unexpected server error.',
+    503: 'A dependency is unavailable.',
+};
+
+const responses = Object.fromEntries(
+    Object.entries(ERROR_DESCRIPTIONS).map(([status, description]) => [
+        `Error${status}`,
+        { description, content: { 'application/json': { schema: ref('Error') } } },
+    ])
+);
+
+const securitySchemes = {
+    bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+};
+
+module.exports = { schemas, responses, securitySchemes, ref, arrayOf, ERROR_DESCRIPTIONS };
@@ -0,0 +1,154 @@
+// OpenAPI 3.1 document for the API, assembled from the live routes:
+// paths and methods come from the Express app, request schemas from validate() middleware,
+// security from authenticate/requirePermission, deprecation from deprecated(), 429 responses
+// from rateLimit(), conditional requests from cacheCatalog(), and summaries and responses from operations.js.
+const { version } = require('../package.json');
+const { authenticate } = require('../middleware/authenticate');
+const { listRoutes } = require('./routes');
+const operations = require('./operations');
+const { schemas, responses, securitySchemes, ref } = require('./components');
+
+// Key used by operations.js for a route
+const operationKey = (method, path) => `${method.toUpperCase()} ${path}`;
+
+// 'POST /api/products/fetch' -> 'postApiProductsFetch'
+const operationId = (method, path) => {
+    const words = path.split(/[^A-Za-z0-9]+/).filter(Boolean);
+    return method + words.map((word) => word[0].toUpperCase() + word.slice(1)).join('');
+};
+
+// Turn a validated `params` or `query` object schema into OpenAPI parameters
+const toParameters = (schema, location) => {
+    if (!schema) return [];
+
+    const required = schema.required || [];
+    return Object.entries(schema.properties || {}).map(([name, property]) => ({
+        name,
+        in: location,
+        required: location === 'path' || required.includes(name),
+        schema: property,
+    }));
+};
+
+// Success responses from operations.js: a component name, an inline schema or a full response object
+const toResponse = (value) => {
+    if (typeof value === 'string') {
+        return { description: 'Success.', content: { 'application/json': { schema: ref(value) } } };
+    }
+
+    if (value.description) return value;
+    return { description: 'Success.', content: { 'application/json': { schema: value } } };
+};
+
+// Build one operation from the route's middleware chain and its entry in operations.js
+const buildOperation = ({ method, path, middleware }, doc) => {
+    const validators = middleware.filter((handler) => handler.schemas);
+    const requestSchemas = Object.assign({}, ...validators.map((handler) => handler.schemas));
+    const permissions = middleware.filter((handler) => handler.permission).map((handler) => handler.permission);
+    const authenticated = middleware.includes(authenticate);
+    const deprecation = middleware.find((handler) => handler.deprecation)?.deprecation;
+    const rateLimited = middleware.some((handler) => handler.rateLimit);
+    const conditional = method === 'get' && middleware.some((handler) => handler.cache);
+
+    const operation = {
+        tags: [doc.tag],
+        summary: doc.summary,
+        operationId: operationId(method, path),
+    };
+
+    const notes = [
+        deprecation && `Deprecated: use \`${deprecation.successor}\` instead.`,
+        doc.description,
+        permissions.length > 0 && `Requires permission: \`${permissions.join('`, `')}\`.`,
+    ].filter(Boolean);
+    if (notes.length > 0) {
+        operation.description = notes.join('\n\n');
+    }
+
+    const parameters = [...toParameters(requestSchemas.params, 'path'), ...toParameters(requestSchemas.query, 'query')];
+    if (conditional) {
+        parameters.push({
+            name: 'If-None-Match',
+            in: 'header',
+            description: 'ETag of a cached copy; answered with 304 when it is still current.',
+            schema: { type: 'string' },
+        });
+    }
+    if (parameters.length > 0) {
+        operation.parameters = parameters;
+    }
+
+    if (requestSchemas.body) {
+        const body = requestSchemas.body;
+        const mediaType = doc.multipart
+            ? { 'multipart/form-data': { schema: { ...body, properties: { ...body.properties, ...doc.multipart } } } }
+            : { 'application/json': { schema: body } };
+        operation.requestBody = { required: (body.required || []).length > 0, content: mediaType };
+    }
+
+    if (authenticated) {
+        operation.security = [{ bearerAuth: [] }];
+    }
+
+    if (permissions.length > 0) {
+        operation['x-permissions'] = permissions;
+    }
+
+    if (deprecation) {
+        operation.deprecated = true;
+    }
+
+    // Error responses implied by the middleware, plus the ones the route itself documents
+    const errorStatuses = new Set(doc.errors || []);
+    if (validators.length > 0) errorStatuses.add(400);
+    if (authenticated) errorStatuses.add(401);
+    if (permissions.length > 0) errorStatuses.add(403);
+    if (rateLimited) errorStatuses.add(429);
+    errorStatuses.add(500);
+
+    operation.responses = Object.fromEntries(
+        Object.entries(doc.responses).map(([status, value]) => [status, toResponse(value)])
+    );
+    if (conditional) {
+        operation.responses[304] = { description: 'Not modified since the ETag sent in If-None-Match.' };
+    }
+    for (const status of [...errorStatuses].sort()) {
+        if (!operation.responses[status]) {
+            operation.responses[status] = { $ref: `#/components/responses/Error${status}` };
+        }
+    }
+
+    return operation;
+};
+
+// Build the document for `app`; routes without an entry in operations.js are left out (and fail the test suite)
+const buildSpec = (app) => {
+    const paths = {};
+    const tags = [];
+
+    for (const route of listRoutes(app)) {
+        const doc = operations[operationKey(route.method, route.path)];
+        if (!doc) continue;
+
+        paths[route.path] = paths[route.path] || {};
+        paths[route.path][route.method] = buildOperation(route, doc);
+
+        if (!tags.includes(doc.tag)) tags.push(doc.tag);
+    }
+
+    return {
+        openapi: '3.1.0',
+        info: {
+            title: 'Retail Backend API',
+            version,
+            description: 'Errors use the `Error` envelope and every response carries an `X-Request-Id` header. '
+                + 'Rate-limited routes send `RateLimit-*` headers, and `Retry-After` with 429 responses.',
+        },
+        servers: [{ url: '/' }],
+        tags: tags.map((name) => ({ name })),
+        paths,
+        components: { schemas, responses, securitySchemes },
+    };
+};
+
+module.exports = { buildSpec, operationKey, operations };
@@ -0,0 +1,431 @@
+// Hand-written part of the OpenAPI document: one entry per route, keyed by 'METHOD /path'
+// Request schemas are not repeated here; they come from each route's validate() middleware.
+// `responses` maps a success status to a component name, an inline schema or a full response object;
+// `errors` lists error statuses beyond those implied by the middleware (400, 401, 403 and 500).
+const { arrayOf, ref } = require('./components');
+
+const op = (tag, summary, responses, extra = {}) => ({ tag, summary, responses, ...extra });
+
+// Many routes answer with a message plus one named field
+const withMessage = (field, schema) => ({
+    type: 'object',
+    properties: { message: { type: 'string' }, [field]: schema },
+});
+
+// Routes that read data over POST keep doing so for existing clients
+const POST_READ = 'Read-only despite the POST method; kept for existing clients.';
+
+// Product listings share their query parameters
+const LISTING = 'Filter, sort and paginate with the query parameters; page with `page` and `limit`, or with `cursor` and `limit`.';
+
+const operations = {
+    // Health
+    'GET /healthz': op('Health', 'Liveness probe', {
+        200: { type: 'object', properties: { status: { const: 'ok' }, uptime_seconds: { type: 'integer' } } },
+    }),
+    'GET /readyz': op('Health', 'Readiness probe (data store, storage bucket and mail transport)', {
+        200: 'Readiness',
+        503: { description: 'A dependency is unavailable or the server is shutting down.', content: { 'application/json': { schema: ref('Readiness') } } },
+    }),
+
+    // Docs
+    'GET /api/docs/openapi.json': op('Docs', 'This OpenAPI document', {
+        200: { description: 'OpenAPI 3.1 document.', content: { 'application/json': { schema: { type: 'object' } } } },
+    }),
+    'GET /api/docs': op('Docs', 'Interactive API documentation', {
+        200: { description: 'Swagger UI page.', content: { 'text/html': { schema: { type: 'string' } } } },
+    }),
+
+    // Auth
+    'POST /signup': op('Auth', 'Create a shopper account and email a verification code', {
+        200: withMessage('user', ref('User')),
+    }, { errors: [429] }),
+    'POST /login': op('Auth', 'Log in with email and password', { 200: 'UserLogin' }, { errors: [401, 423, 429] }),
+    'POST /login-otp/request': op('Auth', 'Email a passwordless login code', { 200: 'Message' }, {
+        description: 'Always answers the same way whether or not the account exists.',
+        errors: [429],
+    }),
+    'POST /login-otp/verify': op('Auth', 'Log in with an emailed login code', { 200: 'UserLogin' }, { errors: [401, 429] }),
+    'POST /superuser-login': op('Auth', 'Log in as a superuser', {
+        200: { oneOf: [ref('SuperuserLogin'), ref('TwoFactorChallenge')] },
+    }, {
+        description: 'When two-factor authentication is enabled, a challenge token is returned instead of tokens.',
+        errors: [401, 403, 423, 429],
+    }),
+    'POST /superuser-login/verify-2fa': op('Auth', 'Complete a superuser login with an authenticator or recovery code', {
+        200: 'SuperuserLogin',
+    }, { errors: [401, 423, 429] }),
+    'POST /request-password-reset-otp': op('Auth', 'Email a password reset code', { 200: 'Message' }, { errors: [429] }),
+    'POST /reset-password-with-otp': op('Auth', 'Reset a password with an emailed code', { 200: 'Message' }, {
+        description: 'Signs the account out on every device.',
+        errors: [404, 429],
+    }),
+    'POST /verify-email-with-otp': op('Auth', 'Verify an email address with an emailed code', { 200: 'Message' }, { errors: [404, 429] }),
+    'POST /resend-otp': op('Auth', 'Resend a verification or password reset code', { 200: 'Message' }, { errors: [429] }),
+    'POST /token/refresh': op('Auth', 'Exchange a refresh token for a new token pair', { 200: 'Tokens' }, { errors: [401] }),
+    'POST /logout': op('Auth', 'End the current session', { 200: 'Message' }),
+    'POST /logout-all': op('Auth', 'End every session of the caller', { 200: 'Message' }),
+
+    // Products
+    'POST /api/products/add': op('Products', 'Add a product with up to five images', {
+        201: withMessage('product', ref('ProductWithVariants')),
+    }, {
+        multipart: { images: { type: 'array', items: { type: 'string', format: 'binary' }, maxItems: 5 } },
+        description: '`category_ids`, `size_ids` and `variants` may be sent as JSON arrays in form fields, e.g. `[1, 2]`. '
+            + 'Sizes from `size_ids` start without stock; `variants` sets the SKU, stock and price of each size.',
+        errors: [409],
+    }),
+    'POST /api/products/fetch': op('Products', 'Fetch a product', { 200: withMessage('product', ref('ProductWithVariants')) }, {
+        description: POST_READ,
+        errors: [404],
+    }),
+    'PUT /api/products/update': op('Products', 'Update a product and its categories and sizes', { 200: 'Message' }, {
+        description: 'Products with sizes keep their stock per size: change it through `variants`, not `stock_quantity`. '
+            + 'Stock changes are recorded in the stock ledger as adjustments.',
+        errors: [404, 409],
+    }),
+    'GET /api/products/list': op('Products', 'List products with their category names', {
+        200: {
+            description: 'Products matching the filters. Every match is returned unless `limit`, `page` or `cursor` is sent.',
+            headers: {
+                'X-Total-Count': { description: 'Products matching the filters, across all pages.', schema: { type: 'integer' } },
+                'X-Next-Page': { description: 'Next `page`, when there is one.', schema: { type: 'integer' } },
+                'X-Next-Cursor': { description: 'Next `cursor`, when there is one.', schema: { type: 'string' } },
+            },
+            content: { 'application/json': { schema: arrayOf(ref('ProductListing')) } },
+        },
+    }, { description: LISTING }),
+    'GET /api/products/search': op('Products', 'Search products by keywords, with facets and suggestions', { 200: 'ProductSearchResults' }, {
+        description: `Matches every word of \`q\` in titles (weighted higher) and descriptions, tolerating typos and word prefixes. ${LISTING}`,
+    }),
+
+    // Categories
+    'POST /api/categories/add': op('Categories', 'Add a category', { 201: withMessage('category', ref('Category')) }),
+    'GET /api/categories/list': op('Categories', 'List categories', { 200: arrayOf(ref('Category')) }),
+    'POST /api/categories/products': op('Categories', 'List the products in a category', { 200: 'ProductPage' }, {
+        description: `${POST_READ} ${LISTING}`,
+        errors: [404],
+    }),
+    'DELETE /api/categories/delete': op('Categories', 'Delete a category', { 200: 'Message' }, { errors: [404] }),
+
+    // Sizes
+    'POST /api/sizes/add': op('Sizes', 'Add a size', { 201: withMessage('size', ref('Size')) }),
+    'GET /api/sizes/list': op('Sizes', 'List sizes', { 200: arrayOf(ref('Size')) }),
+    'POST /api/sizes/products': op('Sizes', 'List the products available in a size', { 200: 'ProductPage' }, {
+        description: `${POST_READ} ${LISTING}`,
+        errors: [404],
+    }),
+    'DELETE /api/sizes/delete': op('Sizes', 'Delete a size', { 200: 'Message' }, {
+        description: 'Refused while any product still has stock in the size.',
+        errors: [404, 409],
+    }),
+
+    // Cart
+    'POST /api/cart/add': op('Cart', 'Add a product to the cart', { 201: withMessage('cart_item', ref('CartItem')) }, {
+        description: 'Products that come in sizes need a `size_id`; the cart cannot hold more of a size than is in stock.',
+        errors: [404, 409],
+    }),
+    'POST /api/cart/fetch': op('Cart', "List the caller's cart", { 200: withMessage('cart_items', arrayOf(ref('CartItem'))) }, {
+        description: POST_READ,
+    }),
+    'DELETE /api/cart/delete': op('Cart', 'Remove an item from the cart', {
+        200: withMessage('deleted_item', ref('CartItem')),
+    }, { errors: [404] }),
+    'POST /api/cart/place-order': op('Cart', 'Turn the cart into an order', {
+        201: {
+            type: 'object',
+            properties: { message: { type: 'string' }, order: ref('Order'), order_items: arrayOf(ref('OrderItem')) },
+        },
+    }, {
+        description: 'Takes the stock of every item at once: if any item is short, nothing is ordered and the cart is kept.',
+        errors: [404, 409],
+    }),
+
+    // Orders
+    'POST /api/orders': op('Orders', 'Create an order from a list of items', {
+        201: {
+            type: 'object',
+            properties: { message: { type: 'string' }, order: ref('Order'), items: arrayOf(ref('OrderItem')) },
+        },
+    }, {
+        description: 'Products that come in sizes need a `size_id`. The stock of every line is taken at once: '
+            + 'if any line is short, nothing is ordered.',
+        errors: [404, 409],
+    }),
+    'PUT /api/orders/status': op('Orders', 'Change the status of an order', {
+        200: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                order: ref('Order'),
+                restocked: arrayOf(ref('StockMovement')),
+                not_restocked: arrayOf({
+                    type: 'object',
+                    properties: {
+                        product_id: { type: 'integer' },
+                        size_id: { anyOf: [{ type: 'integer' }, { type: 'null' }] },
+                        quantity: { type: 'integer' },
+                        error: { type: 'string' },
+                    },
+                }),
+            },
+        },
+    }, {
+        description: 'The customer is emailed about the change. Cancelling (`Cancelled` or `Canceled`) puts the items back in stock, '
+            + 'listing the movements in `restocked` and any stock that could not be put back in `not_restocked`; '
+            + 'cancelling a cancelled order changes nothing, and a cancelled order cannot be reopened.',
+        errors: [404, 409],
+    }),
+    'POST /api/orders/user/orders': op('Orders', "List the caller's orders with their items", { 200: arrayOf(ref('Order')) }, {
+        description: POST_READ,
+        errors: [404],
+    }),
+    'GET /api/orders/all': op('Orders', 'List every order', { 200: withMessage('orders', arrayOf(ref('Order'))) }, { errors: [404] }),
+    'POST /api/orders/messages': op('Orders', 'Post a message on an order', {
+        201: withMessage('messageData', arrayOf(ref('OrderMessage'))),
+    }, {
+        description: 'Customers may message on their own orders; superusers need `messages:reply`.',
+        errors: [403, 404],
+    }),
+    'POST /api/orders/messages/fetch': op('Orders', 'List the messages on an order', { 200: arrayOf(ref('OrderMessage')) }, {
+        description: `${POST_READ} Customers may read their own orders; superusers need \`messages:read\`.`,
+        errors: [403, 404],
+    }),
+
+    // Inventory
+    'POST /api/inventory/movements': op('Inventory', 'Record a receipt, customer return or stock adjustment', {
+        201: withMessage('movement', ref('StockMovement')),
+    }, {
+        description: 'Receipts and returns add stock; adjustments may add or remove it and need a `reason`. '
+            + 'Products with sizes need a `size_id`. Stock never goes below zero.',
+        errors: [404, 409],
+    }),
+    'GET /api/inventory/movements': op('Inventory', 'List stock movements, newest first', {
+        200: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                movements: arrayOf(ref('StockMovement')),
+                pagination: {
+                    type: 'object',
+                    properties: { total: { type: 'integer' }, limit: { type: 'integer' }, page: { type: 'integer' }, next_page: { anyOf: [{ type: 'integer' }, { type: 'null' }] } },
+                },
+            },
+        },
+    }),
+    'GET /api/inventory/low-stock': op('Inventory', 'List products and sizes at or below their low-stock threshold', {
+        200: withMessage('items', arrayOf({ allOf: [ref('StockItem'), { type: 'object', properties: { threshold: { type: 'integer' } } }] })),
+    }, {
+        description: 'Staff holding `inventory:write` are emailed when a movement takes an item down to its threshold.',
+    }),
+    'GET /api/inventory/reconciliation': op('Inventory', 'Compare stock counts with the sum of their ledger movements', {
+        200: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                checked: { type: 'integer' },
+                discrepancies: arrayOf({
+                    allOf: [ref('StockItem'), {
+                        type: 'object',
+                        properties: {
+                            ledger_quantity: { type: 'integer' },
+                            difference: { type: 'integer', description: 'Stock the ledger does not account for.' },
+                        },
+                    }],
+                }),
+            },
+        },
+    }),
+    'POST /api/inventory/reconciliation': op('Inventory', 'Record adjustments that bring the ledger in line with the stock counts', {
+        200: withMessage('movements', arrayOf(ref('StockMovement'))),
+    }, {
+        description: 'Stock counts are left as they are; each discrepancy is recorded as an adjustment with the given `reason`.',
+    }),
+
+    // Reviews
+    'POST /api/reviews/add': op('Reviews', 'Review a product', { 201: withMessage('review', ref('Review')) }),
+    'POST /api/reviews/reply': op('Reviews', 'Reply to a review', { 201: withMessage('reply', ref('Reply')) }),
+    'GET /api/reviews/reviews': op('Reviews', "List a product's reviews with their replies", {
+        200: withMessage('reviews', arrayOf(ref('Review'))),
+    }),
+
+    // Account data
+    'POST /api/info/get-detailed-info': op('Account', "Fetch the caller's profile, orders, reviews and messages", {
+        200: 'UserDetails',
+    }, { description: POST_READ, errors: [404] }),
+    'POST /api/info/export/request': op('Account', 'Email a code confirming an account data export', { 200: 'Message' }, {
+        errors: [429],
+    }),
+    'POST /api/info/export/confirm': op('Account', "Download the caller's data as JSON", {
+        200: {
+            description: 'Account data, sent as a file attachment.',
+            content: { 'application/json': { schema: ref('AccountExport') } },
+        },
+    }, { errors: [429] }),
+    'POST /api/info/delete/request': op('Account', 'Email a code confirming account deletion', { 200: 'Message' }, {
+        errors: [429],
+    }),
+    'POST /api/info/delete/confirm': op('Account', "Delete the caller's account and personal data", { 200: 'Message' }, {
+        errors: [429],
+    }),
+
+    // Profile
+    'PUT /api/profile/username': op('Profile', 'Change username', { 200: withMessage('user', ref('User')) }, {
+        description: 'Shoppers only.',
+        errors: [404],
+    }),
+    'POST /api/profile/email/request': op('Profile', 'Email a code to a new address before switching to it', { 200: 'Message' }, {
+        description: 'Shoppers only.',
+        errors: [404, 409, 429],
+    }),
+    'POST /api/profile/email/confirm': op('Profile', 'Switch to the new email address', { 200: withMessage('user', ref('User')) }, {
+        description: 'Shoppers only.',
+        errors: [404, 429],
+    }),
+    'PUT /api/profile/password': op('Profile', 'Change password', { 200: 'Message' }, {
+        description: 'Shoppers only. Every other session is signed out.',
+        errors: [404],
+    }),
+
+    // Roles
+    'GET /api/roles/list': op('Roles', 'List roles and the permissions they grant', {
+        200: {
+            type: 'object',
+            properties: {
+                roles: arrayOf({ type: 'object', properties: { name: { type: 'string' }, permissions: arrayOf({ type: 'string' }) } }),
+                permissions: arrayOf({ type: 'string' }),
+            },
+        },
+    }),
+    'GET /api/roles/assignments': op('Roles', 'List role assignments', { 200: withMessage('assignments', arrayOf(ref('RoleAssignment'))) }),
+    'POST /api/roles/assign': op('Roles', 'Assign a role to a superuser', { 201: withMessage('assignment', ref('RoleAssignment')) }, {
+        errors: [404, 409],
+    }),
+    'DELETE /api/roles/revoke': op('Roles', 'Revoke a role from a superuser', { 200: 'Message' }, {
+        description: 'The admin role cannot be revoked from the last active admin.',
+        errors: [404, 409],
+    }),
+
+    // Sessions
+    'GET /api/sessions/list': op('Sessions', 'List the active sessions of a user or superuser', {
+        200: withMessage('sessions', arrayOf(ref('Session'))),
+    }),
+    'DELETE /api/sessions/revoke': op('Sessions', 'Revoke a session', { 200: 'Message' }),
+    'DELETE /api/sessions/revoke-all': op('Sessions', 'Revoke every session of a user or superuser', { 200: 'Message' }),
+
+    // Lockouts
+    'GET /api/lockouts/list': op('Lockouts', 'List accounts and IP addresses that are locked out', { 200: withMessage('lockouts', arrayOf(ref('Lockout'))) }),
+    'POST /api/lockouts/unlock': op('Lockouts', 'Lift a lockout', { 200: 'Message' }, {
+        description: 'Send `email` (with `subject_type`) to unlock an account, or `ip` to unlock an IP address.',
+        errors: [404],
+    }),
+
+    // Superusers
+    'POST /api/superusers/invite': op('Superusers', 'Invite a superuser by email', { 201: withMessage('superuser', ref('Superuser')) }, {
+        errors: [409, 429],
+    }),
+    'POST /api/superusers/accept-invite': op('Superusers', 'Accept an invitation and set a password', { 200: 'Message' }, {
+        errors: [429],
+    }),
+    'GET /api/superusers/list': op('Superusers', 'List superusers', { 200: withMessage('superusers', arrayOf(ref('Superuser'))) }),
+    'POST /api/superusers/disable': op('Superusers', 'Disable a superuser and end their sessions', {
+        200: withMessage('superuser', ref('Superuser')),
+    }, { description: 'The last active superuser, and the last active admin, cannot be disabled.', errors: [404, 409] }),
+    'POST /api/superusers/change-password': op('Superusers', "Change the calling superuser's password", { 200: 'Message' }, {
+        errors: [403, 404],
+    }),
+
+    // Two-factor authentication
+    'POST /superuser/2fa/enroll': op('Two-factor', 'Start authenticator app enrollment', {
+        200: {
+            type: 'object',
+            properties: {
+                message: { type: 'string' },
+                otpauth_uri: { type: 'string' },
+                qr_code: { type: 'string', description: 'PNG data URL.' },
+                secret: { type: 'string' },
+            },
+        },
+    }, { description: 'Superusers only.', errors: [403, 404, 409] }),
+    'POST /superuser/2fa/confirm': op('Two-factor', 'Confirm enrollment with a first code and receive recovery codes', {
+        200: withMessage('recovery_codes', arrayOf({ type: 'string' })),
+    }, { description: 'Superusers only.', errors: [403, 404, 409] }),
+    'POST /superuser/2fa/disable': op('Two-factor', 'Disable two-factor authentication', { 200: 'Message' }, {
+        description: 'Superusers only.',
+        errors: [403, 404],
+    }),
+
+    // Mail
+    'GET /api/mail/templates': op('Mail', 'List email templates', { 200: { type: 'object', properties: { templates: arrayOf(ref('MailTemplate')) } } }),
+    'POST /api/mail/preview': op('Mail', 'Render a template with sample or given variables', { 200: 'RenderedEmail' }),
+    'GET /api/mail/preview/{template}': op('Mail', 'Render a template in the browser', {
+        200: {
+            description: 'The HTML part, or the plain-text part with `?format=text`.',
+            content: { 'text/html': { schema: { type: 'string' } }, 'text/plain': { schema: { type: 'string' } } },
+        },
+    }, { errors: [404] }),
+};
+
+// v2 routes run the v1 handlers, so each reuses its v1 entry; `extra` replaces fields that differ
+const v2 = (v1Key, extra = {}) => {
+    const { description, ...doc } = operations[v1Key];
+    const kept = description && description.replace(POST_READ, '').trim();
+    return { ...doc, ...(kept && { description: kept }), ...extra };
+};
+
+Object.assign(operations, {
+    // Products (v2)
+    'GET /api/v2/products': v2('GET /api/products/list', { responses: { 200: 'ProductPage' } }),
+    'POST /api/v2/products': v2('POST /api/products/add'),
+    'GET /api/v2/products/search': v2('GET /api/products/search'),
+    'GET /api/v2/products/{id}': v2('POST /api/products/fetch'),
+    'PATCH /api/v2/products/{id}': v2('PUT /api/products/update'),
+    'GET /api/v2/products/{id}/reviews': v2('GET /api/reviews/reviews'),
+    'POST /api/v2/products/{id}/reviews': v2('POST /api/reviews/add'),
+    'POST /api/v2/products/{productId}/reviews/{id}/replies': v2('POST /api/reviews/reply'),
+
+    // Categories (v2)
+    'GET /api/v2/categories': v2('GET /api/categories/list'),
+    'POST /api/v2/categories': v2('POST /api/categories/add'),
+    'GET /api/v2/categories/{id}/products': v2('POST /api/categories/products'),
+    'DELETE /api/v2/categories/{id}': v2('DELETE /api/categories/delete'),
+
+    // Sizes (v2)
+    'GET /api/v2/sizes': v2('GET /api/sizes/list'),
+    'POST /api/v2/sizes': v2('POST /api/sizes/add'),
+    'GET /api/v2/sizes/{id}/products': v2('POST /api/sizes/products'),
+    'DELETE /api/v2/sizes/{id}': v2('DELETE /api/sizes/delete'),
+
+    // Cart (v2)
+    'GET /api/v2/cart/items': v2('POST /api/cart/fetch'),
+    'POST /api/v2/cart/items': v2('POST /api/cart/add'),
+    'PATCH /api/v2/cart/items/{id}': op('Cart', 'Change the quantity of a cart item', {
+        200: withMessage('cart_item', ref('CartItem')),
+    }, { errors: [404, 409] }),
+    'DELETE /api/v2/cart/items/{id}': v2('DELETE /api/cart/delete'),
+    'POST /api/v2/cart/checkout': v2('POST /api/cart/place-order'),
+
+    // Orders (v2)
+    'GET /api/v2/orders': v2('POST /api/orders/user/orders'),
+    'POST /api/v2/orders': v2('POST /api/orders'),
+    'PATCH /api/v2/orders/{id}': v2('PUT /api/orders/status'),
+    'GET /api/v2/orders/{id}/messages': v2('POST /api/orders/messages/fetch'),
+    'POST /api/v2/orders/{id}/messages': v2('POST /api/orders/messages'),
+    'GET /api/v2/admin/orders': v2('GET /api/orders/all'),
+
+    // Account data (v2)
+    'GET /api/v2/account': v2('POST /api/info/get-detailed-info'),
+
+    // Sessions (v2)
+    'GET /api/v2/sessions': v2('GET /api/sessions/list'),
+    'DELETE /api/v2/sessions': v2('DELETE /api/sessions/revoke-all'),
+    'DELETE /api/v2/sessions/{id}': v2('DELETE /api/sessions/revoke'),
+
+    // Roles (v2)
+    'GET /api/v2/roles': v2('GET /api/roles/list'),
+    'GET /api/v2/roles/assignments': v2('GET /api/roles/assignments'),
+    'PUT /api/v2/superusers/{id}/roles/{role}': v2('POST /api/roles/assign'),
+    'DELETE /api/v2/superusers/{id}/roles/{role}': v2('DELETE /api/roles/revoke'),
+});
+
+module.exports = operations;
@@ -0,0 +1,63 @@
+// List the routes an Express 4 app serves, with the middleware that runs before each handler
+
+// Recover the mount path of a router from the regular expression Express compiled for it
+// ('/api/products' is stored as /^\/api\/products\/?(?=\/|$)/i)
+const mountPath = (layer) => {
+    if (layer.regexp.fast_slash) return '';
+
+    const path = layer.regexp.source
+        .replace(/^\^/, '')
+        .replace(/\\\/\?\(\?=\\\/\|\$\)$/, '')
+        .replace(/\\\//g, '/');
+
+    if (!/^[/\w.-]*$/.test(path)) {
+        throw new Error(`Cannot document routes mounted at ${layer.regexp}; mount routers at plain paths.`);
+    }
+
+    return path;
+};
+
+// Turn an Express route path into OpenAPI paths: ':id' becomes '{id}' and ':action(export|delete)' is expanded
+const expandPath = (path) => {
+    const choice = path.match(/:(\w+)\(([\w|-]+)\)/);
+    if (choice) {
+        return choice[2].split('|').flatMap((value) => expandPath(path.replace(choice[0], value)));
+    }
+
+    const normalized = path.replace(/:(\w+)/g, '{$1}').replace(/\/+/g, '/').replace(/(.)\/$/, '$1');
+    return [normalized || '/'];
+};
+
+// Walk a router stack; middleware added with `use` applies to the routes registered after it
+const walk = (stack, prefix, inherited) => {
+    const routes = [];
+    const middleware = [...inherited];
+
+    for (const layer of stack) {
+        if (layer.route) {
+            if (typeof layer.route.path !== 'string') {
+                throw new Error(`Cannot document route ${layer.route.path}; use string paths.`);
+            }
+
+            const handlers = layer.route.stack.map((routeLayer) => routeLayer.handle);
+            const methods = Object.keys(layer.route.methods).filter((method) => method !== '_all');
+
+            for (const method of methods) {
+                for (const path of expandPath(prefix + layer.route.path)) {
+                    routes.push({ method, path, middleware: [...middleware, ...handlers] });
+                }
+            }
+        } else if (layer.name === 'router') {
+            routes.push(...walk(layer.handle.stack, prefix + mountPath(layer), middleware));
+        } else {
+            middleware.push(layer.handle);
+        }
+    }
+
+    return routes;
+};
+
+// Every route of `app` as `{ method, path, middleware }`
+const listRoutes = (app) => walk(app._router.stack, '', []);
+
+module.exports = { listRoutes, expandPath };
@@ -0,0 +1,13 @@
+// Data access layer: routes and services talk to these repositories instead of Supabase directly.
+// DATA_STORE picks the implementation: 'supabase' (default) or 'memory'.
+const { DATA_STORES } = require('../config');
+
+const dataStore = (process.env.DATA_STORE || 'supabase').toLowerCase();
+if (!DATA_STORES.includes(dataStore)) {
+    throw new Error(`Unknown DATA_STORE "${dataStore}". Expected one of: ${DATA_STORES.join(', ')}.`);
+}
+
+// Only the selected implementation is loaded, so memory mode needs no Supabase credentials
+const repositories = dataStore === 'memory' ? require('./memory') : require('./supabase');
+
+module.exports = { dataStore, ...repositories };
@@ -0,0 +1,61 @@
+const { table, insert, removeWhere, sameId, ok } = require('./store');
+
+// Add an item to a user's cart
+const addItem = async (item) => ok(insert('cart', { added_at: new Date().toISOString(), ...item }));
+
+// List a user's cart items with their product and size details
+const listByUser = async (userId) => {
+    const items = table('cart')
+        .filter((item) => sameId(item.user_id, userId))
+        .map((item) => {
+            const product = table('products').find((entry) => sameId(entry.id, item.product_id));
+            const size = table('sizes').find((entry) => sameId(entry.id, item.size_id));
+
+            return {
+                id: item.id,
+                product_id: item.product_id,
+                size_id: item.size_id,
+                quantity: item.quantity,
+                added_at: item.added_at,
+                products: product
+                    ? {
+                        id: product.id,
+                        title: product.title,
+                        description: product.description,
+                        price: product.price,
+                        images: product.images,
+                        stock_quantity: product.stock_quantity,
+                    }
+                    : null,
+                sizes: size ? { id: size.id, size_name: size.size_name } : null,
+            };
+        });
+
+    return ok(items);
+};
+
+// Fetch one of a user's cart items
+const findItem = async (id, userId) => {
+    return ok(table('cart').find((item) => sameId(item.id, id) && sameId(item.user_id, userId)) || null);
+};
+
+// Change the quantity of one of a user's cart items (null when the item does not exist)
+const updateQuantity = async (id, userId, quantity) => {
+    const item = table('cart').find((entry) => sameId(entry.id, id) && sameId(entry.user_id, userId));
+    if (!item) {
+        return ok(null);
+    }
+
+    item.quantity = quantity;
+    return ok(item);
+};
+
+// Remove one of a user's cart items
+const removeItem = async (id, userId) => {
+    return ok(removeWhere('cart', (item) => sameId(item.id, id) && sameId(item.user_id, userId)));
+};
+
+// Empty a user's cart
+const clear = async (userId) => ok(removeWhere('cart', (item) => sameId(item.user_id, userId)));
+
+module.exports = { addItem, listByUser, findItem, updateQuantity, removeItem, clear };
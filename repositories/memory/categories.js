@@ -0,0 +1,20 @@
+const { table, insert, removeWhere, sameId, ok } = require('./store');
+
+// List every category by name
+const list = async () => {
+    return ok([...table('categories')].sort((a, b) => a.name.localeCompare(b.name)));
+};
+
+// Create a category
+const create = async (name) => ok(insert('categories', { name, created_at: new Date().toISOString() }));
+
+// Fetch a category by ID
+const findById = async (id) => ok(table('categories').find((category) => sameId(category.id, id)) || null);
+
+// Delete a category (and its product links, like the database cascade)
+const remove = async (id) => {
+    removeWhere('product_categories', (link) => sameId(link.category_id, id));
+    return ok(removeWhere('categories', (category) => sameId(category.id, id)));
+};
+
+module.exports = { list, create, findById, remove };
@@ -0,0 +1,6 @@
+const { insert, ok } = require('./store');
+
+// Record a completed data-subject request
+const create = async (request) => ok(insert('data_requests', request));
+
+module.exports = { create };
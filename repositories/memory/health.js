@@ -0,0 +1,9 @@
+const { ok } = require('./store');
+
+// The in-memory store is always reachable
+const pingDatabase = async () => ok(true);
+
+// Uploaded images live in the same process
+const pingStorage = async () => ok(true);
+
+module.exports = { pingDatabase, pingStorage };
@@ -0,0 +1,20 @@
+// In-memory repositories (for local development and tests; data is lost on restart)
+const store = require('./store');
+
+module.exports = {
+    products: require('./products'),
+    categories: require('./categories'),
+    sizes: require('./sizes'),
+    cart: require('./cart'),
+    orders: require('./orders'),
+    inventory: require('./inventory'),
+    reviews: require('./reviews'),
+    otps: require('./otps'),
+    users: require('./users'),
+    superusers: require('./superusers'),
+    sessions: require('./sessions'),
+    loginAttempts: require('./loginAttempts'),
+    dataRequests: require('./dataRequests'),
+    health: require('./health'),
+    store: { reset: store.reset, seed: store.seed },
+};
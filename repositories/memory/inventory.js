@@ -0,0 +1,33 @@
+const { table, insert, sameId, ok } = require('./store');
+
+// Helper to check a movement against the list filters (product, size, type and order)
+const matches = (movement, { product_id, size_id, type, order_id }) => {
+    return (product_id === undefined || sameId(movement.product_id, product_id))
+        && (size_id === undefined || sameId(movement.size_id, size_id))
+        && (type === undefined || movement.type === type)
+        && (order_id === undefined || sameId(movement.order_id, order_id));
+};
+
+// Record a stock movement
+const record = async (movement) => ok(insert('inventory_movements', movement));
+
+// List movements matching the filters, newest first, with the total count for paging
+const list = async (filters, { limit, offset }) => {
+    const movements = table('inventory_movements')
+        .filter((movement) => matches(movement, filters))
+        .sort((a, b) => b.id - a.id);
+
+    return ok(movements.slice(offset, offset + limit), { count: movements.length });
+};
+
+// List a page of the product, size and quantity of every movement, oldest first (for reconciling stock against the ledger)
+const listQuantities = async ({ limit, offset }) => {
+    const movements = [...table('inventory_movements')]
+        .sort((a, b) => a.id - b.id)
+        .slice(offset, offset + limit)
+        .map(({ product_id, size_id, quantity }) => ({ product_id, size_id, quantity }));
+
+    return ok(movements);
+};
+
+module.exports = { record, list, listQuantities };
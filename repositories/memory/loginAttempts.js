@@ -0,0 +1,31 @@
+const { table, insert, removeWhere, ok } = require('./store');
+
+// Fetch the tracking row for a key
+const find = async (key) => ok(table('login_attempts').find((row) => row.key === key) || null);
+
+// Insert or replace the tracking row for a key
+const save = async (row) => {
+    removeWhere('login_attempts', (entry) => entry.key === row.key);
+    return ok(insert('login_attempts', { ...row, id: row.key }));
+};
+
+// Delete the tracking row for a key (returns the deleted rows)
+const remove = async (key) => ok(removeWhere('login_attempts', (row) => row.key === key).map(() => ({ key })));
+
+// List keys locked until after a point in time
+const listLockedAfter = async (now) => {
+    const rows = table('login_attempts')
+        .filter((row) => row.locked_until && row.locked_until > now)
+        .sort((a, b) => String(b.locked_until).localeCompare(String(a.locked_until)))
+        .map(({ key, subject_type, failures, last_failure_at, locked_until }) => ({
+            key,
+            subject_type,
+            failures,
+            last_failure_at,
+            locked_until,
+        }));
+
+    return ok(rows);
+};
+
+module.exports = { find, save, remove, listLockedAfter };
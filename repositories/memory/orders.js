@@ -0,0 +1,123 @@
+const { table, insert, removeWhere, sameId, ok } = require('./store');
+
+// Helper to attach line items to an order
+const withItems = (order, detailed = false) => ({
+    ...order,
+    orderitems: table('orderitems')
+        .filter((item) => sameId(item.order_id, order.id))
+        .map((item) => {
+            if (!detailed) {
+                return { product_id: item.product_id, quantity: item.quantity, size_id: item.size_id };
+            }
+
+            const product = table('products').find((entry) => sameId(entry.id, item.product_id));
+            const size = table('sizes').find((entry) => sameId(entry.id, item.size_id));
+            return {
+                ...item,
+                products: product ? { title: product.title, price: product.price } : null,
+                sizes: size ? { size_name: size.size_name } : null,
+            };
+        }),
+});
+
+// Helper to find a stored order row
+const getOrder = (id) => table('orders').find((order) => sameId(order.id, id));
+
+// Create an order
+const create = async (fields) => ok(insert('orders', { created_at: new Date().toISOString(), ...fields }));
+
+// Add line items to an order
+const addItems = async (items) => ok(items.map((item) => insert('orderitems', item)));
+
+// Delete an order and its line items (undoes an order that could not be completed)
+const remove = async (id) => {
+    removeWhere('orderitems', (item) => sameId(item.order_id, id));
+    return ok(removeWhere('orders', (order) => sameId(order.id, id)));
+};
+
+// List an order's line items
+const listItems = async (orderId) => ok(table('orderitems').filter((item) => sameId(item.order_id, orderId)));
+
+// Fetch an order by ID
+const findById = async (id) => ok(getOrder(id) || null);
+
+// Update an order's status unless it is cancelled (null when the order does not exist or is cancelled)
+// The check and the update happen together, so of two requests cancelling an order only one changes it
+const updateStatus = async (id, status) => {
+    const order = getOrder(id);
+    if (!order || ['cancelled', 'canceled'].includes(String(order.order_status || '').trim().toLowerCase())) {
+        return ok(null);
+    }
+
+    order.order_status = status;
+    return ok(order);
+};
+
+// List a user's orders with their line items
+const listByUser = async (userId) => {
+    return ok(table('orders').filter((order) => sameId(order.user_id, userId)).map((order) => withItems(order)));
+};
+
+// List a user's orders with full line item details (product and size)
+const listDetailedByUser = async (userId) => {
+    const orders = table('orders')
+        .filter((order) => sameId(order.user_id, userId))
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+        .map((order) => withItems(order, true));
+
+    return ok(orders);
+};
+
+// List every order with its line items
+const listAll = async () => ok(table('orders').map((order) => withItems(order)));
+
+// Detach orders from their user, keeping them for accounting
+const anonymize = async (ids) => {
+    const anonymizedAt = new Date().toISOString();
+    table('orders')
+        .filter((order) => ids.some((id) => sameId(id, order.id)))
+        .forEach((order) => Object.assign(order, { user_id: null, anonymized_at: anonymizedAt }));
+
+    return ok(null);
+};
+
+// Add a message to an order
+const addMessage = async (message) => {
+    return ok([insert('messages', { created_at: new Date().toISOString(), ...message })]);
+};
+
+// List an order's messages, oldest first
+const listMessages = async (orderId) => {
+    const messages = table('messages')
+        .filter((message) => sameId(message.order_id, orderId))
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+
+    return ok(messages);
+};
+
+// List the messages of several orders
+const listMessagesForOrders = async (orderIds) => {
+    return ok(table('messages').filter((message) => orderIds.some((id) => sameId(id, message.order_id))));
+};
+
+// Delete the messages of several orders
+const removeMessagesForOrders = async (orderIds) => {
+    return ok(removeWhere('messages', (message) => orderIds.some((id) => sameId(id, message.order_id))));
+};
+
+module.exports = {
+    create,
+    addItems,
+    remove,
+    listItems,
+    findById,
+    updateStatus,
+    listByUser,
+    listDetailedByUser,
+    listAll,
+    anonymize,
+    addMessage,
+    listMessages,
+    listMessagesForOrders,
+    removeMessagesForOrders,
+};
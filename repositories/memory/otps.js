@@ -0,0 +1,82 @@
+const { table, insert, removeWhere, sameId, ok } = require('./store');
+
+// Helper to sort rows newest first by a timestamp column
+const newestFirst = (column) => (a, b) => String(b[column]).localeCompare(String(a[column]));
+
+// Fetch the most recent OTP for an email and purpose
+const findLatest = async (email, purpose) => {
+    const [latest] = table('otps')
+        .filter((otp) => otp.email === email && otp.purpose === purpose)
+        .sort(newestFirst('expires_at'));
+
+    return ok(latest || null);
+};
+
+// Store a new OTP
+const create = async (otp) => ok(insert('otps', otp));
+
+// Delete every OTP for an email and purpose
+const removeFor = async (email, purpose) => {
+    return ok(removeWhere('otps', (otp) => otp.email === email && otp.purpose === purpose));
+};
+
+// Delete every OTP for an email
+const removeForEmail = async (email) => ok(removeWhere('otps', (otp) => otp.email === email));
+
+// Delete a single OTP
+const remove = async (id) => ok(removeWhere('otps', (otp) => sameId(otp.id, id)));
+
+// Increment an OTP's attempt counter only if it still holds the expected value (returns the updated rows)
+const claimAttempt = async (id, currentAttempts) => {
+    const otp = table('otps').find((entry) => sameId(entry.id, id) && entry.attempts === currentAttempts);
+    if (!otp) {
+        return ok([]);
+    }
+
+    otp.attempts = currentAttempts + 1;
+    return ok([{ id: otp.id }]);
+};
+
+// Delete OTPs that expired before a point in time
+const removeExpired = async (before) => ok(removeWhere('otps', (otp) => otp.expires_at < before));
+
+// Fetch the most recent OTP request for an email and purpose
+const findLatestRequest = async (email, purpose) => {
+    const [latest] = table('otp_requests')
+        .filter((request) => request.email === email && request.purpose === purpose)
+        .sort(newestFirst('created_at'));
+
+    return ok(latest ? { created_at: latest.created_at } : null);
+};
+
+// Count the OTP requests made from an IP since a point in time
+const countRequestsFromIp = async (ip, since) => {
+    const count = table('otp_requests').filter((request) => request.ip_address === ip && request.created_at >= since).length;
+    return ok(null, { count });
+};
+
+// Record an OTP request for throttling
+const recordRequest = async (request) => ok(insert('otp_requests', request));
+
+// Delete OTP requests made before a point in time
+const removeRequestsBefore = async (before) => {
+    return ok(removeWhere('otp_requests', (request) => request.created_at < before));
+};
+
+// Delete every OTP request made for an email
+const removeRequestsForEmail = async (email) => ok(removeWhere('otp_requests', (request) => request.email === email));
+
+module.exports = {
+    findLatest,
+    create,
+    removeFor,
+    removeForEmail,
+    remove,
+    claimAttempt,
+    removeExpired,
+    findLatestRequest,
+    countRequestsFromIp,
+    recordRequest,
+    removeRequestsBefore,
+    removeRequestsForEmail,
+};
@@ -0,0 +1,210 @@
+const { table, insert, removeWhere, sameId, ok, fail } = require('./store');
+
+// Helper to find a stored product row
+const getProduct = (id) => table('products').find((product) => sameId(product.id, id));
+
+// Create a product
+const create = async (fields) => {
+    return ok(insert('products', { created_at: new Date().toISOString(), ...fields }));
+};
+
+// Fetch a product by ID
+const findById = async (id) => ok(getProduct(id) || null);
+
+// Update a product's fields
+const update = async (id, fields) => {
+    const product = getProduct(id);
+    if (!product) {
+        return ok([]);
+    }
+
+    Object.assign(product, fields);
+    return ok([product]);
+};
+
+// Helper to build a listing row: the product with its category names, category and size IDs and review ratings
+const toListing = (product) => {
+    const categoryIds = table('product_categories')
+        .filter((link) => sameId(link.product_id, product.id))
+        .map((link) => link.category_id);
+
+    return {
+        ...product,
+        category: categoryIds
+            .map((categoryId) => table('categories').find((category) => sameId(category.id, categoryId)))
+            .filter(Boolean)
+            .map((category) => ({ name: category.name })),
+        category_ids: categoryIds,
+        size_ids: table('product_sizes').filter((link) => sameId(link.product_id, product.id)).map((link) => link.size_id),
+        ratings: table('reviews').filter((review) => sameId(review.product_id, product.id)).map((review) => review.rating),
+    };
+};
+
+// List a page of products as listing rows, by ID
+const listPage = async ({ limit, offset }) => {
+    return ok([...table('products')].sort((a, b) => a.id - b.id).slice(offset, offset + limit).map(toListing));
+};
+
+// Fetch a product as a listing row
+const findListing = async (id) => {
+    const product = getProduct(id);
+    return ok(product ? toListing(product) : null);
+};
+
+// Helper to build a catalog row like the product_listings view: the listing row with the price a shopper
+// pays and its rating summary (`rating_rank` counts unrated products as 0 for the rating sort)
+const toCatalogRow = (product) => {
+    const { ratings, ...listing } = toListing(product);
+    const price = Number(listing.price) || 0;
+    const averageRating = ratings.length > 0
+        ? Math.round((ratings.reduce((sum, rating) => sum + Number(rating), 0) / ratings.length) * 10) / 10
+        : null;
+
+    return {
+        ...listing,
+        effective_price: listing.is_discounted && listing.discount_percentage
+            ? Math.round(price * (100 - Number(listing.discount_percentage))) / 100
+            : price,
+        average_rating: averageRating,
+        review_count: ratings.length,
+        rating_rank: averageRating ?? 0,
+    };
+};
+
+// Helper to check that a catalog row is linked to at least one of the IDs (any row when there are none)
+const linkedToAny = (linkedIds, ids = []) => ids.length === 0 || linkedIds.some((id) => ids.some((wanted) => sameId(id, wanted)));
+
+// Helper to check a catalog row against the catalog filters
+const matchesCatalog = (row, { min_price, max_price, category_ids, size_ids, in_stock, discounted, category_id, size_id }) => {
+    return (min_price === undefined || row.effective_price >= min_price)
+        && (max_price === undefined || row.effective_price <= max_price)
+        && linkedToAny(row.category_ids, category_ids)
+        && linkedToAny(row.size_ids, size_ids)
+        && (!in_stock || row.stock_quantity > 0)
+        && (!discounted || row.is_discounted === true)
+        && (category_id === undefined || linkedToAny(row.category_ids, [category_id]))
+        && (size_id === undefined || linkedToAny(row.size_ids, [size_id]));
+};
+
+// Helper to compare two catalog positions ({ value, id }) in a sort; timestamps compare as times
+const comparePositions = ({ column, ascending }, a, b) => {
+    const value = (position) => (column === 'created_at' ? Date.parse(position.value) || 0 : Number(position.value));
+    return (ascending ? 1 : -1) * (value(a) - value(b)) || a.id - b.id;
+};
+
+// List a page of the catalog: the products matching `filters` ordered by `sort` ({ column, ascending }, ties
+// by ID), from `offset` or after the position `after` ({ value, id }); `count` is the total matching the filters
+const browse = async (filters, { sort, after = null, limit, offset = 0 }) => {
+    const positionOf = (row) => ({ value: row[sort.column], id: row.id });
+    const matches = table('products')
+        .map(toCatalogRow)
+        .filter((row) => matchesCatalog(row, filters))
+        .sort((a, b) => comparePositions(sort, positionOf(a), positionOf(b)));
+
+    const rows = after ? matches.filter((row) => comparePositions(sort, positionOf(row), after) > 0) : matches;
+    return ok(rows.slice(offset, offset + limit).map(({ rating_rank, ...row }) => row), { count: matches.length });
+};
+
+// Replace the categories a product is linked to
+const setCategories = async (productId, categoryIds) => {
+    removeWhere('product_categories', (link) => sameId(link.product_id, productId));
+    categoryIds.forEach((categoryId) => insert('product_categories', { product_id: productId, category_id: categoryId }));
+    return ok(null);
+};
+
+// Helper to attach the size name to a variant row
+const withSizeName = (variant) => {
+    const size = table('sizes').find((entry) => sameId(entry.id, variant.size_id));
+    return { ...variant, sizes: size ? { size_name: size.size_name } : null };
+};
+
+// List a product's variants (its `product_sizes` rows) with their size names
+const listVariants = async (productId) => {
+    const variants = table('product_sizes')
+        .filter((variant) => sameId(variant.product_id, productId))
+        .sort((a, b) => a.size_id - b.size_id)
+        .map(withSizeName);
+
+    return ok(variants);
+};
+
+// List a page of the variants of every product, by product and size
+const listAllVariants = async ({ limit, offset }) => {
+    const variants = [...table('product_sizes')]
+        .sort((a, b) => a.product_id - b.product_id || a.size_id - b.size_id)
+        .slice(offset, offset + limit)
+        .map(withSizeName);
+
+    return ok(variants);
+};
+
+// List every product's variant in a size
+const listVariantsBySize = async (sizeId) => {
+    return ok(table('product_sizes').filter((variant) => sameId(variant.size_id, sizeId)).map(withSizeName));
+};
+
+// Fetch the variant with a SKU (null when no variant has it)
+const findVariantBySku = async (sku) => ok(table('product_sizes').find((variant) => variant.sku === sku) || null);
+
+// Replace a product's variants, updating the sizes kept in place; rows without a stock_quantity keep their stock
+const setVariants = async (productId, variants) => {
+    const taken = table('product_sizes').find((row) => !sameId(row.product_id, productId) && variants.some((variant) => variant.sku === row.sku));
+    if (taken) {
+        return fail('duplicate key value violates unique constraint "product_sizes_sku_key"');
+    }
+
+    removeWhere('product_sizes', (row) => sameId(row.product_id, productId) && !variants.some((variant) => sameId(variant.size_id, row.size_id)));
+    variants.forEach((variant) => {
+        const row = table('product_sizes').find((entry) => sameId(entry.product_id, productId) && sameId(entry.size_id, variant.size_id));
+        if (row) {
+            Object.assign(row, variant);
+        } else {
+            insert('product_sizes', { stock_quantity: 0, ...variant, product_id: productId });
+        }
+    });
+    return ok(null);
+};
+
+// Add `delta` to the stock of a product (sizeId null) or of one of its variants, keeping the product's
+// total in step; resolves with null data, changing nothing, when the stock would drop below zero
+const adjustStock = async (productId, sizeId, delta) => {
+    const product = getProduct(productId);
+    const variant = sizeId
+        ? table('product_sizes').find((entry) => sameId(entry.product_id, productId) && sameId(entry.size_id, sizeId))
+        : null;
+    const row = sizeId ? variant : product;
+
+    if (!row || row.stock_quantity + delta < 0) {
+        return ok(null);
+    }
+
+    row.stock_quantity += delta;
+    if (variant && product) {
+        product.stock_quantity += delta;
+    }
+
+    return ok({ stock_quantity: row.stock_quantity });
+};
+
+// Keep uploaded images in memory and hand back a placeholder URL
+const uploadImage = async (filePath, buffer, contentType) => {
+    insert('storage_objects', { path: filePath, content_type: contentType, size: buffer.length });
+    return ok(`memory://images/${filePath}`);
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    listPage,
+    findListing,
+    browse,
+    setCategories,
+    listVariants,
+    listAllVariants,
+    listVariantsBySize,
+    findVariantBySku,
+    setVariants,
+    adjustStock,
+    uploadImage,
+};
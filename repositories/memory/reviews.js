@@ -0,0 +1,42 @@
+const { table, insert, sameId, ok } = require('./store');
+
+// Helper to attach replies to a review
+const withReplies = (review) => ({
+    ...review,
+    replies: table('replies').filter((reply) => sameId(reply.review_id, review.id)),
+});
+
+// Create a review
+const create = async (review) => ok(insert('reviews', { created_at: new Date().toISOString(), ...review }));
+
+// Create a reply to a review
+const createReply = async (reply) => ok(insert('replies', { created_at: new Date().toISOString(), ...reply }));
+
+// List a product's reviews with their replies, newest first
+const listByProduct = async (productId) => {
+    const reviews = table('reviews')
+        .filter((review) => sameId(review.product_id, productId))
+        .sort((a, b) => String(b.created_at).localeCompare(String(a.created_at)))
+        .map(withReplies);
+
+    return ok(reviews);
+};
+
+// List the reviews written by a user with the replies they received
+const listByUser = async (userId) => {
+    return ok(table('reviews').filter((review) => sameId(review.user_id, userId)).map(withReplies));
+};
+
+// List the replies written by a user
+const listRepliesByUser = async (userId) => ok(table('replies').filter((reply) => sameId(reply.user_id, userId)));
+
+// Detach a user's reviews and replies from them, showing a placeholder name instead
+const anonymizeUser = async (userId, placeholder) => {
+    [...table('reviews'), ...table('replies')]
+        .filter((row) => sameId(row.user_id, userId))
+        .forEach((row) => Object.assign(row, { user_id: null, username: placeholder }));
+
+    return ok(null);
+};
+
+module.exports = { create, createReply, listByProduct, listByUser, listRepliesByUser, anonymizeUser };
@@ -0,0 +1,76 @@
+const { table, insert, sameId, ok } = require('./store');
+
+// Helper to find a stored session by ID
+const getSession = (id) => table('sessions').find((session) => sameId(session.id, id));
+
+// Helper to revoke the given sessions
+const revokeAll = (sessions) => {
+    const revokedAt = new Date().toISOString();
+    sessions.forEach((session) => {
+        session.revoked_at = revokedAt;
+    });
+
+    return ok(null);
+};
+
+// Store a new session
+const create = async (session) => ok(insert('sessions', { revoked_at: null, ...session }));
+
+// Fetch a session by ID
+const findById = async (id) => ok(getSession(id) || null);
+
+// Rotate a session's refresh token only if it still holds the presented hash (returns the updated rows)
+const rotate = async (id, presentedHash, fields) => {
+    const session = getSession(id);
+    if (!session || session.refresh_token_hash !== presentedHash) {
+        return ok([]);
+    }
+
+    Object.assign(session, fields);
+    return ok([{ id: session.id }]);
+};
+
+// Update a session's JWT claims
+const updateClaims = async (id, claims) => {
+    const session = getSession(id);
+    if (session) {
+        session.claims = claims;
+    }
+
+    return ok(null);
+};
+
+// Revoke a single session
+const revoke = async (id) => revokeAll(table('sessions').filter((session) => sameId(session.id, id) && !session.revoked_at));
+
+// Revoke every session of a subject, optionally keeping one of them
+const revokeAllFor = async (subjectType, subjectId, exceptId = null) => {
+    return revokeAll(
+        table('sessions').filter(
+            (session) =>
+                session.subject_type === subjectType &&
+                sameId(session.subject_id, subjectId) &&
+                !session.revoked_at &&
+                !sameId(session.id, exceptId)
+        )
+    );
+};
+
+// List a subject's sessions that are neither revoked nor expired, most recently used first
+const listActiveFor = async (subjectType, subjectId) => {
+    const now = new Date().toISOString();
+    const sessions = table('sessions')
+        .filter(
+            (session) =>
+                session.subject_type === subjectType &&
+                sameId(session.subject_id, subjectId) &&
+                !session.revoked_at &&
+                session.expires_at > now
+        )
+        .sort((a, b) => String(b.last_used_at).localeCompare(String(a.last_used_at)))
+        .map(({ refresh_token_hash, previous_refresh_token_hash, revoked_at, ...session }) => session);
+
+    return ok(sessions);
+};
+
+module.exports = { create, findById, rotate, updateClaims, revoke, revokeAllFor, listActiveFor };
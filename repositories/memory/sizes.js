@@ -0,0 +1,20 @@
+const { table, insert, removeWhere, sameId, ok } = require('./store');
+
+// List every size by name
+const list = async () => {
+    return ok([...table('sizes')].sort((a, b) => a.size_name.localeCompare(b.size_name)));
+};
+
+// Create a size
+const create = async (sizeName) => ok(insert('sizes', { size_name: sizeName, created_at: new Date().toISOString() }));
+
+// Fetch a size by ID
+const findById = async (id) => ok(table('sizes').find((size) => sameId(size.id, id)) || null);
+
+// Delete a size (and its product links, like the database cascade)
+const remove = async (id) => {
+    removeWhere('product_sizes', (link) => sameId(link.size_id, id));
+    return ok(removeWhere('sizes', (size) => sameId(size.id, id)));
+};
+
+module.exports = { list, create, findById, remove };
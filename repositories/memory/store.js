@@ -0,0 +1,66 @@
+// In-memory tables shared by every memory repository
+let tables = {};
+let sequences = {};
+
+// Helper to get (or create) a table
+const table = (name) => {
+    if (!tables[name]) {
+        tables[name] = [];
+    }
+
+    return tables[name];
+};
+
+// Helper to allocate the next auto-increment ID of a table
+const nextId = (name) => {
+    sequences[name] = (sequences[name] || 0) + 1;
+    return sequences[name];
+};
+
+// Helper to insert a row, assigning an auto-increment ID when it has none
+const insert = (name, row) => {
+    const stored = { ...row };
+    if (stored.id === undefined || stored.id === null) {
+        stored.id = nextId(name);
+    } else if (typeof stored.id === 'number') {
+        sequences[name] = Math.max(sequences[name] || 0, stored.id);
+    }
+
+    table(name).push(stored);
+    return stored;
+};
+
+// Helper to remove the rows matching a predicate; returns the removed rows
+const removeWhere = (name, predicate) => {
+    const rows = table(name);
+    const removed = rows.filter(predicate);
+    tables[name] = rows.filter((row) => !predicate(row));
+    return removed;
+};
+
+// Helper to compare IDs that may arrive as strings from request bodies
+const sameId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+// Helper to copy data before it leaves the store, so callers cannot mutate it
+const clone = (value) => (value === undefined ? null : structuredClone(value));
+
+// Helpers to build the `{ data, error }` results repositories resolve with
+const ok = (data, extra = {}) => ({ data: clone(data), error: null, ...extra });
+const fail = (message) => ({ data: null, error: { message } });
+
+// Drop every table (used between tests)
+const reset = () => {
+    tables = {};
+    sequences = {};
+};
+
+// Load rows into tables, e.g. `{ products: [...], categories: [...] }`
+const seed = (fixtures) => {
+    for (const [name, rows] of Object.entries(fixtures)) {
+        for (const row of rows) {
+            insert(name, row);
+        }
+    }
+};
+
+module.exports = { table, nextId, insert, removeWhere, sameId, clone, ok, fail, reset, seed };
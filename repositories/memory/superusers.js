@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const { table, insert, removeWhere, sameId, ok, fail } = require('./store');
+
+// Helper to keep only the requested columns (a comma-separated list, or '*')
+const pick = (row, columns = '*') => {
+    if (!row || columns.trim() === '*') {
+        return row;
+    }
+
+    return Object.fromEntries(
+        columns.split(',').map((column) => column.trim()).map((column) => [column, row[column] ?? null])
+    );
+};
+
+// Helper to find a stored superuser by ID
+const getSuperuser = (id) => table('superusers').find((superuser) => sameId(superuser.id, id));
+
+// Legacy rows have no status and are active
+const isActive = (superuser) => superuser.status === null || superuser.status === undefined || superuser.status === 'active';
+
+// Fetch a superuser by ID
+const findById = async (id) => ok(getSuperuser(id) || null);
+
+// Fetch a superuser by email
+const findByEmail = async (email) => ok(table('superusers').find((superuser) => superuser.email === email) || null);
+
+// List superusers (only the given columns)
+const list = async (columns) => {
+    const superusers = [...table('superusers')]
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+        .map((superuser) => pick(superuser, columns));
+
+    return ok(superusers);
+};
+
+// Create a superuser and return the given columns
+const create = async (fields, columns) => {
+    if (table('superusers').some((superuser) => superuser.email === fields.email)) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint "superusers_email_key"' } };
+    }
+
+    const superuser = insert('superusers', { id: crypto.randomUUID(), created_at: new Date().toISOString(), ...fields });
+    return ok(pick(superuser, columns));
+};
+
+// Update a superuser and return the given columns
+const update = async (id, fields, columns = '*') => {
+    const superuser = getSuperuser(id);
+    if (!superuser) {
+        return ok(null);
+    }
+
+    Object.assign(superuser, fields);
+    return ok(pick(superuser, columns));
+};
+
+// Count active superusers, optionally excluding one of them
+const countActive = async (excludeId = null) => {
+    const count = table('superusers').filter((superuser) => isActive(superuser) && !sameId(superuser.id, excludeId)).length;
+    return ok(null, { count });
+};
+
+// Count active superusers holding the admin role, optionally excluding one of them
+const countActiveAdmins = async (excludeId = null) => {
+    const count = table('superuser_roles').filter((assignment) => {
+        const superuser = getSuperuser(assignment.superuser_id);
+        return assignment.role === 'admin' && superuser && isActive(superuser) && !sameId(superuser.id, excludeId);
+    }).length;
+    return ok(null, { count });
+};
+
+// List role assignments, optionally for a single superuser
+const listRoleAssignments = async (superuserId = null) => {
+    const assignments = table('superuser_roles')
+        .filter((assignment) => !superuserId || sameId(assignment.superuser_id, superuserId))
+        .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)))
+        .map(({ superuser_id, role, assigned_by, created_at }) => ({ superuser_id, role, assigned_by, created_at }));
+
+    return ok(assignments);
+};
+
+// Count every role assignment
+const countRoleAssignments = async () => ok(null, { count: table('superuser_roles').length });
+
+// Assign a role to a superuser
+const addRole = async (assignment) => {
+    const exists = table('superuser_roles').some(
+        (entry) => sameId(entry.superuser_id, assignment.superuser_id) && entry.role === assignment.role
+    );
+    if (exists) {
+        return { data: null, error: { code: '23505', message: 'duplicate key value violates unique constraint "superuser_roles_pkey"' } };
+    }
+
+    return ok(insert('superuser_roles', { created_at: new Date().toISOString(), ...assignment }));
+};
+
+// Revoke a role from a superuser
+const removeRole = async (superuserId, role) => {
+    return ok(removeWhere('superuser_roles', (entry) => sameId(entry.superuser_id, superuserId) && entry.role === role));
+};
+
+module.exports = {
+    findById,
+    findByEmail,
+    list,
+    create,
+    update,
+    countActive,
+    countActiveAdmins,
+    listRoleAssignments,
+    countRoleAssignments,
+    addRole,
+    removeRole,
+};
@@ -0,0 +1,117 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { table, insert, removeWhere, sameId, ok, fail } = require('./store');
+
+// Helper to shape a stored auth user like a Supabase Auth user (without the password hash)
+const publicUser = (user) => {
+    const { password_hash, ...rest } = user;
+    return rest;
+};
+
+// Helper to find a stored auth user by email
+const getByEmail = (email) => {
+    return table('auth_users').find((user) => user.email.toLowerCase() === String(email).toLowerCase());
+};
+
+// Register a shopper (mirrors Supabase Auth, including the `users` profile row its trigger creates)
+const signUp = async (email, password, metadata) => {
+    if (!email || !password) {
+        return fail('Email and password are required.');
+    }
+
+    if (getByEmail(email)) {
+        return fail('User already registered');
+    }
+
+    const now = new Date().toISOString();
+    const user = insert('auth_users', {
+        id: crypto.randomUUID(),
+        email: email.toLowerCase(),
+        password_hash: await bcrypt.hash(password, 10),
+        email_confirmed_at: null,
+        user_metadata: { ...metadata },
+        created_at: now,
+    });
+
+    insert('users', { id: user.id, email: user.email, username: metadata?.username || null, created_at: now });
+
+    return ok({ user: publicUser(user), session: null });
+};
+
+// Check a shopper's email and password (resolves with `data.user` on success)
+const signInWithPassword = async (email, password) => {
+    const user = getByEmail(email || '');
+    if (!user || !(await bcrypt.compare(password || '', user.password_hash))) {
+        return fail('Invalid login credentials');
+    }
+
+    return ok({ user: publicUser(user), session: null });
+};
+
+// Find an auth user by email (null when there is none)
+const findByEmail = async (email) => {
+    const user = getByEmail(email);
+    return ok(user ? publicUser(user) : null);
+};
+
+// Fetch an auth user by ID (null when there is none)
+const findById = async (id) => {
+    const user = table('auth_users').find((entry) => sameId(entry.id, id));
+    return ok(user ? publicUser(user) : null);
+};
+
+// Update an auth user (password, email, email_confirm, user_metadata); resolves with `data.user`
+const updateById = async (id, attributes) => {
+    const user = table('auth_users').find((entry) => sameId(entry.id, id));
+    if (!user) {
+        return fail('User not found');
+    }
+
+    if (attributes.password !== undefined) {
+        user.password_hash = await bcrypt.hash(attributes.password, 10);
+    }
+
+    if (attributes.email !== undefined) {
+        user.email = attributes.email.toLowerCase();
+    }
+
+    if (attributes.email_confirm) {
+        user.email_confirmed_at = user.email_confirmed_at || new Date().toISOString();
+    }
+
+    if (attributes.user_metadata !== undefined) {
+        user.user_metadata = { ...attributes.user_metadata };
+    }
+
+    return ok({ user: publicUser(user) });
+};
+
+// Delete an auth user
+const removeById = async (id) => ok(removeWhere('auth_users', (user) => sameId(user.id, id)));
+
+// Fetch a row of the public `users` table
+const findProfile = async (id) => ok(table('users').find((user) => sameId(user.id, id)) || null);
+
+// Update a row of the public `users` table
+const updateProfile = async (id, fields) => {
+    table('users')
+        .filter((user) => sameId(user.id, id))
+        .forEach((user) => Object.assign(user, fields));
+
+    return ok(null);
+};
+
+// Delete a row of the public `users` table
+const removeProfile = async (id) => ok(removeWhere('users', (user) => sameId(user.id, id)));
+
+module.exports = {
+    signUp,
+    signInWithPassword,
+    findByEmail,
+    findById,
+    updateById,
+    removeById,
+    findProfile,
+    updateProfile,
+    removeProfile,
+};
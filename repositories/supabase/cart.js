@@ -0,0 +1,54 @@
+const { supabase } = require('../../supabaseClient');
+
+// Add an item to a user's cart
+const addItem = (item) => {
+    return supabase.from('cart').insert([item]).select().single();
+};
+
+// List a user's cart items with their product and size details
+const listByUser = (userId) => {
+    return supabase
+        .from('cart')
+        .select(`
+            id,
+            product_id,
+            size_id,
+            quantity,
+            added_at,
+            products (
+                id,
+                title,
+                description,
+                price,
+                images,
+                stock_quantity
+            ),
+            sizes (
+                id,
+                size_name
+            )
+        `)
+        .eq('user_id', userId);
+};
+
+// Fetch one of a user's cart items
+const findItem = (id, userId) => {
+    return supabase.from('cart').select('*').eq('id', id).eq('user_id', userId).maybeSingle();
+};
+
+// Change the quantity of one of a user's cart items (null when the item does not exist)
+const updateQuantity = (id, userId, quantity) => {
+    return supabase.from('cart').update({ quantity }).eq('id', id).eq('user_id', userId).select().maybeSingle();
+};
+
+// Remove one of a user's cart items
+const removeItem = (id, userId) => {
+    return supabase.from('cart').delete().eq('id', id).eq('user_id', userId);
+};
+
+// Empty a user's cart
+const clear = (userId) => {
+    return supabase.from('cart').delete().eq('user_id', userId);
+};
+
+module.exports = { addItem, listByUser, findItem, updateQuantity, removeItem, clear };
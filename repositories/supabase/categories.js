@@ -0,0 +1,23 @@
+const { supabase } = require('../../supabaseClient');
+
+// List every category by name
+const list = () => {
+    return supabase.from('categories').select('*').order('name', { ascending: true });
+};
+
+// Create a category
+const create = (name) => {
+    return supabase.from('categories').insert([{ name }]).select().single();
+};
+
+// Fetch a category by ID
+const findById = (id) => {
+    return supabase.from('categories').select('*').eq('id', id).maybeSingle();
+};
+
+// Delete a category
+const remove = (id) => {
+    return supabase.from('categories').delete().eq('id', id);
+};
+
+module.exports = { list, create, findById, remove };
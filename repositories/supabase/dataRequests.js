@@ -0,0 +1,8 @@
+const { supabase } = require('../../supabaseClient');
+
+// Record a completed data-subject request
+const create = (request) => {
+    return supabase.from('data_requests').insert([request]);
+};
+
+module.exports = { create };
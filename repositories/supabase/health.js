@@ -0,0 +1,14 @@
+const { supabase, supabaseAdmin } = require('../../supabaseClient');
+
+// Cheapest query that proves the database answers (no rows are transferred)
+const pingDatabase = async () => {
+    const { error } = await supabase.from('categories').select('id', { count: 'exact', head: true }).limit(1);
+    return { data: !error, error };
+};
+
+// Confirm the product image bucket exists and the service role can reach it
+const pingStorage = () => {
+    return supabaseAdmin.storage.getBucket('images');
+};
+
+module.exports = { pingDatabase, pingStorage };
@@ -0,0 +1,30 @@
+const { supabase } = require('../../supabaseClient');
+
+// Record a stock movement
+const record = (movement) => {
+    return supabase.from('inventory_movements').insert([movement]).select().single();
+};
+
+// List movements matching the filters, newest first, with the total count for paging
+const list = (filters, { limit, offset }) => {
+    let query = supabase.from('inventory_movements').select('*', { count: 'exact' });
+
+    for (const field of ['product_id', 'size_id', 'type', 'order_id']) {
+        if (filters[field] !== undefined) {
+            query = query.eq(field, filters[field]);
+        }
+    }
+
+    return query.order('id', { ascending: false }).range(offset, offset + limit - 1);
+};
+
+// List a page of the product, size and quantity of every movement, oldest first (for reconciling stock against the ledger)
+const listQuantities = ({ limit, offset }) => {
+    return supabase
+        .from('inventory_movements')
+        .select('product_id, size_id, quantity')
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+};
+
+module.exports = { record, list, listQuantities };
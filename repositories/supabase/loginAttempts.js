@@ -0,0 +1,30 @@
+const { supabaseAdmin } = require('../../supabaseClient');
+
+// Failure counters and lockouts are only read or written with the service role
+// (row level security is on with no policies; see supabase/migrations)
+
+// Fetch the tracking row for a key
+const find = (key) => {
+    return supabaseAdmin.from('login_attempts').select('*').eq('key', key).maybeSingle();
+};
+
+// Insert or replace the tracking row for a key
+const save = (row) => {
+    return supabaseAdmin.from('login_attempts').upsert(row, { onConflict: 'key' });
+};
+
+// Delete the tracking row for a key (returns the deleted rows)
+const remove = (key) => {
+    return supabaseAdmin.from('login_attempts').delete().eq('key', key).select('key');
+};
+
+// List keys locked until after a point in time
+const listLockedAfter = (now) => {
+    return supabaseAdmin
+        .from('login_attempts')
+        .select('key, subject_type, failures, last_failure_at, locked_until')
+        .gt('locked_until', now)
+        .order('locked_until', { ascending: false });
+};
+
+module.exports = { find, save, remove, listLockedAfter };
@@ -0,0 +1,115 @@
+const { supabase } = require('../../supabaseClient');
+
+// Create an order
+const create = (fields) => {
+    return supabase.from('orders').insert([fields]).select().single();
+};
+
+// Add line items to an order
+const addItems = (items) => {
+    return supabase.from('orderitems').insert(items).select();
+};
+
+// Delete an order and its line items (undoes an order that could not be completed)
+const remove = async (id) => {
+    const { error: itemsError } = await supabase.from('orderitems').delete().eq('order_id', id);
+    if (itemsError) {
+        return { data: null, error: itemsError };
+    }
+
+    return supabase.from('orders').delete().eq('id', id);
+};
+
+// List an order's line items
+const listItems = (orderId) => {
+    return supabase.from('orderitems').select('*').eq('order_id', orderId);
+};
+
+// Fetch an order by ID
+const findById = (id) => {
+    return supabase.from('orders').select('*').eq('id', id).maybeSingle();
+};
+
+// Update an order's status unless it is cancelled (null when the order does not exist or is cancelled)
+// The check and the update happen in one statement, so of two requests cancelling an order only one changes it
+// (either spelling, any case, surrounding spaces ignored)
+const updateStatus = (id, status) => {
+    return supabase
+        .from('orders')
+        .update({ order_status: status })
+        .eq('id', id)
+        .or('order_status.is.null,order_status.not.imatch.^[[:space:]]*cancell?ed[[:space:]]*$')
+        .select()
+        .maybeSingle();
+};
+
+// List a user's orders with their line items
+const listByUser = (userId) => {
+    return supabase
+        .from('orders')
+        .select('*, orderitems(product_id, quantity, size_id)')
+        .eq('user_id', userId);
+};
+
+// List a user's orders with full line item details (product and size)
+const listDetailedByUser = (userId) => {
+    return supabase
+        .from('orders')
+        .select('*, orderitems(*, products(title, price), sizes(size_name))')
+        .eq('user_id', userId)
+        .order('created_at', { ascending: true });
+};
+
+// List every order with its line items
+const listAll = () => {
+    return supabase.from('orders').select('*, orderitems(product_id, quantity, size_id)');
+};
+
+// Detach orders from their user, keeping them for accounting
+const anonymize = (ids) => {
+    return supabase
+        .from('orders')
+        .update({ user_id: null, anonymized_at: new Date().toISOString() })
+        .in('id', ids);
+};
+
+// Add a message to an order
+const addMessage = (message) => {
+    return supabase.from('messages').insert([message]).select();
+};
+
+// List an order's messages, oldest first
+const listMessages = (orderId) => {
+    return supabase
+        .from('messages')
+        .select('*')
+        .eq('order_id', orderId)
+        .order('created_at', { ascending: true });
+};
+
+// List the messages of several orders
+const listMessagesForOrders = (orderIds) => {
+    return supabase.from('messages').select('*').in('order_id', orderIds);
+};
+
+// Delete the messages of several orders
+const removeMessagesForOrders = (orderIds) => {
+    return supabase.from('messages').delete().in('order_id', orderIds);
+};
+
+module.exports = {
+    create,
+    addItems,
+    remove,
+    listItems,
+    findById,
+    updateStatus,
+    listByUser,
+    listDetailedByUser,
+    listAll,
+    anonymize,
+    addMessage,
+    listMessages,
+    listMessagesForOrders,
+    removeMessagesForOrders,
+};
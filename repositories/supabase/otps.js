@@ -0,0 +1,102 @@
+const { supabaseAdmin } = require('../../supabaseClient');
+
+// OTP hashes and the request log that throttles resends are only read or written with the service role
+// (row level security is on with no policies; see supabase/migrations)
+
+// Fetch the most recent OTP for an email and purpose
+const findLatest = (email, purpose) => {
+    return supabaseAdmin
+        .from('otps')
+        .select('*')
+        .eq('email', email)
+        .eq('purpose', purpose)
+        .order('expires_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+};
+
+// Store a new OTP
+const create = (otp) => {
+    return supabaseAdmin.from('otps').insert(otp);
+};
+
+// Delete every OTP for an email and purpose
+const removeFor = (email, purpose) => {
+    return supabaseAdmin.from('otps').delete().eq('email', email).eq('purpose', purpose);
+};
+
+// Delete every OTP for an email
+const removeForEmail = (email) => {
+    return supabaseAdmin.from('otps').delete().eq('email', email);
+};
+
+// Delete a single OTP
+const remove = (id) => {
+    return supabaseAdmin.from('otps').delete().eq('id', id);
+};
+
+// Increment an OTP's attempt counter only if it still holds the expected value (returns the updated rows)
+const claimAttempt = (id, currentAttempts) => {
+    return supabaseAdmin
+        .from('otps')
+        .update({ attempts: currentAttempts + 1 })
+        .eq('id', id)
+        .eq('attempts', currentAttempts)
+        .select('id');
+};
+
+// Delete OTPs that expired before a point in time
+const removeExpired = (before) => {
+    return supabaseAdmin.from('otps').delete().lt('expires_at', before);
+};
+
+// Fetch the most recent OTP request for an email and purpose
+const findLatestRequest = (email, purpose) => {
+    return supabaseAdmin
+        .from('otp_requests')
+        .select('created_at')
+        .eq('email', email)
+        .eq('purpose', purpose)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+};
+
+// Count the OTP requests made from an IP since a point in time
+const countRequestsFromIp = (ip, since) => {
+    return supabaseAdmin
+        .from('otp_requests')
+        .select('id', { count: 'exact', head: true })
+        .eq('ip_address', ip)
+        .gte('created_at', since);
+};
+
+// Record an OTP request for throttling
+const recordRequest = (request) => {
+    return supabaseAdmin.from('otp_requests').insert(request);
+};
+
+// Delete OTP requests made before a point in time
+const removeRequestsBefore = (before) => {
+    return supabaseAdmin.from('otp_requests').delete().lt('created_at', before);
+};
+
+// Delete every OTP request made for an email
+const removeRequestsForEmail = (email) => {
+    return supabaseAdmin.from('otp_requests').delete().eq('email', email);
+};
+
+module.exports = {
+    findLatest,
+    create,
+    removeFor,
+    removeForEmail,
+    remove,
+    claimAttempt,
+    removeExpired,
+    findLatestRequest,
+    countRequestsFromIp,
+    recordRequest,
+    removeRequestsBefore,
+    removeRequestsForEmail,
+};
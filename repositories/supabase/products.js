@@ -0,0 +1,203 @@
+const { supabase, supabaseAdmin } = require('../../supabaseClient');
+
+// Columns of a listing row: the product with its category names, category and size IDs and review ratings
+const LISTING_COLUMNS = `
+    *,
+    category:categories(name),
+    product_categories(category_id),
+    product_sizes(size_id),
+    reviews(rating)
+`;
+
+// Helper to flatten the embedded links and reviews of a listing row
+const toListing = ({ product_categories: categoryLinks, product_sizes: sizeLinks, reviews, scope, ...product }) => ({
+    ...product,
+    category_ids: (categoryLinks || []).map((link) => link.category_id),
+    size_ids: (sizeLinks || []).map((link) => link.size_id),
+    ratings: (reviews || []).map((review) => review.rating),
+});
+
+// Helper to run a listing query and flatten its rows
+const listWhere = async (query) => {
+    const { data, error } = await query;
+    return { data: data ? data.map(toListing) : null, error };
+};
+
+// Create a product
+const create = (fields) => {
+    return supabase.from('products').insert([fields]).select().single();
+};
+
+// Fetch a product by ID
+const findById = (id) => {
+    return supabase.from('products').select('*').eq('id', id).maybeSingle();
+};
+
+// Update a product's fields
+const update = (id, fields) => {
+    return supabase.from('products').update(fields).eq('id', id).select();
+};
+
+// List a page of products as listing rows, by ID
+const listPage = ({ limit, offset }) => {
+    return listWhere(supabase.from('products').select(LISTING_COLUMNS).order('id', { ascending: true }).range(offset, offset + limit - 1));
+};
+
+// Fetch a product as a listing row
+const findListing = async (id) => {
+    const { data, error } = await supabase.from('products').select(LISTING_COLUMNS).eq('id', id).maybeSingle();
+    return { data: data ? toListing(data) : null, error };
+};
+
+// Columns of a catalog row: the product_listings view (see supabase/migrations) with the category names
+const CATALOG_COLUMNS = '*, category:categories(name)';
+
+// Helper to drop the column the rating sort uses from a catalog row
+const toCatalogRow = ({ rating_rank, ...row }) => row;
+
+// Helper to apply the catalog filters to a product_listings query
+const filterCatalog = (query, { min_price, max_price, category_ids = [], size_ids = [], in_stock, discounted, category_id, size_id }) => {
+    if (min_price !== undefined) query = query.gte('effective_price', min_price);
+    if (max_price !== undefined) query = query.lte('effective_price', max_price);
+    if (category_ids.length > 0) query = query.overlaps('category_ids', category_ids);
+    if (size_ids.length > 0) query = query.overlaps('size_ids', size_ids);
+    if (in_stock) query = query.gt('stock_quantity', 0);
+    if (discounted) query = query.eq('is_discounted', true);
+    if (category_id !== undefined) query = query.contains('category_ids', [category_id]);
+    if (size_id !== undefined) query = query.contains('size_ids', [size_id]);
+    return query;
+};
+
+// List a page of the catalog: the products matching `filters` ordered by `sort` ({ column, ascending }, ties
+// by ID), from `offset` or after the position `after` ({ value, id }); `count` is the total matching the filters
+const browse = async (filters, { sort, after = null, limit, offset = 0 }) => {
+    let query = filterCatalog(supabase.from('product_listings').select(CATALOG_COLUMNS, after ? {} : { count: 'exact' }), filters);
+    if (after) {
+        const beyond = sort.ascending ? 'gt' : 'lt';
+        query = query.or(`${sort.column}.${beyond}."${after.value}",and(${sort.column}.eq."${after.value}",id.gt.${after.id})`);
+    }
+
+    const { data, error, count } = await query
+        .order(sort.column, { ascending: sort.ascending })
+        .order('id', { ascending: true })
+        .range(offset, offset + limit - 1);
+
+    if (error || !after) {
+        return { data: data ? data.map(toCatalogRow) : null, error, count };
+    }
+
+    // The page after a position leaves out the rows before it, so the total is counted on its own
+    const total = await filterCatalog(supabase.from('product_listings').select('id', { count: 'exact', head: true }), filters);
+    return { data: data.map(toCatalogRow), error: total.error, count: total.count };
+};
+
+// Replace the categories a product is linked to
+const setCategories = async (productId, categoryIds) => {
+    const { error: deleteError } = await supabase.from('product_categories').delete().eq('product_id', productId);
+    if (deleteError || categoryIds.length === 0) {
+        return { data: null, error: deleteError };
+    }
+
+    return supabase
+        .from('product_categories')
+        .insert(categoryIds.map((categoryId) => ({ product_id: productId, category_id: categoryId })));
+};
+
+// Columns of a variant (a `product_sizes` row) with its size name
+const VARIANT_COLUMNS = 'product_id, size_id, sku, stock_quantity, price_override, sizes(size_name)';
+
+// List a product's variants with their size names
+const listVariants = (productId) => {
+    return supabase.from('product_sizes').select(VARIANT_COLUMNS).eq('product_id', productId).order('size_id');
+};
+
+// List a page of the variants of every product, by product and size
+const listAllVariants = ({ limit, offset }) => {
+    return supabase
+        .from('product_sizes')
+        .select(VARIANT_COLUMNS)
+        .order('product_id', { ascending: true })
+        .order('size_id', { ascending: true })
+        .range(offset, offset + limit - 1);
+};
+
+// List every product's variant in a size
+const listVariantsBySize = (sizeId) => {
+    return supabase.from('product_sizes').select(VARIANT_COLUMNS).eq('size_id', sizeId);
+};
+
+// Fetch the variant with a SKU (null when no variant has it)
+const findVariantBySku = (sku) => {
+    return supabase.from('product_sizes').select(VARIANT_COLUMNS).eq('sku', sku).maybeSingle();
+};
+
+// Replace a product's variants: drop the sizes left out, then add or update the others in place, so the
+// sizes kept never disappear. Each row has a size_id, sku and price_override, and a stock_quantity
+// unless its stock stays as it is (a reservation made meanwhile is then kept).
+const setVariants = async (productId, variants) => {
+    let removed = supabase.from('product_sizes').delete().eq('product_id', productId);
+    if (variants.length > 0) {
+        removed = removed.not('size_id', 'in', `(${variants.map((variant) => variant.size_id).join(',')})`);
+    }
+
+    const { error: deleteError } = await removed;
+    if (deleteError) {
+        return { data: null, error: deleteError };
+    }
+
+    // A bulk upsert sends the same columns for every row, so rows that keep their stock go on their own
+    const rows = variants.map((variant) => ({ ...variant, product_id: productId }));
+    const batches = [rows.filter((row) => 'stock_quantity' in row), rows.filter((row) => !('stock_quantity' in row))];
+    for (const batch of batches.filter((batch) => batch.length > 0)) {
+        const { error } = await supabase.from('product_sizes').upsert(batch, { onConflict: 'product_id,size_id' });
+        if (error) {
+            return { data: null, error };
+        }
+    }
+
+    return { data: null, error: null };
+};
+
+// Add `delta` to the stock of a product (sizeId null) or of one of its variants, keeping the product's
+// total in step; resolves with null data, changing nothing, when the stock would drop below zero.
+// Both changes happen in one transaction, in the adjust_stock function (supabase/migrations), which only
+// the service role may call.
+const adjustStock = async (productId, sizeId, delta) => {
+    const { data, error } = await supabaseAdmin.rpc('adjust_stock', { p_product_id: productId, p_size_id: sizeId, p_delta: delta });
+    return { data: data === null || data === undefined ? null : { stock_quantity: data }, error };
+};
+
+// Upload a product image to storage and return its public URL
+const uploadImage = async (filePath, buffer, contentType) => {
+    const { error } = await supabase.storage
+        .from('images') // Ensure the bucket name is 'images'
+        .upload(filePath, buffer, {
+            cacheControl: '3600',
+            upsert: false,
+            contentType,
+        });
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    // Dynamically construct the URL based on SUPABASE_URL
+    return { data: `${process.env.SUPABASE_URL}/storage/v1/object/public/images/${filePath}`, error: null };
+};
+
+module.exports = {
+    create,
+    findById,
+    update,
+    listPage,
+    findListing,
+    browse,
+    setCategories,
+    listVariants,
+    listAllVariants,
+    listVariantsBySize,
+    findVariantBySku,
+    setVariants,
+    adjustStock,
+    uploadImage,
+};
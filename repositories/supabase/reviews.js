@@ -0,0 +1,66 @@
+const { supabase } = require('../../supabaseClient');
+
+// Create a review
+const create = (review) => {
+    return supabase.from('reviews').insert([review]).select().single();
+};
+
+// Create a reply to a review
+const createReply = (reply) => {
+    return supabase.from('replies').insert([reply]).select().single();
+};
+
+// List a product's reviews with their replies, newest first
+const listByProduct = (productId) => {
+    return supabase
+        .from('reviews')
+        .select(`
+            id,
+            user_id,
+            product_id,
+            username,
+            rating,
+            feedback,
+            created_at,
+            replies (
+                id,
+                review_id,
+                product_id,
+                user_id,
+                username,
+                reply,
+                created_at
+            )
+        `)
+        .eq('product_id', productId)
+        .order('created_at', { ascending: false });
+};
+
+// List the reviews written by a user with the replies they received
+const listByUser = (userId) => {
+    return supabase.from('reviews').select('*, replies(*)').eq('user_id', userId);
+};
+
+// List the replies written by a user
+const listRepliesByUser = (userId) => {
+    return supabase.from('replies').select('*').eq('user_id', userId);
+};
+
+// Detach a user's reviews and replies from them, showing a placeholder name instead
+const anonymizeUser = async (userId, placeholder) => {
+    const { error } = await supabase
+        .from('reviews')
+        .update({ user_id: null, username: placeholder })
+        .eq('user_id', userId);
+
+    if (error) {
+        return { data: null, error };
+    }
+
+    return supabase
+        .from('replies')
+        .update({ user_id: null, username: placeholder })
+        .eq('user_id', userId);
+};
+
+module.exports = { create, createReply, listByProduct, listByUser, listRepliesByUser, anonymizeUser };
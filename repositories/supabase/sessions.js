@@ -0,0 +1,68 @@
+const { supabaseAdmin } = require('../../supabaseClient');
+
+// Sessions hold token claims and refresh-token hashes, so only the service role reads or writes them
+// (row level security is on with no policies; see supabase/migrations)
+
+// Store a new session
+const create = (session) => {
+    return supabaseAdmin.from('sessions').insert([session]);
+};
+
+// Fetch a session by ID
+const findById = (id) => {
+    return supabaseAdmin.from('sessions').select('*').eq('id', id).maybeSingle();
+};
+
+// Rotate a session's refresh token only if it still holds the presented hash (returns the updated rows)
+const rotate = (id, presentedHash, fields) => {
+    return supabaseAdmin
+        .from('sessions')
+        .update(fields)
+        .eq('id', id)
+        .eq('refresh_token_hash', presentedHash)
+        .select('id');
+};
+
+// Update a session's JWT claims
+const updateClaims = (id, claims) => {
+    return supabaseAdmin.from('sessions').update({ claims }).eq('id', id);
+};
+
+// Revoke a single session
+const revoke = (id) => {
+    return supabaseAdmin
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('id', id)
+        .is('revoked_at', null);
+};
+
+// Revoke every session of a subject, optionally keeping one of them
+const revokeAllFor = (subjectType, subjectId, exceptId = null) => {
+    let query = supabaseAdmin
+        .from('sessions')
+        .update({ revoked_at: new Date().toISOString() })
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .is('revoked_at', null);
+
+    if (exceptId) {
+        query = query.neq('id', exceptId);
+    }
+
+    return query;
+};
+
+// List a subject's sessions that are neither revoked nor expired, most recently used first
+const listActiveFor = (subjectType, subjectId) => {
+    return supabaseAdmin
+        .from('sessions')
+        .select('id, subject_type, subject_id, claims, user_agent, ip_address, created_at, last_used_at, expires_at')
+        .eq('subject_type', subjectType)
+        .eq('subject_id', subjectId)
+        .is('revoked_at', null)
+        .gt('expires_at', new Date().toISOString())
+        .order('last_used_at', { ascending: false });
+};
+
+module.exports = { create, findById, rotate, updateClaims, revoke, revokeAllFor, listActiveFor };
@@ -0,0 +1,23 @@
+const { supabase } = require('../../supabaseClient');
+
+// List every size by name
+const list = () => {
+    return supabase.from('sizes').select('*').order('size_name', { ascending: true });
+};
+
+// Create a size
+const create = (sizeName) => {
+    return supabase.from('sizes').insert([{ size_name: sizeName }]).select().single();
+};
+
+// Fetch a size by ID
+const findById = (id) => {
+    return supabase.from('sizes').select('*').eq('id', id).maybeSingle();
+};
+
+// Delete a size
+const remove = (id) => {
+    return supabase.from('sizes').delete().eq('id', id);
+};
+
+module.exports = { list, create, findById, remove };
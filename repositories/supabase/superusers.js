@@ -0,0 +1,98 @@
+const { supabaseAdmin } = require('../../supabaseClient');
+
+// Superuser accounts and their role assignments decide who may do what, so only the service role reads or
+// writes them (superuser_roles has row level security on with no policies; see supabase/migrations)
+
+// Fetch a superuser by ID
+const findById = (id) => {
+    return supabaseAdmin.from('superusers').select('*').eq('id', id).maybeSingle();
+};
+
+// Fetch a superuser by email
+const findByEmail = (email) => {
+    return supabaseAdmin.from('superusers').select('*').eq('email', email).maybeSingle();
+};
+
+// List superusers (only the given columns)
+const list = (columns) => {
+    return supabaseAdmin.from('superusers').select(columns).order('created_at', { ascending: true });
+};
+
+// Create a superuser and return the given columns
+const create = (fields, columns) => {
+    return supabaseAdmin.from('superusers').insert([fields]).select(columns).single();
+};
+
+// Update a superuser and return the given columns
+const update = (id, fields, columns = '*') => {
+    return supabaseAdmin.from('superusers').update(fields).eq('id', id).select(columns).maybeSingle();
+};
+
+// Count active superusers, optionally excluding one of them
+const countActive = (excludeId = null) => {
+    let query = supabaseAdmin
+        .from('superusers')
+        .select('id', { count: 'exact', head: true })
+        .or('status.is.null,status.eq.active'); // Legacy rows have no status and are active
+
+    if (excludeId) {
+        query = query.neq('id', excludeId);
+    }
+
+    return query;
+};
+
+// Count active superusers holding the admin role, optionally excluding one of them
+const countActiveAdmins = (excludeId = null) => {
+    let query = supabaseAdmin
+        .from('superuser_roles')
+        .select('superuser_id, superusers!inner(status)', { count: 'exact', head: true })
+        .eq('role', 'admin')
+        .or('status.is.null,status.eq.active', { referencedTable: 'superusers' });
+
+    if (excludeId) {
+        query = query.neq('superuser_id', excludeId);
+    }
+
+    return query;
+};
+
+// List role assignments, optionally for a single superuser
+const listRoleAssignments = (superuserId = null) => {
+    let query = supabaseAdmin.from('superuser_roles').select('superuser_id, role, assigned_by, created_at');
+
+    if (superuserId) {
+        query = query.eq('superuser_id', superuserId);
+    }
+
+    return query.order('created_at', { ascending: true });
+};
+
+// Count every role assignment
+const countRoleAssignments = () => {
+    return supabaseAdmin.from('superuser_roles').select('superuser_id', { count: 'exact', head: true });
+};
+
+// Assign a role to a superuser
+const addRole = (assignment) => {
+    return supabaseAdmin.from('superuser_roles').insert([assignment]).select().single();
+};
+
+// Revoke a role from a superuser
+const removeRole = (superuserId, role) => {
+    return supabaseAdmin.from('superuser_roles').delete().eq('superuser_id', superuserId).eq('role', role);
+};
+
+module.exports = {
+    findById,
+    findByEmail,
+    list,
+    create,
+    update,
+    countActive,
+    countActiveAdmins,
+    listRoleAssignments,
+    countRoleAssignments,
+    addRole,
+    removeRole,
+};
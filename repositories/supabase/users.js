@@ -0,0 +1,84 @@
+const { supabase, supabaseAdmin } = require('../../supabaseClient');
+
+// Register a shopper through Supabase Auth
+const signUp = (email, password, metadata) => {
+    return supabase.auth.signUp({ email, password, options: { data: metadata } });
+};
+
+// Check a shopper's email and password (resolves with `data.user` on success)
+const signInWithPassword = (email, password) => {
+    return supabase.auth.signInWithPassword({ email, password });
+};
+
+// Auth users fetched per page when looking one up by email
+const USER_PAGE_SIZE = 1000;
+
+// Find an auth user by email (null when there is none)
+// listUsers answers a page at a time, so the pages are walked until the email turns up or they run out
+const findByEmail = async (email) => {
+    const wanted = email.toLowerCase();
+
+    let page = 1;
+    while (page) {
+        const { data, error } = await supabaseAdmin.auth.admin.listUsers({ page, perPage: USER_PAGE_SIZE });
+        if (error) {
+            return { data: null, error };
+        }
+
+        const user = data.users.find((u) => (u.email || '').toLowerCase() === wanted);
+        if (user) {
+            return { data: user, error: null };
+        }
+
+        page = data.users.length > 0 ? data.nextPage : null;
+    }
+
+    return { data: null, error: null };
+};
+
+// Fetch an auth user by ID (null when there is none)
+const findById = async (id) => {
+    const { data, error } = await supabaseAdmin.auth.admin.getUserById(id);
+    if (error) {
+        return error.status === 404 ? { data: null, error: null } : { data: null, error };
+    }
+
+    return { data: data.user, error: null };
+};
+
+// Update an auth user (password, email, email_confirm, user_metadata); resolves with `data.user`
+const updateById = (id, attributes) => {
+    return supabaseAdmin.auth.admin.updateUserById(id, attributes);
+};
+
+// Delete an auth user
+const removeById = (id) => {
+    return supabaseAdmin.auth.admin.deleteUser(id);
+};
+
+// Fetch a row of the public `users` table
+const findProfile = (id) => {
+    return supabase.from('users').select('*').eq('id', id).maybeSingle();
+};
+
+// Update a row of the public `users` table
+const updateProfile = (id, fields) => {
+    return supabase.from('users').update(fields).eq('id', id);
+};
+
+// Delete a row of the public `users` table
+const removeProfile = (id) => {
+    return supabase.from('users').delete().eq('id', id);
+};
+
+module.exports = {
+    signUp,
+    signInWithPassword,
+    findByEmail,
+    findById,
+    updateById,
+    removeById,
+    findProfile,
+    updateProfile,
+    removeProfile,
+};
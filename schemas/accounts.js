@@ -0,0 +1,83 @@
+const { ROLES } = require('../middleware/permissions');
+const { subjectId, email, otp, password, subjectType, text, object } = require('./common');
+
+const role = { type: 'string', enum: Object.keys(ROLES) };
+
+module.exports = {
+    // Data-subject requests (/api/info)
+    dataRequest: {
+        params: object({ action: { type: 'string', enum: ['export', 'delete'] } }, ['action']),
+    },
+    confirmDataRequest: {
+        body: object({ otp }, ['otp']),
+    },
+
+    // Profile self-service (/api/profile)
+    changeUsername: {
+        body: object({ username: { type: 'string', maxLength: 100 } }, ['username']),
+    },
+    requestEmailChange: {
+        body: object({ new_email: email }, ['new_email']),
+    },
+    confirmEmailChange: {
+        body: object({ otp }, ['otp']),
+    },
+    changePassword: {
+        body: object({ current_password: password, new_password: password }, ['current_password', 'new_password']),
+    },
+
+    // Staff roles (/api/roles)
+    listRoleAssignments: {
+        query: object({ superuser_id: subjectId }),
+    },
+    changeRole: {
+        body: object({ superuser_id: subjectId, role }, ['superuser_id', 'role']),
+    },
+
+    // Sessions (/api/sessions)
+    listSessions: {
+        query: object({ subject_id: subjectId, subject_type: subjectType }, ['subject_id']),
+    },
+    revokeSession: {
+        body: object({ session_id: { type: 'string', format: 'uuid' } }, ['session_id']),
+    },
+    revokeAllSessions: {
+        body: object({ subject_id: subjectId, subject_type: subjectType }, ['subject_id']),
+    },
+
+    // Login lockouts (/api/lockouts)
+    unlockAccount: {
+        body: object({ email, subject_type: subjectType, ip: { type: 'string', minLength: 1, maxLength: 64 } }),
+    },
+
+    // Superuser two-factor authentication (/superuser/2fa)
+    confirmTwoFactor: {
+        body: object({ code: otp }, ['code']),
+    },
+    disableTwoFactor: {
+        body: object({ password, code: otp, recovery_code: text(64) }, ['password']),
+    },
+
+    // Superuser accounts (/api/superusers)
+    inviteSuperuser: {
+        body: object({ email, username: text(50) }, ['email', 'username']),
+    },
+    acceptInvite: {
+        body: object({ email, otp, password }, ['email', 'otp', 'password']),
+    },
+    disableSuperuser: {
+        body: object({ superuser_id: subjectId }, ['superuser_id']),
+    },
+    changeSuperuserPassword: {
+        body: object({ current_password: password, new_password: password }, ['current_password', 'new_password']),
+    },
+
+    // Email template previews (/api/mail)
+    previewTemplate: {
+        body: object({ template: text(100), variables: { type: 'object' } }, ['template']),
+    },
+    previewTemplatePage: {
+        params: object({ template: text(100) }, ['template']),
+        query: object({ format: { type: 'string', enum: ['html', 'text'] } }),
+    },
+};
@@ -0,0 +1,37 @@
+const { email, otp, password, text, object } = require('./common');
+
+module.exports = {
+    signup: {
+        body: object({ email, password: { ...password, minLength: 6 }, username: text(50) }, ['email', 'password']),
+    },
+    login: {
+        body: object({ email, password }, ['email', 'password']),
+    },
+    requestLoginOTP: {
+        body: object({ email }, ['email']),
+    },
+    loginWithOTP: {
+        body: object({ email, otp }, ['email', 'otp']),
+    },
+    superuserLogin: {
+        body: object({ email, password }, ['email', 'password']),
+    },
+    verifySuperuserTwoFactor: {
+        body: object({ challenge_token: text(2048), code: otp, recovery_code: text(64) }, ['challenge_token']),
+    },
+    requestOTPForPasswordReset: {
+        body: object({ email }, ['email']),
+    },
+    resetPasswordWithOTP: {
+        body: object({ email, otp, new_password: { ...password, minLength: 6 } }, ['email', 'otp', 'new_password']),
+    },
+    verifyEmailWithOTP: {
+        body: object({ email, otp }, ['email', 'otp']),
+    },
+    resendOTP: {
+        body: object({ email, purpose: { type: 'string', enum: ['email_verification', 'password_reset'] } }, ['email', 'purpose']),
+    },
+    refreshToken: {
+        body: object({ refresh_token: text(512) }, ['refresh_token']),
+    },
+};
@@ -0,0 +1,113 @@
+const { id, text, idList, object } = require('./common');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, LISTING_SORTS, SEARCH_SORTS } = require('../services/productListing');
+
+// Multipart forms send booleans as strings; type coercion turns 'true' and 'false' into booleans
+const flag = { type: 'boolean' };
+const price = { type: 'number', minimum: 0 };
+const discountPercentage = { type: ['number', 'null'], minimum: 0, maximum: 100 };
+const stockQuantity = { type: 'integer', minimum: 0 };
+const lowStockThreshold = {
+    type: ['integer', 'null'],
+    minimum: 0,
+    description: 'Staff are emailed when the stock (or a size\'s) falls to this many; null uses the store default.',
+};
+
+// A product/size combination with its own SKU, stock and optional price (see services/inventory.js)
+const variants = {
+    type: 'array',
+    maxItems: 100,
+    items: object({
+        size_id: id,
+        sku: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9._-]*$', maxLength: 64 },
+        stock_quantity: stockQuantity,
+        price_override: { type: ['number', 'null'], minimum: 0 },
+    }, ['size_id']),
+    description: 'Replaces the sizes the product comes in; sizes it already had keep the SKU, stock and price left out.',
+};
+
+// Query strings carry ID lists comma-separated, e.g. category_ids=1,2
+const idsParam = { type: 'string', pattern: '^\\d+(,\\d+)*$', maxLength: 500 };
+
+// Filters, sort and pagination of the product listings (see services/productListing.js)
+const listingQuery = object({
+    page: { type: 'integer', minimum: 1 },
+    limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE },
+    cursor: { type: 'string', minLength: 1, maxLength: 500 },
+    min_price: { ...price, description: 'Lowest price after discount.' },
+    max_price: { ...price, description: 'Highest price after discount.' },
+    category_ids: { ...idsParam, description: 'Products in any of these categories, e.g. 1,2.' },
+    size_ids: { ...idsParam, description: 'Products available in any of these sizes, e.g. 1,2.' },
+    in_stock: flag,
+    discounted: flag,
+    sort: { type: 'string', enum: LISTING_SORTS },
+});
+
+// Search takes the listing options plus the keywords, sorts by relevance and is always paginated
+const searchQuery = object({
+    ...listingQuery.properties,
+    q: { ...text(200), description: 'Keywords matched against titles and descriptions; typos and word prefixes are tolerated.' },
+    limit: { ...listingQuery.properties.limit, default: DEFAULT_PAGE_SIZE },
+    sort: { type: 'string', enum: SEARCH_SORTS, default: 'relevance' },
+}, ['q']);
+
+module.exports = {
+    addProduct: {
+        body: object({
+            title: text(200),
+            description: { type: 'string', maxLength: 5000 },
+            category_ids: idList(1),
+            size_ids: idList(),
+            variants,
+            price,
+            is_discounted: flag,
+            discount_percentage: discountPercentage,
+            stock_quantity: { ...stockQuantity, description: 'Stock of a product without sizes; with sizes it is the total over the variants.' },
+            low_stock_threshold: lowStockThreshold,
+        }, ['title', 'price', 'category_ids']),
+    },
+    listProducts: {
+        query: listingQuery,
+    },
+    searchProducts: {
+        query: searchQuery,
+    },
+    fetchProduct: {
+        body: object({ product_id: id }, ['product_id']),
+    },
+    updateProduct: {
+        body: object({
+            product_id: id,
+            title: text(200),
+            description: { type: 'string', maxLength: 5000 },
+            price,
+            is_discounted: flag,
+            discount_percentage: discountPercentage,
+            stock_quantity: { ...stockQuantity, description: 'Sets the stock of a product without sizes; the change is recorded as an adjustment.' },
+            low_stock_threshold: lowStockThreshold,
+            images: { type: 'array', items: text(2048), maxItems: 5 },
+            category_ids: idList(),
+            size_ids: idList(),
+            variants,
+        }, ['product_id']),
+    },
+    addCategory: {
+        body: object({ name: text(100) }, ['name']),
+    },
+    categoryProducts: {
+        body: object({ category_id: id }, ['category_id']),
+        query: listingQuery,
+    },
+    deleteCategory: {
+        body: object({ id }, ['id']),
+    },
+    addSize: {
+        body: object({ size_name: text(50) }, ['size_name']),
+    },
+    sizeProducts: {
+        body: object({ size_id: id }, ['size_id']),
+        query: listingQuery,
+    },
+    deleteSize: {
+        body: object({ id }, ['id']),
+    },
+};
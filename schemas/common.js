@@ -0,0 +1,30 @@
+// Building blocks shared by the request schemas (JSON Schema, validated with Ajv)
+
+// Numeric database IDs (products, categories, sizes, orders, ...)
+const id = { type: 'integer', minimum: 1 };
+
+// IDs that may be UUIDs or numbers depending on the table (users, superusers)
+const subjectId = { type: 'string', minLength: 1, maxLength: 64 };
+
+const email = { type: 'string', format: 'email', maxLength: 254 };
+const otp = { type: 'string', pattern: '^\\d{6}$' };
+const password = { type: 'string', minLength: 1, maxLength: 256 };
+const subjectType = { type: 'string', enum: ['user', 'superuser'] };
+
+// A string that is not blank
+const text = (maxLength) => ({ type: 'string', minLength: 1, maxLength, pattern: '\\S' });
+
+// A list of numeric IDs
+const idList = (minItems = 0) => ({ type: 'array', items: id, minItems, maxItems: 100 });
+
+// An object schema with the given properties, of which `required` must be present
+const object = (properties, required = []) => ({ type: 'object', properties, required });
+
+// A copy of an object schema without some of its properties (e.g. fields that move into the URL)
+const without = (schema, ...fields) => ({
+    ...schema,
+    properties: Object.fromEntries(Object.entries(schema.properties).filter(([name]) => !fields.includes(name))),
+    required: (schema.required || []).filter((name) => !fields.includes(name)),
+});
+
+module.exports = { id, subjectId, email, otp, password, subjectType, text, idList, object, without };
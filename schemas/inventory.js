@@ -0,0 +1,39 @@
+const { id, text, object } = require('./common');
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = require('../services/productListing');
+const { MOVEMENT_TYPES, MANUAL_MOVEMENT_TYPES } = require('../services/inventory');
+
+const reason = text(500);
+
+module.exports = {
+    // Stock movements (/api/inventory/movements)
+    recordMovement: {
+        body: object({
+            product_id: id,
+            size_id: id,
+            type: { type: 'string', enum: MANUAL_MOVEMENT_TYPES },
+            quantity: {
+                type: 'integer',
+                not: { const: 0 },
+                minimum: -100000,
+                maximum: 100000,
+                description: 'Units moved in (positive) or out (negative); receipts and returns only move stock in.',
+            },
+            reason: { ...reason, description: 'Why the stock changed; required for adjustments.' },
+        }, ['product_id', 'type', 'quantity']),
+    },
+    listMovements: {
+        query: object({
+            product_id: id,
+            size_id: id,
+            order_id: id,
+            type: { type: 'string', enum: MOVEMENT_TYPES },
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE },
+        }),
+    },
+
+    // Reconciliation (/api/inventory/reconciliation)
+    settleDiscrepancies: {
+        body: object({ reason }),
+    },
+};
@@ -0,0 +1,32 @@
+const { id, text, object } = require('./common');
+
+const quantity = { type: 'integer', minimum: 1, maximum: 100 };
+const optionalSize = { type: ['integer', 'null'], minimum: 1 };
+
+module.exports = {
+    addToCart: {
+        body: object({ product_id: id, size_id: optionalSize, quantity }, ['product_id', 'quantity']),
+    },
+    removeFromCart: {
+        body: object({ cart_item_id: id }, ['cart_item_id']),
+    },
+    createOrder: {
+        body: object({
+            items: {
+                type: 'array',
+                minItems: 1,
+                maxItems: 100,
+                items: object({ product_id: id, size_id: optionalSize, quantity }, ['product_id', 'quantity']),
+            },
+        }, ['items']),
+    },
+    updateOrderStatus: {
+        body: object({ order_id: id, status: text(50) }, ['order_id', 'status']),
+    },
+    sendMessage: {
+        body: object({ orderId: id, message: text(2000) }, ['orderId', 'message']),
+    },
+    fetchMessages: {
+        body: object({ order_id: id }, ['order_id']),
+    },
+};
@@ -0,0 +1,17 @@
+const { id, text, object } = require('./common');
+
+module.exports = {
+    addReview: {
+        body: object({ product_id: id, rating: { type: 'number', minimum: 1, maximum: 5 }, feedback: text(2000) }, [
+            'product_id',
+            'rating',
+            'feedback',
+        ]),
+    },
+    addReply: {
+        body: object({ review_id: id, product_id: id, reply: text(2000) }, ['review_id', 'product_id', 'reply']),
+    },
+    listReviews: {
+        query: object({ product_id: id }, ['product_id']),
+    },
+};
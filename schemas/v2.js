@@ -0,0 +1,63 @@
+// Request schemas for the v2 routes: IDs move from the body into the URL, everything else is shared with v1
+const { id, subjectId, object, without } = require('./common');
+const { DEFAULT_PAGE_SIZE } = require('../services/productListing');
+const catalogSchemas = require('./catalog');
+const orderSchemas = require('./orders');
+const reviewSchemas = require('./reviews');
+const accountSchemas = require('./accounts');
+
+// '/:id' for numeric resources
+const resourceId = { params: object({ id }, ['id']) };
+
+// v2 listings are always paginated
+const listingQuery = {
+    ...catalogSchemas.listProducts.query,
+    properties: {
+        ...catalogSchemas.listProducts.query.properties,
+        limit: { ...catalogSchemas.listProducts.query.properties.limit, default: DEFAULT_PAGE_SIZE },
+    },
+};
+
+module.exports = {
+    resourceId,
+    listProducts: {
+        query: listingQuery,
+    },
+    productLookup: {
+        ...resourceId,
+        query: listingQuery,
+    },
+    updateProduct: {
+        ...resourceId,
+        body: without(catalogSchemas.updateProduct.body, 'product_id'),
+    },
+    addReview: {
+        ...resourceId,
+        body: without(reviewSchemas.addReview.body, 'product_id'),
+    },
+    addReply: {
+        params: object({ productId: id, id }, ['productId', 'id']),
+        body: without(reviewSchemas.addReply.body, 'product_id', 'review_id'),
+    },
+    updateCartItem: {
+        ...resourceId,
+        body: object({ quantity: orderSchemas.addToCart.body.properties.quantity }, ['quantity']),
+    },
+    updateOrderStatus: {
+        ...resourceId,
+        body: without(orderSchemas.updateOrderStatus.body, 'order_id'),
+    },
+    sendMessage: {
+        ...resourceId,
+        body: without(orderSchemas.sendMessage.body, 'orderId'),
+    },
+    sessionId: {
+        params: object({ id: accountSchemas.revokeSession.body.properties.session_id }, ['id']),
+    },
+    revokeSubjectSessions: {
+        query: accountSchemas.revokeAllSessions.body,
+    },
+    roleAssignment: {
+        params: object({ id: subjectId, role: accountSchemas.changeRole.body.properties.role }, ['id', 'role']),
+    },
+};
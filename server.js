@@ -1,57 +1,43 @@
-const express = require('express');
-const dotenv = require('dotenv');
-
-// Load environment variables
-dotenv.config();
-
-// Import authentication-related controllers from auth.js
-const {
-    signup,
-    login,
-    requestOTPForPasswordReset,
-    resetPasswordWithOTP,
-    verifyEmailWithOTP,
-    superuserLogin,
-    resendOTP
-} = require('./auth/auth');
-
-// Import routes for products, categories, orders, and reviews
-const productRoutes = require('./auth/product'); // Product routes
-const categoryRoutes = require('./auth/category'); // Category routes
-const orderRoutes = require('./auth/order'); // Order routes (includes orderitems and messages)
-const reviewRoutes = require('./auth/review'); // Review routes (for reviews and replies)
-const infoRouter = require('./auth/info'); // Info routes
-const sizeRouter = require('./auth/size'); // Size routes
-const cartRoutes = require('./auth/cart'); // Cart routes
-
-// Initialize Express app
-const app = express();
-
-// Middleware
-app.use(express.json()); // Built-in body-parser for parsing JSON requests
-
-// Authentication Routes
-app.post('/signup', signup); // User signup
-app.post('/login', login); // User login
-app.post('/superuser-login', superuserLogin); // Superuser login
-app.post('/request-password-reset-otp', requestOTPForPasswordReset); // Request OTP for password reset
-app.post('/reset-password-with-otp', resetPasswordWithOTP); // Reset password using OTP
-app.post('/verify-email-with-otp', verifyEmailWithOTP); // Verify email using OTP
-app.post('/resend-otp', resendOTP); // Resend OTP for email verification or password reset
-
-// Product, Category, Order, and Review Routes
-app.use('/api/products', productRoutes); // Endpoints for product-related operations
-app.use('/api/categories', categoryRoutes); // Endpoints for category-related operations
-app.use('/api/orders', orderRoutes); // Endpoints for order-related operations (includes orderitems and messages)
-app.use('/api/reviews', reviewRoutes); // Endpoints for review-related operations
-app.use('/api/info', infoRouter); // Endpoints for fetching user info
-app.use('/api/sizes', sizeRouter); // Endpoints for size-related operations
-app.use('/api/cart', cartRoutes); // Endpoints for cart-related operations
+require('dotenv').config(); // Load environment variables before anything reads them
+const { assertConfig, ConfigError } = require('./config');
+
+// Refuse to start with a broken environment instead of failing on the first request
+try {
+    assertConfig();
+} catch (err) {
+    if (!(err instanceof ConfigError)) throw err;
+    process.stderr.write(`${err.message}\n`);
+    process.exit(1);
+}
+
+const app = require('./app'); // Express app
+const { logger } = require('./logger');
+const { startOTPCleanupJob } = require('./services/otp');
+const { trackRequests, gracefulShutdown } = require('./services/shutdown');
+
+// Scheduled Jobs
+const otpCleanupTimer = startOTPCleanupJob(); // Periodically remove expired OTPs and stale resend records
 
 // Start the server
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
     // Log the Render URL
     const renderUrl = process.env.RENDER_EXTERNAL_URL || `http://localhost:${PORT}`;
-    console.log(`🚀 Server is running at: ${renderUrl}`);
+    logger.info('Server is running', { url: renderUrl, port: Number(PORT) });
 });
+trackRequests(server);
+
+// Graceful shutdown: stop taking requests, drain the ones in flight, then exit
+let stopping = false;
+const shutdown = async (signal) => {
+    if (stopping) return;
+    stopping = true;
+
+    logger.info('Shutting down', { signal });
+    const drained = await gracefulShutdown(server, { cleanup: () => clearInterval(otpCleanupTimer) });
+    logger.info('Server stopped', { drained });
+    process.exit(drained ? 0 : 1);
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
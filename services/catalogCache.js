@@ -0,0 +1,71 @@
+const crypto = require('crypto');
+
+// Catalog cache policy (overridable through the environment)
+// Entries also expire after the TTL so changes made outside the API (e.g. in the Supabase dashboard) show up eventually
+const CATALOG_CACHE_TTL_SECONDS = parseInt(process.env.CATALOG_CACHE_TTL_SECONDS, 10) || 300;
+
+// Cached catalog responses by key, e.g. 'categories' or 'category-products:3'
+// Each instance keeps its own copy; writes only invalidate the instance that handled them, which the TTL bounds
+const entries = new Map();
+
+// Cached responses that list or show products, for writes that change products to invalidate
+// v1 and v2 product lists answer with different shapes, so each has its own key
+const PRODUCT_LISTINGS = ['products', 'products-v2', 'category-products', 'size-products'];
+
+// Bumped on every invalidation so a read that started before a write does not cache what it read
+let generation = 0;
+
+// Get a live entry `{ body, headers, etag }`, or null
+const getCached = (key) => {
+    const entry = entries.get(key);
+
+    if (!entry) {
+        return null;
+    }
+
+    if (entry.expiresAt <= Date.now()) {
+        entries.delete(key);
+        return null;
+    }
+
+    return entry;
+};
+
+// Store a serialized response body and its headers under a key
+// Skipped when the catalog changed since `startedAt` (a generation)
+const setCached = (key, body, headers, startedAt) => {
+    if (startedAt !== generation) {
+        return null;
+    }
+
+    const entry = {
+        body,
+        headers,
+        etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+        expiresAt: Date.now() + CATALOG_CACHE_TTL_SECONDS * 1000,
+    };
+    entries.set(key, entry);
+    return entry;
+};
+
+// Current generation, recorded by readers before they query the data store
+const currentGeneration = () => generation;
+
+// Drop every entry under the given names: 'category-products' covers 'category-products:3' and its query variants
+const invalidateCatalog = (...names) => {
+    generation += 1;
+
+    for (const key of entries.keys()) {
+        if (names.some((name) => key === name || key.startsWith(`${name}:`) || key.startsWith(`${name}?`))) {
+            entries.delete(key);
+        }
+    }
+};
+
+// Drop every entry (used by the test suite)
+const clearCatalogCache = () => {
+    generation += 1;
+    entries.clear();
+};
+
+module.exports = { CATALOG_CACHE_TTL_SECONDS, PRODUCT_LISTINGS, getCached, setCached, currentGeneration, invalidateCatalog, clearCatalogCache };
@@ -0,0 +1,94 @@
+const { users, orders, cart, reviews, otps, dataRequests } = require('../repositories');
+const { revokeAllSessions } = require('./sessions');
+const { normalizeEmail } = require('./otp');
+const { forgetLoginFailures } = require('./loginThrottle');
+const { logger } = require('../logger');
+
+// Placeholder shown on reviews and replies of deleted accounts
+const DELETED_USERNAME = 'Deleted User';
+
+// Helper to run a query and fail loudly, since partial exports or deletions must not pass silently
+const run = async (description, query) => {
+    const { data, error } = await query;
+    if (error) {
+        throw new Error(`Failed to ${description}: ${error.message}`);
+    }
+
+    return data;
+};
+
+// Gather everything stored about a user into one export document
+const collectUserData = async (user) => {
+    const [profile, userOrders, cartItems, userReviews, replies] = await Promise.all([
+        run('fetch user profile', users.findProfile(user.id)),
+        run('fetch orders', orders.listDetailedByUser(user.id)),
+        run('fetch cart', cart.listByUser(user.id)),
+        run('fetch reviews', reviews.listByUser(user.id)),
+        run('fetch replies', reviews.listRepliesByUser(user.id)),
+    ]);
+
+    const orderIds = userOrders.map((order) => order.id);
+    const messages = orderIds.length > 0
+        ? await run('fetch messages', orders.listMessagesForOrders(orderIds))
+        : [];
+
+    return {
+        exported_at: new Date().toISOString(),
+        account: {
+            id: user.id,
+            email: user.email,
+            username: user.user_metadata?.username || null,
+            email_verified: Boolean(user.user_metadata?.email_verified),
+            created_at: user.created_at,
+        },
+        profile,
+        orders: userOrders,
+        messages,
+        cart: cartItems,
+        reviews: userReviews,
+        replies,
+    };
+};
+
+// Erase a user: anonymise reviews and replies, scrub orders, remove cart rows, OTPs and login records and delete the auth user
+const deleteUserData = async (user) => {
+    // Reviews and replies stay visible to other shoppers but lose their author
+    await run('anonymize reviews and replies', reviews.anonymizeUser(user.id, DELETED_USERNAME));
+
+    // Orders are kept for accounting, but messages may hold personal details and the link to the user goes
+    const userOrders = await run('fetch orders', orders.listByUser(user.id));
+    const orderIds = userOrders.map((order) => order.id);
+
+    if (orderIds.length > 0) {
+        await run('delete order messages', orders.removeMessagesForOrders(orderIds));
+        await run('scrub orders', orders.anonymize(orderIds));
+    }
+
+    await run('delete cart', cart.clear(user.id));
+    // OTP requests and failed logins record the email address (and the IP address it was used from)
+    await run('delete OTPs', otps.removeForEmail(normalizeEmail(user.email)));
+    await run('delete OTP requests', otps.removeRequestsForEmail(normalizeEmail(user.email)));
+    await forgetLoginFailures('user', user.email);
+    await revokeAllSessions('user', user.id);
+    await run('delete user profile', users.removeProfile(user.id));
+
+    const { error } = await users.removeById(user.id);
+    if (error) {
+        throw new Error(`Failed to delete auth user: ${error.message}`);
+    }
+};
+
+// Record a data-subject request for auditing (best-effort)
+const logDataRequest = async (userId, type) => {
+    const { error } = await dataRequests.create({
+        user_id: userId,
+        type,
+        completed_at: new Date().toISOString(),
+    });
+
+    if (error) {
+        logger.error('Error logging data request', { error: error.message });
+    }
+};
+
+module.exports = { collectUserData, deleteUserData, logDataRequest };
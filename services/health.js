@@ -0,0 +1,58 @@
+const { health } = require('../repositories');
+const { verifyTransport } = require('../mail');
+
+// Each readiness check gets this long before it counts as failed
+const READINESS_TIMEOUT_MS = parseInt(process.env.READINESS_TIMEOUT_MS, 10) || 3000;
+
+// Set once shutdown starts so load balancers stop routing new traffic here
+let shuttingDown = false;
+
+const markShuttingDown = () => {
+    shuttingDown = true;
+};
+
+const isShuttingDown = () => shuttingDown;
+
+// Dependencies the app cannot serve requests without
+const CHECKS = {
+    data_store: () => health.pingDatabase(),
+    storage: () => health.pingStorage(),
+    mail: () => verifyTransport(),
+};
+
+// Reject when `promise` does not settle within `ms`
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms.`)), ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run one check; `{ error }` results and thrown errors both count as failures
+const runCheck = async (check) => {
+    const start = Date.now();
+
+    try {
+        const result = await withTimeout(Promise.resolve().then(check), READINESS_TIMEOUT_MS);
+        if (result && result.error) {
+            throw result.error;
+        }
+
+        return { status: 'ok', latency_ms: Date.now() - start };
+    } catch (err) {
+        return { status: 'error', latency_ms: Date.now() - start, error: err.message || String(err) };
+    }
+};
+
+// Run every check in parallel; the app is ready only when all of them pass
+const checkReadiness = async () => {
+    const names = Object.keys(CHECKS);
+    const results = await Promise.all(names.map((name) => runCheck(CHECKS[name])));
+    const checks = Object.fromEntries(names.map((name, index) => [name, results[index]]));
+
+    return { ready: results.every((result) => result.status === 'ok'), checks };
+};
+
+module.exports = { checkReadiness, markShuttingDown, isShuttingDown };
@@ -0,0 +1,450 @@
+const { products, inventory } = require('../repositories');
+const { listPermissionHolders } = require('../middleware/permissions');
+const { effectivePrice } = require('./productListing');
+const { sendTemplate } = require('../mail');
+const { logger } = require('../logger');
+const { forEachPage, fetchAllPages } = require('./paging');
+
+// Stock is kept per variant: every product/size combination in `product_sizes` has its own SKU, stock count
+// and optional price override. Products sold without sizes keep their stock in `products.stock_quantity`;
+// for products with sizes that column holds the total over the variants, so listings and filters keep working.
+// Every change to a stock count is also written to the `inventory_movements` ledger with the reason for it,
+// so the counts can be explained and reconciled against the sum of their movements.
+
+// Stock policy (overridable through the environment)
+// Staff are emailed when a product (or one of its sizes) falls to this many units, unless the product
+// sets its own `low_stock_threshold`
+const LOW_STOCK_THRESHOLD = parseInt(process.env.LOW_STOCK_THRESHOLD, 10) || 5;
+
+// Why stock changed: goods received, sold, returned by a customer, corrected by hand, or put back
+// when an order is cancelled
+const MOVEMENT_TYPES = ['receipt', 'sale', 'return', 'adjustment', 'cancellation'];
+
+// Movements staff record by hand; sales and cancellation restocks are recorded by the orders
+const MANUAL_MOVEMENT_TYPES = ['receipt', 'return', 'adjustment'];
+
+// Error raised when a variant change or a purchase cannot go ahead; `status` is the HTTP status to answer with
+class InventoryError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.name = 'InventoryError';
+        this.status = status;
+    }
+}
+
+// Helper to throw a repository error as a plain error (answered with 500)
+const check = ({ data, error }, action) => {
+    if (error) {
+        throw new Error(`Failed to ${action}: ${error.message}`);
+    }
+
+    return data;
+};
+
+// Helper to compare IDs that may arrive as strings from URLs
+const sameId = (a, b) => String(a) === String(b);
+
+// SKU given to variants created without one
+const defaultSku = (productId, sizeId) => `P${productId}-S${sizeId}`;
+
+// Helper to describe a variant for shoppers, with the price it sells at after the product's discount
+const toVariant = (product, variant) => ({
+    size_id: variant.size_id,
+    size_name: variant.sizes?.size_name ?? null,
+    sku: variant.sku,
+    stock_quantity: variant.stock_quantity,
+    price_override: variant.price_override ?? null,
+    effective_price: effectivePrice({ ...product, price: variant.price_override ?? product.price }),
+});
+
+// List a product's variants as shoppers see them
+const listVariants = async (product) => {
+    const variants = check(await products.listVariants(product.id), 'fetch product variants');
+    return variants.map((variant) => toVariant(product, variant));
+};
+
+// Set a product's stock total to the sum of its variants (products without variants are left alone)
+const syncProductStock = async (productId) => {
+    const variants = check(await products.listVariants(productId), 'fetch product variants');
+    if (variants.length === 0) {
+        return;
+    }
+
+    const total = variants.reduce((sum, variant) => sum + variant.stock_quantity, 0);
+    check(await products.update(productId, { stock_quantity: total }), 'update product stock');
+};
+
+// Replace the sizes a product comes in, from `variants` ({ size_id, sku, stock_quantity, price_override })
+// or a bare `size_ids` list; sizes the product already had keep whatever the request leaves out,
+// new sizes start with no stock and a generated SKU. Stock changes (including the stock of sizes
+// that are dropped) are written to the ledger as `movement` ({ type, reason, actor_id }).
+const saveVariants = async (productId, { size_ids, variants }, movement = { type: 'adjustment', reason: 'Stock set through a product update' }) => {
+    if (size_ids && variants) {
+        throw new InventoryError('Send either size_ids or variants, not both.');
+    }
+
+    const wanted = variants || size_ids.map((size_id) => ({ size_id }));
+    const sizeIds = wanted.map((variant) => variant.size_id);
+    if (new Set(sizeIds).size !== sizeIds.length) {
+        throw new InventoryError('Each size can only have one variant.');
+    }
+
+    const existing = check(await products.listVariants(productId), 'fetch product variants');
+    const rows = wanted.map((variant) => {
+        const current = existing.find((entry) => sameId(entry.size_id, variant.size_id));
+        return {
+            size_id: variant.size_id,
+            sku: variant.sku ?? current?.sku ?? defaultSku(productId, variant.size_id),
+            stock_quantity: variant.stock_quantity ?? current?.stock_quantity ?? 0,
+            price_override: variant.price_override !== undefined ? variant.price_override : current?.price_override ?? null,
+        };
+    });
+
+    // SKUs identify a variant across the whole catalog
+    const skus = rows.map((row) => row.sku);
+    if (new Set(skus).size !== skus.length) {
+        throw new InventoryError('Each variant needs its own SKU.', 409);
+    }
+
+    for (const row of rows) {
+        const owner = check(await products.findVariantBySku(row.sku), 'look up SKU');
+        if (owner && !sameId(owner.product_id, productId)) {
+            throw new InventoryError(`SKU ${row.sku} is already used by product ${owner.product_id}.`, 409);
+        }
+    }
+
+    // Sizes whose stock the request leaves out keep the stock they have when saved, not the stock read above
+    const saved = rows.map((row, index) => {
+        const kept = wanted[index].stock_quantity === undefined && existing.some((entry) => sameId(entry.size_id, row.size_id));
+        if (!kept) {
+            return row;
+        }
+
+        const { stock_quantity, ...rest } = row;
+        return rest;
+    });
+    check(await products.setVariants(productId, saved), 'save product variants');
+    await syncProductStock(productId);
+
+    const dropped = existing.filter((entry) => !rows.some((row) => sameId(row.size_id, entry.size_id)));
+    const changes = [
+        ...rows.map((row) => ({
+            size_id: row.size_id,
+            quantity: row.stock_quantity - (existing.find((entry) => sameId(entry.size_id, row.size_id))?.stock_quantity ?? 0),
+            balance_after: row.stock_quantity,
+        })),
+        ...dropped.map((entry) => ({ size_id: entry.size_id, quantity: -entry.stock_quantity, balance_after: 0 })),
+    ];
+
+    await recordMovements(changes
+        .filter((change) => change.quantity !== 0)
+        .map((change) => ({ ...movement, ...change, product_id: productId })));
+};
+
+// Find the product and, for a size, the variant whose stock an item refers to; the size must be one
+// the product comes in, and must be given when it comes in sizes
+const findStockItem = async (product_id, size_id) => {
+    const product = check(await products.findById(product_id), 'fetch product');
+    if (!product) {
+        throw new InventoryError(`Product with ID ${product_id} not found.`, 404);
+    }
+
+    const variants = check(await products.listVariants(product_id), 'fetch product variants');
+    let variant = null;
+
+    if (size_id) {
+        variant = variants.find((entry) => sameId(entry.size_id, size_id));
+        if (!variant) {
+            throw new InventoryError(`Invalid size ID ${size_id} for product ${product_id}.`);
+        }
+    } else if (variants.length > 0) {
+        throw new InventoryError(`Product ${product_id} comes in sizes; a size_id is required.`);
+    }
+
+    return { product, variant };
+};
+
+// Check that a cart or order item can be sold: the product exists, the size is valid (see findStockItem)
+// and `quantity` plus `reserved` (already held for the same product and size) does not exceed the stock.
+// Returns the product and the variant, if any.
+const checkStock = async ({ product_id, size_id, quantity }, reserved = 0) => {
+    const { product, variant } = await findStockItem(product_id, size_id);
+
+    const available = variant ? variant.stock_quantity : product.stock_quantity;
+    if (quantity + reserved > available) {
+        const what = variant ? `${product.title} in size ${variant.sizes?.size_name ?? size_id}` : product.title;
+        throw new InventoryError(
+            available > 0 ? `Only ${available} of ${what} left in stock.` : `${what} is out of stock.`,
+            409
+        );
+    }
+
+    return { product, variant: variant && toVariant(product, variant) };
+};
+
+// Key under which quantities of the same product and size add up
+const stockKey = (item) => `${item.product_id}:${item.size_id || ''}`;
+
+// Helper to add up the quantities of lines for the same product and size
+const mergeLines = (lines) => {
+    const merged = new Map();
+    for (const line of lines) {
+        const key = stockKey(line);
+        const entry = merged.get(key) || { ...line, quantity: 0 };
+        entry.quantity += line.quantity;
+        merged.set(key, entry);
+    }
+
+    return [...merged.values()];
+};
+
+// Take the stock for every line, all or nothing. Each decrement only applies while enough stock is left,
+// so of two checkouts racing for the last unit only one gets it. Returns the reservations (with the
+// stock left after each) to release if a later step fails, or to record as sales once the order exists. Lines may carry a `title` and `size_name` for the error message.
+const reserveStock = async (lines) => {
+    const reservations = [];
+
+    try {
+        for (const line of mergeLines(lines)) {
+            const { data, error } = await products.adjustStock(line.product_id, line.size_id || null, -line.quantity);
+
+            if (error) {
+                throw new Error(`Failed to reserve stock: ${error.message}`);
+            }
+
+            if (!data) {
+                const what = line.title
+                    ? `${line.title}${line.size_name ? ` in size ${line.size_name}` : ''}`
+                    : `product ${line.product_id}`;
+                throw new InventoryError(`Not enough stock of ${what} is left.`, 409);
+            }
+
+            reservations.push({ ...line, balance_after: data.stock_quantity });
+        }
+    } catch (err) {
+        await releaseStock(reservations);
+        throw err;
+    }
+
+    return reservations;
+};
+
+// Put reserved stock back; failures are logged, since there is nobody left to report them to
+const releaseStock = async (reservations) => {
+    for (const line of reservations) {
+        const { error } = await products.adjustStock(line.product_id, line.size_id || null, line.quantity);
+
+        if (error) {
+            logger.error('Failed to release reserved stock', { product_id: line.product_id, size_id: line.size_id, quantity: line.quantity, error: error.message });
+        }
+    }
+};
+
+// Threshold at or below which a product's stock (or a size's) counts as low
+const thresholdOf = (product) => product.low_stock_threshold ?? LOW_STOCK_THRESHOLD;
+
+// Email the staff who manage stock when a movement takes it from above the threshold to at or below it,
+// so each item alerts once on its way down. Best-effort: failures are logged and never undo the movement.
+const alertLowStock = async (movement) => {
+    try {
+        const { product, variant } = await findStockItem(movement.product_id, movement.size_id);
+        const threshold = thresholdOf(product);
+        const before = movement.balance_after - movement.quantity;
+        if (movement.balance_after > threshold || before <= threshold) {
+            return;
+        }
+
+        const staff = await listPermissionHolders('inventory:write');
+        const variables = {
+            title: product.title,
+            size_name: variant?.sizes?.size_name ?? null,
+            sku: variant?.sku ?? null,
+            stock_quantity: movement.balance_after,
+            threshold,
+        };
+
+        staff.forEach((superuser) => sendTemplate('low_stock', superuser.email, variables).catch(() => {}));
+    } catch (err) {
+        logger.warn('Low-stock alert failed', { err, product_id: movement.product_id, size_id: movement.size_id });
+    }
+};
+
+// Write a movement ({ product_id, size_id, type, quantity, balance_after, reason, order_id, actor_id }) to the
+// ledger after the stock count changed; `quantity` is signed and `balance_after` is the count it left behind
+const recordMovement = async (movement) => {
+    const entry = check(await inventory.record({
+        size_id: null,
+        reason: null,
+        order_id: null,
+        actor_id: null,
+        ...movement,
+        created_at: new Date().toISOString(),
+    }), 'record stock movement');
+
+    if (entry.quantity < 0) {
+        await alertLowStock(entry);
+    }
+
+    return entry;
+};
+
+// Write movements whose stock change already happened (sales, stock set through product updates)
+// Failures are logged rather than thrown: the change stands either way, and the reconciliation reports the gap
+const recordMovements = async (movements) => {
+    for (const movement of movements) {
+        try {
+            await recordMovement(movement);
+        } catch (err) {
+            logger.error('Failed to record a stock movement', { err, product_id: movement.product_id, size_id: movement.size_id, type: movement.type });
+        }
+    }
+};
+
+// Move stock in (positive `quantity`) or out (negative) of a product or one of its sizes and record why.
+// The count changes atomically and never below zero (409); if the ledger cannot be written the change
+// is undone, so the count and the ledger never disagree. Resolves with the ledger entry.
+const moveStock = async ({ product_id, size_id = null, quantity, type, reason = null, order_id = null, actor_id = null }) => {
+    const { product, variant } = await findStockItem(product_id, size_id);
+    const sizeId = variant ? variant.size_id : null;
+
+    const { data, error } = await products.adjustStock(product_id, sizeId, quantity);
+    if (error) {
+        throw new Error(`Failed to adjust stock: ${error.message}`);
+    }
+
+    if (!data) {
+        const what = variant ? `${product.title} in size ${variant.sizes?.size_name ?? sizeId}` : product.title;
+        throw new InventoryError(`Cannot remove ${-quantity} of ${what}: not enough in stock.`, 409);
+    }
+
+    try {
+        return await recordMovement({ product_id: product.id, size_id: sizeId, type, quantity, balance_after: data.stock_quantity, reason, order_id, actor_id });
+    } catch (err) {
+        await releaseStock([{ product_id: product.id, size_id: sizeId, quantity: -quantity }]);
+        throw err;
+    }
+};
+
+// Set the stock of a product or one of its sizes to a count (e.g. after a stocktake), recording the
+// difference as an adjustment; resolves with the ledger entry, or null when the count was already right
+const setStock = async ({ product_id, size_id = null, stock_quantity, reason, actor_id = null }) => {
+    const { product, variant } = await findStockItem(product_id, size_id);
+    const quantity = stock_quantity - (variant ? variant.stock_quantity : product.stock_quantity);
+
+    if (quantity === 0) {
+        return null;
+    }
+
+    return moveStock({ product_id, size_id, quantity, type: 'adjustment', reason, actor_id });
+};
+
+// List a page of ledger entries matching `filters` ({ product_id, size_id, type, order_id }), newest first
+const listMovements = async (filters, { limit, offset }) => {
+    const { data, count, error } = await inventory.list(filters, { limit, offset });
+    if (error) {
+        throw new Error(`Failed to fetch stock movements: ${error.message}`);
+    }
+
+    return { movements: data, total: count };
+};
+
+// List everything stock is kept for: products without sizes, and every size of the others
+// (read a page at a time, so no product or variant is left out)
+const listStockItems = async () => {
+    const listings = await fetchAllPages(async (page) => check(await products.listPage(page), 'fetch products'));
+    const variants = await fetchAllPages(async (page) => check(await products.listAllVariants(page), 'fetch product variants'));
+
+    return listings.flatMap((product) => {
+        const sizes = variants.filter((variant) => sameId(variant.product_id, product.id));
+        const base = { product_id: product.id, title: product.title, threshold: thresholdOf(product) };
+
+        if (sizes.length === 0) {
+            return [{ ...base, size_id: null, size_name: null, sku: null, stock_quantity: product.stock_quantity }];
+        }
+
+        return sizes.map((variant) => ({
+            ...base,
+            size_id: variant.size_id,
+            size_name: variant.sizes?.size_name ?? null,
+            sku: variant.sku,
+            stock_quantity: variant.stock_quantity,
+        }));
+    }).sort((a, b) => a.product_id - b.product_id || (a.size_id ?? 0) - (b.size_id ?? 0));
+};
+
+// List the items whose stock is at or below their low-stock threshold
+const listLowStock = async () => {
+    const items = await listStockItems();
+    return items.filter((item) => item.stock_quantity <= item.threshold);
+};
+
+// Add up the ledger movements of every product and size, a page at a time so no row is left out
+const sumMovements = async () => {
+    const recorded = new Map();
+
+    await forEachPage(async (page) => check(await inventory.listQuantities(page), 'fetch stock movements'), (movements) => {
+        for (const movement of movements) {
+            const key = stockKey(movement);
+            recorded.set(key, (recorded.get(key) || 0) + movement.quantity);
+        }
+    });
+
+    return recorded;
+};
+
+// Compare every item's stock with the sum of its ledger movements; `difference` is the stock
+// the ledger does not account for (e.g. stock set before the ledger existed, or a lost write)
+const reconcileStock = async () => {
+    const items = await listStockItems();
+    const recorded = await sumMovements();
+
+    const checked = items.map(({ threshold, ...item }) => {
+        const ledger_quantity = recorded.get(stockKey(item)) || 0;
+        return { ...item, ledger_quantity, difference: item.stock_quantity - ledger_quantity };
+    });
+
+    return { checked: checked.length, discrepancies: checked.filter((item) => item.difference !== 0) };
+};
+
+// Bring the ledger in line with the stock counts by recording an adjustment for every discrepancy.
+// The counts themselves are left alone: they are what was sold from, so they are taken as the truth.
+const settleDiscrepancies = async ({ reason, actor_id = null }) => {
+    const { discrepancies } = await reconcileStock();
+    const movements = [];
+
+    for (const item of discrepancies) {
+        movements.push(await recordMovement({
+            product_id: item.product_id,
+            size_id: item.size_id,
+            type: 'adjustment',
+            quantity: item.difference,
+            balance_after: item.stock_quantity,
+            reason,
+            actor_id,
+        }));
+    }
+
+    return movements;
+};
+
+module.exports = {
+    LOW_STOCK_THRESHOLD,
+    MOVEMENT_TYPES,
+    MANUAL_MOVEMENT_TYPES,
+    InventoryError,
+    listVariants,
+    saveVariants,
+    syncProductStock,
+    checkStock,
+    stockKey,
+    reserveStock,
+    releaseStock,
+    recordMovement,
+    recordMovements,
+    moveStock,
+    setStock,
+    listMovements,
+    listLowStock,
+    reconcileStock,
+    settleDiscrepancies,
+};
@@ -0,0 +1,174 @@
+const { loginAttempts } = require('../repositories');
+const { logger } = require('../logger');
+
+// Brute-force policy (overridable through the environment)
+const LOGIN_MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES, 10) || 5;
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES, 10) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES, 10) || 15;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 30;
+
+// Error carrying the HTTP status and Retry-After seconds a route should respond with
+class LoginThrottleError extends Error {
+    constructor(message, status, retryAfter) {
+        super(message);
+        this.name = 'LoginThrottleError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Helpers to build the keys failures are tracked under
+const accountKey = (subjectType, email) => `account:${subjectType}:${String(email || '').trim().toLowerCase()}`;
+const ipKey = (ip) => `ip:${ip}`;
+
+// Helper to compute the wait imposed after a number of consecutive failures (1s, 2s, 4s, ...)
+const getDelaySeconds = (failures) => {
+    if (failures < 2) {
+        return 0;
+    }
+
+    return Math.min(2 ** (failures - 2), LOGIN_MAX_DELAY_SECONDS);
+};
+
+// Helper to fetch the tracking row for a key
+const getAttempt = async (key) => {
+    const { data, error } = await loginAttempts.find(key);
+
+    if (error) {
+        throw new Error(`Failed to load login attempts: ${error.message}`);
+    }
+
+    return data;
+};
+
+// Helper to check a single tracking row against the lockout and delay rules
+const checkAttempt = (attempt, now, lockedMessage, lockedStatus) => {
+    if (!attempt) {
+        return;
+    }
+
+    if (attempt.locked_until && new Date(attempt.locked_until) > now) {
+        const retryAfter = Math.ceil((new Date(attempt.locked_until) - now) / 1000);
+        throw new LoginThrottleError(lockedMessage, lockedStatus, retryAfter);
+    }
+
+    const delaySeconds = getDelaySeconds(attempt.failures);
+    const elapsedSeconds = (now - new Date(attempt.last_failure_at)) / 1000;
+    if (delaySeconds > 0 && elapsedSeconds < delaySeconds) {
+        const retryAfter = Math.ceil(delaySeconds - elapsedSeconds);
+        throw new LoginThrottleError(`Too many failed login attempts. Please wait ${retryAfter} seconds.`, 429, retryAfter);
+    }
+};
+
+// Throw a LoginThrottleError when the account or IP is locked out or must still wait
+const assertLoginAllowed = async (subjectType, email, ip) => {
+    const now = new Date();
+    const [accountAttempt, ipAttempt] = await Promise.all([
+        getAttempt(accountKey(subjectType, email)),
+        ip ? getAttempt(ipKey(ip)) : null,
+    ]);
+
+    checkAttempt(accountAttempt, now, 'Account temporarily locked due to too many failed login attempts.', 423);
+    checkAttempt(ipAttempt, now, 'Too many failed login attempts from this network. Please try again later.', 429);
+};
+
+// Helper to increment the failure counter for a key, locking it once the limit is reached
+// With `windowMinutes`, failures only add up while each comes within that long of the last
+const incrementFailures = async (key, subjectType, maxFailures, windowMinutes = null) => {
+    const existing = await getAttempt(key);
+    const now = new Date();
+
+    // Failures from an expired lockout, or after a quiet window, start a fresh count
+    const expired = existing?.locked_until && new Date(existing.locked_until) <= now;
+    const stale = windowMinutes && existing && now - new Date(existing.last_failure_at) > windowMinutes * 60 * 1000;
+    const failures = existing && !expired && !stale ? existing.failures + 1 : 1;
+    const lockedNow = failures >= maxFailures;
+
+    const row = {
+        key,
+        subject_type: subjectType,
+        failures,
+        last_failure_at: now.toISOString(),
+        locked_until: lockedNow ? new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000).toISOString() : null,
+    };
+
+    const { error } = await loginAttempts.save(row);
+    if (error) {
+        throw new Error(`Failed to record login attempt: ${error.message}`);
+    }
+
+    return { failures, lockedNow };
+};
+
+// Record a failed login for the account and IP; `lockedNow` is true when this failure locked the account
+const recordLoginFailure = async (subjectType, email, ip) => {
+    if (ip) {
+        await incrementFailures(ipKey(ip), 'ip', LOGIN_IP_MAX_FAILURES, LOGIN_IP_WINDOW_MINUTES);
+    }
+
+    return incrementFailures(accountKey(subjectType, email), subjectType, LOGIN_MAX_FAILURES);
+};
+
+// Clear the failure counter of an account after a successful login
+const recordLoginSuccess = async (subjectType, email) => {
+    const { error } = await loginAttempts.remove(accountKey(subjectType, email));
+
+    if (error) {
+        logger.error('Error clearing login attempts', { error: error.message });
+    }
+};
+
+// Unlock an account (admin action); returns false when it was not being tracked
+const unlockAccount = async (subjectType, email) => {
+    const { data, error } = await loginAttempts.remove(accountKey(subjectType, email));
+
+    if (error) {
+        throw new Error(`Failed to unlock account: ${error.message}`);
+    }
+
+    return data.length > 0;
+};
+
+// Forget the failed logins of an account (when it is erased)
+const forgetLoginFailures = async (subjectType, email) => {
+    const { error } = await loginAttempts.remove(accountKey(subjectType, email));
+
+    if (error) {
+        throw new Error(`Failed to delete login attempts: ${error.message}`);
+    }
+};
+
+// Unlock an IP address (admin action); returns false when it was not being tracked
+const unlockIp = async (ip) => {
+    const { data, error } = await loginAttempts.remove(ipKey(ip));
+
+    if (error) {
+        throw new Error(`Failed to unlock IP address: ${error.message}`);
+    }
+
+    return data.length > 0;
+};
+
+// List accounts and IPs that are currently locked out
+const listLockouts = async () => {
+    const { data, error } = await loginAttempts.listLockedAfter(new Date().toISOString());
+
+    if (error) {
+        throw new Error(`Failed to list lockouts: ${error.message}`);
+    }
+
+    return data;
+};
+
+module.exports = {
+    LoginThrottleError,
+    LOGIN_LOCKOUT_MINUTES,
+    assertLoginAllowed,
+    recordLoginFailure,
+    recordLoginSuccess,
+    unlockAccount,
+    unlockIp,
+    forgetLoginFailures,
+    listLockouts,
+};
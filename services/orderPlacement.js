@@ -0,0 +1,153 @@
+const { orders } = require('../repositories');
+const { checkStock, stockKey, reserveStock, releaseStock, recordMovements, moveStock } = require('./inventory');
+const { PRODUCT_LISTINGS, invalidateCatalog } = require('./catalogCache');
+const { indexProduct } = require('./productSearch');
+const { logger } = require('../logger');
+
+// Place an order in three steps, so a failure never leaves a half-placed order behind:
+// 1. check every line (product, size and stock) before anything is written,
+// 2. reserve the stock of all lines at once (see reserveStock in services/inventory.js),
+// 3. record the order and its items, then run `afterPlaced` (e.g. emptying the cart).
+// If step 3 fails the order is deleted and the stock released; otherwise each line is written to the
+// stock ledger as a sale. Resolves with `{ order, items, lines }`,
+// where `lines` carry the product title and size name of each item; rejects with an InventoryError
+// (answered with its status) or a plain error (answered with 500).
+const placeOrder = async (user_id, items, { afterPlaced } = {}) => {
+    const lines = [];
+    const requested = new Map(); // Quantities of each product and size on earlier lines
+    for (const item of items) {
+        const key = stockKey(item);
+        const { product, variant } = await checkStock(item, requested.get(key) || 0);
+        requested.set(key, (requested.get(key) || 0) + item.quantity);
+
+        lines.push({
+            product_id: item.product_id,
+            size_id: item.size_id || null,
+            quantity: item.quantity,
+            title: product.title,
+            size_name: variant?.size_name,
+        });
+    }
+
+    const reservations = await reserveStock(lines);
+    let order = null;
+    let itemsData = null;
+
+    try {
+        const { data: orderData, error: orderError } = await orders.create({
+            user_id,
+            order_status: 'Pending',
+            created_at: new Date().toISOString(),
+        });
+
+        if (orderError) {
+            throw new Error(`Failed to create the order: ${orderError.message}`);
+        }
+
+        order = orderData;
+
+        const { data: addedItems, error: itemsError } = await orders.addItems(lines.map((line) => ({
+            order_id: order.id,
+            product_id: line.product_id,
+            size_id: line.size_id,
+            quantity: line.quantity,
+        })));
+
+        if (itemsError) {
+            throw new Error(`Failed to add items to the order: ${itemsError.message}`);
+        }
+
+        itemsData = addedItems;
+
+        if (afterPlaced) {
+            await afterPlaced(order);
+        }
+    } catch (err) {
+        if (order) {
+            const { error: removeError } = await orders.remove(order.id);
+            if (removeError) {
+                logger.error('Failed to remove an incomplete order', { order_id: order.id, error: removeError.message });
+            }
+        }
+
+        await releaseStock(reservations);
+        throw err;
+    }
+
+    // The stock was taken before the order existed; record the sales now that they have an order
+    await recordMovements(reservations.map((line) => ({
+        product_id: line.product_id,
+        size_id: line.size_id || null,
+        type: 'sale',
+        quantity: -line.quantity,
+        balance_after: line.balance_after,
+        order_id: order.id,
+    })));
+
+    await refreshStockListings(lines);
+
+    return { order, items: itemsData, lines };
+};
+
+// Helper to show changed stock in listings and search results
+const refreshStockListings = async (lines) => {
+    invalidateCatalog(...PRODUCT_LISTINGS);
+    for (const productId of new Set(lines.map((line) => line.product_id))) {
+        await indexProduct(productId);
+    }
+};
+
+// Status a cancelled order is stored with, however the request spelled it
+const CANCELLED_STATUS = 'Cancelled';
+
+// Check whether a status cancels the order (both spellings, any case, surrounding spaces ignored)
+const isCancelled = (status) => ['cancelled', 'canceled'].includes(String(status || '').trim().toLowerCase());
+
+// Cancel an order and put its stock back, recording a cancellation movement per product and size.
+// The status only changes while the order is not cancelled yet, in one statement, and only the request
+// that changed it restocks, so two cancellations at once never put the stock back twice. Resolves with
+// null when nothing changed (the order does not exist or is already cancelled), else with
+// `{ order, movements, failed }`: `failed` lists the stock that could not be put back (e.g. of a size the
+// product no longer comes in), to be recorded by hand.
+const cancelOrder = async (orderId, actor_id = null) => {
+    // Read the items first, so a failure here leaves the order as it was
+    const { data: items, error } = await orders.listItems(orderId);
+    if (error) {
+        throw new Error(`Failed to fetch order items: ${error.message}`);
+    }
+
+    const { data: order, error: updateError } = await orders.updateStatus(orderId, CANCELLED_STATUS);
+    if (updateError) {
+        throw new Error(`Failed to cancel the order: ${updateError.message}`);
+    }
+
+    if (!order) {
+        return null;
+    }
+
+    // One movement per product and size (the ledger allows one cancellation of each per order)
+    const lines = new Map();
+    for (const item of items) {
+        const key = stockKey(item);
+        const line = lines.get(key) || { product_id: item.product_id, size_id: item.size_id || null, quantity: 0 };
+        line.quantity += item.quantity;
+        lines.set(key, line);
+    }
+
+    const movements = [];
+    const failed = [];
+    for (const line of lines.values()) {
+        try {
+            movements.push(await moveStock({ ...line, type: 'cancellation', order_id: orderId, actor_id }));
+        } catch (err) {
+            logger.error('Failed to restock an item of a cancelled order', { err, order_id: orderId, product_id: line.product_id, size_id: line.size_id });
+            failed.push({ ...line, error: err.message });
+        }
+    }
+
+    await refreshStockListings(items);
+
+    return { order, movements, failed };
+};
+
+module.exports = { CANCELLED_STATUS, isCancelled, placeOrder, cancelOrder };
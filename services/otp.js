@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const { otps } = require('../repositories');
+const { logger } = require('../logger');
+
+// OTP policy (overridable through the environment)
+const OTP_TTL_MINUTES = parseInt(process.env.OTP_TTL_MINUTES, 10) || 10;
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS, 10) || 5;
+const OTP_EMAIL_COOLDOWN_SECONDS = parseInt(process.env.OTP_EMAIL_COOLDOWN_SECONDS, 10) || 60;
+const OTP_IP_WINDOW_MINUTES = parseInt(process.env.OTP_IP_WINDOW_MINUTES, 10) || 60;
+const OTP_IP_MAX_REQUESTS = parseInt(process.env.OTP_IP_MAX_REQUESTS, 10) || 10;
+const OTP_CLEANUP_INTERVAL_MINUTES = parseInt(process.env.OTP_CLEANUP_INTERVAL_MINUTES, 10) || 15;
+
+// Error carrying the HTTP status (and optional Retry-After seconds) a route should respond with
+class OTPError extends Error {
+    constructor(message, status = 400, retryAfter = null) {
+        super(message);
+        this.name = 'OTPError';
+        this.status = status;
+        this.retryAfter = retryAfter;
+    }
+}
+
+// Helper to normalise emails so codes are found regardless of casing
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+// Helper to generate a 6-digit OTP from a cryptographically secure source
+const generateOTP = () => crypto.randomInt(100000, 1000000).toString();
+
+// Helper to hash an OTP, binding it to the email and purpose it was issued for
+const hashOTP = (email, purpose, otp) => {
+    return crypto
+        .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+        .update(`${email}:${purpose}:${otp}`)
+        .digest('hex');
+};
+
+// Helper to enforce the per-email and per-IP resend cooldowns
+const checkRequestLimits = async (email, purpose, ip) => {
+    const now = Date.now();
+
+    const { data: lastRequest, error: emailError } = await otps.findLatestRequest(email, purpose);
+
+    if (emailError) {
+        throw new Error(`Failed to check OTP requests: ${emailError.message}`);
+    }
+
+    if (lastRequest) {
+        const elapsedSeconds = (now - new Date(lastRequest.created_at).getTime()) / 1000;
+        if (elapsedSeconds < OTP_EMAIL_COOLDOWN_SECONDS) {
+            const retryAfter = Math.ceil(OTP_EMAIL_COOLDOWN_SECONDS - elapsedSeconds);
+            throw new OTPError(`Please wait ${retryAfter} seconds before requesting another OTP.`, 429, retryAfter);
+        }
+    }
+
+    if (ip) {
+        const windowStart = new Date(now - OTP_IP_WINDOW_MINUTES * 60 * 1000).toISOString();
+        const { count, error: ipError } = await otps.countRequestsFromIp(ip, windowStart);
+
+        if (ipError) {
+            throw new Error(`Failed to check OTP requests: ${ipError.message}`);
+        }
+
+        if (count >= OTP_IP_MAX_REQUESTS) {
+            throw new OTPError('Too many OTP requests. Please try again later.', 429, OTP_IP_WINDOW_MINUTES * 60);
+        }
+    }
+};
+
+// Issue a new OTP for an email and purpose, replacing any previous code
+// Returns the plain code so the caller can deliver it; only its hash is stored
+const issueOTP = async (email, purpose, { ip } = {}) => {
+    const normalizedEmail = normalizeEmail(email);
+
+    await checkRequestLimits(normalizedEmail, purpose, ip);
+
+    const otp = generateOTP();
+    const now = new Date();
+
+    // Remove previous codes so only the latest one can be used
+    const { error: deleteError } = await otps.removeFor(normalizedEmail, purpose);
+
+    if (deleteError) {
+        throw new Error(`Failed to replace previous OTPs: ${deleteError.message}`);
+    }
+
+    const { error: insertError } = await otps.create({
+        email: normalizedEmail,
+        otp_hash: hashOTP(normalizedEmail, purpose, otp),
+        purpose,
+        attempts: 0,
+        created_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000).toISOString(),
+    });
+
+    if (insertError) {
+        throw new Error(`Failed to save OTP: ${insertError.message}`);
+    }
+
+    const { error: requestError } = await otps.recordRequest({
+        email: normalizedEmail,
+        purpose,
+        ip_address: ip || null,
+        created_at: now.toISOString(),
+    });
+
+    if (requestError) {
+        logger.error('Error recording OTP request', { error: requestError.message });
+    }
+
+    return otp;
+};
+
+// Verify (and consume) an OTP; throws OTPError when it is wrong, expired or exhausted
+const verifyOTP = async (email, purpose, otp) => {
+    const normalizedEmail = normalizeEmail(email);
+
+    const { data: otpRecord, error } = await otps.findLatest(normalizedEmail, purpose);
+
+    if (error) {
+        throw new Error(`Failed to fetch OTP: ${error.message}`);
+    }
+
+    if (!otpRecord || new Date() > new Date(otpRecord.expires_at)) {
+        throw new OTPError('Invalid or expired OTP.');
+    }
+
+    // Claim an attempt before comparing so parallel guesses cannot exceed the limit
+    const attempts = otpRecord.attempts + 1;
+    const { data: claimed, error: claimError } = await otps.claimAttempt(otpRecord.id, otpRecord.attempts);
+
+    if (claimError) {
+        throw new Error(`Failed to record OTP attempt: ${claimError.message}`);
+    }
+
+    if (!claimed || claimed.length === 0) {
+        throw new OTPError('Invalid or expired OTP.');
+    }
+
+    const expected = Buffer.from(otpRecord.otp_hash, 'hex');
+    const presented = Buffer.from(hashOTP(normalizedEmail, purpose, String(otp || '')), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, presented)) {
+        // Invalidate the code once it has used up its attempts
+        if (attempts >= OTP_MAX_ATTEMPTS) {
+            await otps.remove(otpRecord.id);
+            throw new OTPError('Too many failed attempts. Please request a new OTP.', 429);
+        }
+
+        throw new OTPError('Invalid or expired OTP.');
+    }
+
+    await otps.remove(otpRecord.id);
+    return true;
+};
+
+// Delete expired OTPs and request records that fall outside every throttling window
+const cleanupExpiredOTPs = async () => {
+    const now = Date.now();
+    const requestCutoff = new Date(now - Math.max(OTP_IP_WINDOW_MINUTES * 60, OTP_EMAIL_COOLDOWN_SECONDS) * 1000);
+
+    const { error: otpError } = await otps.removeExpired(new Date(now).toISOString());
+
+    if (otpError) {
+        logger.error('Error cleaning up expired OTPs', { error: otpError.message });
+    }
+
+    const { error: requestError } = await otps.removeRequestsBefore(requestCutoff.toISOString());
+
+    if (requestError) {
+        logger.error('Error cleaning up OTP requests', { error: requestError.message });
+    }
+};
+
+// Schedule the cleanup job; the timer does not keep the process alive on its own
+const startOTPCleanupJob = () => {
+    const timer = setInterval(() => {
+        cleanupExpiredOTPs().catch((err) => logger.error('OTP Cleanup Error', { err }));
+    }, OTP_CLEANUP_INTERVAL_MINUTES * 60 * 1000);
+
+    timer.unref();
+    return timer;
+};
+
+module.exports = {
+    OTPError,
+    OTP_TTL_MINUTES,
+    normalizeEmail,
+    issueOTP,
+    verifyOTP,
+    cleanupExpiredOTPs,
+    startOTPCleanupJob,
+};
@@ -0,0 +1,27 @@
+// Rows read per request when a whole table is listed; PostgREST caps a response at 1000 rows by default
+const PAGE_SIZE = 1000;
+
+// Read a listing a page at a time, handing each page to `visit`; `fetchPage({ limit, offset })` resolves to the rows
+// of one page. Reading stops at the first empty page, so a server capping pages below PAGE_SIZE is still read in full
+const forEachPage = async (fetchPage, visit) => {
+    let offset = 0;
+
+    for (;;) {
+        const page = await fetchPage({ limit: PAGE_SIZE, offset });
+        if (page.length === 0) {
+            return;
+        }
+
+        visit(page);
+        offset += page.length;
+    }
+};
+
+// Read every row of a listing, a page at a time
+const fetchAllPages = async (fetchPage) => {
+    const rows = [];
+    await forEachPage(fetchPage, (page) => rows.push(...page));
+    return rows;
+};
+
+module.exports = { PAGE_SIZE, forEachPage, fetchAllPages };
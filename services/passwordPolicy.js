@@ -0,0 +1,38 @@
+// Password strength rules (minimum length is overridable through the environment)
+const PASSWORD_MIN_LENGTH = parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 12;
+
+// Check a password against the strength rules; returns the list of unmet rules (empty when strong enough)
+const validatePasswordStrength = (password, { email, username } = {}) => {
+    const problems = [];
+    const value = String(password || '');
+
+    if (value.length < PASSWORD_MIN_LENGTH) {
+        problems.push(`Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`);
+    }
+    if (!/[a-z]/.test(value)) {
+        problems.push('Password must contain a lowercase letter.');
+    }
+    if (!/[A-Z]/.test(value)) {
+        problems.push('Password must contain an uppercase letter.');
+    }
+    if (!/[0-9]/.test(value)) {
+        problems.push('Password must contain a digit.');
+    }
+    if (!/[^A-Za-z0-9]/.test(value)) {
+        problems.push('Password must contain a symbol.');
+    }
+
+    // Reject passwords built around the account's own identifiers
+    const lowered = value.toLowerCase();
+    const identifiers = [String(email || '').split('@')[0], username]
+        .filter((identifier) => identifier && identifier.length >= 3)
+        .map((identifier) => identifier.toLowerCase());
+
+    if (identifiers.some((identifier) => lowered.includes(identifier))) {
+        problems.push('Password must not contain your email or username.');
+    }
+
+    return problems;
+};
+
+module.exports = { PASSWORD_MIN_LENGTH, validatePasswordStrength };
@@ -0,0 +1,231 @@
+// Filtering, sorting and pagination of product listings
+// Catalog listings are filtered, sorted and paged by the data store (browseCatalog); search results,
+// which are scored here, go through the same options in memory (browseProducts).
+const { products } = require('../repositories');
+
+// Page sizes
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Sort orders understood by `sort`; ties are broken by product ID so pages never overlap
+const SORTS = {
+    catalog: { value: (product) => product.id, direction: 1 },
+    price_asc: { value: (product) => product.effective_price, direction: 1 },
+    price_desc: { value: (product) => product.effective_price, direction: -1 },
+    newest: { value: (product) => Date.parse(product.created_at) || 0, direction: -1 },
+    rating: { value: (product) => product.average_rating ?? 0, direction: -1 },
+    relevance: { value: (product) => product.relevance ?? 0, direction: -1 },
+};
+
+// Catalog columns the data store sorts on for each listing sort (`value` above, as stored)
+const SORT_COLUMNS = { catalog: 'id', price_asc: 'effective_price', price_desc: 'effective_price', newest: 'created_at', rating: 'rating_rank' };
+
+// Rows fetched per data store request when a listing returns every match
+const CATALOG_BATCH_SIZE = 500;
+
+// Sort orders clients may ask for: listings default to `catalog` (by ID) and search results to `relevance`
+const LISTING_SORTS = ['price_asc', 'price_desc', 'newest', 'rating'];
+const SEARCH_SORTS = ['relevance', ...LISTING_SORTS];
+
+// Error raised for listing options the request schema cannot check (e.g. a tampered cursor)
+class ListingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ListingError';
+        this.status = 400;
+    }
+}
+
+// Helper to compute the price a shopper pays, rounded to cents
+const effectivePrice = (product) => {
+    const price = Number(product.price) || 0;
+    if (!product.is_discounted || !product.discount_percentage) {
+        return price;
+    }
+
+    return Math.round(price * (100 - Number(product.discount_percentage))) / 100;
+};
+
+// Helper to turn a repository row into a listing entry with its effective price and rating summary
+const toListing = ({ ratings = [], ...product }) => ({
+    ...product,
+    effective_price: effectivePrice(product),
+    average_rating: ratings.length > 0 ? Math.round((ratings.reduce((sum, rating) => sum + Number(rating), 0) / ratings.length) * 10) / 10 : null,
+    review_count: ratings.length,
+});
+
+// Helper to parse a comma-separated ID list ('1,2') from the query string
+const parseIds = (value) => (value === undefined ? [] : String(value).split(',').map(Number));
+
+// Helper to check that a product is linked to at least one of the requested IDs
+const linkedToAny = (linkedIds, value) => {
+    const wanted = parseIds(value);
+    return wanted.length === 0 || (linkedIds || []).some((id) => wanted.includes(Number(id)));
+};
+
+// Filters, named after the query options they read
+const FILTERS = {
+    price: (product, { min_price, max_price }) => {
+        return (min_price === undefined || product.effective_price >= min_price)
+            && (max_price === undefined || product.effective_price <= max_price);
+    },
+    category_ids: (product, options) => linkedToAny(product.category_ids, options.category_ids),
+    size_ids: (product, options) => linkedToAny(product.size_ids, options.size_ids),
+    in_stock: (product, { in_stock }) => !in_stock || product.stock_quantity > 0,
+    discounted: (product, { discounted }) => !discounted || product.is_discounted === true,
+};
+
+// Keep the listing entries that pass every filter but those named in `except` (facet counts ignore their own filter)
+const applyFilters = (listings, options, except = []) => {
+    return listings.filter((product) => {
+        return Object.entries(FILTERS).every(([name, passes]) => except.includes(name) || passes(product, options));
+    });
+};
+
+// Helper to compare two entries' positions in a sort order
+const comparePositions = (order, a, b) => order.direction * (a.value - b.value) || a.id - b.id;
+const positionOf = (order, product) => ({ value: order.value(product), id: product.id });
+
+// Cursors are opaque to clients: the sort they belong to and the position of the last entry served
+const encodeCursor = (sort, position) => Buffer.from(JSON.stringify({ sort, ...position })).toString('base64url');
+
+const decodeCursor = (cursor, sort) => {
+    let position;
+    try {
+        position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    } catch {
+        throw new ListingError('Invalid cursor.');
+    }
+
+    if (!position || typeof position.value !== 'number' || typeof position.id !== 'number') {
+        throw new ListingError('Invalid cursor.');
+    }
+
+    if (position.sort !== sort) {
+        throw new ListingError('The cursor belongs to a different sort order.');
+    }
+
+    return position;
+};
+
+// Filter, sort and paginate repository rows with validated query options
+// Without `limit`, `page` or `cursor` every match is returned (the v1 routes relied on that)
+const browseProducts = (rows, options = {}) => {
+    const { page, cursor, sort = 'catalog' } = options;
+
+    if (page !== undefined && cursor !== undefined) {
+        throw new ListingError('Use either page or cursor, not both.');
+    }
+
+    const order = SORTS[sort];
+    const matches = applyFilters(rows.map(toListing), options)
+        .sort((a, b) => comparePositions(order, positionOf(order, a), positionOf(order, b)));
+
+    const total = matches.length;
+    const limit = options.limit ?? (page !== undefined || cursor !== undefined ? DEFAULT_PAGE_SIZE : null);
+
+    let start = 0;
+    if (cursor !== undefined) {
+        const after = decodeCursor(cursor, sort);
+        start = matches.findIndex((product) => comparePositions(order, positionOf(order, product), after) > 0);
+        if (start === -1) start = total;
+    } else if (limit) {
+        start = ((page || 1) - 1) * limit;
+    }
+
+    const end = limit ? start + limit : total;
+    const items = matches.slice(start, end);
+    const more = end < total && items.length > 0;
+
+    return {
+        items,
+        pagination: {
+            total,
+            limit,
+            page: cursor === undefined ? page || 1 : null,
+            next_page: more && cursor === undefined ? (page || 1) + 1 : null,
+            next_cursor: more ? encodeCursor(sort, positionOf(order, items[items.length - 1])) : null,
+        },
+    };
+};
+
+// Helper to fetch a page of the catalog, throwing on data store errors
+const fetchCatalog = async (filters, page) => {
+    const { data, error, count } = await products.browse(filters, page);
+    if (error) {
+        throw new Error(`Failed to fetch products: ${error.message}`);
+    }
+
+    return { rows: data, total: count };
+};
+
+// Filter, sort and paginate the catalog in the data store with validated query options, like browseProducts;
+// `scope` narrows it to the products of a category ({ category_id }) or a size ({ size_id })
+const browseCatalog = async (options = {}, scope = {}) => {
+    const { page, cursor, sort = 'catalog' } = options;
+
+    if (page !== undefined && cursor !== undefined) {
+        throw new ListingError('Use either page or cursor, not both.');
+    }
+
+    const order = SORTS[sort];
+    const filters = {
+        min_price: options.min_price,
+        max_price: options.max_price,
+        category_ids: parseIds(options.category_ids),
+        size_ids: parseIds(options.size_ids),
+        in_stock: options.in_stock === true,
+        discounted: options.discounted === true,
+        ...scope,
+    };
+    const storeSort = { column: SORT_COLUMNS[sort], ascending: order.direction === 1 };
+    const limit = options.limit ?? (page !== undefined || cursor !== undefined ? DEFAULT_PAGE_SIZE : null);
+
+    // Without a limit every match is returned, fetched a batch at a time
+    if (!limit) {
+        const items = [];
+        for (;;) {
+            const { rows } = await fetchCatalog(filters, { sort: storeSort, limit: CATALOG_BATCH_SIZE, offset: items.length });
+            items.push(...rows);
+            if (rows.length === 0) break;
+        }
+
+        return { items, pagination: { total: items.length, limit: null, page: page || 1, next_page: null, next_cursor: null } };
+    }
+
+    // Cursors hold timestamps as numbers; the data store compares them as stored
+    let after = null;
+    if (cursor !== undefined) {
+        const position = decodeCursor(cursor, sort);
+        after = { value: sort === 'newest' ? new Date(position.value).toISOString() : position.value, id: position.id };
+    }
+
+    // One row beyond the page tells whether another page follows
+    const { rows, total } = await fetchCatalog(filters, { sort: storeSort, after, limit: limit + 1, offset: after ? 0 : ((page || 1) - 1) * limit });
+    const items = rows.slice(0, limit);
+    const more = rows.length > limit;
+
+    return {
+        items,
+        pagination: {
+            total,
+            limit,
+            page: cursor === undefined ? page || 1 : null,
+            next_page: more && cursor === undefined ? (page || 1) + 1 : null,
+            next_cursor: more ? encodeCursor(sort, positionOf(order, items[items.length - 1])) : null,
+        },
+    };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE,
+    LISTING_SORTS,
+    SEARCH_SORTS,
+    ListingError,
+    effectivePrice,
+    toListing,
+    applyFilters,
+    browseProducts,
+    browseCatalog,
+};
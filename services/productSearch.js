@@ -0,0 +1,324 @@
+const { products, categories, sizes } = require('../repositories');
+const { logger } = require('../logger');
+const { browseProducts, applyFilters, toListing } = require('./productListing');
+const { fetchAllPages } = require('./paging');
+
+// Search policy (overridable through the environment)
+// The index lives in memory and is rebuilt from the data store after this long, so changes made by
+// other instances or outside the API show up; changes made through this instance are applied at once.
+const SEARCH_INDEX_REFRESH_SECONDS = parseInt(process.env.SEARCH_INDEX_REFRESH_SECONDS, 10) || 300;
+
+// Title matches count three times as much as description matches
+const FIELD_BOOSTS = { title: 3, description: 1 };
+
+// How much a query word counts when it matches an indexed word exactly, as its prefix, or with a typo
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.6, typo: 0.4 };
+
+// Lower bounds of the price facet buckets (effective price)
+const PRICE_BUCKETS = [0, 25, 50, 100, 200];
+
+const MAX_SUGGESTIONS = 5;
+
+// Split text into lowercase words without accents
+const tokenize = (text) => {
+    return String(text || '')
+        .toLowerCase()
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '') // Combining accents left by NFKD
+        .split(/[^a-z0-9]+/)
+        .filter(Boolean);
+};
+
+// Reduce plurals to their singular so 'shirts' finds 'shirt' ('dresses' -> 'dress', 'hoodies' -> 'hoody')
+const stem = (word) => {
+    if (word.length > 4 && word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+    if (word.length > 4 && /(ss|x|ch|sh)es$/.test(word)) return word.slice(0, -2);
+    if (word.length > 3 && word.endsWith('s') && !word.endsWith('ss')) return word.slice(0, -1);
+    return word;
+};
+
+// Number of typos tolerated in a word: none for short words, one from 4 letters, two from 8
+const typoAllowance = (word) => (word.length >= 8 ? 2 : word.length >= 4 ? 1 : 0);
+
+// Edit distance (insertions, deletions, substitutions and swaps of neighbours), giving up above `max`
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let before = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i += 1) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j += 1) {
+            let value = Math.min(previous[j] + 1, row[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, before[j - 2] + 1);
+            }
+            row.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+        before = previous;
+        previous = row;
+    }
+
+    return previous[b.length];
+};
+
+// An empty index: products by ID, and for every word the products and fields it appears in
+const emptyIndex = () => ({
+    builtAt: Date.now(),
+    documents: new Map(),
+    postings: new Map(),
+    wordsOf: new Map(),
+    spellings: new Map(),
+    categoryNames: new Map(),
+    sizeNames: new Map(),
+});
+
+// Add a repository listing row to an index
+const addDocument = (index, row) => {
+    const words = new Set();
+
+    for (const field of Object.keys(FIELD_BOOSTS)) {
+        for (const raw of tokenize(row[field])) {
+            const word = stem(raw);
+            words.add(word);
+
+            if (!index.postings.has(word)) index.postings.set(word, new Map());
+            const postings = index.postings.get(word);
+            if (!postings.has(row.id)) postings.set(row.id, { title: 0, description: 0 });
+            postings.get(row.id)[field] += 1;
+
+            // Suggestions show words the way titles spell them
+            if (field === 'title' && !index.spellings.has(word)) index.spellings.set(word, raw);
+        }
+    }
+
+    index.documents.set(row.id, row);
+    index.wordsOf.set(row.id, words);
+};
+
+// Remove a product from an index
+const removeDocument = (index, productId) => {
+    for (const word of index.wordsOf.get(productId) || []) {
+        const postings = index.postings.get(word);
+        postings.delete(productId);
+        if (postings.size === 0) {
+            index.postings.delete(word);
+            index.spellings.delete(word);
+        }
+    }
+
+    index.documents.delete(productId);
+    index.wordsOf.delete(productId);
+};
+
+let index = null;
+let building = null;
+
+// Bumped on every change so a build that read the catalog before the change is not kept
+let version = 0;
+
+// Helper to read a repository result, failing the build on error
+const checkBuild = ({ data, error }) => {
+    if (error) {
+        throw new Error(`Failed to build the search index: ${error.message}`);
+    }
+
+    return data;
+};
+
+// Build an index from every product in the data store (read a page at a time, so no product is left out)
+const buildIndex = async () => {
+    const [productRows, categoryRows, sizeRows] = await Promise.all([
+        fetchAllPages(async (page) => checkBuild(await products.listPage(page))),
+        categories.list().then(checkBuild),
+        sizes.list().then(checkBuild),
+    ]);
+
+    const built = emptyIndex();
+    productRows.forEach((row) => addDocument(built, row));
+    categoryRows.forEach((category) => built.categoryNames.set(category.id, category.name));
+    sizeRows.forEach((size) => built.sizeNames.set(size.id, size.size_name));
+
+    logger.debug('Search index built', { products: built.documents.size, words: built.postings.size });
+    return built;
+};
+
+// Get the current index, building it on first use and once it is older than the refresh interval
+const getIndex = async () => {
+    if (index && Date.now() - index.builtAt < SEARCH_INDEX_REFRESH_SECONDS * 1000) {
+        return index;
+    }
+
+    if (!building) {
+        const startedAt = version;
+        building = buildIndex()
+            .then((built) => {
+                // A product changed while building: serve this index once, then build again
+                if (startedAt !== version) built.builtAt = 0;
+                index = built;
+                return built;
+            })
+            .finally(() => {
+                building = null;
+            });
+    }
+
+    return building;
+};
+
+// Bring a product up to date in the index after it was added or changed
+// Failures are logged rather than thrown: the catalog write already succeeded, and the index is rebuilt instead
+const indexProduct = async (productId) => {
+    version += 1;
+
+    // Nothing to update yet; the next search builds the index from scratch
+    if (!index || building) return;
+
+    try {
+        const { data, error } = await products.findListing(productId);
+        if (error) {
+            throw new Error(error.message);
+        }
+
+        removeDocument(index, data ? data.id : productId);
+        if (data) {
+            addDocument(index, data);
+
+            // A category or size the index has no name for: rebuild on the next search
+            const unknown = data.category_ids.some((id) => !index.categoryNames.has(id)) || data.size_ids.some((id) => !index.sizeNames.has(id));
+            if (unknown) index.builtAt = 0;
+        }
+    } catch (err) {
+        logger.warn('Search index update failed; it will be rebuilt', { err, product_id: productId });
+        index = null;
+    }
+};
+
+// Drop the index so the next search rebuilds it (after categories or sizes are deleted, and in tests)
+const resetSearchIndex = () => {
+    version += 1;
+    index = null;
+};
+
+// Helper to find the indexed words a query word matches, with the weight of each match
+const matchWords = (current, query) => {
+    const matches = [];
+    const allowance = typoAllowance(query.word);
+
+    for (const word of current.postings.keys()) {
+        if (word === query.word) {
+            matches.push({ word, weight: MATCH_WEIGHTS.exact });
+        } else if (query.raw.length >= 2 && word.startsWith(query.raw)) {
+            matches.push({ word, weight: MATCH_WEIGHTS.prefix });
+        } else if (allowance > 0 && editDistance(query.word, word, allowance) <= allowance) {
+            matches.push({ word, weight: MATCH_WEIGHTS.typo });
+        }
+    }
+
+    return matches;
+};
+
+// Helper to score every product that matches all query words (BM25-style: rare words and repeated words count more)
+const scoreProducts = (current, queries) => {
+    const total = current.documents.size;
+    let scores = null;
+
+    for (const query of queries) {
+        const best = new Map();
+
+        for (const { word, weight } of matchWords(current, query)) {
+            const postings = current.postings.get(word);
+            const idf = Math.log(1 + (total - postings.size + 0.5) / (postings.size + 0.5));
+
+            for (const [productId, counts] of postings) {
+                const frequency = Object.entries(FIELD_BOOSTS)
+                    .reduce((sum, [field, boost]) => sum + boost * ((counts[field] * 2.2) / (counts[field] + 1.2)), 0);
+                const score = weight * idf * frequency;
+                if (score > (best.get(productId) || 0)) best.set(productId, score);
+            }
+        }
+
+        // Every query word must match
+        scores = scores === null
+            ? best
+            : new Map([...scores].filter(([productId]) => best.has(productId)).map(([productId, score]) => [productId, score + best.get(productId)]));
+    }
+
+    return scores || new Map();
+};
+
+// Helper to complete the last query word with title words, most common first
+const suggest = (current, queries) => {
+    const last = queries[queries.length - 1];
+    if (!last) return [];
+
+    const allowance = typoAllowance(last.word);
+    const candidates = [...current.spellings.keys()]
+        .filter((word) => word !== last.word)
+        .filter((word) => word.startsWith(last.raw) || (allowance > 0 && editDistance(last.word, word, allowance) <= allowance))
+        .sort((a, b) => current.postings.get(b).size - current.postings.get(a).size || a.localeCompare(b))
+        .slice(0, MAX_SUGGESTIONS);
+
+    const leading = queries.slice(0, -1).map((query) => query.raw);
+    return candidates.map((word) => [...leading, current.spellings.get(word)].join(' '));
+};
+
+// Helper to count matches per category, size, price bucket and availability
+// Each facet ignores its own filter, so shoppers can see what widening it would bring
+const buildFacets = (current, listings, options) => {
+    const countLinks = (except, idsOf, names, label) => {
+        const counts = new Map();
+        applyFilters(listings, options, [except]).forEach((product) => {
+            idsOf(product).forEach((id) => counts.set(id, (counts.get(id) || 0) + 1));
+        });
+
+        return [...counts]
+            .filter(([id]) => names.has(id))
+            .map(([id, count]) => ({ id, [label]: names.get(id), count }))
+            .sort((a, b) => b.count - a.count || String(a[label]).localeCompare(String(b[label])));
+    };
+
+    const priced = applyFilters(listings, options, ['price']);
+    const stocked = applyFilters(listings, options, ['in_stock']);
+
+    return {
+        categories: countLinks('category_ids', (product) => product.category_ids || [], current.categoryNames, 'name'),
+        sizes: countLinks('size_ids', (product) => product.size_ids || [], current.sizeNames, 'size_name'),
+        price_ranges: PRICE_BUCKETS.map((min, i) => {
+            const max = PRICE_BUCKETS[i + 1] ?? null;
+            const count = priced.filter((product) => product.effective_price >= min && (max === null || product.effective_price < max)).length;
+            return { min, max, count };
+        }),
+        availability: {
+            in_stock: stocked.filter((product) => product.stock_quantity > 0).length,
+            out_of_stock: stocked.filter((product) => !(product.stock_quantity > 0)).length,
+        },
+    };
+};
+
+// Search the catalog: `q` plus the listing filters, sort and pagination (see services/productListing.js)
+const searchProducts = async (options) => {
+    const current = await getIndex();
+    const queries = tokenize(options.q).map((raw) => ({ raw, word: stem(raw) }));
+
+    const hits = [...scoreProducts(current, queries)].map(([productId, score]) => ({
+        ...current.documents.get(productId),
+        relevance: Math.round(score * 1000) / 1000,
+    }));
+
+    const { items, pagination } = browseProducts(hits, { ...options, sort: options.sort || 'relevance' });
+
+    return {
+        query: options.q,
+        products: items,
+        pagination,
+        facets: buildFacets(current, hits.map(toListing), options),
+        suggestions: suggest(current, queries),
+    };
+};
+
+module.exports = { SEARCH_INDEX_REFRESH_SECONDS, searchProducts, indexProduct, resetSearchIndex };
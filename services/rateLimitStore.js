@@ -0,0 +1,76 @@
+// Counters behind the rate limiter
+//
+// A store counts hits per key in fixed windows and must provide:
+//   increment(key, windowMs) -> Promise<{ count, resetAt }>  count includes this hit; resetAt is a Date
+//   reset(key)               -> Promise<void>                 forget a key
+// The in-memory store works for a single process; run several instances behind a load balancer
+// with a shared store (e.g. Redis INCR + PEXPIRE) registered through setStore().
+
+// Expired windows are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+// In-memory store (the default)
+const createMemoryStore = () => {
+    const windows = new Map();
+    let nextSweepAt = 0;
+
+    // Helper to drop windows that have ended so idle keys do not pile up
+    const sweep = (now) => {
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) {
+                windows.delete(key);
+            }
+        }
+        nextSweepAt = now + SWEEP_INTERVAL_MS;
+    };
+
+    return {
+        async increment(key, windowMs) {
+            const now = Date.now();
+            if (now >= nextSweepAt) {
+                sweep(now);
+            }
+
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+
+            window.count += 1;
+            return { count: window.count, resetAt: new Date(window.resetAt) };
+        },
+
+        async reset(key) {
+            windows.delete(key);
+        },
+
+        // Forget every key (used by the test suite)
+        clear() {
+            windows.clear();
+        },
+    };
+};
+
+let store = null;
+
+// Get the store in use, creating the in-memory one on first use
+const getStore = () => {
+    if (!store) {
+        store = createMemoryStore();
+    }
+
+    return store;
+};
+
+// Replace the store (e.g. with one shared by every instance)
+const setStore = (replacement) => {
+    if (typeof replacement?.increment !== 'function' || typeof replacement?.reset !== 'function') {
+        throw new Error('A rate limit store must provide increment(key, windowMs) and reset(key).');
+    }
+
+    store = replacement;
+    return store;
+};
+
+module.exports = { createMemoryStore, getStore, setStore };
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { sessions } = require('../repositories');
+
+// Access tokens are short-lived; refresh tokens rotate on every use and are stored hashed in `sessions`
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// Error carrying the HTTP status a route should respond with
+class SessionError extends Error {
+    constructor(message, status = 401) {
+        super(message);
+        this.name = 'SessionError';
+        this.status = status;
+    }
+}
+
+// Helper to hash refresh token secrets before they touch the database
+const hashSecret = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+// Helper to sign an access token bound to a session
+const signAccessToken = (claims, sessionId) => {
+    return jwt.sign({ ...claims, sid: sessionId }, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+};
+
+// Helper to build the token pair returned to clients
+const issueTokens = (session, secret) => ({
+    token: signAccessToken(session.claims, session.id),
+    refresh_token: `${session.id}.${secret}`,
+    expires_in: ACCESS_TOKEN_TTL,
+});
+
+// Start a new session for a user or superuser and return its token pair
+// `claims` is the JWT payload (id, email, username, is_superuser, ...)
+const createSession = async (subjectType, claims, meta = {}) => {
+    const id = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const now = new Date();
+
+    const session = {
+        id,
+        subject_type: subjectType,
+        subject_id: String(claims.id),
+        claims,
+        refresh_token_hash: hashSecret(secret),
+        previous_refresh_token_hash: null,
+        user_agent: meta.userAgent || null,
+        ip_address: meta.ip || null,
+        created_at: now.toISOString(),
+        last_used_at: now.toISOString(),
+        expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000).toISOString(),
+        revoked_at: null,
+    };
+
+    const { error } = await sessions.create(session);
+    if (error) {
+        throw new Error(`Failed to create session: ${error.message}`);
+    }
+
+    return issueTokens(session, secret);
+};
+
+// Exchange a refresh token for a new token pair, rotating the refresh token
+// Presenting an already-rotated token is treated as theft and revokes the session
+const rotateSession = async (refreshToken, meta = {}) => {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+        throw new SessionError('Invalid refresh token.');
+    }
+
+    const { data: session, error } = await sessions.findById(sessionId);
+
+    if (error) {
+        throw new Error(`Failed to load session: ${error.message}`);
+    }
+
+    if (!session || session.revoked_at || new Date(session.expires_at) <= new Date()) {
+        throw new SessionError('Session has expired or been revoked.');
+    }
+
+    const presentedHash = hashSecret(secret);
+
+    if (presentedHash === session.previous_refresh_token_hash) {
+        await revokeSession(session.id);
+        throw new SessionError('Refresh token reuse detected. Session revoked.');
+    }
+
+    if (presentedHash !== session.refresh_token_hash) {
+        throw new SessionError('Invalid refresh token.');
+    }
+
+    const newSecret = crypto.randomBytes(32).toString('hex');
+    // Only rotates if the stored hash still matches, so two concurrent refreshes cannot both succeed
+    const { data: rotated, error: updateError } = await sessions.rotate(session.id, presentedHash, {
+        refresh_token_hash: hashSecret(newSecret),
+        previous_refresh_token_hash: presentedHash,
+        last_used_at: new Date().toISOString(),
+        user_agent: meta.userAgent || session.user_agent,
+        ip_address: meta.ip || session.ip_address,
+    });
+
+    if (updateError) {
+        throw new Error(`Failed to rotate session: ${updateError.message}`);
+    }
+
+    if (!rotated || rotated.length === 0) {
+        throw new SessionError('Invalid refresh token.');
+    }
+
+    return issueTokens(session, newSecret);
+};
+
+// Check whether the session behind an access token is still active
+const isSessionActive = async (sessionId) => {
+    const { data: session, error } = await sessions.findById(sessionId);
+
+    if (error) {
+        throw new Error(`Failed to load session: ${error.message}`);
+    }
+
+    return Boolean(session && !session.revoked_at && new Date(session.expires_at) > new Date());
+};
+
+// Revoke a single session
+const revokeSession = async (sessionId) => {
+    const { error } = await sessions.revoke(sessionId);
+
+    if (error) {
+        throw new Error(`Failed to revoke session: ${error.message}`);
+    }
+};
+
+// Revoke every active session belonging to a user or superuser, optionally keeping the caller's own session
+const revokeAllSessions = async (subjectType, subjectId, exceptSessionId = null) => {
+    const { error } = await sessions.revokeAllFor(subjectType, String(subjectId), exceptSessionId);
+
+    if (error) {
+        throw new Error(`Failed to revoke sessions: ${error.message}`);
+    }
+};
+
+// Update the JWT claims of every active session of a subject (e.g. after a username or email change)
+// New access tokens pick up the change on their next refresh
+const updateSessionClaims = async (subjectType, subjectId, changes) => {
+    const { data: active, error } = await sessions.listActiveFor(subjectType, String(subjectId));
+
+    if (error) {
+        throw new Error(`Failed to load sessions: ${error.message}`);
+    }
+
+    for (const session of active) {
+        const { error: updateError } = await sessions.updateClaims(session.id, { ...session.claims, ...changes });
+
+        if (updateError) {
+            throw new Error(`Failed to update session: ${updateError.message}`);
+        }
+    }
+};
+
+// List the active sessions belonging to a user or superuser
+const listActiveSessions = async (subjectType, subjectId) => {
+    const { data, error } = await sessions.listActiveFor(subjectType, String(subjectId));
+
+    if (error) {
+        throw new Error(`Failed to list sessions: ${error.message}`);
+    }
+
+    return data.map(({ claims, ...session }) => session);
+};
+
+module.exports = {
+    SessionError,
+    createSession,
+    rotateSession,
+    isSessionActive,
+    revokeSession,
+    revokeAllSessions,
+    updateSessionClaims,
+    listActiveSessions,
+};
@@ -0,0 +1,64 @@
+const { logger } = require('../logger');
+const { markShuttingDown } = require('./health');
+
+// How long in-flight requests get to finish before the process exits anyway
+const SHUTDOWN_TIMEOUT_SECONDS = parseInt(process.env.SHUTDOWN_TIMEOUT_SECONDS, 10) || 25;
+
+// In-flight request counts of the servers passed to trackRequests, and whether each is shutting down
+const servers = new WeakMap();
+
+// Count a server's in-flight requests, so a shutdown can wait for them before closing idle connections
+const trackRequests = (server) => {
+    const state = { inFlight: 0, stopping: false };
+    servers.set(server, state);
+
+    server.on('request', (req, res) => {
+        state.inFlight += 1;
+        res.on('close', () => {
+            state.inFlight -= 1;
+            if (state.stopping && state.inFlight === 0) {
+                server.closeIdleConnections();
+            }
+        });
+    });
+
+    return server;
+};
+
+// Stop accepting connections, let in-flight requests finish, then run `cleanup`
+// Resolves with true once drained, or false when the timeout forced remaining connections closed
+const gracefulShutdown = (server, { timeoutMs = SHUTDOWN_TIMEOUT_SECONDS * 1000, cleanup } = {}) => {
+    markShuttingDown();
+
+    return new Promise((resolve) => {
+        const timer = setTimeout(() => {
+            logger.warn('Shutdown timed out; closing remaining connections', { timeout_ms: timeoutMs });
+            server.closeAllConnections();
+            resolve(false);
+        }, timeoutMs);
+        timer.unref();
+
+        // close() stops new connections at once and calls back when the last connection has ended.
+        // Keep-alive connections would hold it open, so they are closed once no request is in flight
+        // (closing them sooner could drop a request that has arrived but is not parsed yet).
+        server.close(() => {
+            clearTimeout(timer);
+            resolve(true);
+        });
+
+        const state = servers.get(server);
+        if (state) {
+            state.stopping = true;
+        }
+        if (!state || state.inFlight === 0) {
+            server.closeIdleConnections();
+        }
+    }).then(async (drained) => {
+        if (cleanup) {
+            await cleanup();
+        }
+        return drained;
+    });
+};
+
+module.exports = { SHUTDOWN_TIMEOUT_SECONDS, trackRequests, gracefulShutdown };
@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+
+// TOTP policy: 30-second steps, accepting one step of clock drift either way
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Retail Backend';
+const TOTP_STEP_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+authenticator.options = { step: TOTP_STEP_SECONDS, window: 1 };
+
+// Helper to derive the AES key TOTP secrets are encrypted with at rest
+const getEncryptionKey = () => {
+    return crypto.createHash('sha256').update(process.env.TOTP_ENCRYPTION_KEY || process.env.JWT_SECRET).digest();
+};
+
+// Encrypt a TOTP secret for storage (AES-256-GCM, "iv.tag.ciphertext" in hex)
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('hex')).join('.');
+};
+
+// Decrypt a stored TOTP secret
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map((part) => Buffer.from(part, 'hex'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', getEncryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Start an enrollment: a new secret plus the otpauth URI and QR code authenticator apps scan
+const createEnrollment = async (accountName) => {
+    const secret = authenticator.generateSecret();
+    const otpauthUri = authenticator.keyuri(accountName, TOTP_ISSUER, secret);
+    const qrCode = await QRCode.toDataURL(otpauthUri);
+
+    return { secret, otpauthUri, qrCode };
+};
+
+// Verify a TOTP code; returns the time step it matched (for replay protection) or null
+const verifyCode = (secret, code) => {
+    const delta = authenticator.checkDelta(String(code || '').replace(/\s/g, ''), secret);
+    if (delta === null) {
+        return null;
+    }
+
+    return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+};
+
+// Helper to hash a recovery code (codes are random, so a fast hash is sufficient)
+const hashRecoveryCode = (code) => {
+    return crypto.createHash('sha256').update(String(code || '').trim().toLowerCase()).digest('hex');
+};
+
+// Generate one-time recovery codes; returns the plain codes and the hashes to store
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+module.exports = {
+    encryptSecret,
+    decryptSecret,
+    createEnrollment,
+    verifyCode,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+};
@@ -0,0 +1,24 @@
+const { users } = require('../repositories');
+const { normalizeEmail } = require('./otp');
+
+// Find an auth user by email (returns null when there is none)
+const findUserByEmail = async (email) => {
+    const { data: user, error } = await users.findByEmail(normalizeEmail(email));
+    if (error) {
+        throw new Error(`Failed to retrieve users: ${error.message}`);
+    }
+
+    return user;
+};
+
+// Fetch an auth user by ID (returns null when there is none)
+const getUserById = async (userId) => {
+    const { data: user, error } = await users.findById(userId);
+    if (error) {
+        throw new Error(`Failed to retrieve user: ${error.message}`);
+    }
+
+    return user;
+};
+
+module.exports = { findUserByEmail, getUserById };
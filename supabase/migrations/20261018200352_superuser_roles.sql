@@ -0,0 +1,14 @@
+-- Staff roles (see ROLES in middleware/permissions.js)
+-- Until the first assignment exists, every active superuser is treated as an admin so existing accounts keep working.
+
+create table if not exists superuser_roles (
+    superuser_id uuid not null references superusers (id) on delete cascade,
+    role text not null,
+    assigned_by uuid references superusers (id) on delete set null,
+    created_at timestamptz not null default now(),
+    primary key (superuser_id, role)
+);
+
+-- Role assignments are only touched with the service role: row level security with no policies keeps the
+-- anon and authenticated roles of the public API from granting themselves a role
+alter table superuser_roles enable row level security;
@@ -0,0 +1,23 @@
+-- Refresh-token sessions (see services/sessions.js)
+-- Only hashes of refresh tokens are stored; the previous hash is kept to detect a rotated token being replayed.
+
+create table if not exists sessions (
+    id uuid primary key,
+    subject_type text not null check (subject_type in ('user', 'superuser')),
+    subject_id text not null,
+    claims jsonb not null,
+    refresh_token_hash text not null,
+    previous_refresh_token_hash text,
+    user_agent text,
+    ip_address text,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz not null default now(),
+    expires_at timestamptz not null,
+    revoked_at timestamptz
+);
+
+create index if not exists sessions_subject_idx on sessions (subject_type, subject_id);
+
+-- Sessions are only touched with the service role: row level security with no policies keeps the anon and
+-- authenticated roles of the public API out
+alter table sessions enable row level security;
@@ -0,0 +1,29 @@
+-- Hashed OTPs with attempt limits, and a log of OTP requests for resend throttling (see services/otp.js)
+-- Codes issued before this migration were stored in plain text and cannot be verified against a hash,
+-- so they are dropped; anyone holding one asks for a new code.
+
+delete from otps;
+
+alter table otps drop column if exists otp;
+alter table otps add column if not exists otp_hash text not null;
+alter table otps add column if not exists attempts integer not null default 0;
+alter table otps add column if not exists created_at timestamptz not null default now();
+
+create index if not exists otps_email_purpose_idx on otps (email, purpose, expires_at desc);
+create index if not exists otps_expires_at_idx on otps (expires_at);
+
+create table if not exists otp_requests (
+    id bigint generated by default as identity primary key,
+    email text not null,
+    purpose text not null,
+    ip_address text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists otp_requests_email_purpose_idx on otp_requests (email, purpose, created_at desc);
+create index if not exists otp_requests_ip_address_idx on otp_requests (ip_address, created_at);
+
+-- Codes and the request log are only touched with the service role: row level security with no policies
+-- keeps the anon and authenticated roles of the public API from reading or deleting them
+alter table otps enable row level security;
+alter table otp_requests enable row level security;
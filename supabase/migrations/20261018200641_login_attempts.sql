@@ -0,0 +1,16 @@
+-- Failed login tracking per account and per IP (see services/loginThrottle.js)
+-- `key` is 'account:user:<email>', 'account:superuser:<email>' or 'ip:<address>'.
+
+create table if not exists login_attempts (
+    key text primary key,
+    subject_type text not null check (subject_type in ('user', 'superuser', 'ip')),
+    failures integer not null default 0,
+    last_failure_at timestamptz not null default now(),
+    locked_until timestamptz
+);
+
+create index if not exists login_attempts_locked_until_idx on login_attempts (locked_until);
+
+-- Counters are only touched with the service role: row level security with no policies keeps the anon and
+-- authenticated roles of the public API from clearing lockouts
+alter table login_attempts enable row level security;
@@ -0,0 +1,8 @@
+-- Optional TOTP two-factor authentication for superusers (see auth/twoFactor.js)
+-- Secrets are stored encrypted (with TOTP_ENCRYPTION_KEY, or JWT_SECRET when it is not set); recovery codes as hashes.
+
+alter table superusers add column if not exists totp_enabled boolean not null default false;
+alter table superusers add column if not exists totp_secret text;
+alter table superusers add column if not exists totp_pending_secret text;
+alter table superusers add column if not exists totp_last_used_step bigint;
+alter table superusers add column if not exists totp_recovery_codes text[];
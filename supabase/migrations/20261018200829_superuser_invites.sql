@@ -0,0 +1,8 @@
+-- Superuser invitations and account status (see auth/superuser.js)
+-- Invited superusers have no password until they accept; existing superusers are active.
+
+alter table superusers add column if not exists status text not null default 'active'
+    check (status in ('invited', 'active', 'disabled'));
+alter table superusers add column if not exists invited_by uuid references superusers (id) on delete set null;
+alter table superusers add column if not exists created_at timestamptz not null default now();
+alter table superusers alter column password drop not null;
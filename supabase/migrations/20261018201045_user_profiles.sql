@@ -0,0 +1,8 @@
+-- Profile self-service (see auth/profile.js)
+-- The public `users` table mirrors the username and email of each auth user; profile changes update both,
+-- and an address can belong to one account only.
+
+alter table users add column if not exists username text;
+alter table users add column if not exists email text;
+
+create unique index if not exists users_email_key on users (lower(email));
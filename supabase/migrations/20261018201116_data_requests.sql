@@ -0,0 +1,37 @@
+-- Completed data-subject requests (see services/dataSubject.js)
+-- Kept after an account is deleted as a record that the request was carried out, so `user_id` has no foreign key.
+
+create table if not exists data_requests (
+    id bigint generated by default as identity primary key,
+    user_id uuid not null,
+    type text not null check (type in ('export', 'deletion')),
+    completed_at timestamptz not null default now()
+);
+
+-- Deleting an account keeps its orders, reviews and replies but detaches them from the user (see deleteUserData).
+-- Their user_id becomes nullable and stops cascading, so removing the auth user leaves the rows in place.
+alter table orders add column if not exists anonymized_at timestamptz;
+
+do $$
+declare
+    target text;
+    fk record;
+begin
+    foreach target in array array['orders', 'reviews', 'replies'] loop
+        for fk in
+            select c.conname
+            from pg_constraint c
+            join pg_attribute a on a.attrelid = c.conrelid and a.attnum = any (c.conkey)
+            where c.contype = 'f' and c.conrelid = format('public.%I', target)::regclass and a.attname = 'user_id'
+        loop
+            execute format('alter table public.%I drop constraint %I', target, fk.conname);
+        end loop;
+
+        execute format('alter table public.%I alter column user_id drop not null', target);
+        execute format(
+            'alter table public.%I add constraint %I foreign key (user_id) references auth.users (id) on delete set null',
+            target,
+            target || '_user_id_fkey'
+        );
+    end loop;
+end $$;
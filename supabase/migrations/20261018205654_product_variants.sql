@@ -0,0 +1,14 @@
+-- Product variants: every product/size combination has its own SKU, stock and optional price (see services/inventory.js)
+-- Existing sizes get a generated SKU and no stock. Products that come in sizes used to keep one stock count;
+-- `products.stock_quantity` now holds the total over the sizes, so split the old count across the sizes
+-- (PUT /api/products/update with `variants`) after running this.
+
+alter table product_sizes add column if not exists sku text;
+alter table product_sizes add column if not exists stock_quantity integer not null default 0 check (stock_quantity >= 0);
+alter table product_sizes add column if not exists price_override numeric check (price_override >= 0);
+
+update product_sizes set sku = 'P' || product_id || '-S' || size_id where sku is null;
+alter table product_sizes alter column sku set not null;
+
+create unique index if not exists product_sizes_product_size_key on product_sizes (product_id, size_id);
+create unique index if not exists product_sizes_sku_key on product_sizes (sku);
@@ -0,0 +1,33 @@
+-- Stock ledger: every change to a stock count with the reason for it (see services/inventory.js)
+-- The ledger opens with a receipt for the current stock of every size and of every product without sizes,
+-- so reconciliation starts out clean.
+
+create table if not exists inventory_movements (
+    id bigint generated by default as identity primary key,
+    product_id bigint not null references products (id),
+    size_id bigint,
+    type text not null check (type in ('receipt', 'sale', 'return', 'adjustment', 'cancellation')),
+    quantity integer not null check (quantity <> 0),
+    balance_after integer not null check (balance_after >= 0),
+    reason text,
+    order_id bigint references orders (id) on delete set null,
+    actor_id text,
+    created_at timestamptz not null default now(),
+    check (type <> 'adjustment' or reason is not null)
+);
+
+create index if not exists inventory_movements_product_idx on inventory_movements (product_id, size_id, id desc);
+create index if not exists inventory_movements_order_idx on inventory_movements (order_id) where order_id is not null;
+
+alter table products add column if not exists low_stock_threshold integer check (low_stock_threshold >= 0);
+
+insert into inventory_movements (product_id, size_id, type, quantity, balance_after, reason)
+select product_id, size_id, 'receipt', stock_quantity, stock_quantity, 'Opening balance'
+from product_sizes
+where stock_quantity > 0;
+
+insert into inventory_movements (product_id, size_id, type, quantity, balance_after, reason)
+select id, null, 'receipt', stock_quantity, stock_quantity, 'Opening balance'
+from products
+where stock_quantity > 0
+  and not exists (select 1 from product_sizes where product_sizes.product_id = products.id);
@@ -0,0 +1,6 @@
+-- An order's stock is put back once: one cancellation movement per order, product and size
+-- (sizes are compared through coalesce, since a unique index treats nulls as distinct)
+
+create unique index if not exists inventory_movements_cancellation_key
+    on inventory_movements (order_id, product_id, coalesce(size_id, 0))
+    where type = 'cancellation';
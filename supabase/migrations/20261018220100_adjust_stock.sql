@@ -0,0 +1,45 @@
+-- Stock changes go through one function (products.adjustStock calls it), so a variant's stock and its
+-- product's total change in the same transaction: both or neither.
+-- Adds p_delta to the stock of a product (p_size_id null) or of one of its sizes and returns the new stock,
+-- or null, changing nothing, when the row is missing or its stock would drop below zero.
+
+create or replace function adjust_stock(p_product_id bigint, p_size_id bigint, p_delta integer)
+returns integer
+language plpgsql
+as $$
+declare
+    new_stock integer;
+begin
+    if p_size_id is null then
+        update products
+        set stock_quantity = stock_quantity + p_delta
+        where id = p_product_id and stock_quantity + p_delta >= 0
+        returning stock_quantity into new_stock;
+
+        return new_stock;
+    end if;
+
+    update product_sizes
+    set stock_quantity = stock_quantity + p_delta
+    where product_id = p_product_id and size_id = p_size_id and stock_quantity + p_delta >= 0
+    returning stock_quantity into new_stock;
+
+    if new_stock is null then
+        return null;
+    end if;
+
+    -- The product's total mirrors its sizes; failing here rolls the size change back too
+    update products
+    set stock_quantity = stock_quantity + p_delta
+    where id = p_product_id and stock_quantity + p_delta >= 0;
+
+    if not found then
+        raise exception 'The total stock of product % cannot follow its size %', p_product_id, p_size_id;
+    end if;
+
+    return new_stock;
+end;
+$$;
+
+-- Only the service role changes stock: clients of the public API must not reach /rpc/adjust_stock
+revoke execute on function adjust_stock(bigint, bigint, integer) from public, anon, authenticated;
@@ -0,0 +1,35 @@
+-- Product listings are filtered, sorted and paged in the database (products.browse): every product with
+-- the price a shopper pays, its rating summary and the IDs of the categories and sizes it is linked to.
+-- `rating_rank` is the average rating with unrated products at 0, which the `rating` sort orders by.
+
+create or replace view product_listings as
+select
+    p.*,
+    case
+        when p.is_discounted and coalesce(p.discount_percentage, 0) <> 0
+            then round(p.price * (100 - p.discount_percentage) / 100, 2)
+        else coalesce(p.price, 0)
+    end as effective_price,
+    r.average_rating,
+    r.review_count,
+    coalesce(r.average_rating, 0) as rating_rank,
+    coalesce(c.category_ids, '{}') as category_ids,
+    coalesce(s.size_ids, '{}') as size_ids
+from products p
+cross join lateral (
+    select round(avg(rating)::numeric, 1) as average_rating, count(*)::integer as review_count
+    from reviews
+    where reviews.product_id = p.id
+) r
+cross join lateral (
+    select array_agg(category_id order by category_id) as category_ids
+    from product_categories
+    where product_categories.product_id = p.id
+) c
+cross join lateral (
+    select array_agg(size_id order by size_id) as size_ids
+    from product_sizes
+    where product_sizes.product_id = p.id
+) s;
+
+create index if not exists products_created_at_idx on products (created_at);
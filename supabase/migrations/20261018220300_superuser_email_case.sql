@@ -0,0 +1,4 @@
+-- Superuser emails are stored trimmed and lowercased: invitations store them that way and logins look
+-- them up that way, so accounts created before either would otherwise no longer be found
+
+update superusers set email = lower(trim(email)) where email <> lower(trim(email));
@@ -0,0 +1,6 @@
+-- Cancelled orders are stored with the status 'Cancelled', however the request spelled it
+-- (services/orderPlacement.js); bring orders cancelled before that in line
+
+update orders
+set order_status = 'Cancelled'
+where lower(trim(order_status)) in ('cancelled', 'canceled') and order_status <> 'Cancelled';
@@ -1,5 +1,13 @@
 const { createClient } = require('@supabase/supabase-js');
 require('dotenv').config(); // Load environment variables from .env file
+const { logger } = require('./logger');
+const { ConfigError, supabaseProblems } = require('./config');
+
+// Fail fast with a clear message instead of on the first query
+const problems = supabaseProblems();
+if (problems.length > 0) {
+    throw new ConfigError(problems);
+}
 
 // Initialize Supabase client (regular client for standard operations)
 const supabase = createClient(
@@ -13,8 +21,8 @@ const supabaseAdmin = createClient(
     process.env.SUPABASE_SERVICE_ROLE  // Service Role Key for admin operations
 );
 
-// Optional: Log to verify client creation (for debugging only, remove in production)
-console.log('Supabase clients initialized');
+// Log to verify client creation (debug level, hidden in production by default)
+logger.debug('Supabase clients initialized');
 
 // Export both Supabase clients
 module.exports = { supabase, supabaseAdmin };
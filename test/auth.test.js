@@ -0,0 +1,249 @@
+const { app, request, accounts, resetData, lastEmailTo, lastOTPFor, loginUser, loginSuperuser, bearer } = require('./helpers');
+const { store, loginAttempts, otps, orders, reviews } = require('../repositories');
+const { assertLoginAllowed, recordLoginFailure, LoginThrottleError } = require('../services/loginThrottle');
+
+beforeEach(resetData);
+
+describe('signup and email verification', () => {
+    const newUser = { email: 'new@example.com', password: 'Brand-New-Passw0rd', username: 'newbie' };
+
+    test('a new user can sign up, verify the emailed OTP and log in', async () => {
+        const signup = await request(app).post('/signup').send(newUser);
+        expect(signup.status).toBe(200);
+        expect(signup.body.user).toMatchObject({ email: newUser.email, username: newUser.username });
+
+        const otp = lastOTPFor(newUser.email);
+        expect(otp).toMatch(/^\d{6}$/);
+
+        const verify = await request(app).post('/verify-email-with-otp').send({ email: newUser.email, otp });
+        expect(verify.status).toBe(200);
+
+        const login = await request(app).post('/login').send({ email: newUser.email, password: newUser.password });
+        expect(login.status).toBe(200);
+        expect(login.body.token).toBeTruthy();
+        expect(login.body.refresh_token).toBeTruthy();
+        expect(login.body.user).toMatchObject({ email: newUser.email, username: newUser.username });
+    });
+
+    test('login is refused until the email is verified', async () => {
+        await request(app).post('/signup').send(newUser);
+
+        const login = await request(app).post('/login').send({ email: newUser.email, password: newUser.password });
+        expect(login.status).toBe(401);
+        expect(login.body.error).toMatch(/not verified/);
+    });
+
+    test('signing up twice with the same email fails', async () => {
+        const res = await request(app).post('/signup').send({ ...newUser, email: accounts.shopper.email });
+        expect(res.status).toBe(400);
+    });
+
+    test('a wrong OTP does not verify the email', async () => {
+        await request(app).post('/signup').send(newUser);
+        const otp = lastOTPFor(newUser.email);
+        const wrong = otp === '000000' ? '111111' : '000000';
+
+        const res = await request(app).post('/verify-email-with-otp').send({ email: newUser.email, otp: wrong });
+        expect(res.status).toBe(400);
+    });
+});
+
+describe('login', () => {
+    test('a seeded shopper can log in', async () => {
+        const body = await loginUser();
+        expect(body.user.id).toBe(accounts.shopper.id);
+    });
+
+    test('a wrong password is rejected', async () => {
+        const res = await request(app).post('/login').send({ email: accounts.shopper.email, password: 'nope' });
+        expect(res.status).toBe(401);
+    });
+
+    test('superuser emails match however they are typed', async () => {
+        const res = await request(app).post('/superuser-login').send({ email: accounts.admin.email.toUpperCase(), password: accounts.admin.password });
+        expect(res.status).toBe(200);
+    });
+
+    test('a superuser login returns their permissions', async () => {
+        const body = await loginSuperuser();
+        expect(body.token).toBeTruthy();
+        expect(body.user.roles).toEqual(['admin']);
+        expect(body.user.permissions).toContain('*');
+    });
+
+    test('refresh tokens rotate and logout revokes the session', async () => {
+        const { token, refresh_token } = await loginUser();
+
+        const refreshed = await request(app).post('/token/refresh').send({ refresh_token });
+        expect(refreshed.status).toBe(200);
+        expect(refreshed.body.refresh_token).not.toBe(refresh_token);
+
+        const logout = await request(app).post('/logout').set(bearer(token));
+        expect(logout.status).toBe(200);
+
+        const afterLogout = await request(app).post('/api/cart/fetch').set(bearer(token));
+        expect(afterLogout.status).toBe(401);
+    });
+});
+
+describe('login with an emailed code', () => {
+    const { email } = accounts.shopper;
+    const requestCode = (address) => request(app).post('/login-otp/request').send({ email: address });
+    const loginWithCode = (address, otp) => request(app).post('/login-otp/verify').send({ email: address, otp });
+
+    test('a code emailed to the account logs the shopper in once', async () => {
+        const unknown = await requestCode('nobody@example.com');
+        expect(unknown.status).toBe(200);
+        expect(lastEmailTo('nobody@example.com')).toBeUndefined();
+
+        const res = await requestCode(email);
+        expect(res.body.message).toBe(unknown.body.message);
+        const otp = lastOTPFor(email);
+
+        expect((await loginWithCode(email, otp === '000000' ? '111111' : '000000')).status).toBe(400);
+
+        const login = await loginWithCode(email, otp);
+        expect(login.status).toBe(200);
+        expect(login.body.user.id).toBe(accounts.shopper.id);
+        expect((await request(app).post('/api/cart/fetch').set(bearer(login.body.token))).status).toBe(200);
+
+        expect((await loginWithCode(email, otp)).status).toBe(400);
+    });
+
+    test('a code verifies the email of a new account', async () => {
+        const newUser = { email: 'new@example.com', password: 'Brand-New-Passw0rd', username: 'newbie' };
+        await request(app).post('/signup').send(newUser);
+
+        await requestCode(newUser.email);
+        expect((await loginWithCode(newUser.email, lastOTPFor(newUser.email))).status).toBe(200);
+        expect((await request(app).post('/login').send(newUser)).status).toBe(200);
+    });
+});
+
+describe('login lockouts', () => {
+    const ip = '203.0.113.7';
+    const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000).toISOString();
+    const seedIpFailures = (failures, fields = {}) => store.seed({
+        login_attempts: [{ id: `ip:${ip}`, key: `ip:${ip}`, subject_type: 'ip', failures, last_failure_at: minutesAgo(1), locked_until: null, ...fields }],
+    });
+
+    test('failures from an address lock it out, unless they are spread beyond the window', async () => {
+        seedIpFailures(19);
+        await recordLoginFailure('user', 'someone@example.com', ip);
+        await expect(assertLoginAllowed('user', accounts.shopper.email, ip)).rejects.toThrow(LoginThrottleError);
+
+        store.reset();
+        seedIpFailures(19, { last_failure_at: minutesAgo(60) });
+        await recordLoginFailure('user', 'someone@example.com', ip);
+        await expect(assertLoginAllowed('user', accounts.shopper.email, ip)).resolves.toBeUndefined();
+    });
+
+    test('staff can unlock an address', async () => {
+        seedIpFailures(20, { locked_until: new Date(Date.now() + 15 * 60 * 1000).toISOString() });
+        const { token } = await loginSuperuser();
+
+        const listed = await request(app).get('/api/lockouts/list').set(bearer(token));
+        expect(listed.body.lockouts).toMatchObject([{ key: `ip:${ip}`, subject_type: 'ip' }]);
+
+        const res = await request(app).post('/api/lockouts/unlock').set(bearer(token)).send({ ip });
+        expect(res.status).toBe(200);
+        await expect(assertLoginAllowed('user', accounts.shopper.email, ip)).resolves.toBeUndefined();
+
+        const again = await request(app).post('/api/lockouts/unlock').set(bearer(token)).send({ ip });
+        expect(again.status).toBe(404);
+    });
+});
+
+describe('password reset', () => {
+    const { email, password } = accounts.shopper;
+    const newPassword = 'Another-Passw0rd!';
+
+    test('an emailed OTP resets the password and signs out every session', async () => {
+        const { token } = await loginUser();
+
+        const requestOTP = await request(app).post('/request-password-reset-otp').send({ email });
+        expect(requestOTP.status).toBe(200);
+
+        const otp = lastOTPFor(email);
+        const reset = await request(app).post('/reset-password-with-otp').send({ email, otp, new_password: newPassword });
+        expect(reset.status).toBe(200);
+
+        const oldSession = await request(app).post('/api/cart/fetch').set(bearer(token));
+        expect(oldSession.status).toBe(401);
+
+        const oldPassword = await request(app).post('/login').send({ email, password });
+        expect(oldPassword.status).toBe(401);
+
+        await expect(loginUser({ email, password: newPassword })).resolves.toHaveProperty('token');
+    });
+
+    test('an OTP can only be used once', async () => {
+        await request(app).post('/request-password-reset-otp').send({ email });
+        const otp = lastOTPFor(email);
+
+        await request(app).post('/reset-password-with-otp').send({ email, otp, new_password: newPassword });
+        const reuse = await request(app).post('/reset-password-with-otp').send({ email, otp, new_password: 'Yet-Another-Passw0rd' });
+        expect(reuse.status).toBe(400);
+    });
+});
+
+describe('data export', () => {
+    test('sends everything stored about the shopper once the emailed code is confirmed', async () => {
+        const { id, email } = accounts.shopper;
+        const { token } = await loginUser();
+        await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 2, quantity: 1 }] });
+        await request(app).post('/api/v2/products/2/reviews').set(bearer(token)).send({ rating: 5, feedback: 'Comfortable' });
+
+        expect((await request(app).post('/api/info/export/confirm').set(bearer(token)).send({ otp: '123456' })).status).toBe(400);
+
+        expect((await request(app).post('/api/info/export/request').set(bearer(token))).status).toBe(200);
+        const res = await request(app).post('/api/info/export/confirm').set(bearer(token)).send({ otp: lastOTPFor(email) });
+        expect(res.status).toBe(200);
+        expect(res.headers['content-disposition']).toBe(`attachment; filename="account-export-${id}.json"`);
+
+        expect(res.body.account).toMatchObject({ id, email, username: accounts.shopper.username });
+        expect(res.body.orders).toHaveLength(1);
+        expect(res.body.orders[0].orderitems).toMatchObject([{ product_id: 2, quantity: 1 }]);
+        expect(res.body.reviews).toMatchObject([{ rating: 5, feedback: 'Comfortable' }]);
+
+        const staff = await loginSuperuser();
+        expect((await request(app).post('/api/info/export/request').set(bearer(staff.token))).status).toBe(403);
+    });
+});
+
+describe('account deletion', () => {
+    test('erases the account with its OTP requests and failed logins', async () => {
+        const { email } = accounts.shopper;
+        const { token } = await loginUser();
+        await request(app).post('/login').send({ email, password: 'wrong-password' });
+        expect((await loginAttempts.find(`account:user:${email}`)).data).not.toBeNull();
+
+        await request(app).post('/api/info/delete/request').set(bearer(token));
+        const res = await request(app).post('/api/info/delete/confirm').set(bearer(token)).send({ otp: lastOTPFor(email) });
+        expect(res.status).toBe(200);
+
+        expect((await loginAttempts.find(`account:user:${email}`)).data).toBeNull();
+        expect((await otps.findLatestRequest(email, 'account_deletion')).data).toBeNull();
+        expect((await request(app).post('/login').send(accounts.shopper)).status).toBe(401);
+    });
+
+    test('keeps the orders and reviews of a deleted account without the link to it', async () => {
+        const { id, email } = accounts.shopper;
+        const { token } = await loginUser();
+        const placed = await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 2, quantity: 1 }] });
+        const orderId = placed.body.order.id;
+        await request(app).post('/api/v2/products/2/reviews').set(bearer(token)).send({ rating: 4, feedback: 'Fits well' });
+
+        await request(app).post('/api/info/delete/request').set(bearer(token));
+        const res = await request(app).post('/api/info/delete/confirm').set(bearer(token)).send({ otp: lastOTPFor(email) });
+        expect(res.status).toBe(200);
+
+        const order = (await orders.findById(orderId)).data;
+        expect(order).toMatchObject({ id: orderId, user_id: null });
+        expect(order.anonymized_at).toEqual(expect.any(String));
+        expect((await orders.listByUser(id)).data).toEqual([]);
+
+        const productReviews = (await reviews.listByProduct(2)).data;
+        expect(productReviews).toMatchObject([{ user_id: null, username: 'Deleted User', feedback: 'Fits well' }]);
+    });
+});
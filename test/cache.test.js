@@ -0,0 +1,159 @@
+const { app, request, resetData, loginSuperuser, bearer } = require('./helpers');
+const { products } = require('../repositories');
+
+beforeEach(resetData);
+
+describe('catalog caching', () => {
+    test('serves repeated reads from the cache with an ETag', async () => {
+        const first = await request(app).get('/api/v2/categories');
+        expect(first.status).toBe(200);
+        expect(first.headers['x-cache']).toBe('MISS');
+        expect(first.headers['cache-control']).toBe('public, no-cache');
+        expect(first.headers.etag).toMatch(/^"[\w-]+"$/);
+
+        const second = await request(app).get('/api/v2/categories');
+        expect(second.headers['x-cache']).toBe('HIT');
+        expect(second.headers.etag).toBe(first.headers.etag);
+        expect(second.body).toEqual(first.body);
+    });
+
+    test('answers a matching If-None-Match with 304', async () => {
+        const first = await request(app).get('/api/products/list');
+
+        const revalidated = await request(app).get('/api/products/list').set('If-None-Match', first.headers.etag);
+        expect(revalidated.status).toBe(304);
+        expect(revalidated.text).toBe('');
+
+        const stale = await request(app).get('/api/products/list').set('If-None-Match', '"something-else"');
+        expect(stale.status).toBe(200);
+    });
+
+    test('v1 and v2 lookups share an entry per ID and query', async () => {
+        await request(app).get('/api/v2/categories/2/products');
+
+        // v2 fills in the default page size
+        const v1 = await request(app).post('/api/categories/products?limit=20').send({ category_id: 2 });
+        expect(v1.headers['x-cache']).toBe('HIT');
+
+        const other = await request(app).get('/api/v2/categories/1/products');
+        expect(other.headers['x-cache']).toBe('MISS');
+    });
+
+    test('v1 and v2 product lists keep separate entries, since their shapes differ', async () => {
+        const v1 = await request(app).get('/api/products/list?limit=20');
+        expect(Array.isArray(v1.body)).toBe(true);
+
+        const v2 = await request(app).get('/api/v2/products?limit=20');
+        expect(v2.headers['x-cache']).toBe('MISS');
+        expect(v2.body.products).toHaveLength(v1.body.length);
+        expect(v2.body.pagination.total).toBe(2);
+
+        expect((await request(app).get('/api/products/list?limit=20')).body).toEqual(v1.body);
+    });
+
+    test('does not cache errors', async () => {
+        await request(app).get('/api/v2/sizes/999/products');
+
+        const res = await request(app).get('/api/v2/sizes/999/products');
+        expect(res.status).toBe(404);
+        expect(res.headers['x-cache']).toBeUndefined();
+    });
+
+    test('does not cache a read that overlapped a write', async () => {
+        const { token } = await loginSuperuser();
+        const browse = products.browse;
+        products.browse = async (...args) => {
+            const result = await browse(...args);
+            await request(app).post('/api/v2/categories').set(bearer(token)).send({ name: 'Hats' });
+            return result;
+        };
+
+        try {
+            await request(app).get('/api/v2/products');
+        } finally {
+            products.browse = browse;
+        }
+
+        const next = await request(app).get('/api/v2/products');
+        expect(next.headers['x-cache']).toBe('MISS');
+    });
+});
+
+describe('catalog cache invalidation', () => {
+    test('adding a category refreshes the category list', async () => {
+        const { token } = await loginSuperuser();
+        const before = await request(app).get('/api/categories/list');
+
+        await request(app).post('/api/v2/categories').set(bearer(token)).send({ name: 'Hats' });
+
+        const after = await request(app).get('/api/categories/list').set('If-None-Match', before.headers.etag);
+        expect(after.status).toBe(200);
+        expect(after.body).toHaveLength(before.body.length + 1);
+    });
+
+    test('updating a product refreshes the product list and lookups', async () => {
+        const { token } = await loginSuperuser();
+        await request(app).get('/api/v2/products');
+        await request(app).get('/api/v2/sizes/1/products');
+
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ title: 'Linen Overshirt' });
+
+        const list = await request(app).get('/api/v2/products');
+        expect(list.headers['x-cache']).toBe('MISS');
+        expect(list.body.products.find((product) => product.id === 1).title).toBe('Linen Overshirt');
+
+        const bySize = await request(app).get('/api/v2/sizes/1/products');
+        expect(bySize.body.products[0].title).toBe('Linen Overshirt');
+    });
+
+    test('deleting a category refreshes its lookup and leaves other entries cached', async () => {
+        const { token } = await loginSuperuser();
+        await request(app).get('/api/v2/categories/2/products');
+        await request(app).get('/api/v2/sizes');
+
+        const res = await request(app).delete('/api/v2/categories/2').set(bearer(token));
+        expect(res.status).toBe(200);
+
+        const lookup = await request(app).get('/api/v2/categories/2/products');
+        expect(lookup.status).toBe(404);
+
+        const sizes = await request(app).get('/api/v2/sizes');
+        expect(sizes.headers['x-cache']).toBe('HIT');
+    });
+
+    test('deleting a category refreshes the product listings that show it', async () => {
+        const urls = ['/api/v2/products', '/api/products/list', '/api/v2/sizes/1/products'];
+        for (const url of urls) {
+            await request(app).get(url);
+            expect((await request(app).get(url)).headers['x-cache']).toBe('HIT');
+        }
+
+        const { token } = await loginSuperuser();
+        expect((await request(app).delete('/api/v2/categories/1').set(bearer(token))).status).toBe(200);
+
+        for (const url of urls) {
+            const res = await request(app).get(url);
+            expect(res.headers['x-cache']).toBe('MISS');
+            expect((res.body.products || res.body).find((product) => product.id === 1).category_ids).toEqual([]);
+        }
+    });
+
+    test('deleting a size refreshes the product listings that show it', async () => {
+        const { token } = await loginSuperuser();
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ variants: [{ size_id: 1 }, { size_id: 2, stock_quantity: 0 }] });
+
+        const urls = ['/api/v2/products', '/api/products/list', '/api/v2/categories/1/products', '/api/v2/sizes/1/products'];
+        for (const url of urls) {
+            await request(app).get(url);
+            expect((await request(app).get(url)).headers['x-cache']).toBe('HIT');
+        }
+
+        expect((await request(app).delete('/api/v2/sizes/2').set(bearer(token))).status).toBe(200);
+
+        for (const url of urls) {
+            const res = await request(app).get(url);
+            expect(res.headers['x-cache']).toBe('MISS');
+            expect((res.body.products || res.body).find((product) => product.id === 1).size_ids).toEqual([1]);
+        }
+    });
+});
@@ -0,0 +1,118 @@
+const bcrypt = require('bcryptjs');
+
+// Accounts the suite logs in with (passwords are hashed when the tables are built)
+const accounts = {
+    shopper: {
+        id: '6a1f5c3e-1b2d-4c5e-8f90-0a1b2c3d4e5f',
+        email: 'shopper@example.com',
+        username: 'shopper',
+        password: 'Shopper-Passw0rd!',
+    },
+    admin: {
+        id: 'b7e2d4a1-3c5f-4e6a-9b8c-1d2e3f4a5b6c',
+        email: 'admin@example.com',
+        username: 'admin',
+        password: 'Admin-Passw0rd!',
+    },
+    fulfilment: {
+        id: 'c8f3e5b2-4d6a-4f7b-8c9d-2e3f4a5b6c7d',
+        email: 'fulfilment@example.com',
+        username: 'fulfilment',
+        password: 'Fulfilment-Passw0rd!',
+    },
+};
+
+// Low bcrypt cost keeps the suite fast
+const hash = (password) => bcrypt.hashSync(password, 4);
+
+// Helper to build a superuser row
+const superuserRow = ({ id, email, username, password }) => ({
+    id,
+    email,
+    username,
+    password: hash(password),
+    status: 'active',
+    totp_enabled: false,
+    created_at: '2024-01-01T00:00:00.000Z',
+});
+
+// Rows to seed the in-memory data store with, keyed by table
+const tables = () => ({
+    categories: [
+        { id: 1, name: 'Shirts' },
+        { id: 2, name: 'Shoes' },
+    ],
+    sizes: [
+        { id: 1, size_name: 'M' },
+        { id: 2, size_name: 'L' },
+    ],
+    products: [
+        {
+            id: 1,
+            title: 'Linen Shirt',
+            description: 'Breathable summer shirt.',
+            price: 49.99,
+            is_discounted: false,
+            discount_percentage: null,
+            images: ['memory://images/products/linen-shirt.jpg'],
+            stock_quantity: 10,
+            created_at: '2024-01-02T00:00:00.000Z',
+        },
+        {
+            id: 2,
+            title: 'Canvas Sneakers',
+            description: 'Everyday sneakers.',
+            price: 79.5,
+            is_discounted: true,
+            discount_percentage: 10,
+            images: ['memory://images/products/canvas-sneakers.jpg'],
+            stock_quantity: 5,
+            created_at: '2024-01-03T00:00:00.000Z',
+        },
+    ],
+    product_categories: [
+        { product_id: 1, category_id: 1 },
+        { product_id: 2, category_id: 2 },
+    ],
+    // Variants: the Linen Shirt's stock of 10 is split across its sizes, and L costs more
+    product_sizes: [
+        { product_id: 1, size_id: 1, sku: 'LINEN-M', stock_quantity: 6, price_override: null },
+        { product_id: 1, size_id: 2, sku: 'LINEN-L', stock_quantity: 4, price_override: 54.99 },
+    ],
+    // The stock ledger opens with a receipt for each size and for the sneakers, so it matches the stock
+    inventory_movements: [
+        { id: 1, product_id: 1, size_id: 1, type: 'receipt', quantity: 6, balance_after: 6, reason: 'Initial stock', order_id: null, actor_id: null, created_at: '2024-01-02T00:00:00.000Z' },
+        { id: 2, product_id: 1, size_id: 2, type: 'receipt', quantity: 4, balance_after: 4, reason: 'Initial stock', order_id: null, actor_id: null, created_at: '2024-01-02T00:00:00.000Z' },
+        { id: 3, product_id: 2, size_id: null, type: 'receipt', quantity: 5, balance_after: 5, reason: 'Initial stock', order_id: null, actor_id: null, created_at: '2024-01-03T00:00:00.000Z' },
+    ],
+    auth_users: [
+        {
+            id: accounts.shopper.id,
+            email: accounts.shopper.email,
+            password_hash: hash(accounts.shopper.password),
+            email_confirmed_at: '2024-01-01T00:00:00.000Z',
+            user_metadata: { username: accounts.shopper.username, email_verified: true },
+            created_at: '2024-01-01T00:00:00.000Z',
+        },
+    ],
+    users: [
+        {
+            id: accounts.shopper.id,
+            email: accounts.shopper.email,
+            username: accounts.shopper.username,
+            created_at: '2024-01-01T00:00:00.000Z',
+        },
+    ],
+    superusers: [superuserRow(accounts.admin), superuserRow(accounts.fulfilment)],
+    superuser_roles: [
+        { superuser_id: accounts.admin.id, role: 'admin', assigned_by: null, created_at: '2024-01-01T00:00:00.000Z' },
+        {
+            superuser_id: accounts.fulfilment.id,
+            role: 'order_fulfilment',
+            assigned_by: accounts.admin.id,
+            created_at: '2024-01-01T00:00:00.000Z',
+        },
+    ],
+});
+
+module.exports = { accounts, tables };
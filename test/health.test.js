@@ -0,0 +1,115 @@
+const http = require('http');
+const { app, request } = require('./helpers');
+const { validateConfig, ConfigError, assertConfig } = require('../config');
+const { health } = require('../repositories');
+const { trackRequests, gracefulShutdown } = require('../services/shutdown');
+
+const validEnv = {
+    JWT_SECRET: 'a-secret-long-enough-for-production-use',
+    SUPABASE_URL: 'https://project.supabase.co',
+    SUPABASE_KEY: 'anon-key',
+    SUPABASE_SERVICE_ROLE: 'service-role-key',
+};
+
+describe('configuration', () => {
+    test('accepts a complete environment', () => {
+        expect(validateConfig(validEnv)).toEqual([]);
+        expect(validateConfig({ JWT_SECRET: 'dev', DATA_STORE: 'memory' })).toEqual([]);
+    });
+
+    test('reports every problem at once', () => {
+        const problems = validateConfig({ SUPABASE_URL: 'project.supabase.co', PORT: 'eighty', LOG_LEVEL: 'loud' });
+
+        expect(problems).toEqual([
+            expect.stringMatching(/^JWT_SECRET is required/),
+            expect.stringMatching(/^SUPABASE_URL must be an http\(s\) URL/),
+            expect.stringMatching(/^SUPABASE_KEY/),
+            expect.stringMatching(/^SUPABASE_SERVICE_ROLE/),
+            expect.stringMatching(/^PORT must be a port number/),
+            expect.stringMatching(/^LOG_LEVEL must be one of/),
+        ]);
+    });
+
+    test('applies stricter rules in production', () => {
+        const problems = validateConfig({ NODE_ENV: 'production', JWT_SECRET: 'short', DATA_STORE: 'memory' });
+        expect(problems).toEqual([
+            expect.stringMatching(/^JWT_SECRET must be at least 32 characters/),
+            expect.stringMatching(/^DATA_STORE=memory/),
+            expect.stringMatching(/^TRUST_PROXY is required in production/),
+            expect.stringMatching(/^MAIL_TRANSPORT is required in production/),
+        ]);
+
+        const consoleMail = validateConfig({ ...validEnv, NODE_ENV: 'production', TRUST_PROXY: '1', MAIL_TRANSPORT: 'console' });
+        expect(consoleMail).toEqual([expect.stringMatching(/^MAIL_TRANSPORT=console is for development and tests/)]);
+    });
+
+    test('assertConfig throws a ConfigError listing the problems', () => {
+        expect(() => assertConfig({ ...validEnv, MAIL_TRANSPORT: 'pigeon' })).toThrow(ConfigError);
+        expect(() => assertConfig({ ...validEnv, OTP_TTL_MINUTES: '-5' })).toThrow(/OTP_TTL_MINUTES must be a positive whole number/);
+    });
+});
+
+describe('health probes', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    test('liveness answers without touching dependencies', async () => {
+        const res = await request(app).get('/healthz');
+        expect(res.status).toBe(200);
+        expect(res.body.status).toBe('ok');
+    });
+
+    test('readiness reports each dependency', async () => {
+        const res = await request(app).get('/readyz');
+        expect(res.status).toBe(200);
+        expect(res.body).toMatchObject({
+            status: 'ready',
+            checks: { data_store: { status: 'ok' }, storage: { status: 'ok' }, mail: { status: 'ok' } },
+        });
+    });
+
+    test('readiness fails when a dependency is unreachable', async () => {
+        jest.spyOn(health, 'pingStorage').mockResolvedValue({ data: null, error: new Error('Bucket not found') });
+
+        const res = await request(app).get('/readyz');
+        expect(res.status).toBe(503);
+        expect(res.body).toMatchObject({
+            status: 'unavailable',
+            code: 'service_unavailable',
+            checks: { data_store: { status: 'ok' }, storage: { status: 'error', error: 'Bucket not found' } },
+        });
+    });
+});
+
+describe('graceful shutdown', () => {
+    test('drains in-flight requests and refuses new connections', async () => {
+        const server = trackRequests(http.createServer((req, res) => setTimeout(() => res.end('done'), 100)));
+        await new Promise((resolve) => server.listen(0, resolve));
+        const { port } = server.address();
+
+        const get = () => new Promise((resolve, reject) => {
+            http.get({ port, agent: false }, (res) => {
+                let body = '';
+                res.on('data', (chunk) => (body += chunk));
+                res.on('end', () => resolve(body));
+            }).on('error', reject);
+        });
+
+        // Shut down once the server is handling the request; settle it at once so a failure is reported below
+        const received = new Promise((resolve) => server.once('request', resolve));
+        const inFlight = get().then((body) => ({ body }), (error) => ({ error }));
+        await received;
+
+        const cleanup = jest.fn();
+        const stopped = gracefulShutdown(server, { timeoutMs: 2000, cleanup });
+
+        await expect(get()).rejects.toThrow(/ECONNREFUSED/);
+        expect(await inFlight).toEqual({ body: 'done' });
+        await expect(stopped).resolves.toBe(true);
+        expect(cleanup).toHaveBeenCalled();
+
+        // Readiness flips so the load balancer stops sending traffic
+        const res = await request(app).get('/readyz');
+        expect(res.status).toBe(503);
+        expect(res.body.status).toBe('shutting_down');
+    });
+});
@@ -0,0 +1,70 @@
+const request = require('supertest');
+const sharp = require('sharp');
+const app = require('../app');
+const { store } = require('../repositories');
+const { outbox } = require('../mail');
+const { getStore: getRateLimitStore } = require('../services/rateLimitStore');
+const { clearCatalogCache } = require('../services/catalogCache');
+const { resetSearchIndex } = require('../services/productSearch');
+const { accounts, tables } = require('./fixtures');
+
+// Reset the data store to the fixtures, empty the outbox and forget rate limit counts, cached responses and the search index
+const resetData = () => {
+    store.reset();
+    store.seed(tables());
+    outbox.length = 0;
+    getRateLimitStore().clear();
+    clearCatalogCache();
+    resetSearchIndex();
+};
+
+// Find the most recent email sent to an address
+const lastEmailTo = (email) => [...outbox].reverse().find((message) => message.to === email);
+
+// Extract the 6-digit code from the most recent email sent to an address
+const lastOTPFor = (email) => {
+    const message = lastEmailTo(email);
+    const match = message && message.text.match(/\b(\d{6})\b/);
+    return match ? match[1] : null;
+};
+
+// Log a shopper in and return the response body (tokens and user)
+const loginUser = async ({ email, password } = accounts.shopper) => {
+    const res = await request(app).post('/login').send({ email, password });
+    if (res.status !== 200) {
+        throw new Error(`Login failed for ${email}: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    return res.body;
+};
+
+// Log a superuser in and return the response body (tokens and permissions)
+const loginSuperuser = async ({ email, password } = accounts.admin) => {
+    const res = await request(app).post('/superuser-login').send({ email, password });
+    if (res.status !== 200) {
+        throw new Error(`Superuser login failed for ${email}: ${res.status} ${JSON.stringify(res.body)}`);
+    }
+
+    return res.body;
+};
+
+// Helper to build the Authorization header for a token
+const bearer = (token) => ({ Authorization: `Bearer ${token}` });
+
+// Generate a small JPEG to upload as a product image
+const sampleImage = () => {
+    return sharp({ create: { width: 8, height: 8, channels: 3, background: '#336699' } }).jpeg().toBuffer();
+};
+
+module.exports = {
+    app,
+    request,
+    accounts,
+    resetData,
+    lastEmailTo,
+    lastOTPFor,
+    loginUser,
+    loginSuperuser,
+    bearer,
+    sampleImage,
+};
@@ -0,0 +1,262 @@
+const { app, request, accounts, resetData, lastEmailTo, loginUser, loginSuperuser, bearer } = require('./helpers');
+const { inventory, products, store } = require('../repositories');
+const { PAGE_SIZE } = require('../services/paging');
+
+beforeEach(resetData);
+
+const stockOf = async (productId) => (await request(app).get(`/api/v2/products/${productId}`)).body.product;
+
+const movementsOf = async (token, query) => {
+    const res = await request(app).get('/api/inventory/movements').query(query).set(bearer(token));
+    expect(res.status).toBe(200);
+    return res.body;
+};
+
+describe('stock movements', () => {
+    test('adjustments change the stock and show up in the history', async () => {
+        const { token } = await loginSuperuser();
+
+        const res = await request(app).post('/api/inventory/movements').set(bearer(token)).send({
+            product_id: 1,
+            size_id: 1,
+            type: 'adjustment',
+            quantity: -2,
+            reason: 'Damaged in storage',
+        });
+        expect(res.status).toBe(201);
+        expect(res.body.movement).toMatchObject({ product_id: 1, size_id: 1, type: 'adjustment', quantity: -2, balance_after: 4, actor_id: accounts.admin.id });
+
+        const shirt = await stockOf(1);
+        expect(shirt.stock_quantity).toBe(8);
+        expect(shirt.variants[0].stock_quantity).toBe(4);
+
+        const history = await movementsOf(token, { product_id: 1, limit: 2 });
+        expect(history.movements.map((movement) => [movement.type, movement.quantity])).toEqual([['adjustment', -2], ['receipt', 4]]);
+        expect(history.pagination).toEqual({ total: 3, limit: 2, page: 1, next_page: 2 });
+    });
+
+    test('receipts and returns add stock, adjustments need a reason and stock never goes negative', async () => {
+        const { token } = await loginSuperuser();
+        const move = (body) => request(app).post('/api/inventory/movements').set(bearer(token)).send(body);
+
+        expect((await move({ product_id: 2, type: 'receipt', quantity: 10 })).body.movement.balance_after).toBe(15);
+        expect((await move({ product_id: 2, type: 'return', quantity: -1 })).status).toBe(400);
+        expect((await move({ product_id: 2, type: 'adjustment', quantity: -1 })).status).toBe(400);
+        expect((await move({ product_id: 2, type: 'sale', quantity: -1 })).status).toBe(400);
+        expect((await move({ product_id: 1, type: 'receipt', quantity: 1 })).status).toBe(400);
+        expect((await move({ product_id: 999, type: 'receipt', quantity: 1 })).status).toBe(404);
+
+        const tooMany = await move({ product_id: 2, type: 'adjustment', quantity: -16, reason: 'Stocktake' });
+        expect(tooMany.status).toBe(409);
+        expect((await stockOf(2)).stock_quantity).toBe(15);
+    });
+
+    test('product updates record the stock they set as adjustments', async () => {
+        const { token } = await loginSuperuser();
+
+        await request(app).put('/api/products/update').set(bearer(token)).send({ product_id: 2, stock_quantity: 8 });
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ variants: [{ size_id: 1, stock_quantity: 2 }] });
+
+        const history = await movementsOf(token, { type: 'adjustment' });
+        expect(history.movements.map((movement) => [movement.product_id, movement.size_id, movement.quantity, movement.balance_after])).toEqual([
+            [1, 2, -4, 0],
+            [1, 1, -4, 2],
+            [2, null, 3, 8],
+        ]);
+        expect(history.movements[0].reason).toBe('Stock set through a product update');
+    });
+
+    test('staff need inventory permissions', async () => {
+        const shopper = await loginUser();
+        expect((await request(app).get('/api/inventory/movements').set(bearer(shopper.token))).status).toBe(403);
+
+        const fulfilment = await loginSuperuser(accounts.fulfilment);
+        expect((await request(app).get('/api/inventory/low-stock').set(bearer(fulfilment.token))).status).toBe(200);
+
+        const res = await request(app).post('/api/inventory/movements').set(bearer(fulfilment.token)).send({ product_id: 2, type: 'receipt', quantity: 1 });
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('orders in the stock ledger', () => {
+    test('orders record sales and cancelling them puts the stock back once', async () => {
+        const shopper = await loginUser();
+        const placed = await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 2, quantity: 2 }] });
+        const orderId = placed.body.order.id;
+
+        const staff = await loginSuperuser();
+        const sales = await movementsOf(staff.token, { order_id: orderId });
+        expect(sales.movements).toMatchObject([{ product_id: 2, type: 'sale', quantity: -2, balance_after: 3 }]);
+
+        const fulfilment = await loginSuperuser(accounts.fulfilment);
+        const cancel = () => request(app).put('/api/orders/status').set(bearer(fulfilment.token)).send({ order_id: orderId, status: 'Cancelled' });
+        expect((await cancel()).status).toBe(200);
+        expect((await cancel()).status).toBe(200);
+        expect((await stockOf(2)).stock_quantity).toBe(5);
+
+        const restocks = await movementsOf(staff.token, { order_id: orderId, type: 'cancellation' });
+        expect(restocks.movements).toMatchObject([{ quantity: 2, balance_after: 5, actor_id: accounts.fulfilment.id }]);
+
+        const reopen = await request(app).put('/api/orders/status').set(bearer(fulfilment.token)).send({ order_id: orderId, status: 'Pending' });
+        expect(reopen.status).toBe(409);
+    });
+
+    test('cancellations are recognised however they are spelled, and stay cancelled', async () => {
+        const shopper = await loginUser();
+        const placed = await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 2, quantity: 1 }] });
+        const orderId = placed.body.order.id;
+        expect((await stockOf(2)).stock_quantity).toBe(4);
+
+        const fulfilment = await loginSuperuser(accounts.fulfilment);
+        const setStatus = (status) => request(app).put('/api/orders/status').set(bearer(fulfilment.token)).send({ order_id: orderId, status });
+
+        const padded = await setStatus('Cancelled ');
+        expect(padded.status).toBe(200);
+        expect(padded.body.order.order_status).toBe('Cancelled');
+        expect((await stockOf(2)).stock_quantity).toBe(5);
+
+        expect((await setStatus('Shipped')).status).toBe(409);
+
+        const again = await setStatus(' CANCELED');
+        expect(again.status).toBe(200);
+        expect(again.body.restocked).toBeUndefined();
+        expect((await stockOf(2)).stock_quantity).toBe(5);
+    });
+
+    test('two cancellations at once put the stock back once', async () => {
+        const shopper = await loginUser();
+        const placed = await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 2, quantity: 2 }] });
+        const orderId = placed.body.order.id;
+
+        const fulfilment = await loginSuperuser(accounts.fulfilment);
+        const cancel = () => request(app).put('/api/orders/status').set(bearer(fulfilment.token)).send({ order_id: orderId, status: 'Cancelled' });
+        const responses = await Promise.all([cancel(), cancel()]);
+        expect(responses.map((res) => res.status)).toEqual([200, 200]);
+        expect(responses.filter((res) => res.body.restocked)).toHaveLength(1);
+        expect((await stockOf(2)).stock_quantity).toBe(5);
+    });
+
+    test('reports the items a cancellation could not put back in stock', async () => {
+        const shopper = await loginUser();
+        const placed = await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 1, size_id: 2, quantity: 1 }] });
+        const orderId = placed.body.order.id;
+
+        // The size ordered is no longer sold
+        const { token } = await loginSuperuser();
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ variants: [{ size_id: 1, stock_quantity: 6 }] });
+
+        const res = await request(app).put('/api/orders/status').set(bearer(token)).send({ order_id: orderId, status: 'Cancelled' });
+        expect(res.status).toBe(200);
+        expect(res.body.message).toContain('1 item(s) could not be put back in stock');
+        expect(res.body.order.order_status).toBe('Cancelled');
+        expect(res.body.restocked).toEqual([]);
+        expect(res.body.not_restocked).toMatchObject([{ product_id: 1, size_id: 2, quantity: 1 }]);
+    });
+});
+
+describe('reconciliation', () => {
+    test('reports stock the ledger misses and settles it with adjustments', async () => {
+        const { token } = await loginSuperuser();
+        expect((await request(app).get('/api/inventory/reconciliation').set(bearer(token))).body).toMatchObject({ checked: 3, discrepancies: [] });
+
+        // The sale goes through but its ledger entry is lost
+        const shopper = await loginUser();
+        const record = inventory.record;
+        inventory.record = async () => ({ data: null, error: { message: 'connection reset' } });
+        try {
+            const placed = await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 1, size_id: 2, quantity: 1 }] });
+            expect(placed.status).toBe(201);
+        } finally {
+            inventory.record = record;
+        }
+
+        const report = await request(app).get('/api/inventory/reconciliation').set(bearer(token));
+        expect(report.body.discrepancies).toEqual([
+            { product_id: 1, size_id: 2, title: 'Linen Shirt', size_name: 'L', sku: 'LINEN-L', stock_quantity: 3, ledger_quantity: 4, difference: -1 },
+        ]);
+
+        const settled = await request(app).post('/api/inventory/reconciliation').set(bearer(token)).send({ reason: 'Lost sale entry' });
+        expect(settled.status).toBe(200);
+        expect(settled.body.movements).toMatchObject([{ type: 'adjustment', quantity: -1, balance_after: 3, reason: 'Lost sale entry' }]);
+        expect((await request(app).get('/api/inventory/reconciliation').set(bearer(token))).body.discrepancies).toEqual([]);
+    });
+
+    test('adds up ledgers longer than one page, even when the server returns shorter pages', async () => {
+        const { token } = await loginSuperuser();
+        const receipts = PAGE_SIZE + 500;
+        store.seed({
+            inventory_movements: Array.from({ length: receipts }, (_, i) => ({ product_id: 2, size_id: null, type: 'receipt', quantity: 1, balance_after: 6 + i })),
+        });
+        await products.update(2, { stock_quantity: 5 + receipts });
+
+        // Like a PostgREST server whose max-rows is below the page size asked for
+        const listQuantities = inventory.listQuantities;
+        inventory.listQuantities = async ({ limit, offset }) => listQuantities({ limit: Math.min(limit, 400), offset });
+
+        let report;
+        try {
+            report = await request(app).get('/api/inventory/reconciliation').set(bearer(token));
+        } finally {
+            inventory.listQuantities = listQuantities;
+        }
+
+        expect(report.status).toBe(200);
+        expect(report.body.discrepancies).toEqual([]);
+    });
+});
+
+describe('low stock', () => {
+    test('staff managing stock are emailed when an item falls to its threshold', async () => {
+        const shopper = await loginUser();
+        await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 1, size_id: 1, quantity: 1 }] });
+
+        const alert = lastEmailTo(accounts.admin.email);
+        expect(alert.subject).toBe('Low stock: Linen Shirt (M)');
+        expect(alert.text).toContain('down to 5 in stock (threshold 5)');
+        expect(lastEmailTo(accounts.fulfilment.email)).toBeUndefined();
+
+        // Already at the threshold: no second alert
+        await request(app).post('/api/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 1, size_id: 1, quantity: 1 }] });
+        expect(require('../mail').outbox.filter((message) => message.subject.startsWith('Low stock'))).toHaveLength(1);
+    });
+
+    test('lists the items at or below their threshold, which products can set', async () => {
+        const { token } = await loginSuperuser();
+        const lowStock = async () => (await request(app).get('/api/inventory/low-stock').set(bearer(token))).body.items;
+
+        expect((await lowStock()).map((item) => [item.product_id, item.size_id, item.stock_quantity, item.threshold])).toEqual([
+            [1, 2, 4, 5],
+            [2, null, 5, 5],
+        ]);
+
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ low_stock_threshold: 2 });
+        expect((await lowStock()).map((item) => item.product_id)).toEqual([2]);
+    });
+
+    test('looks at catalogs longer than one page, even when the server returns shorter pages', async () => {
+        const { token } = await loginSuperuser();
+        const count = PAGE_SIZE + 200;
+        store.seed({
+            products: Array.from({ length: count }, (_, i) => ({ id: 3 + i, title: `Plain Sock ${i}`, price: 5, stock_quantity: i === count - 1 ? 1 : 50 })),
+            product_sizes: Array.from({ length: count }, (_, i) => ({ product_id: 3 + i, size_id: 1, sku: `SOCK-${i}`, stock_quantity: i === count - 1 ? 1 : 50, price_override: null })),
+        });
+
+        // Like a PostgREST server whose max-rows is below the page size asked for
+        const { listPage, listAllVariants } = products;
+        products.listPage = async ({ limit, offset }) => listPage({ limit: Math.min(limit, 400), offset });
+        products.listAllVariants = async ({ limit, offset }) => listAllVariants({ limit: Math.min(limit, 400), offset });
+
+        let res;
+        try {
+            res = await request(app).get('/api/inventory/low-stock').set(bearer(token));
+        } finally {
+            Object.assign(products, { listPage, listAllVariants });
+        }
+
+        expect(res.body.items.map((item) => [item.product_id, item.size_id, item.stock_quantity])).toEqual([
+            [1, 2, 4],
+            [2, null, 5],
+            [2 + count, 1, 1],
+        ]);
+    });
+});
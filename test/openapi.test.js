@@ -0,0 +1,90 @@
+const { app, request } = require('./helpers');
+const { buildSpec, operationKey, operations } = require('../openapi');
+const { listRoutes } = require('../openapi/routes');
+const orderSchemas = require('../schemas/orders');
+
+const spec = buildSpec(app);
+const routeKeys = listRoutes(app).map(({ method, path }) => operationKey(method, path));
+
+// Every `$ref` in a document, e.g. '#/components/schemas/Product'
+const collectRefs = (value, refs = []) => {
+    if (Array.isArray(value)) {
+        value.forEach((item) => collectRefs(item, refs));
+    } else if (value && typeof value === 'object') {
+        for (const [key, item] of Object.entries(value)) {
+            if (key === '$ref') refs.push(item);
+            else collectRefs(item, refs);
+        }
+    }
+    return refs;
+};
+
+describe('OpenAPI document', () => {
+    test('documents every route the app serves', () => {
+        const undocumented = routeKeys.filter((key) => !operations[key]);
+        expect(undocumented).toEqual([]);
+
+        const documented = Object.entries(spec.paths).flatMap(([path, methods]) =>
+            Object.keys(methods).map((method) => operationKey(method, path))
+        );
+        expect(documented.sort()).toEqual([...routeKeys].sort());
+    });
+
+    test('has no entries for routes that no longer exist', () => {
+        const stale = Object.keys(operations).filter((key) => !routeKeys.includes(key));
+        expect(stale).toEqual([]);
+    });
+
+    test('takes request schemas from the validation middleware', () => {
+        const addToCart = spec.paths['/api/cart/add'].post;
+        expect(addToCart.requestBody.content['application/json'].schema).toEqual(orderSchemas.addToCart.body);
+        expect(addToCart.requestBody.required).toBe(true);
+
+        const listReviews = spec.paths['/api/reviews/reviews'].get;
+        expect(listReviews.parameters).toEqual([
+            expect.objectContaining({ name: 'product_id', in: 'query', required: true }),
+        ]);
+
+        const addProduct = spec.paths['/api/products/add'].post.requestBody.content['multipart/form-data'].schema;
+        expect(Object.keys(addProduct.properties)).toEqual(expect.arrayContaining(['title', 'category_ids', 'images']));
+    });
+
+    test('describes authentication, permissions and error responses', () => {
+        const addCategory = spec.paths['/api/categories/add'].post;
+        expect(addCategory.security).toEqual([{ bearerAuth: [] }]);
+        expect(addCategory['x-permissions']).toEqual(['catalog:write']);
+        expect(Object.keys(addCategory.responses)).toEqual(['201', '400', '401', '403', '429', '500']);
+
+        const listCategories = spec.paths['/api/categories/list'].get;
+        expect(listCategories.security).toBeUndefined();
+    });
+
+    test('resolves every reference', () => {
+        const unresolved = collectRefs(spec).filter((ref) => {
+            const [, section, name] = ref.match(/^#\/components\/(\w+)\/(.+)$/) || [];
+            return !spec.components[section]?.[name];
+        });
+        expect(unresolved).toEqual([]);
+    });
+
+    test('gives each operation a unique ID', () => {
+        const ids = Object.values(spec.paths).flatMap((methods) => Object.values(methods).map((operation) => operation.operationId));
+        expect(new Set(ids).size).toBe(ids.length);
+    });
+});
+
+describe('docs endpoints', () => {
+    test('serve the document as JSON', async () => {
+        const res = await request(app).get('/api/docs/openapi.json');
+        expect(res.status).toBe(200);
+        expect(res.body.openapi).toBe('3.1.0');
+        expect(res.body.paths['/api/products/fetch'].post.summary).toBe('Fetch a product');
+    });
+
+    test('serve the interactive UI', async () => {
+        const res = await request(app).get('/api/docs/');
+        expect(res.status).toBe(200);
+        expect(res.type).toBe('text/html');
+        expect(res.text).toContain('swagger-ui');
+    });
+});
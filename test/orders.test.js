@@ -0,0 +1,212 @@
+const { app, request, accounts, resetData, lastEmailTo, loginUser, loginSuperuser, bearer } = require('./helpers');
+const { orders } = require('../repositories');
+
+beforeEach(resetData);
+
+describe('cart to order', () => {
+    test('a shopper can fill the cart, place an order and receive a confirmation', async () => {
+        const { token } = await loginUser();
+
+        const add = await request(app).post('/api/cart/add').set(bearer(token)).send({ product_id: 1, size_id: 1, quantity: 2 });
+        expect(add.status).toBe(201);
+        expect(add.body.cart_item).toMatchObject({ product_id: 1, size_id: 1, quantity: 2 });
+
+        const cart = await request(app).post('/api/cart/fetch').set(bearer(token));
+        expect(cart.body.cart_items).toHaveLength(1);
+        expect(cart.body.cart_items[0]).toMatchObject({ products: { title: 'Linen Shirt' }, sizes: { size_name: 'M' } });
+
+        const order = await request(app).post('/api/cart/place-order').set(bearer(token));
+        expect(order.status).toBe(201);
+        expect(order.body.order).toMatchObject({ user_id: accounts.shopper.id, order_status: 'Pending' });
+        expect(order.body.order_items).toHaveLength(1);
+
+        const emptied = await request(app).post('/api/cart/fetch').set(bearer(token));
+        expect(emptied.body.cart_items).toHaveLength(0);
+
+        expect(lastEmailTo(accounts.shopper.email).text).toContain('Linen Shirt');
+
+        const orders = await request(app).post('/api/orders/user/orders').set(bearer(token));
+        expect(orders.status).toBe(200);
+        expect(orders.body).toHaveLength(1);
+        expect(orders.body[0].orderitems).toEqual([{ product_id: 1, quantity: 2, size_id: 1 }]);
+    });
+
+    test('placing an order with an empty cart fails', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app).post('/api/cart/place-order').set(bearer(token));
+        expect(res.status).toBe(400);
+    });
+
+    test('cart items can be removed', async () => {
+        const { token } = await loginUser();
+        const add = await request(app).post('/api/cart/add').set(bearer(token)).send({ product_id: 2, quantity: 1 });
+
+        const res = await request(app).delete('/api/cart/delete').set(bearer(token)).send({ cart_item_id: add.body.cart_item.id });
+        expect(res.status).toBe(200);
+
+        const missing = await request(app).delete('/api/cart/delete').set(bearer(token)).send({ cart_item_id: add.body.cart_item.id });
+        expect(missing.status).toBe(404);
+    });
+});
+
+describe('stock checks', () => {
+    test('the cart needs a size for sized products and holds no more than the size has in stock', async () => {
+        const { token } = await loginUser();
+        const add = (item) => request(app).post('/api/cart/add').set(bearer(token)).send(item);
+
+        expect((await add({ product_id: 1, quantity: 1 })).status).toBe(400);
+
+        // Size M has 6 in stock
+        expect((await add({ product_id: 1, size_id: 1, quantity: 4 })).status).toBe(201);
+        const over = await add({ product_id: 1, size_id: 1, quantity: 3 });
+        expect(over.status).toBe(409);
+        expect(over.body.error).toBe('Only 6 of Linen Shirt in size M left in stock.');
+
+        expect((await add({ product_id: 2, quantity: 6 })).status).toBe(409);
+        expect((await add({ product_id: 2, quantity: 5 })).status).toBe(201);
+    });
+
+    test('cart quantity changes are checked against the stock', async () => {
+        const { token } = await loginUser();
+        const add = await request(app).post('/api/v2/cart/items').set(bearer(token)).send({ product_id: 1, size_id: 2, quantity: 1 });
+
+        const over = await request(app).patch(`/api/v2/cart/items/${add.body.cart_item.id}`).set(bearer(token)).send({ quantity: 5 });
+        expect(over.status).toBe(409);
+
+        const within = await request(app).patch(`/api/v2/cart/items/${add.body.cart_item.id}`).set(bearer(token)).send({ quantity: 4 });
+        expect(within.status).toBe(200);
+    });
+
+    test('orders are checked against the stock of each size, across lines', async () => {
+        const { token } = await loginUser();
+        const order = (items) => request(app).post('/api/orders').set(bearer(token)).send({ items });
+
+        // Size L has 4 in stock
+        expect((await order([{ product_id: 1, size_id: 2, quantity: 3 }, { product_id: 1, size_id: 2, quantity: 2 }])).status).toBe(409);
+        expect((await order([{ product_id: 1, quantity: 1 }])).status).toBe(400);
+        expect((await order([{ product_id: 1, size_id: 2, quantity: 4 }, { product_id: 1, size_id: 1, quantity: 6 }])).status).toBe(201);
+    });
+});
+
+describe('stock reservation', () => {
+    const stockOf = async (productId) => (await request(app).get(`/api/v2/products/${productId}`)).body.product;
+
+    test('orders and checkouts take the stock of each size and of the product', async () => {
+        const { token } = await loginUser();
+
+        await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 1, size_id: 2, quantity: 3 }] });
+        await request(app).post('/api/cart/add').set(bearer(token)).send({ product_id: 2, quantity: 2 });
+        const checkout = await request(app).post('/api/cart/place-order').set(bearer(token));
+        expect(checkout.status).toBe(201);
+
+        const shirt = await stockOf(1);
+        expect(shirt.stock_quantity).toBe(7);
+        expect(shirt.variants.map((variant) => variant.stock_quantity)).toEqual([6, 1]);
+        expect((await stockOf(2)).stock_quantity).toBe(3);
+    });
+
+    test('only one of two orders for the last units goes through', async () => {
+        const { token } = await loginUser();
+        const order = () => request(app).post('/api/v2/orders').set(bearer(token)).send({ items: [{ product_id: 2, quantity: 5 }] });
+
+        const results = await Promise.all([order(), order()]);
+        expect(results.map((res) => res.status).sort()).toEqual([201, 409]);
+        expect((await stockOf(2)).stock_quantity).toBe(0);
+
+        const placed = await request(app).get('/api/v2/orders').set(bearer(token));
+        expect(placed.body).toHaveLength(1);
+    });
+
+    test('a failed order keeps no order row and puts the stock back', async () => {
+        const { token } = await loginUser();
+        const addItems = orders.addItems;
+        orders.addItems = async () => ({ data: null, error: { message: 'connection reset' } });
+
+        let res;
+        try {
+            res = await request(app).post('/api/orders').set(bearer(token)).send({
+                items: [{ product_id: 1, size_id: 1, quantity: 2 }, { product_id: 2, quantity: 1 }],
+            });
+        } finally {
+            orders.addItems = addItems;
+        }
+
+        expect(res.status).toBe(500);
+        expect((await stockOf(1)).variants[0].stock_quantity).toBe(6);
+        expect((await stockOf(2)).stock_quantity).toBe(5);
+
+        const placed = await request(app).get('/api/v2/orders').set(bearer(token));
+        expect(placed.status).toBe(404);
+    });
+
+    test('a checkout that is short of stock keeps the cart', async () => {
+        const { token } = await loginUser();
+        await request(app).post('/api/cart/add').set(bearer(token)).send({ product_id: 1, size_id: 1, quantity: 2 });
+        await request(app).post('/api/cart/add').set(bearer(token)).send({ product_id: 2, quantity: 5 });
+
+        // Another order takes a sneaker after it went into the cart
+        await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 2, quantity: 1 }] });
+
+        const checkout = await request(app).post('/api/cart/place-order').set(bearer(token));
+        expect(checkout.status).toBe(409);
+
+        const cart = await request(app).post('/api/cart/fetch').set(bearer(token));
+        expect(cart.body.cart_items).toHaveLength(2);
+        expect((await stockOf(1)).variants[0].stock_quantity).toBe(6);
+    });
+});
+
+describe('direct orders', () => {
+    test('rejects sizes the product does not come in', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app)
+            .post('/api/orders')
+            .set(bearer(token))
+            .send({ items: [{ product_id: 2, size_id: 1, quantity: 1 }] });
+        expect(res.status).toBe(400);
+    });
+
+    test('rejects unknown products', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 999, quantity: 1 }] });
+        expect(res.status).toBe(404);
+    });
+});
+
+describe('order status', () => {
+    const placeOrder = async (token) => {
+        const res = await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 1, size_id: 2, quantity: 1 }] });
+        return res.body.order;
+    };
+
+    test('fulfilment staff can update the status of an order', async () => {
+        const shopper = await loginUser();
+        const order = await placeOrder(shopper.token);
+
+        const staff = await loginSuperuser(accounts.fulfilment);
+        const res = await request(app).put('/api/orders/status').set(bearer(staff.token)).send({ order_id: order.id, status: 'Shipped' });
+        expect(res.status).toBe(200);
+        expect(res.body.order.order_status).toBe('Shipped');
+
+        const all = await request(app).get('/api/orders/all').set(bearer(staff.token));
+        expect(all.body.orders.map((entry) => entry.order_status)).toEqual(['Shipped']);
+    });
+
+    test('shoppers cannot update order status', async () => {
+        const shopper = await loginUser();
+        const order = await placeOrder(shopper.token);
+
+        const res = await request(app).put('/api/orders/status').set(bearer(shopper.token)).send({ order_id: order.id, status: 'Delivered' });
+        expect(res.status).toBe(403);
+    });
+
+    test('unknown orders return 404', async () => {
+        const staff = await loginSuperuser(accounts.fulfilment);
+
+        const res = await request(app).put('/api/orders/status').set(bearer(staff.token)).send({ order_id: 999, status: 'Shipped' });
+        expect(res.status).toBe(404);
+    });
+});
@@ -0,0 +1,286 @@
+const { app, request, resetData, loginUser, loginSuperuser, bearer, sampleImage } = require('./helpers');
+const { products, store } = require('../repositories');
+
+beforeEach(resetData);
+
+describe('product catalog', () => {
+    test('lists products with their categories', async () => {
+        const res = await request(app).get('/api/products/list');
+        expect(res.status).toBe(200);
+        expect(res.body).toHaveLength(2);
+        expect(res.body[0]).toMatchObject({ id: 1, title: 'Linen Shirt', category: [{ name: 'Shirts' }] });
+    });
+
+    test('fetches a single product and 404s for unknown IDs', async () => {
+        const found = await request(app).post('/api/products/fetch').send({ product_id: 2 });
+        expect(found.status).toBe(200);
+        expect(found.body.product.title).toBe('Canvas Sneakers');
+
+        const missing = await request(app).post('/api/products/fetch').send({ product_id: 999 });
+        expect(missing.status).toBe(404);
+    });
+
+    test('lists products by category and by size', async () => {
+        const byCategory = await request(app).post('/api/categories/products').send({ category_id: 2 });
+        expect(byCategory.status).toBe(200);
+        expect(byCategory.body.products.map((product) => product.id)).toEqual([2]);
+
+        const bySize = await request(app).post('/api/sizes/products').send({ size_id: 1 });
+        expect(bySize.status).toBe(200);
+        expect(bySize.body.products.map((product) => product.id)).toEqual([1]);
+    });
+});
+
+describe('adding products', () => {
+    const addProduct = async (token) => {
+        return request(app)
+            .post('/api/products/add')
+            .set(bearer(token))
+            .field('title', 'Wool Scarf')
+            .field('description', 'Warm winter scarf.')
+            .field('price', '25.00')
+            .field('category_ids', '[1]')
+            .field('variants', JSON.stringify([{ size_id: 2, sku: 'SCARF-L', stock_quantity: 7 }]))
+            .attach('images', await sampleImage(), 'scarf.jpg');
+    };
+
+    test('a catalog manager can add a product with images, categories and sizes', async () => {
+        const { token } = await loginSuperuser();
+
+        const res = await addProduct(token);
+        expect(res.status).toBe(201);
+        expect(res.body.product).toMatchObject({ title: 'Wool Scarf', price: 25, stock_quantity: 7 });
+        expect(res.body.product.images).toHaveLength(1);
+        expect(res.body.product.variants).toEqual([
+            { size_id: 2, size_name: 'L', sku: 'SCARF-L', stock_quantity: 7, price_override: null, effective_price: 25 },
+        ]);
+
+        const bySize = await request(app).post('/api/sizes/products').send({ size_id: 2 });
+        expect(bySize.body.products.map((product) => product.title)).toContain('Wool Scarf');
+    });
+
+    test('requires authentication and the catalog:write permission', async () => {
+        const anonymous = await request(app).post('/api/products/add');
+        expect(anonymous.status).toBe(401);
+
+        const { token } = await loginUser();
+        const shopper = await addProduct(token);
+        expect(shopper.status).toBe(403);
+    });
+});
+
+describe('updating products', () => {
+    test('a catalog manager can update fields and category links', async () => {
+        const { token } = await loginSuperuser();
+
+        const res = await request(app)
+            .put('/api/products/update')
+            .set(bearer(token))
+            .send({ product_id: 1, price: 39.99, variants: [{ size_id: 1, stock_quantity: 3 }, { size_id: 2, stock_quantity: 0 }], category_ids: [2] });
+        expect(res.status).toBe(200);
+
+        const product = await request(app).post('/api/products/fetch').send({ product_id: 1 });
+        expect(product.body.product).toMatchObject({ price: 39.99, stock_quantity: 3 });
+
+        const byCategory = await request(app).post('/api/categories/products').send({ category_id: 2 });
+        expect(byCategory.body.products.map((entry) => entry.id).sort()).toEqual([1, 2]);
+    });
+
+    test('shoppers cannot update products', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app).put('/api/products/update').set(bearer(token)).send({ product_id: 1, price: 1 });
+        expect(res.status).toBe(403);
+    });
+});
+
+describe('product variants', () => {
+    test('fetching a product returns each size with its SKU, stock and price', async () => {
+        const res = await request(app).get('/api/v2/products/1');
+        expect(res.body.product.variants).toEqual([
+            { size_id: 1, size_name: 'M', sku: 'LINEN-M', stock_quantity: 6, price_override: null, effective_price: 49.99 },
+            { size_id: 2, size_name: 'L', sku: 'LINEN-L', stock_quantity: 4, price_override: 54.99, effective_price: 54.99 },
+        ]);
+
+        const unsized = await request(app).post('/api/products/fetch').send({ product_id: 2 });
+        expect(unsized.body.product.variants).toEqual([]);
+    });
+
+    test('size lists keep the stock of sizes already sold and total it on the product', async () => {
+        const { token } = await loginSuperuser();
+
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ size_ids: [2] });
+        const shirt = await request(app).get('/api/v2/products/1');
+        expect(shirt.body.product.stock_quantity).toBe(4);
+        expect(shirt.body.product.variants).toMatchObject([{ size_id: 2, sku: 'LINEN-L', stock_quantity: 4 }]);
+
+        await request(app).patch('/api/v2/products/2').set(bearer(token)).send({ variants: [{ size_id: 1, stock_quantity: 2, price_override: 60 }] });
+        const sneakers = await request(app).get('/api/v2/products/2');
+        expect(sneakers.body.product.stock_quantity).toBe(2);
+        expect(sneakers.body.product.variants).toMatchObject([{ size_id: 1, sku: 'P2-S1', stock_quantity: 2, effective_price: 54 }]);
+    });
+
+    test('rejects product-level stock for sized products and SKUs already in use', async () => {
+        const { token } = await loginSuperuser();
+
+        const stock = await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ stock_quantity: 3 });
+        expect(stock.status).toBe(400);
+
+        const sku = await request(app).patch('/api/v2/products/2').set(bearer(token)).send({ variants: [{ size_id: 1, sku: 'LINEN-M' }] });
+        expect(sku.status).toBe(409);
+        expect(sku.body.error).toMatch(/LINEN-M/);
+    });
+
+    test('sizes cannot be deleted while products have stock in them', async () => {
+        const { token } = await loginSuperuser();
+
+        const stocked = await request(app).delete('/api/v2/sizes/2').set(bearer(token));
+        expect(stocked.status).toBe(409);
+
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ variants: [{ size_id: 1 }, { size_id: 2, stock_quantity: 0 }] });
+        const emptied = await request(app).delete('/api/v2/sizes/2').set(bearer(token));
+        expect(emptied.status).toBe(200);
+    });
+
+    test('saving variants keeps stock the request leaves out, even when an order reserves some meanwhile', async () => {
+        const { token } = await loginSuperuser();
+
+        // An order takes one shirt in size M while the variants are being saved
+        const findVariantBySku = products.findVariantBySku;
+        products.findVariantBySku = async (sku) => {
+            products.findVariantBySku = findVariantBySku;
+            await products.adjustStock(1, 1, -1);
+            return findVariantBySku(sku);
+        };
+
+        let res;
+        try {
+            res = await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ variants: [{ size_id: 1, price_override: 45 }, { size_id: 2 }] });
+        } finally {
+            products.findVariantBySku = findVariantBySku;
+        }
+
+        expect(res.status).toBe(200);
+        const shirt = await request(app).get('/api/v2/products/1');
+        expect(shirt.body.product.stock_quantity).toBe(9);
+        expect(shirt.body.product.variants).toMatchObject([
+            { size_id: 1, sku: 'LINEN-M', stock_quantity: 5, price_override: 45 },
+            { size_id: 2, sku: 'LINEN-L', stock_quantity: 4 },
+        ]);
+    });
+});
+
+describe('product listing', () => {
+    const ids = (res) => (res.body.products || res.body).map((product) => product.id);
+
+    test('v2 pages through products with page numbers or cursors', async () => {
+        const first = await request(app).get('/api/v2/products?limit=1');
+        expect(first.status).toBe(200);
+        expect(ids(first)).toEqual([1]);
+        expect(first.body.pagination).toMatchObject({ total: 2, limit: 1, page: 1, next_page: 2 });
+
+        const second = await request(app).get('/api/v2/products?limit=1&page=2');
+        expect(ids(second)).toEqual([2]);
+        expect(second.body.pagination).toMatchObject({ next_page: null, next_cursor: null });
+
+        const byCursor = await request(app).get(`/api/v2/products?limit=1&cursor=${first.body.pagination.next_cursor}`);
+        expect(ids(byCursor)).toEqual([2]);
+        expect(byCursor.body.pagination.page).toBeNull();
+    });
+
+    test('v1 keeps answering with every product and reports the count in headers', async () => {
+        const res = await request(app).get('/api/products/list?sort=price_desc');
+        expect(ids(res)).toEqual([2, 1]);
+        expect(res.headers['x-total-count']).toBe('2');
+        expect(res.headers['x-next-page']).toBeUndefined();
+    });
+
+    test('filters by discounted price, categories, sizes, stock and discount', async () => {
+        // Canvas Sneakers cost 79.50 with 10% off, so 71.55
+        const cheap = await request(app).get('/api/v2/products?max_price=72');
+        expect(ids(cheap)).toEqual([1, 2]);
+        expect(cheap.body.products[1].effective_price).toBe(71.55);
+
+        expect(ids(await request(app).get('/api/v2/products?min_price=60'))).toEqual([2]);
+        expect(ids(await request(app).get('/api/v2/products?category_ids=2,5'))).toEqual([2]);
+        expect(ids(await request(app).get('/api/v2/products?size_ids=2'))).toEqual([1]);
+        expect(ids(await request(app).get('/api/v2/products?discounted=true'))).toEqual([2]);
+
+        const { token } = await loginSuperuser();
+        await request(app).patch('/api/v2/products/2').set(bearer(token)).send({ stock_quantity: 0 });
+        expect(ids(await request(app).get('/api/v2/products?in_stock=true'))).toEqual([1]);
+    });
+
+    test('sorts by price, newest and rating', async () => {
+        expect(ids(await request(app).get('/api/v2/products?sort=price_asc'))).toEqual([1, 2]);
+        expect(ids(await request(app).get('/api/v2/products?sort=newest'))).toEqual([2, 1]);
+
+        const { token } = await loginUser();
+        await request(app).post('/api/v2/products/1/reviews').set(bearer(token)).send({ rating: 5, feedback: 'Lovely.' });
+
+        const byRating = await request(app).get('/api/v2/products?sort=rating');
+        expect(ids(byRating)).toEqual([1, 2]);
+        expect(byRating.body.products[0]).toMatchObject({ average_rating: 5, review_count: 1 });
+    });
+
+    test('applies the same filters to the category and size lookups', async () => {
+        const bySize = await request(app).post('/api/sizes/products?discounted=true').send({ size_id: 1 });
+        expect(bySize.status).toBe(200);
+        expect(bySize.body.products).toEqual([]);
+        expect(bySize.body.pagination.total).toBe(0);
+
+        const byCategory = await request(app).get('/api/v2/categories/2/products?max_price=75');
+        expect(ids(byCategory)).toEqual([2]);
+        expect(byCategory.body.pagination).toMatchObject({ total: 1, limit: 20 });
+    });
+
+    test('rejects conflicting or invalid listing options', async () => {
+        const both = await request(app).get('/api/v2/products?page=2&cursor=abc');
+        expect(both.status).toBe(400);
+
+        const tampered = await request(app).get('/api/v2/products?cursor=not-a-cursor');
+        expect(tampered.status).toBe(400);
+        expect(tampered.body.error).toBe('Invalid cursor.');
+
+        const first = await request(app).get('/api/v2/products?limit=1');
+        const otherSort = await request(app).get(`/api/v2/products?sort=newest&cursor=${first.body.pagination.next_cursor}`);
+        expect(otherSort.status).toBe(400);
+
+        const unknownSort = await request(app).get('/api/v2/products?sort=popularity');
+        expect(unknownSort.status).toBe(400);
+        expect(unknownSort.body.details[0]).toMatchObject({ location: 'query', field: 'sort' });
+    });
+
+    test('pages in the data store, so catalogs larger than one store request list correctly', async () => {
+        store.seed({
+            products: Array.from({ length: 1200 }, (_, i) => ({ id: 100 + i, title: `Sock ${i}`, price: 5 + (i % 7), stock_quantity: 1, created_at: '2024-06-01T00:00:00.000Z' })),
+        });
+
+        // Like a PostgREST server returning at most 1000 rows per request
+        const browse = products.browse;
+        const limits = [];
+        products.browse = async (filters, page) => {
+            limits.push(page.limit);
+            return browse(filters, { ...page, limit: Math.min(page.limit, 1000) });
+        };
+
+        try {
+            const last = await request(app).get('/api/v2/products?limit=50&page=25');
+            expect(last.body.pagination).toMatchObject({ total: 1202, page: 25, next_page: null });
+            expect(ids(last)).toEqual([1298, 1299]);
+
+            const cheapest = await request(app).get('/api/v2/products?sort=price_asc&limit=3');
+            expect(cheapest.body.products.map((product) => product.effective_price)).toEqual([5, 5, 5]);
+            const next = await request(app).get(`/api/v2/products?sort=price_asc&limit=3&cursor=${cheapest.body.pagination.next_cursor}`);
+            expect(ids(next)).toEqual([121, 128, 135]);
+
+            const everything = await request(app).get('/api/products/list');
+            expect(everything.body).toHaveLength(1202);
+            expect(everything.headers['x-total-count']).toBe('1202');
+        } finally {
+            products.browse = browse;
+        }
+
+        expect(Math.max(...limits)).toBeLessThanOrEqual(1000);
+    });
+});
@@ -0,0 +1,52 @@
+const { app, request, accounts, resetData, lastOTPFor, loginUser, bearer } = require('./helpers');
+
+beforeEach(resetData);
+
+const fetchCart = (token) => request(app).post('/api/cart/fetch').set(bearer(token));
+
+describe('email change', () => {
+    const newEmail = 'shopper.new@example.com';
+
+    test('the new address takes over once the code sent to it is confirmed', async () => {
+        const { token } = await loginUser();
+        const changeEmail = (path, body) => request(app).post(`/api/profile/email/${path}`).set(bearer(token)).send(body);
+
+        expect((await changeEmail('request', { new_email: accounts.shopper.email })).status).toBe(400);
+        expect((await changeEmail('confirm', { otp: '123456' })).status).toBe(400);
+
+        expect((await changeEmail('request', { new_email: 'Shopper.New@Example.com' })).status).toBe(200);
+        const otp = lastOTPFor(newEmail);
+        expect(otp).toMatch(/^\d{6}$/);
+
+        // Nothing changes until the code is confirmed
+        await expect(loginUser()).resolves.toHaveProperty('token');
+
+        expect((await changeEmail('confirm', { otp: otp === '000000' ? '111111' : '000000' })).status).toBe(400);
+        const confirm = await changeEmail('confirm', { otp });
+        expect(confirm.status).toBe(200);
+        expect(confirm.body.user).toMatchObject({ id: accounts.shopper.id, email: newEmail });
+
+        expect((await request(app).post('/login').send(accounts.shopper)).status).toBe(401);
+        await expect(loginUser({ email: newEmail, password: accounts.shopper.password })).resolves.toHaveProperty('token');
+    });
+});
+
+describe('password change', () => {
+    const newPassword = 'Quiet-Harbour-Lantern-42';
+
+    test('needs the current password and signs out every other session', async () => {
+        const other = await loginUser();
+        const { token } = await loginUser();
+        const changePassword = (body) => request(app).put('/api/profile/password').set(bearer(token)).send(body);
+
+        expect((await changePassword({ current_password: 'wrong-password', new_password: newPassword })).status).toBe(401);
+        expect((await changePassword({ current_password: accounts.shopper.password, new_password: 'short' })).status).toBe(400);
+
+        expect((await changePassword({ current_password: accounts.shopper.password, new_password: newPassword })).status).toBe(200);
+        expect((await fetchCart(token)).status).toBe(200);
+        expect((await fetchCart(other.token)).status).toBe(401);
+
+        expect((await request(app).post('/login').send(accounts.shopper)).status).toBe(401);
+        await expect(loginUser({ email: accounts.shopper.email, password: newPassword })).resolves.toHaveProperty('token');
+    });
+});
@@ -0,0 +1,116 @@
+const express = require('express');
+const { app, request, resetData, loginUser, bearer } = require('./helpers');
+const { rateLimit, POLICIES } = require('../middleware/rateLimit');
+const { createMemoryStore } = require('../services/rateLimitStore');
+
+beforeEach(resetData);
+
+describe('rate limiting', () => {
+    test('reports the remaining budget in RateLimit headers', async () => {
+        const res = await request(app).get('/api/categories/list');
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-limit']).toBe(String(POLICIES.read.max));
+        expect(res.headers['ratelimit-remaining']).toBe(String(POLICIES.read.max - 1));
+        expect(Number(res.headers['ratelimit-reset'])).toBeGreaterThan(0);
+        expect(res.headers['ratelimit-policy']).toBe(`${POLICIES.read.max};w=${POLICIES.read.windowSeconds}`);
+    });
+
+    test('limits auth endpoints per IP and answers with Retry-After', async () => {
+        for (let i = 0; i < POLICIES.auth.max; i += 1) {
+            const res = await request(app).post('/login').send({});
+            expect(res.status).toBe(400);
+        }
+
+        const limited = await request(app).post('/signup').send({ email: 'new@example.com', username: 'new', password: 'x' });
+        expect(limited.status).toBe(429);
+        expect(limited.body.code).toBe('too_many_requests');
+        expect(limited.headers['ratelimit-remaining']).toBe('0');
+        expect(Number(limited.headers['retry-after'])).toBeGreaterThan(0);
+
+        // Other route groups have their own budget
+        const read = await request(app).get('/api/sizes/list');
+        expect(read.status).toBe(200);
+    });
+
+    test('counts token refreshes per session, apart from the auth budget', async () => {
+        const session = '00000000-0000-4000-8000-000000000001';
+        for (let i = 0; i < POLICIES.refresh.max; i += 1) {
+            const res = await request(app).post('/token/refresh').send({ refresh_token: `${session}.stale` });
+            expect(res.status).toBe(401);
+        }
+
+        const limited = await request(app).post('/token/refresh').send({ refresh_token: `${session}.stale` });
+        expect(limited.status).toBe(429);
+
+        // Other sessions and logins from the same IP are unaffected
+        const { refresh_token } = await loginUser();
+        const refreshed = await request(app).post('/token/refresh').send({ refresh_token });
+        expect(refreshed.status).toBe(200);
+    });
+
+    test('counts signed-in callers by account rather than IP', async () => {
+        const { token } = await loginUser();
+
+        await request(app).post('/api/cart/fetch').set(bearer(token));
+        const signedIn = await request(app).post('/api/cart/fetch').set(bearer(token));
+        expect(signedIn.headers['ratelimit-remaining']).toBe(String(POLICIES.write.max - 2));
+
+        // The login itself was an anonymous write from this IP
+        const anonymous = await request(app).post('/api/products/fetch').send({ product_id: 1 });
+        expect(anonymous.headers['ratelimit-remaining']).toBe(String(POLICIES.write.max - 2));
+    });
+
+    test('health probes are not limited', async () => {
+        const res = await request(app).get('/healthz');
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+    });
+});
+
+describe('rate limit stores', () => {
+    const appWith = (store) => {
+        const limited = express();
+        limited.get('/', rateLimit({ name: 'test', max: 2, windowSeconds: 60, keyBy: 'ip' }, { store }), (req, res) => res.json({ ok: true }));
+        return limited;
+    };
+
+    test('the memory store starts a new window once the old one ends', async () => {
+        const store = createMemoryStore();
+
+        expect(await store.increment('key', 1000)).toMatchObject({ count: 1 });
+        expect(await store.increment('key', 1000)).toMatchObject({ count: 2 });
+
+        jest.useFakeTimers({ now: Date.now() + 1001 });
+        try {
+            expect(await store.increment('key', 1000)).toMatchObject({ count: 1 });
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('any store with increment and reset can be plugged in', async () => {
+        const counts = {};
+        const store = {
+            increment: jest.fn(async (key, windowMs) => {
+                counts[key] = (counts[key] || 0) + 1;
+                return { count: counts[key], resetAt: new Date(Date.now() + windowMs) };
+            }),
+            reset: jest.fn(),
+        };
+        const limited = appWith(store);
+
+        await request(limited).get('/');
+        await request(limited).get('/');
+        const res = await request(limited).get('/');
+
+        expect(res.status).toBe(429);
+        expect(store.increment).toHaveBeenCalledWith(expect.stringMatching(/^test:ip:/), 60000);
+    });
+
+    test('requests are allowed when the store is unavailable', async () => {
+        const store = { increment: async () => { throw new Error('connection refused'); }, reset: async () => {} };
+
+        const res = await request(appWith(store)).get('/');
+        expect(res.status).toBe(200);
+        expect(res.headers['ratelimit-limit']).toBeUndefined();
+    });
+});
@@ -0,0 +1,35 @@
+const { app, request, accounts, resetData, loginUser, bearer } = require('./helpers');
+
+beforeEach(resetData);
+
+describe('reviews', () => {
+    test('a shopper can review a product and reply to a review', async () => {
+        const { token } = await loginUser();
+
+        const review = await request(app).post('/api/reviews/add').set(bearer(token)).send({ product_id: 1, rating: 4, feedback: 'Fits well.' });
+        expect(review.status).toBe(201);
+        expect(review.body.review).toMatchObject({ user_id: accounts.shopper.id, username: 'shopper', rating: 4 });
+
+        const reply = await request(app)
+            .post('/api/reviews/reply')
+            .set(bearer(token))
+            .send({ review_id: review.body.review.id, product_id: 1, reply: 'Still happy after a month.' });
+        expect(reply.status).toBe(201);
+
+        const list = await request(app).get('/api/reviews/reviews').query({ product_id: 1 });
+        expect(list.status).toBe(200);
+        expect(list.body.reviews).toHaveLength(1);
+        expect(list.body.reviews[0].replies).toHaveLength(1);
+        expect(list.body.reviews[0].replies[0].reply).toBe('Still happy after a month.');
+    });
+
+    test('adding a review requires authentication', async () => {
+        const res = await request(app).post('/api/reviews/add').send({ product_id: 1, rating: 5, feedback: 'Great.' });
+        expect(res.status).toBe(401);
+    });
+
+    test('listing reviews requires a product ID', async () => {
+        const res = await request(app).get('/api/reviews/reviews');
+        expect(res.status).toBe(400);
+    });
+});
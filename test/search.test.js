@@ -0,0 +1,124 @@
+const { app, request, resetData, loginSuperuser, bearer, sampleImage } = require('./helpers');
+const { products, store } = require('../repositories');
+const { PAGE_SIZE } = require('../services/paging');
+
+beforeEach(resetData);
+
+const ids = (res) => res.body.products.map((product) => product.id);
+
+// Add a product through the API so the search index hears about it
+const addProduct = async (token, fields) => {
+    const req = request(app).post('/api/v2/products').set(bearer(token));
+    Object.entries(fields).forEach(([name, value]) => req.field(name, value));
+    return req.attach('images', await sampleImage(), 'product.jpg');
+};
+
+describe('product search', () => {
+    test('ranks title matches above description matches', async () => {
+        const { token } = await loginSuperuser();
+        const added = await addProduct(token, {
+            title: 'Summer Trousers',
+            description: 'Pairs well with a linen shirt.',
+            price: '35.00',
+            category_ids: '[1]',
+        });
+        expect(added.status).toBe(201);
+
+        const res = await request(app).get('/api/v2/products/search?q=shirts');
+        expect(res.status).toBe(200);
+        expect(res.body.query).toBe('shirts');
+        expect(ids(res)).toEqual([1, added.body.product.id]);
+        expect(res.body.products[0].relevance).toBeGreaterThan(res.body.products[1].relevance);
+        expect(res.body.pagination).toMatchObject({ total: 2, limit: 20 });
+    });
+
+    test('matches word prefixes and tolerates typos', async () => {
+        expect(ids(await request(app).get('/api/products/search?q=sne'))).toEqual([2]);
+        expect(ids(await request(app).get('/api/products/search?q=snekers'))).toEqual([2]);
+        expect(ids(await request(app).get('/api/products/search?q=linnen%20shrit'))).toEqual([1]);
+        expect(ids(await request(app).get('/api/products/search?q=linen%20sneakers'))).toEqual([]);
+    });
+
+    test('suggests completions of the last word', async () => {
+        const res = await request(app).get('/api/products/search?q=linen%20sh');
+        expect(res.body.suggestions).toEqual(['linen shirt']);
+
+        const typo = await request(app).get('/api/products/search?q=snaekers');
+        expect(typo.body.suggestions).toEqual(['sneakers']);
+    });
+
+    // Make both fixtures match 'linen'
+    const describeSneakers = async () => {
+        const { token } = await loginSuperuser();
+        await request(app).patch('/api/v2/products/2').set(bearer(token)).send({ description: 'Everyday sneakers lined with linen.' });
+    };
+
+    test('counts facets over the matches, ignoring each facet\'s own filter', async () => {
+        await describeSneakers();
+
+        const res = await request(app).get('/api/v2/products/search?q=linen&category_ids=1');
+        expect(ids(res)).toEqual([1]);
+        expect(res.body.facets.categories).toEqual([
+            { id: 1, name: 'Shirts', count: 1 },
+            { id: 2, name: 'Shoes', count: 1 },
+        ]);
+        expect(res.body.facets.sizes).toEqual([
+            { id: 2, size_name: 'L', count: 1 },
+            { id: 1, size_name: 'M', count: 1 },
+        ]);
+        expect(res.body.facets.price_ranges).toContainEqual({ min: 25, max: 50, count: 1 });
+        expect(res.body.facets.availability).toEqual({ in_stock: 1, out_of_stock: 0 });
+    });
+
+    test('applies the listing filters and sorts', async () => {
+        await describeSneakers();
+
+        expect(ids(await request(app).get('/api/products/search?q=linen'))).toEqual([1, 2]);
+        expect(ids(await request(app).get('/api/products/search?q=linen&sort=price_desc'))).toEqual([2, 1]);
+        expect(ids(await request(app).get('/api/products/search?q=linen&discounted=true'))).toEqual([2]);
+        expect(ids(await request(app).get('/api/products/search?q=linen&limit=1&page=2'))).toEqual([2]);
+    });
+
+    test('picks up product updates without a rebuild', async () => {
+        const { token } = await loginSuperuser();
+        expect(ids(await request(app).get('/api/v2/products/search?q=overshirt'))).toEqual([]);
+
+        await request(app).patch('/api/v2/products/1').set(bearer(token)).send({ title: 'Hemp Overshirt' });
+
+        expect(ids(await request(app).get('/api/v2/products/search?q=overshirt'))).toEqual([1]);
+        expect(ids(await request(app).get('/api/v2/products/search?q=linen'))).toEqual([]);
+    });
+
+    test('indexes catalogs longer than one page, even when the server returns shorter pages', async () => {
+        const count = PAGE_SIZE + 200;
+        store.seed({
+            products: Array.from({ length: count }, (_, i) => ({
+                id: 3 + i,
+                title: i === count - 1 ? 'Zephyr Scarf' : `Plain Sock ${i}`,
+                description: 'Stocking filler.',
+                price: 5,
+                stock_quantity: 1,
+                created_at: '2024-02-01T00:00:00.000Z',
+            })),
+        });
+
+        // Like a PostgREST server whose max-rows is below the page size asked for
+        const listPage = products.listPage;
+        products.listPage = async ({ limit, offset }) => listPage({ limit: Math.min(limit, 400), offset });
+
+        let res;
+        try {
+            res = await request(app).get('/api/v2/products/search?q=zephyr');
+        } finally {
+            products.listPage = listPage;
+        }
+
+        expect(ids(res)).toEqual([2 + count]);
+    });
+
+    test('requires keywords', async () => {
+        const res = await request(app).get('/api/v2/products/search');
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('validation_failed');
+    });
+});
@@ -0,0 +1,7 @@
+// Run the app against the in-memory data store and mail transport
+process.env.DATA_STORE = 'memory';
+process.env.MAIL_TRANSPORT = 'memory';
+process.env.JWT_SECRET = 'test-jwt-secret';
+
+// Routes log every request outcome; keep test output readable unless DEBUG_TESTS is set
+process.env.LOG_LEVEL = process.env.DEBUG_TESTS ? 'debug' : 'silent';
@@ -0,0 +1,102 @@
+const { authenticator } = require('otplib');
+const { app, request, accounts, resetData, lastOTPFor, loginSuperuser, bearer } = require('./helpers');
+const { store } = require('../repositories');
+
+beforeEach(resetData);
+
+describe('invitations', () => {
+    const invitee = { email: 'new.hire@example.com', password: 'New-Hire-Passw0rd!' };
+
+    test('an invited superuser sets a password, logs in and is signed out when disabled', async () => {
+        const { token } = await loginSuperuser();
+        const invite = await request(app).post('/api/superusers/invite').set(bearer(token)).send({ email: 'New.Hire@Example.com', username: 'newhire' });
+        expect(invite.status).toBe(201);
+        expect(invite.body.superuser).toMatchObject({ email: invitee.email, status: 'invited' });
+        expect((await request(app).post('/superuser-login').send(invitee)).status).toBe(401);
+
+        const accept = { email: invitee.email, otp: lastOTPFor(invitee.email), password: invitee.password };
+        expect((await request(app).post('/api/superusers/accept-invite').send(accept)).status).toBe(200);
+        expect((await request(app).post('/api/superusers/accept-invite').send(accept)).status).toBe(400);
+
+        const session = await loginSuperuser(invitee);
+        expect(session.user.roles).toEqual([]);
+
+        const disable = await request(app).post('/api/superusers/disable').set(bearer(token)).send({ superuser_id: invite.body.superuser.id });
+        expect(disable.status).toBe(200);
+        expect(disable.body.superuser.status).toBe('disabled');
+
+        expect((await request(app).post('/superuser/2fa/enroll').set(bearer(session.token))).status).toBe(401);
+        expect((await request(app).post('/superuser-login').send(invitee)).status).toBe(403);
+    });
+});
+
+describe('the last admin', () => {
+    const warehouse = { id: 'd9a4f6c3-5e7b-4a8c-9d0e-3f4a5b6c7d8e', email: 'warehouse@example.com', username: 'warehouse', status: 'active' };
+
+    test('cannot be disabled or lose the role while the other admins are disabled', async () => {
+        store.seed({ superusers: [{ ...warehouse, password: null, created_at: '2024-01-01T00:00:00.000Z' }] });
+        const { token } = await loginSuperuser();
+        const disable = (superuser_id) => request(app).post('/api/superusers/disable').set(bearer(token)).send({ superuser_id });
+        const revokeAdmin = (id) => request(app).delete(`/api/v2/superusers/${id}/roles/admin`).set(bearer(token));
+
+        expect((await request(app).put(`/api/v2/superusers/${accounts.fulfilment.id}/roles/admin`).set(bearer(token))).status).toBe(201);
+        expect((await disable(accounts.fulfilment.id)).status).toBe(200);
+
+        // Fulfilment still holds the admin role, but cannot sign in to use it
+        const revoke = await revokeAdmin(accounts.admin.id);
+        expect(revoke.status).toBe(409);
+        expect(revoke.body.error).toBe('At least one active admin must remain.');
+
+        // Another superuser stays active, but without the admin role
+        const disabled = await disable(accounts.admin.id);
+        expect(disabled.status).toBe(409);
+        expect(disabled.body.error).toBe('At least one active admin must remain.');
+
+        expect((await revokeAdmin(accounts.fulfilment.id)).status).toBe(200);
+        expect((await disable(warehouse.id)).status).toBe(200);
+    });
+});
+
+describe('two-factor authentication', () => {
+    // The code an authenticator app shows one 30-second step from now
+    const nextCode = (secret) => authenticator.clone({ epoch: Date.now() + 30 * 1000 }).generate(secret);
+
+    test('enrollment turns on a login challenge that takes each code and recovery code once', async () => {
+        const { token } = await loginSuperuser();
+        const enroll = await request(app).post('/superuser/2fa/enroll').set(bearer(token));
+        expect(enroll.status).toBe(200);
+        expect(enroll.body.otpauth_uri).toContain(encodeURIComponent(accounts.admin.email));
+        const { secret } = enroll.body;
+
+        expect((await request(app).post('/superuser/2fa/confirm').set(bearer(token)).send({ code: '000000' })).status).toBe(400);
+        const enrollCode = authenticator.generate(secret);
+        const confirm = await request(app).post('/superuser/2fa/confirm').set(bearer(token)).send({ code: enrollCode });
+        expect(confirm.status).toBe(200);
+        expect(confirm.body.recovery_codes).toHaveLength(10);
+
+        // The password alone only earns a challenge
+        const challenge = async () => {
+            const res = await request(app).post('/superuser-login').send(accounts.admin);
+            expect(res.body).toMatchObject({ two_factor_required: true, challenge_token: expect.any(String) });
+            expect(res.body.token).toBeUndefined();
+            return res.body.challenge_token;
+        };
+        const verify = async (body) => {
+            const challenge_token = await challenge();
+            return request(app).post('/superuser-login/verify-2fa').send({ challenge_token, ...body });
+        };
+
+        // The code that confirmed the enrollment cannot be replayed to log in
+        expect((await verify({ code: enrollCode })).status).toBe(401);
+
+        const login = await verify({ code: nextCode(secret) });
+        expect(login.status).toBe(200);
+        expect(login.body.token).toEqual(expect.any(String));
+
+        const [recoveryCode] = confirm.body.recovery_codes;
+        const recovered = await verify({ recovery_code: recoveryCode });
+        expect(recovered.status).toBe(200);
+        expect(recovered.body.recovery_codes_remaining).toBe(9);
+        expect((await verify({ recovery_code: recoveryCode })).status).toBe(401);
+    });
+});
@@ -0,0 +1,106 @@
+const { app, request, accounts, resetData, loginUser, loginSuperuser, bearer } = require('./helpers');
+const { buildSpec } = require('../openapi');
+
+beforeEach(resetData);
+
+describe('v2 routes', () => {
+    test('read the catalog over GET with IDs in the URL', async () => {
+        const product = await request(app).get('/api/v2/products/1');
+        expect(product.status).toBe(200);
+        expect(product.body.product).toMatchObject({ id: 1, title: 'Linen Shirt' });
+
+        const missing = await request(app).get('/api/v2/products/999');
+        expect(missing.status).toBe(404);
+
+        const inCategory = await request(app).get('/api/v2/categories/1/products');
+        expect(inCategory.status).toBe(200);
+
+        const reviews = await request(app).get('/api/v2/products/1/reviews');
+        expect(reviews.status).toBe(200);
+        expect(reviews.body.reviews).toEqual([]);
+    });
+
+    test('manage cart items by ID', async () => {
+        const { token } = await loginUser();
+
+        const add = await request(app).post('/api/v2/cart/items').set(bearer(token)).send({ product_id: 1, size_id: 1, quantity: 1 });
+        expect(add.status).toBe(201);
+        const itemId = add.body.cart_item.id;
+
+        const update = await request(app).patch(`/api/v2/cart/items/${itemId}`).set(bearer(token)).send({ quantity: 3 });
+        expect(update.status).toBe(200);
+        expect(update.body.cart_item).toMatchObject({ id: itemId, quantity: 3 });
+
+        const cart = await request(app).get('/api/v2/cart/items').set(bearer(token));
+        expect(cart.body.cart_items).toHaveLength(1);
+        expect(cart.body.cart_items[0].quantity).toBe(3);
+
+        const remove = await request(app).delete(`/api/v2/cart/items/${itemId}`).set(bearer(token));
+        expect(remove.status).toBe(200);
+
+        const missing = await request(app).patch(`/api/v2/cart/items/${itemId}`).set(bearer(token)).send({ quantity: 1 });
+        expect(missing.status).toBe(404);
+    });
+
+    test('update an order status by ID', async () => {
+        const shopper = await loginUser();
+        const order = await request(app).post('/api/v2/orders').set(bearer(shopper.token)).send({ items: [{ product_id: 2, quantity: 1 }] });
+        const { token } = await loginSuperuser(accounts.fulfilment);
+
+        const res = await request(app).patch(`/api/v2/orders/${order.body.order.id}`).set(bearer(token)).send({ status: 'Shipped' });
+        expect(res.status).toBe(200);
+        expect(res.body.order.order_status).toBe('Shipped');
+
+        const orders = await request(app).get('/api/v2/orders').set(bearer(shopper.token));
+        expect(orders.body[0].order_status).toBe('Shipped');
+    });
+
+    test('validate path parameters', async () => {
+        const res = await request(app).get('/api/v2/products/abc');
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('validation_failed');
+        expect(res.body.details).toEqual([expect.objectContaining({ location: 'params', field: 'id' })]);
+    });
+
+    test('are not marked deprecated', async () => {
+        const res = await request(app).get('/api/v2/products');
+        expect(res.status).toBe(200);
+        expect(res.headers.deprecation).toBeUndefined();
+    });
+});
+
+describe('v1 deprecation', () => {
+    afterEach(() => {
+        delete process.env.API_V1_SUNSET;
+    });
+
+    test('superseded v1 routes keep working and send deprecation headers', async () => {
+        const res = await request(app).post('/api/products/fetch').send({ product_id: 1 });
+        expect(res.status).toBe(200);
+        expect(res.headers.deprecation).toBe('true');
+        expect(res.headers.link).toBe('</api/docs>; rel="deprecation"');
+        expect(res.headers.sunset).toBeUndefined();
+    });
+
+    test('announces the sunset date when one is configured', async () => {
+        process.env.API_V1_SUNSET = '2027-01-31';
+
+        const res = await request(app).get('/api/products/list');
+        expect(res.headers.sunset).toBe('Sun, 31 Jan 2027 00:00:00 GMT');
+    });
+
+    test('routes without a v2 successor are not deprecated', async () => {
+        const res = await request(app).post('/login').send(accounts.shopper);
+        expect(res.headers.deprecation).toBeUndefined();
+    });
+
+    test('the OpenAPI document marks v1 operations deprecated and names the successor', () => {
+        const spec = buildSpec(app);
+
+        const fetch = spec.paths['/api/products/fetch'].post;
+        expect(fetch.deprecated).toBe(true);
+        expect(fetch.description).toContain('GET /api/v2/products/{id}');
+        expect(spec.paths['/api/v2/products/{id}'].get.deprecated).toBeUndefined();
+        expect(spec.paths['/login'].post.deprecated).toBeUndefined();
+    });
+});
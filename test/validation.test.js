@@ -0,0 +1,92 @@
+const { app, request, resetData, loginUser, loginSuperuser, bearer, sampleImage } = require('./helpers');
+
+beforeEach(resetData);
+
+describe('validation errors', () => {
+    test('report every invalid field with a code and the request ID', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app).post('/api/cart/add').set(bearer(token)).send({ product_id: 'abc' });
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({ error: 'Request validation failed.', code: 'validation_failed' });
+        expect(res.body.request_id).toBe(res.headers['x-request-id']);
+        expect(res.body.details).toEqual(
+            expect.arrayContaining([
+                { location: 'body', field: 'quantity', message: 'is required' },
+                { location: 'body', field: 'product_id', message: 'must be integer' },
+            ])
+        );
+    });
+
+    test('point at nested fields', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app).post('/api/orders').set(bearer(token)).send({ items: [{ product_id: 1, quantity: 0 }] });
+        expect(res.status).toBe(400);
+        expect(res.body.details).toEqual([{ location: 'body', field: 'items[0].quantity', message: 'must be >= 1' }]);
+    });
+
+    test('reject out-of-range review ratings', async () => {
+        const { token } = await loginUser();
+
+        const res = await request(app).post('/api/reviews/add').set(bearer(token)).send({ product_id: 1, rating: 11, feedback: 'Wow' });
+        expect(res.status).toBe(400);
+        expect(res.body.details[0]).toMatchObject({ field: 'rating' });
+    });
+
+    test('validate and coerce query strings', async () => {
+        const invalid = await request(app).get('/api/reviews/reviews').query({ product_id: 'shirt' });
+        expect(invalid.status).toBe(400);
+        expect(invalid.body.details[0]).toMatchObject({ location: 'query', field: 'product_id' });
+
+        const valid = await request(app).get('/api/reviews/reviews').query({ product_id: '1' });
+        expect(valid.status).toBe(200);
+    });
+
+    test('reject malformed multipart JSON fields instead of failing', async () => {
+        const { token } = await loginSuperuser();
+
+        const res = await request(app)
+            .post('/api/products/add')
+            .set(bearer(token))
+            .field('title', 'Broken')
+            .field('price', '10')
+            .field('category_ids', '[1,')
+            .attach('images', await sampleImage(), 'broken.jpg');
+        expect(res.status).toBe(400);
+        expect(res.body.details[0]).toMatchObject({ field: 'category_ids', message: 'must be array' });
+    });
+
+    test('reject bodies that are not valid JSON', async () => {
+        const res = await request(app).post('/login').set('Content-Type', 'application/json').send('{"email":');
+        expect(res.status).toBe(400);
+        expect(res.body.code).toBe('invalid_json');
+    });
+});
+
+describe('error envelope', () => {
+    test('route errors gain a code and request ID', async () => {
+        const res = await request(app).post('/api/cart/fetch');
+        expect(res.status).toBe(401);
+        expect(res.body).toMatchObject({ error: 'Authentication token is required.', code: 'unauthorized' });
+        expect(res.body.request_id).toEqual(expect.any(String));
+    });
+
+    test('404s use the same envelope as other errors', async () => {
+        const res = await request(app).post('/api/categories/products').send({ category_id: 99 });
+        expect(res.status).toBe(404);
+        expect(res.body).toMatchObject({ error: 'No products found for the given category.', code: 'not_found' });
+    });
+
+    test('unknown routes return a JSON 404', async () => {
+        const res = await request(app).get('/api/nothing-here');
+        expect(res.status).toBe(404);
+        expect(res.body.code).toBe('route_not_found');
+    });
+
+    test('a sane client request ID is reused', async () => {
+        const res = await request(app).post('/api/cart/fetch').set('X-Request-Id', 'client-123');
+        expect(res.headers['x-request-id']).toBe('client-123');
+        expect(res.body.request_id).toBe('client-123');
+    });
+});